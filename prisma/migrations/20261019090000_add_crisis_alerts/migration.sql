@@ -0,0 +1,53 @@
+-- CreateEnum
+CREATE TYPE "UserType" AS ENUM ('STUDENT', 'PARENT', 'THERAPIST', 'ADMIN');
+
+-- CreateEnum
+CREATE TYPE "CrisisAlertStatus" AS ENUM ('OPEN', 'ACKNOWLEDGED', 'RESOLVED');
+
+-- AlterTable
+ALTER TABLE "Student" ADD COLUMN     "trustEmail" TEXT;
+
+-- AlterTable
+ALTER TABLE "Story" ADD COLUMN     "isUnderReview" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "Comment" ADD COLUMN     "isUnderReview" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "CrisisAlert" (
+    "id" TEXT NOT NULL,
+    "severity" TEXT NOT NULL,
+    "signals" TEXT[],
+    "status" "CrisisAlertStatus" NOT NULL DEFAULT 'OPEN',
+    "trustPhoneNo" TEXT,
+    "trustedContactNotifiedAt" TIMESTAMP(3),
+    "resolutionNote" TEXT,
+    "resolvedById" TEXT,
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "authorId" TEXT NOT NULL,
+    "authorType" "UserType" NOT NULL,
+    "storyId" TEXT,
+    "commentId" TEXT,
+
+    CONSTRAINT "CrisisAlert_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CrisisAlert_status_idx" ON "CrisisAlert"("status");
+
+-- CreateIndex
+CREATE INDEX "CrisisAlert_authorId_idx" ON "CrisisAlert"("authorId");
+
+-- CreateIndex
+CREATE INDEX "CrisisAlert_storyId_idx" ON "CrisisAlert"("storyId");
+
+-- CreateIndex
+CREATE INDEX "CrisisAlert_commentId_idx" ON "CrisisAlert"("commentId");
+
+-- AddForeignKey
+ALTER TABLE "CrisisAlert" ADD CONSTRAINT "CrisisAlert_storyId_fkey" FOREIGN KEY ("storyId") REFERENCES "Story"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CrisisAlert" ADD CONSTRAINT "CrisisAlert_commentId_fkey" FOREIGN KEY ("commentId") REFERENCES "Comment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- CreateEnum
+CREATE TYPE "AdminRole" AS ENUM ('SUPER_ADMIN', 'CONTENT_EDITOR', 'MODERATOR', 'THERAPIST_REVIEWER');
+
+-- AlterTable
+-- Admins created before roles existed had full access, so they become super admins
+ALTER TABLE "Admin" ADD COLUMN     "role" "AdminRole" NOT NULL DEFAULT 'SUPER_ADMIN';
+ALTER TABLE "Admin" ALTER COLUMN "role" DROP DEFAULT;
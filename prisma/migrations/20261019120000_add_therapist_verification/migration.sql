@@ -0,0 +1,43 @@
+-- CreateEnum
+CREATE TYPE "TherapistVerificationAction" AS ENUM ('APPROVED', 'REJECTED', 'RESUBMITTED');
+
+-- CreateEnum
+CREATE TYPE "TherapistDocumentType" AS ENUM ('LICENSE', 'DEGREE', 'OTHER');
+
+-- CreateTable
+CREATE TABLE "TherapistVerification" (
+    "id" TEXT NOT NULL,
+    "action" "TherapistVerificationAction" NOT NULL,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "therapistId" TEXT NOT NULL,
+    "reviewerId" TEXT,
+
+    CONSTRAINT "TherapistVerification_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "TherapistDocument" (
+    "id" TEXT NOT NULL,
+    "type" "TherapistDocumentType" NOT NULL,
+    "fileUrl" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "therapistId" TEXT NOT NULL,
+
+    CONSTRAINT "TherapistDocument_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TherapistVerification_therapistId_idx" ON "TherapistVerification"("therapistId");
+
+-- CreateIndex
+CREATE INDEX "TherapistDocument_therapistId_idx" ON "TherapistDocument"("therapistId");
+
+-- AddForeignKey
+ALTER TABLE "TherapistVerification" ADD CONSTRAINT "TherapistVerification_therapistId_fkey" FOREIGN KEY ("therapistId") REFERENCES "Therapist"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TherapistVerification" ADD CONSTRAINT "TherapistVerification_reviewerId_fkey" FOREIGN KEY ("reviewerId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TherapistDocument" ADD CONSTRAINT "TherapistDocument_therapistId_fkey" FOREIGN KEY ("therapistId") REFERENCES "Therapist"("id") ON DELETE CASCADE ON UPDATE CASCADE;
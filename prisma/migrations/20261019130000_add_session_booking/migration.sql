@@ -0,0 +1,106 @@
+-- CreateEnum
+CREATE TYPE "SessionBookingStatus" AS ENUM ('BOOKED', 'CANCELLED', 'COMPLETED');
+
+-- AlterTable
+ALTER TABLE "Therapist" ADD COLUMN     "timezone" TEXT NOT NULL DEFAULT 'Asia/Kolkata';
+
+-- CreateTable
+CREATE TABLE "TherapistAvailability" (
+    "id" TEXT NOT NULL,
+    "dayOfWeek" INTEGER NOT NULL,
+    "startTime" TEXT NOT NULL,
+    "endTime" TEXT NOT NULL,
+    "slotDuration" INTEGER NOT NULL DEFAULT 50,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "therapistId" TEXT NOT NULL,
+
+    CONSTRAINT "TherapistAvailability_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "TherapistBreak" (
+    "id" TEXT NOT NULL,
+    "dayOfWeek" INTEGER,
+    "startTime" TEXT NOT NULL,
+    "endTime" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "therapistId" TEXT NOT NULL,
+
+    CONSTRAINT "TherapistBreak_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "TherapistAvailabilityException" (
+    "id" TEXT NOT NULL,
+    "date" TEXT NOT NULL,
+    "startTime" TEXT,
+    "endTime" TEXT,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "therapistId" TEXT NOT NULL,
+
+    CONSTRAINT "TherapistAvailabilityException_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SessionBooking" (
+    "id" TEXT NOT NULL,
+    "startTime" TIMESTAMP(3) NOT NULL,
+    "endTime" TIMESTAMP(3) NOT NULL,
+    "status" "SessionBookingStatus" NOT NULL DEFAULT 'BOOKED',
+    "slotKey" TEXT,
+    "notes" TEXT,
+    "cancelledBy" "UserType",
+    "cancellationReason" TEXT,
+    "cancelledAt" TIMESTAMP(3),
+    "rescheduledFromId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "therapistId" TEXT NOT NULL,
+    "studentId" TEXT NOT NULL,
+    "conversationId" TEXT,
+
+    CONSTRAINT "SessionBooking_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TherapistAvailability_therapistId_idx" ON "TherapistAvailability"("therapistId");
+
+-- CreateIndex
+CREATE INDEX "TherapistBreak_therapistId_idx" ON "TherapistBreak"("therapistId");
+
+-- CreateIndex
+CREATE INDEX "TherapistAvailabilityException_therapistId_date_idx" ON "TherapistAvailabilityException"("therapistId", "date");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SessionBooking_slotKey_key" ON "SessionBooking"("slotKey");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SessionBooking_rescheduledFromId_key" ON "SessionBooking"("rescheduledFromId");
+
+-- CreateIndex
+CREATE INDEX "SessionBooking_therapistId_startTime_idx" ON "SessionBooking"("therapistId", "startTime");
+
+-- CreateIndex
+CREATE INDEX "SessionBooking_studentId_startTime_idx" ON "SessionBooking"("studentId", "startTime");
+
+-- AddForeignKey
+ALTER TABLE "TherapistAvailability" ADD CONSTRAINT "TherapistAvailability_therapistId_fkey" FOREIGN KEY ("therapistId") REFERENCES "Therapist"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TherapistBreak" ADD CONSTRAINT "TherapistBreak_therapistId_fkey" FOREIGN KEY ("therapistId") REFERENCES "Therapist"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TherapistAvailabilityException" ADD CONSTRAINT "TherapistAvailabilityException_therapistId_fkey" FOREIGN KEY ("therapistId") REFERENCES "Therapist"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SessionBooking" ADD CONSTRAINT "SessionBooking_rescheduledFromId_fkey" FOREIGN KEY ("rescheduledFromId") REFERENCES "SessionBooking"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SessionBooking" ADD CONSTRAINT "SessionBooking_therapistId_fkey" FOREIGN KEY ("therapistId") REFERENCES "Therapist"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SessionBooking" ADD CONSTRAINT "SessionBooking_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "Student"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SessionBooking" ADD CONSTRAINT "SessionBooking_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,78 @@
+-- CreateEnum
+CREATE TYPE "PaymentStatus" AS ENUM ('CREATED', 'CAPTURED', 'FAILED', 'REFUNDED');
+
+-- AlterEnum
+ALTER TYPE "SessionBookingStatus" ADD VALUE 'PENDING_PAYMENT' BEFORE 'BOOKED';
+
+-- AlterTable
+ALTER TABLE "Therapist" ADD COLUMN     "sessionPrice" INTEGER;
+
+-- AlterTable
+ALTER TABLE "SessionBooking" ADD COLUMN     "price" INTEGER,
+ADD COLUMN     "paymentDueAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "Payment" (
+    "id" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'INR',
+    "status" "PaymentStatus" NOT NULL DEFAULT 'CREATED',
+    "razorpayOrderId" TEXT NOT NULL,
+    "razorpayPaymentId" TEXT,
+    "refundedAmount" INTEGER NOT NULL DEFAULT 0,
+    "failureReason" TEXT,
+    "capturedAt" TIMESTAMP(3),
+    "refundedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "bookingId" TEXT NOT NULL,
+    "studentId" TEXT NOT NULL,
+    "therapistId" TEXT NOT NULL,
+
+    CONSTRAINT "Payment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PaymentEvent" (
+    "id" TEXT NOT NULL,
+    "razorpayEventId" TEXT NOT NULL,
+    "event" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "paymentId" TEXT,
+
+    CONSTRAINT "PaymentEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Payment_razorpayOrderId_key" ON "Payment"("razorpayOrderId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Payment_razorpayPaymentId_key" ON "Payment"("razorpayPaymentId");
+
+-- CreateIndex
+CREATE INDEX "Payment_bookingId_idx" ON "Payment"("bookingId");
+
+-- CreateIndex
+CREATE INDEX "Payment_therapistId_status_idx" ON "Payment"("therapistId", "status");
+
+-- CreateIndex
+CREATE INDEX "Payment_status_capturedAt_idx" ON "Payment"("status", "capturedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PaymentEvent_razorpayEventId_key" ON "PaymentEvent"("razorpayEventId");
+
+-- CreateIndex
+CREATE INDEX "PaymentEvent_paymentId_idx" ON "PaymentEvent"("paymentId");
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "SessionBooking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "Student"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_therapistId_fkey" FOREIGN KEY ("therapistId") REFERENCES "Therapist"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentEvent" ADD CONSTRAINT "PaymentEvent_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "Payment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
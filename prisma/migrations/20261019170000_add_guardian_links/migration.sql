@@ -0,0 +1,40 @@
+-- CreateEnum
+CREATE TYPE "GuardianLinkStatus" AS ENUM ('PENDING', 'ACCEPTED', 'DECLINED', 'REVOKED');
+
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'GUARDIAN_LINK_REQUESTED';
+ALTER TYPE "NotificationType" ADD VALUE 'GUARDIAN_LINK_ACCEPTED';
+
+-- AlterTable
+ALTER TABLE "Student" ADD COLUMN     "guardianInviteCode" TEXT;
+
+-- CreateTable
+CREATE TABLE "GuardianLink" (
+    "id" TEXT NOT NULL,
+    "status" "GuardianLinkStatus" NOT NULL DEFAULT 'PENDING',
+    "requestedVia" TEXT NOT NULL,
+    "respondedAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "revokedBy" "UserType",
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "parentId" TEXT NOT NULL,
+    "studentId" TEXT NOT NULL,
+
+    CONSTRAINT "GuardianLink_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Student_guardianInviteCode_key" ON "Student"("guardianInviteCode");
+
+-- CreateIndex
+CREATE INDEX "GuardianLink_studentId_idx" ON "GuardianLink"("studentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GuardianLink_parentId_studentId_key" ON "GuardianLink"("parentId", "studentId");
+
+-- AddForeignKey
+ALTER TABLE "GuardianLink" ADD CONSTRAINT "GuardianLink_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "Parent"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GuardianLink" ADD CONSTRAINT "GuardianLink_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "Student"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,48 @@
+-- CreateTable
+CREATE TABLE "MoodCheckIn" (
+    "id" TEXT NOT NULL,
+    "mood" INTEGER NOT NULL,
+    "emotions" TEXT[],
+    "note" TEXT,
+    "sleepHours" DOUBLE PRECISION,
+    "energy" INTEGER,
+    "localDate" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "studentId" TEXT NOT NULL,
+
+    CONSTRAINT "MoodCheckIn_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "MoodShare" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "revokedAt" TIMESTAMP(3),
+    "studentId" TEXT NOT NULL,
+    "therapistId" TEXT NOT NULL,
+    "conversationId" TEXT NOT NULL,
+
+    CONSTRAINT "MoodShare_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MoodCheckIn_studentId_localDate_key" ON "MoodCheckIn"("studentId", "localDate");
+
+-- CreateIndex
+CREATE INDEX "MoodShare_therapistId_idx" ON "MoodShare"("therapistId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MoodShare_studentId_therapistId_key" ON "MoodShare"("studentId", "therapistId");
+
+-- AddForeignKey
+ALTER TABLE "MoodCheckIn" ADD CONSTRAINT "MoodCheckIn_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "Student"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MoodShare" ADD CONSTRAINT "MoodShare_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "Student"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MoodShare" ADD CONSTRAINT "MoodShare_therapistId_fkey" FOREIGN KEY ("therapistId") REFERENCES "Therapist"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MoodShare" ADD CONSTRAINT "MoodShare_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
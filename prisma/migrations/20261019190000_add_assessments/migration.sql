@@ -0,0 +1,61 @@
+-- CreateTable
+CREATE TABLE "Assessment" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "instructions" TEXT,
+    "scale" JSONB NOT NULL,
+    "severityBands" JSONB NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Assessment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AssessmentItem" (
+    "id" TEXT NOT NULL,
+    "order" INTEGER NOT NULL,
+    "prompt" TEXT NOT NULL,
+    "weight" DOUBLE PRECISION NOT NULL DEFAULT 1,
+    "isReverseScored" BOOLEAN NOT NULL DEFAULT false,
+    "isCritical" BOOLEAN NOT NULL DEFAULT false,
+    "assessmentId" TEXT NOT NULL,
+
+    CONSTRAINT "AssessmentItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AssessmentResult" (
+    "id" TEXT NOT NULL,
+    "answers" JSONB NOT NULL,
+    "totalScore" DOUBLE PRECISION NOT NULL,
+    "severity" TEXT NOT NULL,
+    "interpretation" TEXT NOT NULL,
+    "isHighSeverity" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "studentId" TEXT NOT NULL,
+    "assessmentId" TEXT NOT NULL,
+
+    CONSTRAINT "AssessmentResult_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Assessment_code_key" ON "Assessment"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AssessmentItem_assessmentId_order_key" ON "AssessmentItem"("assessmentId", "order");
+
+-- CreateIndex
+CREATE INDEX "AssessmentResult_studentId_assessmentId_createdAt_idx" ON "AssessmentResult"("studentId", "assessmentId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "AssessmentItem" ADD CONSTRAINT "AssessmentItem_assessmentId_fkey" FOREIGN KEY ("assessmentId") REFERENCES "Assessment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AssessmentResult" ADD CONSTRAINT "AssessmentResult_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "Student"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AssessmentResult" ADD CONSTRAINT "AssessmentResult_assessmentId_fkey" FOREIGN KEY ("assessmentId") REFERENCES "Assessment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,97 @@
+-- CreateEnum
+CREATE TYPE "QuizRetakePolicy" AS ENUM ('NONE', 'LIMITED', 'UNLIMITED');
+
+-- CreateEnum
+CREATE TYPE "QuizSessionStatus" AS ENUM ('IN_PROGRESS', 'SUBMITTED', 'EXPIRED');
+
+-- AlterTable
+ALTER TABLE "Quiz" ADD COLUMN     "timeLimitSeconds" INTEGER,
+ADD COLUMN     "retakePolicy" "QuizRetakePolicy" NOT NULL DEFAULT 'NONE',
+ADD COLUMN     "maxAttempts" INTEGER,
+ADD COLUMN     "retakeCooldownMinutes" INTEGER;
+
+-- AlterTable
+ALTER TABLE "QuizAttempt" ADD COLUMN     "sessionId" TEXT;
+
+-- CreateTable
+CREATE TABLE "QuizSession" (
+    "id" TEXT NOT NULL,
+    "status" "QuizSessionStatus" NOT NULL DEFAULT 'IN_PROGRESS',
+    "attemptNumber" INTEGER NOT NULL,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3),
+    "submittedAt" TIMESTAMP(3),
+    "timeTakenSeconds" INTEGER,
+    "correctAnswers" INTEGER,
+    "totalQuestions" INTEGER,
+    "score" INTEGER,
+    "studentId" TEXT NOT NULL,
+    "quizId" TEXT NOT NULL,
+
+    CONSTRAINT "QuizSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "QuizSession_quizId_idx" ON "QuizSession"("quizId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "QuizSession_studentId_quizId_attemptNumber_key" ON "QuizSession"("studentId", "quizId", "attemptNumber");
+
+-- AddForeignKey
+ALTER TABLE "QuizSession" ADD CONSTRAINT "QuizSession_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "Student"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "QuizSession" ADD CONSTRAINT "QuizSession_quizId_fkey" FOREIGN KEY ("quizId") REFERENCES "Quiz"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "QuizAttempt" ADD CONSTRAINT "QuizAttempt_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "QuizSession"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: answers given one question at a time become one submitted
+-- session per student and quiz, so quizScore can be derived from sessions.
+-- Only the first answer per question counts, matching the rows linked below.
+INSERT INTO "QuizSession" ("id", "status", "attemptNumber", "startedAt", "submittedAt", "correctAnswers", "totalQuestions", "score", "studentId", "quizId")
+SELECT
+    gen_random_uuid()::text,
+    'SUBMITTED',
+    1,
+    MIN(a."attemptedAt"),
+    MAX(a."attemptedAt"),
+    COUNT(*) FILTER (WHERE a."isCorrect"),
+    GREATEST(q."questionCount", 1),
+    ROUND(COUNT(*) FILTER (WHERE a."isCorrect") * 100.0 / GREATEST(q."questionCount", 1))::INTEGER,
+    a."studentId",
+    a."quizId"
+FROM (
+    SELECT DISTINCT ON ("studentId", "quizId", "questionId") *
+    FROM "QuizAttempt"
+    ORDER BY "studentId", "quizId", "questionId", "attemptedAt"
+) a
+JOIN (
+    SELECT "quizId", COUNT(*)::INTEGER AS "questionCount"
+    FROM "QuizQuestion"
+    GROUP BY "quizId"
+) q ON q."quizId" = a."quizId"
+GROUP BY a."studentId", a."quizId", q."questionCount";
+
+-- Link each legacy answer to its session, keeping only the first answer per
+-- question if a race ever recorded two
+UPDATE "QuizAttempt" a
+SET "sessionId" = s."id"
+FROM "QuizSession" s
+WHERE s."studentId" = a."studentId"
+  AND s."quizId" = a."quizId"
+  AND a."id" IN (
+    SELECT DISTINCT ON ("studentId", "quizId", "questionId") "id"
+    FROM "QuizAttempt"
+    ORDER BY "studentId", "quizId", "questionId", "attemptedAt"
+  );
+
+UPDATE "Student" st
+SET "quizScore" = COALESCE((
+    SELECT SUM(s."correctAnswers")
+    FROM "QuizSession" s
+    WHERE s."studentId" = st."id"
+), 0);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "QuizAttempt_sessionId_questionId_key" ON "QuizAttempt"("sessionId", "questionId");
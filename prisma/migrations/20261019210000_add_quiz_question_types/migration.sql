@@ -0,0 +1,14 @@
+-- CreateEnum
+CREATE TYPE "QuizQuestionType" AS ENUM ('SINGLE_CHOICE', 'MULTI_SELECT', 'TRUE_FALSE', 'ORDERING', 'FREE_TEXT');
+
+-- AlterTable
+ALTER TABLE "QuizQuestion" ADD COLUMN     "answerKey" JSONB,
+ADD COLUMN     "explanation" TEXT,
+ADD COLUMN     "imageUrl" TEXT,
+ADD COLUMN     "options" JSONB,
+ADD COLUMN     "type" "QuizQuestionType" NOT NULL DEFAULT 'SINGLE_CHOICE',
+ALTER COLUMN "option1" DROP NOT NULL,
+ALTER COLUMN "option2" DROP NOT NULL,
+ALTER COLUMN "option3" DROP NOT NULL,
+ALTER COLUMN "option4" DROP NOT NULL,
+ALTER COLUMN "answer" DROP NOT NULL;
@@ -0,0 +1,43 @@
+-- CreateEnum
+CREATE TYPE "LeaderboardPeriod" AS ENUM ('WEEKLY', 'MONTHLY', 'ALL_TIME');
+
+-- AlterTable
+ALTER TABLE "Student" ADD COLUMN     "className" TEXT,
+ADD COLUMN     "hideFromLeaderboard" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "schoolName" TEXT;
+
+-- CreateTable
+CREATE TABLE "LeaderboardSnapshot" (
+    "id" TEXT NOT NULL,
+    "period" "LeaderboardPeriod" NOT NULL,
+    "periodStart" TIMESTAMP(3),
+    "score" INTEGER NOT NULL,
+    "quizzesCompleted" INTEGER NOT NULL,
+    "rank" INTEGER NOT NULL,
+    "schoolKey" TEXT,
+    "schoolRank" INTEGER,
+    "classKey" TEXT,
+    "classRank" INTEGER,
+    "computedAt" TIMESTAMP(3) NOT NULL,
+    "studentId" TEXT NOT NULL,
+
+    CONSTRAINT "LeaderboardSnapshot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LeaderboardSnapshot_period_rank_idx" ON "LeaderboardSnapshot"("period", "rank");
+
+-- CreateIndex
+CREATE INDEX "LeaderboardSnapshot_period_schoolKey_schoolRank_idx" ON "LeaderboardSnapshot"("period", "schoolKey", "schoolRank");
+
+-- CreateIndex
+CREATE INDEX "LeaderboardSnapshot_period_classKey_classRank_idx" ON "LeaderboardSnapshot"("period", "classKey", "classRank");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LeaderboardSnapshot_period_studentId_key" ON "LeaderboardSnapshot"("period", "studentId");
+
+-- Scans completed sessions by time window when snapshots are rebuilt
+CREATE INDEX "QuizSession_status_submittedAt_idx" ON "QuizSession"("status", "submittedAt");
+
+-- AddForeignKey
+ALTER TABLE "LeaderboardSnapshot" ADD CONSTRAINT "LeaderboardSnapshot_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "Student"("id") ON DELETE CASCADE ON UPDATE CASCADE;
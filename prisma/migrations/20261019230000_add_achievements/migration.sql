@@ -0,0 +1,99 @@
+-- CreateEnum
+CREATE TYPE "AchievementEvent" AS ENUM ('STORY_PUBLISHED', 'COMMENT_POSTED', 'MOOD_CHECK_IN', 'VIDEO_COMPLETED', 'QUIZ_COMPLETED');
+
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'BADGE_EARNED';
+
+-- CreateTable
+CREATE TABLE "VideoCompletion" (
+    "id" TEXT NOT NULL,
+    "completedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "studentId" TEXT NOT NULL,
+    "videoId" TEXT NOT NULL,
+
+    CONSTRAINT "VideoCompletion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Badge" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "iconUrl" TEXT,
+    "event" "AchievementEvent" NOT NULL,
+    "criteria" JSONB NOT NULL,
+    "xpReward" INTEGER NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Badge_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StudentBadge" (
+    "id" TEXT NOT NULL,
+    "awardedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "studentId" TEXT NOT NULL,
+    "badgeId" TEXT NOT NULL,
+
+    CONSTRAINT "StudentBadge_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "XpRule" (
+    "id" TEXT NOT NULL,
+    "event" "AchievementEvent" NOT NULL,
+    "xp" INTEGER NOT NULL,
+    "dailyCap" INTEGER,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "XpRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "XpTransaction" (
+    "id" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "reason" TEXT NOT NULL,
+    "sourceKey" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "studentId" TEXT NOT NULL,
+
+    CONSTRAINT "XpTransaction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "VideoCompletion_studentId_videoId_key" ON "VideoCompletion"("studentId", "videoId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Badge_code_key" ON "Badge"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StudentBadge_studentId_badgeId_key" ON "StudentBadge"("studentId", "badgeId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "XpRule_event_key" ON "XpRule"("event");
+
+-- CreateIndex
+CREATE INDEX "XpTransaction_studentId_createdAt_idx" ON "XpTransaction"("studentId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "XpTransaction_studentId_sourceKey_key" ON "XpTransaction"("studentId", "sourceKey");
+
+-- AddForeignKey
+ALTER TABLE "VideoCompletion" ADD CONSTRAINT "VideoCompletion_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "Student"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "VideoCompletion" ADD CONSTRAINT "VideoCompletion_videoId_fkey" FOREIGN KEY ("videoId") REFERENCES "EducationalVideo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StudentBadge" ADD CONSTRAINT "StudentBadge_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "Student"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StudentBadge" ADD CONSTRAINT "StudentBadge_badgeId_fkey" FOREIGN KEY ("badgeId") REFERENCES "Badge"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "XpTransaction" ADD CONSTRAINT "XpTransaction_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "Student"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,66 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'COMMENT_REPLIED';
+
+-- AlterTable
+ALTER TABLE "Comment" ADD COLUMN     "deletedAt" TIMESTAMP(3),
+ADD COLUMN     "deletedById" TEXT,
+ADD COLUMN     "deletedByModerator" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "depth" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "editedAt" TIMESTAMP(3),
+ADD COLUMN     "parentCommentId" TEXT,
+ADD COLUMN     "pinnedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "CommentEdit" (
+    "id" TEXT NOT NULL,
+    "previousContent" TEXT NOT NULL,
+    "editedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "commentId" TEXT NOT NULL,
+
+    CONSTRAINT "CommentEdit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CommentLike" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "studentId" TEXT,
+    "therapistId" TEXT,
+    "parentId" TEXT,
+    "commentId" TEXT NOT NULL,
+
+    CONSTRAINT "CommentLike_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Comment_parentCommentId_idx" ON "Comment"("parentCommentId");
+
+-- CreateIndex
+CREATE INDEX "CommentEdit_commentId_idx" ON "CommentEdit"("commentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CommentLike_commentId_studentId_key" ON "CommentLike"("commentId", "studentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CommentLike_commentId_therapistId_key" ON "CommentLike"("commentId", "therapistId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CommentLike_commentId_parentId_key" ON "CommentLike"("commentId", "parentId");
+
+-- AddForeignKey
+ALTER TABLE "Comment" ADD CONSTRAINT "Comment_parentCommentId_fkey" FOREIGN KEY ("parentCommentId") REFERENCES "Comment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CommentEdit" ADD CONSTRAINT "CommentEdit_commentId_fkey" FOREIGN KEY ("commentId") REFERENCES "Comment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CommentLike" ADD CONSTRAINT "CommentLike_studentId_fkey" FOREIGN KEY ("studentId") REFERENCES "Student"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CommentLike" ADD CONSTRAINT "CommentLike_therapistId_fkey" FOREIGN KEY ("therapistId") REFERENCES "Therapist"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CommentLike" ADD CONSTRAINT "CommentLike_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "Parent"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CommentLike" ADD CONSTRAINT "CommentLike_commentId_fkey" FOREIGN KEY ("commentId") REFERENCES "Comment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
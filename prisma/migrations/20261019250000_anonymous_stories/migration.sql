@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "Story" ADD COLUMN     "isAnonymous" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "StoryAuthorReveal" (
+    "id" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "storyId" TEXT NOT NULL,
+    "studentId" TEXT NOT NULL,
+    "adminId" TEXT,
+
+    CONSTRAINT "StoryAuthorReveal_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StoryAuthorReveal_storyId_idx" ON "StoryAuthorReveal"("storyId");
+
+-- CreateIndex
+CREATE INDEX "StoryAuthorReveal_adminId_idx" ON "StoryAuthorReveal"("adminId");
+
+-- AddForeignKey
+ALTER TABLE "StoryAuthorReveal" ADD CONSTRAINT "StoryAuthorReveal_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
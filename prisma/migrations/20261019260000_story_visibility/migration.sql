@@ -0,0 +1,20 @@
+-- CreateEnum
+CREATE TYPE "StoryVisibility" AS ENUM ('PUBLIC', 'THERAPISTS', 'GUARDIANS', 'PRIVATE');
+
+-- CreateEnum
+CREATE TYPE "StoryStatus" AS ENUM ('DRAFT', 'SCHEDULED', 'PUBLISHED');
+
+-- AlterTable
+ALTER TABLE "Story" ADD COLUMN     "publishAt" TIMESTAMP(3),
+ADD COLUMN     "publishedAt" TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "status" "StoryStatus" NOT NULL DEFAULT 'PUBLISHED',
+ADD COLUMN     "visibility" "StoryVisibility" NOT NULL DEFAULT 'PUBLIC';
+
+-- Existing stories were published when they were created
+UPDATE "Story" SET "publishedAt" = "createdAt";
+
+-- CreateIndex
+CREATE INDEX "Story_status_publishAt_idx" ON "Story"("status", "publishAt");
+
+-- CreateIndex
+CREATE INDEX "Story_status_visibility_publishedAt_idx" ON "Story"("status", "visibility", "publishedAt");
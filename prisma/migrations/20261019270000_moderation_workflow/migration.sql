@@ -0,0 +1,76 @@
+-- CreateEnum
+CREATE TYPE "ReportStatus" AS ENUM ('OPEN', 'UNDER_REVIEW', 'ACTIONED', 'DISMISSED');
+
+-- CreateEnum
+CREATE TYPE "ModerationActionType" AS ENUM ('HIDE_STORY', 'REMOVE_STORY', 'WARN_AUTHOR', 'SUSPEND_AUTHOR', 'DISMISS_REPORTS');
+
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'REPORT_RESOLVED';
+ALTER TYPE "NotificationType" ADD VALUE 'MODERATION_NOTICE';
+
+-- AlterTable
+ALTER TABLE "Report" ADD COLUMN     "actionId" TEXT,
+ADD COLUMN     "resolvedAt" TIMESTAMP(3),
+ADD COLUMN     "status" "ReportStatus" NOT NULL DEFAULT 'OPEN';
+
+-- Reports a moderator has already looked at are under review
+UPDATE "Report" SET "status" = 'UNDER_REVIEW' WHERE "isNew" = false;
+
+-- AlterTable
+ALTER TABLE "Story" ADD COLUMN     "hiddenAt" TIMESTAMP(3),
+ADD COLUMN     "hiddenByReports" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "removedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "ModerationAction" (
+    "id" TEXT NOT NULL,
+    "action" "ModerationActionType" NOT NULL,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "storyId" TEXT NOT NULL,
+    "adminId" TEXT,
+
+    CONSTRAINT "ModerationAction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AccountSuspension" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "userType" "UserType" NOT NULL,
+    "reason" TEXT NOT NULL,
+    "endsAt" TIMESTAMP(3),
+    "liftedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "adminId" TEXT,
+    "actionId" TEXT,
+
+    CONSTRAINT "AccountSuspension_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Report_status_idx" ON "Report"("status");
+
+-- CreateIndex
+CREATE INDEX "ModerationAction_storyId_idx" ON "ModerationAction"("storyId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AccountSuspension_actionId_key" ON "AccountSuspension"("actionId");
+
+-- CreateIndex
+CREATE INDEX "AccountSuspension_userId_userType_idx" ON "AccountSuspension"("userId", "userType");
+
+-- AddForeignKey
+ALTER TABLE "Report" ADD CONSTRAINT "Report_actionId_fkey" FOREIGN KEY ("actionId") REFERENCES "ModerationAction"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ModerationAction" ADD CONSTRAINT "ModerationAction_storyId_fkey" FOREIGN KEY ("storyId") REFERENCES "Story"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ModerationAction" ADD CONSTRAINT "ModerationAction_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AccountSuspension" ADD CONSTRAINT "AccountSuspension_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AccountSuspension" ADD CONSTRAINT "AccountSuspension_actionId_fkey" FOREIGN KEY ("actionId") REFERENCES "ModerationAction"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,45 @@
+-- CreateEnum
+CREATE TYPE "AppealStatus" AS ENUM ('PENDING', 'ACCEPTED', 'REJECTED');
+
+-- AlterTable
+ALTER TABLE "Parent" ADD COLUMN     "isSuspended" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "Student" ADD COLUMN     "isSuspended" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "Therapist" ADD COLUMN     "isSuspended" BOOLEAN NOT NULL DEFAULT false;
+
+-- Students suspended from the moderation queue before the flag existed
+UPDATE "Student" SET "isSuspended" = true
+WHERE "id" IN (
+    SELECT "userId" FROM "AccountSuspension"
+    WHERE "userType" = 'STUDENT' AND "liftedAt" IS NULL
+      AND ("endsAt" IS NULL OR "endsAt" > CURRENT_TIMESTAMP)
+);
+
+-- CreateTable
+CREATE TABLE "SuspensionAppeal" (
+    "id" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "status" "AppealStatus" NOT NULL DEFAULT 'PENDING',
+    "response" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "resolvedAt" TIMESTAMP(3),
+    "suspensionId" TEXT NOT NULL,
+    "resolvedById" TEXT,
+
+    CONSTRAINT "SuspensionAppeal_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SuspensionAppeal_suspensionId_key" ON "SuspensionAppeal"("suspensionId");
+
+-- CreateIndex
+CREATE INDEX "SuspensionAppeal_status_idx" ON "SuspensionAppeal"("status");
+
+-- AddForeignKey
+ALTER TABLE "SuspensionAppeal" ADD CONSTRAINT "SuspensionAppeal_suspensionId_fkey" FOREIGN KEY ("suspensionId") REFERENCES "AccountSuspension"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SuspensionAppeal" ADD CONSTRAINT "SuspensionAppeal_resolvedById_fkey" FOREIGN KEY ("resolvedById") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- CreateEnum
+CREATE TYPE "BlockType" AS ENUM ('BLOCK', 'MUTE');
+
+-- CreateTable
+CREATE TABLE "UserBlock" (
+    "id" TEXT NOT NULL,
+    "type" "BlockType" NOT NULL DEFAULT 'BLOCK',
+    "blockerId" TEXT NOT NULL,
+    "blockerType" "UserType" NOT NULL,
+    "blockedId" TEXT NOT NULL,
+    "blockedType" "UserType" NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "UserBlock_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "UserBlock_blockedId_idx" ON "UserBlock"("blockedId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UserBlock_blockerId_blockedId_key" ON "UserBlock"("blockerId", "blockedId");
@@ -0,0 +1,58 @@
+-- CreateEnum
+CREATE TYPE "FilterContentType" AS ENUM ('STORY', 'COMMENT', 'REVIEW', 'BIO', 'MESSAGE');
+
+-- CreateEnum
+CREATE TYPE "FilterCategory" AS ENUM ('PROFANITY', 'PERSONAL_DATA', 'LINK');
+
+-- CreateEnum
+CREATE TYPE "FilterAction" AS ENUM ('ALLOW', 'MASK', 'REJECT', 'QUEUE');
+
+-- CreateEnum
+CREATE TYPE "ContentFlagStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED');
+
+-- AlterTable
+ALTER TABLE "Comment" ADD COLUMN     "hiddenAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Review" ADD COLUMN     "hiddenAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "ContentFilterPolicy" (
+    "id" TEXT NOT NULL,
+    "contentType" "FilterContentType" NOT NULL,
+    "category" "FilterCategory" NOT NULL,
+    "action" "FilterAction" NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ContentFilterPolicy_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ContentFlag" (
+    "id" TEXT NOT NULL,
+    "contentType" "FilterContentType" NOT NULL,
+    "contentId" TEXT NOT NULL,
+    "authorId" TEXT NOT NULL,
+    "authorType" "UserType" NOT NULL,
+    "categories" "FilterCategory"[],
+    "excerpt" TEXT NOT NULL,
+    "status" "ContentFlagStatus" NOT NULL DEFAULT 'PENDING',
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "resolvedAt" TIMESTAMP(3),
+    "resolvedById" TEXT,
+
+    CONSTRAINT "ContentFlag_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ContentFilterPolicy_contentType_category_key" ON "ContentFilterPolicy"("contentType", "category");
+
+-- CreateIndex
+CREATE INDEX "ContentFlag_status_idx" ON "ContentFlag"("status");
+
+-- CreateIndex
+CREATE INDEX "ContentFlag_contentType_contentId_idx" ON "ContentFlag"("contentType", "contentId");
+
+-- AddForeignKey
+ALTER TABLE "ContentFlag" ADD CONSTRAINT "ContentFlag_resolvedById_fkey" FOREIGN KEY ("resolvedById") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,55 @@
+-- Trigram similarity for typo tolerant search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- AlterTable: search vectors are generated by Postgres and never written by
+-- the application. Weights: A for titles and names, B for summaries, C for
+-- body text.
+ALTER TABLE "Story" ADD COLUMN     "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce("title", '')), 'A') ||
+    setweight(to_tsvector('english', "content"), 'C')
+) STORED;
+
+-- AlterTable
+ALTER TABLE "Blog" ADD COLUMN     "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', "title"), 'A') ||
+    setweight(to_tsvector('english', "summary"), 'B') ||
+    setweight(to_tsvector('english', "content"), 'C')
+) STORED;
+
+-- AlterTable
+ALTER TABLE "EducationalVideo" ADD COLUMN     "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', "title"), 'A') ||
+    setweight(to_tsvector('english', "description"), 'B')
+) STORED;
+
+-- AlterTable
+ALTER TABLE "Therapist" ADD COLUMN     "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', "userName"), 'A') ||
+    setweight(to_tsvector('english', coalesce("specialization", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("qualifications", '')), 'B') ||
+    setweight(to_tsvector('english', coalesce("bio", '')), 'C')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "Story_searchVector_idx" ON "Story" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "Story_title_idx" ON "Story" USING GIN ("title" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "Blog_searchVector_idx" ON "Blog" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "Blog_title_idx" ON "Blog" USING GIN ("title" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "EducationalVideo_searchVector_idx" ON "EducationalVideo" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "EducationalVideo_title_idx" ON "EducationalVideo" USING GIN ("title" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "Therapist_searchVector_idx" ON "Therapist" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "Therapist_userName_idx" ON "Therapist" USING GIN ("userName" gin_trgm_ops);
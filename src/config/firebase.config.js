@@ -1,8 +1,26 @@
+import fs from "fs";
 import admin from "firebase-admin";
-import serviceAccount from "../../serviceAccountKey.json";
 
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-});
+// Set FIREBASE_SERVICE_ACCOUNT_PATH to use a key file other than the
+// default one at the project root
+const serviceAccountPath =
+  process.env.FIREBASE_SERVICE_ACCOUNT_PATH ||
+  new URL("../../serviceAccountKey.json", import.meta.url);
 
-export { admin };
+// Initialised on first use so the server still boots without a key file;
+// returns null when Firebase is not configured
+const getFirebaseMessaging = () => {
+  if (!admin.apps.length) {
+    if (!fs.existsSync(serviceAccountPath)) return null;
+
+    const serviceAccount = JSON.parse(
+      fs.readFileSync(serviceAccountPath, "utf8")
+    );
+    admin.initializeApp({
+      credential: admin.credential.cert(serviceAccount),
+    });
+  }
+  return admin.messaging();
+};
+
+export { admin, getFirebaseMessaging };
@@ -0,0 +1,381 @@
+import { z } from "zod";
+import { prisma } from "../db/prismaClientConfig.js";
+import {
+  ACHIEVEMENT_EVENTS,
+  DEFAULT_BADGES,
+  DEFAULT_XP_RULES,
+  getStudentAchievements,
+} from "../utils/achievements.js";
+import { STREAK_WINDOW_DAYS } from "../utils/wellbeing.js";
+
+// Streaks are only computed over this many days, so a longer one can never
+// be reached
+const MAX_STREAK_THRESHOLD = STREAK_WINDOW_DAYS + 1;
+
+const BadgeCriteriaSchema = z
+  .object({
+    type: z.enum(["count", "streak"], {
+      message: "Criteria type must be count or streak",
+    }),
+    threshold: z
+      .number()
+      .int()
+      .min(1, { message: "Threshold must be at least 1" })
+      .max(1000),
+    minScore: z.number().int().min(0).max(100).optional(),
+  })
+  .refine(
+    (criteria) =>
+      criteria.type !== "streak" || criteria.threshold <= MAX_STREAK_THRESHOLD,
+    {
+      message: `Streak threshold cannot exceed ${MAX_STREAK_THRESHOLD} days`,
+      path: ["threshold"],
+    }
+  );
+
+const BadgeDetailsSchema = z.object({
+  code: z
+    .string()
+    .min(2, { message: "Code must be at least 2 characters long" })
+    .max(50, { message: "Code cannot exceed 50 characters" })
+    .transform((code) => code.toUpperCase()),
+  name: z
+    .string()
+    .min(2, { message: "Name must be at least 2 characters long" })
+    .max(100, { message: "Name cannot exceed 100 characters" }),
+  description: z
+    .string()
+    .min(5, { message: "Description must be at least 5 characters long" })
+    .max(500, { message: "Description cannot exceed 500 characters" }),
+  iconUrl: z.string().url().nullable().optional(),
+  event: z.enum(ACHIEVEMENT_EVENTS, { message: "Invalid event" }),
+  criteria: BadgeCriteriaSchema,
+  xpReward: z.number().int().min(0).max(10000).default(0),
+  isActive: z.boolean().optional(),
+});
+
+// minScore only means something for quiz results
+const checkCriteria = (badge, ctx) => {
+  if (
+    badge.criteria?.minScore !== undefined &&
+    badge.event !== "QUIZ_COMPLETED"
+  ) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: "minScore can only be used with QUIZ_COMPLETED badges",
+    });
+  }
+};
+
+const CreateBadgeSchema = BadgeDetailsSchema.superRefine(checkCriteria);
+const EditBadgeSchema = BadgeDetailsSchema.partial();
+
+const XpRuleSchema = z.object({
+  xp: z.number().int().min(0).max(10000),
+  dailyCap: z.number().int().min(1).max(100000).nullable().optional(),
+  isActive: z.boolean().optional(),
+});
+
+const handleAchievementError = (error, res, message) => {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      message: "Validation Error",
+      errors: error.errors.map((e) => e.message),
+      status: false,
+    });
+  }
+
+  if (error.code === "P2002") {
+    return res.status(409).json({
+      message: "A badge with this code already exists",
+      status: false,
+    });
+  }
+
+  console.error(error);
+  return res.status(500).json({
+    message,
+    error: error.message,
+    status: false,
+  });
+};
+
+// Admin tooling (same permission as quizzes and assessments)
+
+const createBadge = async (req, res) => {
+  try {
+    const data = CreateBadgeSchema.parse(req.body);
+
+    const badge = await prisma.badge.create({ data });
+
+    return res.status(201).json({
+      data: badge,
+      message: "Badge created successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleAchievementError(error, res, "Error while creating badge");
+  }
+};
+
+const editBadge = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const data = EditBadgeSchema.parse(req.body);
+
+    const existing = await prisma.badge.findUnique({ where: { id } });
+
+    if (!existing) {
+      return res.status(404).json({
+        message: "Badge not found",
+        status: false,
+      });
+    }
+
+    // Checked against the merged badge so changing only the event is caught
+    CreateBadgeSchema.parse({ ...existing, ...data });
+
+    // Students who already hold the badge keep it; new criteria only apply
+    // to future awards
+    const badge = await prisma.badge.update({ where: { id }, data });
+
+    return res.status(200).json({
+      data: badge,
+      message: "Badge updated successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleAchievementError(error, res, "Error while updating badge");
+  }
+};
+
+const toggleBadgeActive = async (req, res) => {
+  try {
+    const { id, isActive } = req.params;
+
+    const { count } = await prisma.badge.updateMany({
+      where: { id },
+      data: { isActive: isActive === "true" },
+    });
+
+    if (!count) {
+      return res.status(404).json({
+        message: "Badge not found",
+        status: false,
+      });
+    }
+
+    return res.status(200).json({
+      message: "Badge status updated successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleAchievementError(
+      error,
+      res,
+      "Error while updating badge status"
+    );
+  }
+};
+
+const deleteBadge = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.badge.findUnique({
+      where: { id },
+      include: { _count: { select: { awards: true } } },
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        message: "Badge not found",
+        status: false,
+      });
+    }
+
+    // Deleting would take the badge away from students who earned it
+    if (existing._count.awards > 0) {
+      return res.status(409).json({
+        message:
+          "This badge has been awarded and cannot be deleted. Deactivate it instead.",
+        status: false,
+      });
+    }
+
+    await prisma.badge.delete({ where: { id } });
+
+    return res.status(200).json({
+      message: "Badge deleted successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleAchievementError(error, res, "Error while deleting badge");
+  }
+};
+
+const getAllBadges = async (req, res) => {
+  try {
+    const badges = await prisma.badge.findMany({
+      orderBy: { createdAt: "asc" },
+      include: { _count: { select: { awards: true } } },
+    });
+
+    return res.status(200).json({
+      data: badges,
+      message: "Badges fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleAchievementError(error, res, "Error while fetching badges");
+  }
+};
+
+const getXpRules = async (req, res) => {
+  try {
+    const rules = await prisma.xpRule.findMany({
+      orderBy: { event: "asc" },
+    });
+
+    return res.status(200).json({
+      data: rules,
+      message: "XP rules fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleAchievementError(
+      error,
+      res,
+      "Error while fetching XP rules"
+    );
+  }
+};
+
+const upsertXpRule = async (req, res) => {
+  try {
+    const event = z
+      .enum(ACHIEVEMENT_EVENTS, { message: "Invalid event" })
+      .parse(req.params.event);
+    const data = XpRuleSchema.parse(req.body);
+
+    const rule = await prisma.xpRule.upsert({
+      where: { event },
+      create: { event, ...data },
+      update: data,
+    });
+
+    return res.status(200).json({
+      data: rule,
+      message: "XP rule saved successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleAchievementError(error, res, "Error while saving XP rule");
+  }
+};
+
+// Adds the starter badges and XP rules that are not set up yet. Existing
+// ones are left alone so admin edits survive a reinstall.
+const installDefaultAchievements = async (req, res) => {
+  try {
+    const [existingBadges, existingRules] = await Promise.all([
+      prisma.badge.findMany({
+        where: { code: { in: DEFAULT_BADGES.map((b) => b.code) } },
+        select: { code: true },
+      }),
+      prisma.xpRule.findMany({ select: { event: true } }),
+    ]);
+    const badgeCodes = new Set(existingBadges.map((b) => b.code));
+    const ruleEvents = new Set(existingRules.map((r) => r.event));
+
+    const badges = DEFAULT_BADGES.filter((b) => !badgeCodes.has(b.code));
+    const rules = DEFAULT_XP_RULES.filter((r) => !ruleEvents.has(r.event));
+
+    await prisma.$transaction([
+      prisma.badge.createMany({ data: badges, skipDuplicates: true }),
+      prisma.xpRule.createMany({ data: rules, skipDuplicates: true }),
+    ]);
+
+    return res.status(200).json({
+      data: {
+        installedBadges: badges.map((b) => b.code),
+        installedXpRules: rules.map((r) => r.event),
+      },
+      message: "Default achievements installed successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleAchievementError(
+      error,
+      res,
+      "Error while installing default achievements"
+    );
+  }
+};
+
+// Student side
+
+const getMyAchievements = async (req, res) => {
+  try {
+    const achievements = await getStudentAchievements(req.user.id);
+
+    return res.status(200).json({
+      data: achievements,
+      message: "Achievements fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleAchievementError(
+      error,
+      res,
+      "Error while fetching achievements"
+    );
+  }
+};
+
+// Every active badge, with whether the student has earned it yet
+const getBadgeCatalog = async (req, res) => {
+  try {
+    const badges = await prisma.badge.findMany({
+      where: { isActive: true },
+      orderBy: { createdAt: "asc" },
+      select: {
+        id: true,
+        code: true,
+        name: true,
+        description: true,
+        iconUrl: true,
+        xpReward: true,
+        awards: {
+          where: { studentId: req.user.id },
+          select: { awardedAt: true },
+        },
+      },
+    });
+
+    return res.status(200).json({
+      data: badges.map(({ awards, ...badge }) => ({
+        ...badge,
+        earned: awards.length > 0,
+        awardedAt: awards[0]?.awardedAt || null,
+      })),
+      message: "Badges fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleAchievementError(error, res, "Error while fetching badges");
+  }
+};
+
+export {
+  createBadge,
+  editBadge,
+  toggleBadgeActive,
+  deleteBadge,
+  getAllBadges,
+  getXpRules,
+  upsertXpRule,
+  installDefaultAchievements,
+  getMyAchievements,
+  getBadgeCatalog,
+};
@@ -1,3 +1,5 @@
+import crypto from "crypto";
+import { z } from "zod";
 import { prisma } from "../db/prismaClientConfig.js";
 import { accessTokenGenerator } from "../utils/Helper.js";
 import {
@@ -5,38 +7,172 @@ import {
   encryptPassword,
 } from "../utils/passwordEncryptDescrypt.js";
 import { deleteSingleObjectFromS3 } from "./aws.controller.js";
+import { ADMIN_ROLES } from "../utils/permissions.js";
 
+const CreateAdminSchema = z.object({
+  name: z.string().min(2, "Name must be at least 2 characters").optional(),
+  email: z.string().email("Invalid email format").toLowerCase(),
+  password: z.string().min(8, "Password must be at least 8 characters"),
+  role: z.enum(ADMIN_ROLES, {
+    errorMap: () => ({
+      message: `Role must be one of ${ADMIN_ROLES.join(", ")}`,
+    }),
+  }),
+});
+
+const UpdateAdminRoleSchema = CreateAdminSchema.pick({ role: true });
+
+const createAdmin = async ({ name, email, password, role }) => {
+  const hashedPassword = await encryptPassword(password);
+
+  return prisma.admin.create({
+    data: {
+      name,
+      email,
+      password: hashedPassword,
+      role,
+    },
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      role: true,
+    },
+  });
+};
+
+const handleCreateAdminError = (error, res) => {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      message: "Validation Error",
+      errors: error.errors.map((e) => e.message),
+      status: false,
+    });
+  }
+
+  if (error.code === "P2002") {
+    return res.status(409).json({
+      message: "Email already registered as an admin",
+      status: false,
+    });
+  }
+
+  return res.status(500).json({
+    error: error.message,
+    message: "Internal server error",
+    status: false,
+  });
+};
+
+// Only reachable by a super admin; see bootstrapSuperAdmin for the first one
 const createAdminAccount = async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const admin = await createAdmin(CreateAdminSchema.parse(req.body));
 
-    const hashedPassword = await encryptPassword(password);
+    return res.status(200).json({
+      data: admin,
+      message: "Admin account created successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleCreateAdminError(error, res);
+  }
+};
 
-    const admin = await prisma.admin.create({
-      data: {
-        name,
-        email,
-        password: hashedPassword,
+const isValidBootstrapToken = (token) => {
+  const expected = process.env.ADMIN_BOOTSTRAP_TOKEN;
+  if (!expected || typeof token !== "string") return false;
+
+  const expectedBuffer = Buffer.from(expected);
+  const tokenBuffer = Buffer.from(token);
+  return (
+    expectedBuffer.length === tokenBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, tokenBuffer)
+  );
+};
+
+// Creates the first super admin. Requires the ADMIN_BOOTSTRAP_TOKEN from the
+// server environment and stops working as soon as any admin exists.
+const bootstrapSuperAdmin = async (req, res) => {
+  try {
+    if (!isValidBootstrapToken(req.header("x-bootstrap-token"))) {
+      return res.status(403).json({
+        message: "Invalid bootstrap token",
+        status: false,
+      });
+    }
+
+    const { name, email, password } = CreateAdminSchema.omit({
+      role: true,
+    }).parse(req.body);
+
+    const admin = await prisma.$transaction(
+      async (prisma) => {
+        const adminCount = await prisma.admin.count();
+        if (adminCount > 0) return null;
+
+        return prisma.admin.create({
+          data: {
+            name,
+            email,
+            password: await encryptPassword(password),
+            role: "SUPER_ADMIN",
+          },
+          select: { id: true, name: true, email: true, role: true },
+        });
       },
-    });
+      { isolationLevel: "Serializable" }
+    );
 
     if (!admin) {
-      return res.status(500).json({
-        message: "Failed to create admin account",
+      return res.status(409).json({
+        message: "An admin account already exists",
         status: false,
       });
     }
 
     return res.status(200).json({
-      message: "Admin account created successfully",
+      data: admin,
+      message: "Super admin account created successfully",
       status: true,
     });
   } catch (error) {
-    return res.status(500).json({
-      error: error.message,
-      message: "Internal server error",
-      status: false,
+    return handleCreateAdminError(error, res);
+  }
+};
+
+const updateAdminRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = UpdateAdminRoleSchema.parse(req.body);
+
+    // Stops the last super admin from locking everyone out
+    if (id === req.user.id) {
+      return res.status(400).json({
+        message: "You cannot change your own role",
+        status: false,
+      });
+    }
+
+    const admin = await prisma.admin.update({
+      where: { id },
+      data: { role },
+      select: { id: true, name: true, email: true, role: true },
     });
+
+    return res.status(200).json({
+      data: admin,
+      message: "Admin role updated successfully",
+      status: true,
+    });
+  } catch (error) {
+    if (error.code === "P2025") {
+      return res.status(404).json({
+        message: "Admin not found",
+        status: false,
+      });
+    }
+    return handleCreateAdminError(error, res);
   }
 };
 
@@ -66,15 +202,17 @@ const loginAdmin = async (req, res) => {
       });
     }
 
-    const { accessToken } = await accessTokenGenerator(admin.id, "admin");
+    const { accessToken, refreshToken } = await accessTokenGenerator(admin.id, "admin");
 
     return res.status(200).json({
       data: {
         id: admin.id,
         name: admin.name,
         email: admin.email,
+        role: admin.role,
       },
       accessToken,
+      refreshToken,
       message: "Login successful",
       status: true,
     });
@@ -132,4 +270,10 @@ const updateDetails = async (req, res) => {
   }
 };
 
-export { createAdminAccount, loginAdmin, updateDetails };
+export {
+  createAdminAccount,
+  bootstrapSuperAdmin,
+  updateAdminRole,
+  loginAdmin,
+  updateDetails,
+};
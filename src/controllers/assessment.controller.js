@@ -0,0 +1,532 @@
+import { z } from "zod";
+import { prisma } from "../db/prismaClientConfig.js";
+import {
+  scoreAssessment,
+  validateSeverityBands,
+} from "../utils/assessmentScoring.js";
+import { STANDARD_ASSESSMENTS } from "../utils/standardAssessments.js";
+import { CRISIS_RESOURCES } from "../utils/crisisEscalation.js";
+
+const ScaleOptionSchema = z.object({
+  label: z.string().min(1, { message: "Scale label cannot be empty" }).max(100),
+  value: z.number().int().min(0).max(10),
+});
+
+const AssessmentItemSchema = z.object({
+  prompt: z
+    .string()
+    .min(5, { message: "Question must be at least 5 characters long" })
+    .max(500, { message: "Question cannot exceed 500 characters" }),
+  weight: z.number().positive().max(10).default(1),
+  isReverseScored: z.boolean().default(false),
+  isCritical: z.boolean().default(false),
+});
+
+const SeverityBandSchema = z
+  .object({
+    minScore: z.number(),
+    maxScore: z.number(),
+    label: z.string().min(1).max(100),
+    interpretation: z.string().min(1).max(1000),
+    isHighSeverity: z.boolean().default(false),
+  })
+  .refine((band) => band.minScore <= band.maxScore, {
+    message: "A severity band's minScore cannot exceed its maxScore",
+  });
+
+const AssessmentDetailsSchema = z.object({
+  code: z
+    .string()
+    .min(2, { message: "Code must be at least 2 characters long" })
+    .max(30, { message: "Code cannot exceed 30 characters" })
+    .transform((code) => code.toUpperCase()),
+  title: z
+    .string()
+    .min(5, { message: "Title must be at least 5 characters long" })
+    .max(200, { message: "Title cannot exceed 200 characters" }),
+  description: z
+    .string()
+    .min(10, { message: "Description must be at least 10 characters long" })
+    .max(1000, { message: "Description cannot exceed 1000 characters" }),
+  instructions: z.string().max(500).nullable().optional(),
+  isActive: z.boolean().optional(),
+});
+
+const AssessmentScoringSchema = z
+  .object({
+    scale: z
+      .array(ScaleOptionSchema)
+      .min(2, { message: "A scale needs at least 2 choices" })
+      .refine(
+        (scale) => new Set(scale.map((o) => o.value)).size === scale.length,
+        { message: "Scale values must be unique" }
+      ),
+    items: z
+      .array(AssessmentItemSchema)
+      .min(1, { message: "Add at least one question" }),
+    severityBands: z
+      .array(SeverityBandSchema)
+      .min(1, { message: "Add at least one severity band" }),
+  })
+  .superRefine((instrument, ctx) => {
+    const problem = validateSeverityBands(instrument);
+    if (problem) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: problem });
+    }
+  });
+
+const CreateAssessmentSchema = AssessmentDetailsSchema.and(
+  AssessmentScoringSchema
+);
+
+const SubmitAssessmentSchema = z.object({
+  answers: z
+    .array(
+      z.object({
+        itemId: z.string().uuid(),
+        value: z.number().int(),
+      })
+    )
+    .min(1, { message: "Answers are required" }),
+});
+
+const ResultsQuerySchema = z.object({
+  assessmentId: z.string().uuid().optional(),
+});
+
+const handleAssessmentError = (error, res, message) => {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      message: "Validation Error",
+      errors: error.errors.map((e) => e.message),
+      status: false,
+    });
+  }
+
+  if (error.code === "P2002") {
+    return res.status(409).json({
+      message: "An assessment with this code already exists",
+      status: false,
+    });
+  }
+
+  console.error(error);
+  return res.status(500).json({
+    message,
+    error: error.message,
+    status: false,
+  });
+};
+
+const itemsCreateData = (items) => ({
+  create: items.map((item, index) => ({ ...item, order: index + 1 })),
+});
+
+const includeOrderedItems = {
+  items: { orderBy: { order: "asc" } },
+};
+
+// Admin tooling (same permission as quizzes)
+
+const createAssessment = async (req, res) => {
+  try {
+    const { items, ...data } = CreateAssessmentSchema.parse(req.body);
+
+    const assessment = await prisma.assessment.create({
+      data: { ...data, items: itemsCreateData(items) },
+      include: includeOrderedItems,
+    });
+
+    return res.status(201).json({
+      data: assessment,
+      message: "Assessment created successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleAssessmentError(
+      error,
+      res,
+      "Error while creating assessment"
+    );
+  }
+};
+
+const editAssessment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const details = AssessmentDetailsSchema.partial().parse(req.body);
+    const changesScoring = ["scale", "items", "severityBands"].some(
+      (key) => req.body[key] !== undefined
+    );
+    const scoring = changesScoring
+      ? AssessmentScoringSchema.parse(req.body)
+      : null;
+
+    const existing = await prisma.assessment.findUnique({
+      where: { id },
+      include: { _count: { select: { results: true } } },
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        message: "Assessment not found",
+        status: false,
+      });
+    }
+
+    // Rescoring would make earlier results incomparable with new ones
+    if (scoring && existing._count.results > 0) {
+      return res.status(409).json({
+        message:
+          "Questions, scale and bands cannot change once students have taken this assessment. Create a new version instead.",
+        status: false,
+      });
+    }
+
+    const assessment = await prisma.$transaction(async (prisma) => {
+      if (scoring) {
+        await prisma.assessmentItem.deleteMany({ where: { assessmentId: id } });
+      }
+
+      return prisma.assessment.update({
+        where: { id },
+        data: {
+          ...details,
+          ...(scoring && {
+            scale: scoring.scale,
+            severityBands: scoring.severityBands,
+            items: itemsCreateData(scoring.items),
+          }),
+        },
+        include: includeOrderedItems,
+      });
+    });
+
+    return res.status(200).json({
+      data: assessment,
+      message: "Assessment updated successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleAssessmentError(
+      error,
+      res,
+      "Error while updating assessment"
+    );
+  }
+};
+
+const toggleAssessmentActive = async (req, res) => {
+  try {
+    const { id, isActive } = req.params;
+
+    const { count } = await prisma.assessment.updateMany({
+      where: { id },
+      data: { isActive: isActive === "true" },
+    });
+
+    if (!count) {
+      return res.status(404).json({
+        message: "Assessment not found",
+        status: false,
+      });
+    }
+
+    return res.status(200).json({
+      message: "Assessment status updated successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleAssessmentError(
+      error,
+      res,
+      "Error while updating assessment status"
+    );
+  }
+};
+
+const deleteAssessment = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.assessment.findUnique({
+      where: { id },
+      include: { _count: { select: { results: true } } },
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        message: "Assessment not found",
+        status: false,
+      });
+    }
+
+    // Deleting would also delete students' result history
+    if (existing._count.results > 0) {
+      return res.status(409).json({
+        message:
+          "This assessment has results and cannot be deleted. Deactivate it instead.",
+        status: false,
+      });
+    }
+
+    await prisma.assessment.delete({ where: { id } });
+
+    return res.status(200).json({
+      message: "Assessment deleted successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleAssessmentError(
+      error,
+      res,
+      "Error while deleting assessment"
+    );
+  }
+};
+
+// Adds PHQ-9 and GAD-7 if they are not installed yet
+const installStandardAssessments = async (req, res) => {
+  try {
+    const existing = await prisma.assessment.findMany({
+      where: { code: { in: STANDARD_ASSESSMENTS.map((a) => a.code) } },
+      select: { code: true },
+    });
+    const installedCodes = new Set(existing.map((a) => a.code));
+
+    const installed = [];
+    for (const { items, ...instrument } of STANDARD_ASSESSMENTS) {
+      if (installedCodes.has(instrument.code)) continue;
+
+      await prisma.assessment.create({
+        data: { ...instrument, items: { create: items } },
+      });
+      installed.push(instrument.code);
+    }
+
+    return res.status(200).json({
+      data: { installed, alreadyInstalled: [...installedCodes] },
+      message: "Standard assessments installed successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleAssessmentError(
+      error,
+      res,
+      "Error while installing standard assessments"
+    );
+  }
+};
+
+const getAllAssessments = async (req, res) => {
+  try {
+    const assessments = await prisma.assessment.findMany({
+      orderBy: { createdAt: "desc" },
+      include: {
+        ...includeOrderedItems,
+        _count: { select: { results: true } },
+      },
+    });
+
+    return res.status(200).json({
+      data: assessments,
+      message: "Assessments fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleAssessmentError(
+      error,
+      res,
+      "Error while fetching assessments"
+    );
+  }
+};
+
+// Student side
+
+const getAssessments = async (req, res) => {
+  try {
+    const [assessments, latestResults] = await Promise.all([
+      prisma.assessment.findMany({
+        where: { isActive: true },
+        orderBy: { createdAt: "asc" },
+        select: {
+          id: true,
+          code: true,
+          title: true,
+          description: true,
+          _count: { select: { items: true } },
+        },
+      }),
+      prisma.assessmentResult.findMany({
+        where: { studentId: req.user.id },
+        orderBy: { createdAt: "desc" },
+        distinct: ["assessmentId"],
+        select: {
+          assessmentId: true,
+          totalScore: true,
+          severity: true,
+          createdAt: true,
+        },
+      }),
+    ]);
+
+    const latestByAssessment = new Map(
+      latestResults.map((result) => [result.assessmentId, result])
+    );
+
+    return res.status(200).json({
+      data: assessments.map(({ _count, ...assessment }) => ({
+        ...assessment,
+        totalQuestions: _count.items,
+        lastResult: latestByAssessment.get(assessment.id) || null,
+      })),
+      message: "Assessments fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleAssessmentError(
+      error,
+      res,
+      "Error while fetching assessments"
+    );
+  }
+};
+
+const getSpecificAssessment = async (req, res) => {
+  try {
+    const assessment = await prisma.assessment.findFirst({
+      where: { id: req.params.id, isActive: true },
+      select: {
+        id: true,
+        code: true,
+        title: true,
+        description: true,
+        instructions: true,
+        scale: true,
+        // Scoring details stay on the server
+        items: {
+          orderBy: { order: "asc" },
+          select: { id: true, order: true, prompt: true },
+        },
+      },
+    });
+
+    if (!assessment) {
+      return res.status(404).json({
+        message: "Assessment not found",
+        status: false,
+      });
+    }
+
+    return res.status(200).json({
+      data: assessment,
+      message: "Assessment fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleAssessmentError(
+      error,
+      res,
+      "Error while fetching assessment"
+    );
+  }
+};
+
+const submitAssessment = async (req, res) => {
+  try {
+    const { answers } = SubmitAssessmentSchema.parse(req.body);
+
+    const assessment = await prisma.assessment.findFirst({
+      where: { id: req.params.id, isActive: true },
+      include: includeOrderedItems,
+    });
+
+    if (!assessment) {
+      return res.status(404).json({
+        message: "Assessment not found",
+        status: false,
+      });
+    }
+
+    let scored;
+    try {
+      scored = scoreAssessment(assessment, answers);
+    } catch (error) {
+      return res.status(400).json({
+        message: error.message,
+        status: false,
+      });
+    }
+
+    // Stored on its own table only: screening scores never touch quizScore
+    // or the leaderboard
+    const result = await prisma.assessmentResult.create({
+      data: {
+        studentId: req.user.id,
+        assessmentId: assessment.id,
+        answers: scored.answers,
+        totalScore: scored.totalScore,
+        severity: scored.severity,
+        interpretation: scored.interpretation,
+        isHighSeverity: scored.isHighSeverity,
+      },
+    });
+
+    return res.status(201).json({
+      data: result,
+      ...(scored.isHighSeverity && { crisisResources: CRISIS_RESOURCES }),
+      message: "Assessment submitted successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleAssessmentError(
+      error,
+      res,
+      "Error while submitting assessment"
+    );
+  }
+};
+
+const getMyAssessmentResults = async (req, res) => {
+  try {
+    const { assessmentId } = ResultsQuerySchema.parse(req.query);
+
+    const results = await prisma.assessmentResult.findMany({
+      where: {
+        studentId: req.user.id,
+        ...(assessmentId && { assessmentId }),
+      },
+      // Oldest first so the client can chart progress over time
+      orderBy: { createdAt: "asc" },
+      include: {
+        assessment: { select: { id: true, code: true, title: true } },
+      },
+    });
+
+    return res.status(200).json({
+      data: results,
+      message: "Assessment results fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleAssessmentError(
+      error,
+      res,
+      "Error while fetching assessment results"
+    );
+  }
+};
+
+export {
+  createAssessment,
+  editAssessment,
+  toggleAssessmentActive,
+  deleteAssessment,
+  installStandardAssessments,
+  getAllAssessments,
+  getAssessments,
+  getSpecificAssessment,
+  submitAssessment,
+  getMyAssessmentResults,
+};
@@ -7,16 +7,17 @@ import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import { s3Client } from "../utils/aws.Config.js";
 
 const BUCKET_NAME = "soul-suraksha";
-let FOLDER_PATH = "Uploads/Story-Images";
+const DEFAULT_FOLDER_PATH = "Uploads/Story-Images";
 
-const generateUploadUrl = async (fileType, folder_name) => {
+export const generateUploadUrl = async (fileType, folder_name) => {
   const fileName = `image-${Date.now()}-${Math.random()
     .toString(36)
     .substring(7)}.${fileType.split("/")[1]}`;
 
-  if (folder_name) {
-    FOLDER_PATH = `Uploads/${folder_name}`;
-  }
+  // Resolved per request so concurrent uploads cannot change each other's folder
+  const FOLDER_PATH = folder_name
+    ? `Uploads/${folder_name}`
+    : DEFAULT_FOLDER_PATH;
 
   const command = new PutObjectCommand({
     Bucket: BUCKET_NAME,
@@ -0,0 +1,166 @@
+import { z } from "zod";
+import { prisma } from "../db/prismaClientConfig.js";
+import { MEMBER_ACCOUNT_TYPES, findAccount } from "../utils/accountResolver.js";
+import { BLOCK_TYPES } from "../utils/blocks.js";
+
+const BlockTypeSchema = z.enum(BLOCK_TYPES, {
+  message: "Type must be BLOCK or MUTE",
+});
+
+const BlockUserSchema = z.object({
+  userId: z.string().min(1, { message: "User id is required" }),
+  userType: z
+    .string()
+    .transform((userType) => userType.toLowerCase())
+    .pipe(
+      z.enum(MEMBER_ACCOUNT_TYPES, {
+        message: "User type must be student, parent or therapist",
+      })
+    ),
+  type: BlockTypeSchema.default("BLOCK"),
+});
+
+const BlockedUsersQuerySchema = z.object({
+  type: BlockTypeSchema.optional(),
+});
+
+// What the blocker sees of each member in their list
+const blockedAccountSelect = {
+  student: { id: true, userName: true, studentImage: true },
+  parent: { id: true, fullName: true, parentImage: true },
+  therapist: { id: true, userName: true, therapistImage: true },
+};
+
+const handleBlockError = (error, res, message) => {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      message: "Validation Error",
+      errors: error.errors.map((e) => e.message),
+      status: false,
+    });
+  }
+
+  console.error(error);
+  return res.status(500).json({
+    message,
+    error: error.message,
+    status: false,
+  });
+};
+
+// Blocks or mutes a member; blocking someone already muted upgrades it
+const blockUser = async (req, res) => {
+  try {
+    const { userId, userType, type } = BlockUserSchema.parse(req.body);
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        message: "You cannot block yourself",
+        status: false,
+      });
+    }
+
+    const account = await findAccount(userType, { id: userId });
+
+    if (!account) {
+      return res.status(404).json({
+        message: "User not found",
+        status: false,
+      });
+    }
+
+    const block = await prisma.userBlock.upsert({
+      where: {
+        blockerId_blockedId: { blockerId: req.user.id, blockedId: userId },
+      },
+      create: {
+        type,
+        blockerId: req.user.id,
+        blockerType: req.role.toUpperCase(),
+        blockedId: userId,
+        blockedType: userType.toUpperCase(),
+      },
+      update: { type },
+    });
+
+    return res.status(200).json({
+      data: block,
+      message:
+        type === "BLOCK"
+          ? "User blocked successfully"
+          : "User muted successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleBlockError(error, res, "Error while blocking user");
+  }
+};
+
+// Removes a block or a mute
+const unblockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const { count } = await prisma.userBlock.deleteMany({
+      where: { blockerId: req.user.id, blockedId: userId },
+    });
+
+    if (!count) {
+      return res.status(404).json({
+        message: "You have not blocked or muted this user",
+        status: false,
+      });
+    }
+
+    return res.status(200).json({
+      message: "User unblocked successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleBlockError(error, res, "Error while unblocking user");
+  }
+};
+
+const getBlockedUsers = async (req, res) => {
+  try {
+    const { type } = BlockedUsersQuerySchema.parse(req.query);
+
+    const blocks = await prisma.userBlock.findMany({
+      where: { blockerId: req.user.id, ...(type && { type }) },
+      orderBy: { createdAt: "desc" },
+    });
+
+    // One query per account type rather than one per block
+    const accounts = new Map();
+    await Promise.all(
+      MEMBER_ACCOUNT_TYPES.map(async (userType) => {
+        const ids = blocks
+          .filter((block) => block.blockedType === userType.toUpperCase())
+          .map((block) => block.blockedId);
+        if (!ids.length) return;
+
+        const found = await prisma[userType].findMany({
+          where: { id: { in: ids } },
+          select: blockedAccountSelect[userType],
+        });
+        found.forEach((account) => accounts.set(account.id, account));
+      })
+    );
+
+    return res.status(200).json({
+      data: blocks.map((block) => ({
+        id: block.id,
+        type: block.type,
+        userType: block.blockedType,
+        user: accounts.get(block.blockedId) || null,
+        createdAt: block.createdAt,
+      })),
+      message: "Blocked users retrieved successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleBlockError(error, res, "Error while retrieving blocked users");
+  }
+};
+
+export { blockUser, unblockUser, getBlockedUsers };
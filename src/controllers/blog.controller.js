@@ -379,19 +379,20 @@ const searchBlogs = async (req, res) => {
     // Build search conditions
     const queryConditions = {};
 
-    // Full-text search across multiple fields
-    if (search) {
-      const searchQuery = search.toLowerCase();
+    // Partial, case-insensitive match on title and summary, exact on tags.
+    // Ranked, typo tolerant search lives at /api/v1/search.
+    if (search?.trim()) {
+      const searchQuery = search.trim().toLowerCase();
       queryConditions.OR = [
         {
           title: {
-            equals: search,
+            contains: search.trim(),
             mode: "insensitive",
           },
         },
         {
           summary: {
-            equals: search,
+            contains: search.trim(),
             mode: "insensitive",
           },
         },
@@ -0,0 +1,683 @@
+import { z } from "zod";
+import { prisma } from "../db/prismaClientConfig.js";
+import {
+  addDaysToDate,
+  isValidTimeZone,
+  timeToMinutes,
+  utcToZonedParts,
+  zonedTimeToUtc,
+} from "../utils/timezone.js";
+import {
+  findAvailableSlot,
+  generateAvailableSlots,
+} from "../utils/availability.js";
+import {
+  paymentDueDate,
+  refundBookingPayments,
+  releaseExpiredPaymentHolds,
+} from "../utils/payments.js";
+import {
+  acceptBookingConversation,
+  assertSlotIsFree,
+  buildSlotKey,
+  findBookingConversation,
+  SLOT_TAKEN,
+} from "../utils/bookings.js";
+
+// Bookings in these states hold their slot
+const ACTIVE_BOOKING_STATUSES = ["PENDING_PAYMENT", "BOOKED"];
+
+const MAX_SLOT_LOOKAHEAD_DAYS = 31;
+const MAX_BOOKING_DAYS_AHEAD = 60;
+
+const timeSchema = z
+  .string()
+  .regex(/^([01]\d|2[0-3]):[0-5]\d$/, "Time must be in HH:mm format");
+
+const dateSchema = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, "Date must be in YYYY-MM-DD format");
+
+const startsBeforeEnd = (range) =>
+  timeToMinutes(range.startTime) < timeToMinutes(range.endTime);
+
+const AvailabilitySchema = z.object({
+  timezone: z
+    .string()
+    .refine(isValidTimeZone, { message: "Invalid timezone" })
+    .optional(),
+  windows: z.array(
+    z
+      .object({
+        dayOfWeek: z.number().int().min(0).max(6),
+        startTime: timeSchema,
+        endTime: timeSchema,
+        slotDuration: z.number().int().min(15).max(240).default(50),
+      })
+      .refine(startsBeforeEnd, {
+        message: "Availability must end after it starts",
+      })
+  ),
+  breaks: z
+    .array(
+      z
+        .object({
+          dayOfWeek: z.number().int().min(0).max(6).nullable().default(null),
+          startTime: timeSchema,
+          endTime: timeSchema,
+        })
+        .refine(startsBeforeEnd, { message: "Break must end after it starts" })
+    )
+    .default([]),
+});
+
+const AvailabilityExceptionSchema = z
+  .object({
+    date: dateSchema,
+    startTime: timeSchema.optional(),
+    endTime: timeSchema.optional(),
+    reason: z.string().max(200).optional(),
+  })
+  .refine((data) => Boolean(data.startTime) === Boolean(data.endTime), {
+    message: "Provide both startTime and endTime, or neither for a full day",
+  })
+  .refine((data) => !data.startTime || startsBeforeEnd(data), {
+    message: "Exception must end after it starts",
+  });
+
+const SlotsQuerySchema = z.object({
+  from: dateSchema.optional(),
+  days: z
+    .string()
+    .transform(Number)
+    .pipe(z.number().int().min(1).max(MAX_SLOT_LOOKAHEAD_DAYS))
+    .default("7"),
+});
+
+const CreateBookingSchema = z.object({
+  therapistId: z.string().min(1, "Therapist ID is required"),
+  startTime: z
+    .string()
+    .datetime({ offset: true, message: "startTime must be an ISO date" }),
+  notes: z.string().max(500).optional(),
+});
+
+const RescheduleBookingSchema = CreateBookingSchema.pick({ startTime: true });
+
+const CancelBookingSchema = z.object({
+  reason: z.string().max(500).optional(),
+});
+
+const BookingsQuerySchema = z.object({
+  scope: z.enum(["upcoming", "past"]).default("upcoming"),
+  page: z.string().transform(Number).default("1"),
+  limit: z.string().transform(Number).default("10"),
+});
+
+const handleBookingError = (error, res, message) => {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      message: "Validation Error",
+      errors: error.errors.map((e) => e.message),
+      status: false,
+    });
+  }
+
+  // Another booking grabbed the slot between our check and insert, or a
+  // concurrent booking made the serializable transaction fail
+  if (
+    error.code === SLOT_TAKEN ||
+    error.code === "P2034" ||
+    (error.code === "P2002" && error.meta?.target?.includes("slotKey"))
+  ) {
+    return res.status(409).json({
+      message: "This slot has just been booked. Please pick another one.",
+      status: false,
+    });
+  }
+
+  console.error(error);
+  return res.status(500).json({
+    message,
+    error: error.message,
+    status: false,
+  });
+};
+
+/**
+ * Loads everything needed to compute a therapist's open slots for `days`
+ * local days starting at `fromDate`.
+ */
+const loadTherapistSchedule = async (therapist, fromDate, days) => {
+  const rangeStart = zonedTimeToUtc(fromDate, "00:00", therapist.timezone);
+  const rangeEnd = zonedTimeToUtc(
+    addDaysToDate(fromDate, days),
+    "00:00",
+    therapist.timezone
+  );
+
+  const [windows, breaks, exceptions, bookings] = await Promise.all([
+    prisma.therapistAvailability.findMany({
+      where: { therapistId: therapist.id },
+    }),
+    prisma.therapistBreak.findMany({
+      where: { therapistId: therapist.id },
+    }),
+    prisma.therapistAvailabilityException.findMany({
+      where: {
+        therapistId: therapist.id,
+        date: { gte: fromDate, lt: addDaysToDate(fromDate, days) },
+      },
+    }),
+    prisma.sessionBooking.findMany({
+      where: {
+        therapistId: therapist.id,
+        status: { in: ACTIVE_BOOKING_STATUSES },
+        startTime: { lt: rangeEnd },
+        endTime: { gt: rangeStart },
+      },
+      select: { startTime: true, endTime: true },
+    }),
+  ]);
+
+  return {
+    timezone: therapist.timezone,
+    windows,
+    breaks,
+    exceptions,
+    bookings,
+    fromDate,
+    days,
+  };
+};
+
+const findBookableTherapist = (therapistId) =>
+  prisma.therapist.findFirst({
+    where: { id: therapistId, isTherapistApprove: true },
+    select: { id: true, timezone: true, sessionPrice: true },
+  });
+
+// Validates that `startTime` is an open slot and returns its bounds
+const resolveRequestedSlot = async (therapist, startTime) => {
+  const now = new Date();
+  if (
+    startTime <= now ||
+    startTime - now > MAX_BOOKING_DAYS_AHEAD * 24 * 60 * 60 * 1000
+  ) {
+    return null;
+  }
+
+  const { date } = utcToZonedParts(startTime, therapist.timezone);
+  const schedule = await loadTherapistSchedule(therapist, date, 1);
+  return findAvailableSlot({ ...schedule, now }, startTime);
+};
+
+const bookingSelect = {
+  id: true,
+  startTime: true,
+  endTime: true,
+  status: true,
+  price: true,
+  paymentDueAt: true,
+  notes: true,
+  cancelledBy: true,
+  cancellationReason: true,
+  rescheduledFromId: true,
+  conversationId: true,
+  createdAt: true,
+  therapist: {
+    select: {
+      id: true,
+      userName: true,
+      therapistImage: true,
+      specialization: true,
+      timezone: true,
+      sessionPrice: true,
+    },
+  },
+  student: {
+    select: {
+      id: true,
+      fullName: true,
+      studentImage: true,
+    },
+  },
+};
+
+const setAvailability = async (req, res) => {
+  try {
+    const { timezone, windows, breaks } = AvailabilitySchema.parse(req.body);
+    const therapistId = req.user.id;
+
+    // The weekly schedule is replaced as a whole
+    await prisma.$transaction([
+      ...(timezone
+        ? [
+            prisma.therapist.update({
+              where: { id: therapistId },
+              data: { timezone },
+            }),
+          ]
+        : []),
+      prisma.therapistAvailability.deleteMany({ where: { therapistId } }),
+      prisma.therapistBreak.deleteMany({ where: { therapistId } }),
+      prisma.therapistAvailability.createMany({
+        data: windows.map((window) => ({ ...window, therapistId })),
+      }),
+      prisma.therapistBreak.createMany({
+        data: breaks.map((item) => ({ ...item, therapistId })),
+      }),
+    ]);
+
+    return res.status(200).json({
+      message: "Availability updated successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleBookingError(error, res, "Error while updating availability");
+  }
+};
+
+const getMyAvailability = async (req, res) => {
+  try {
+    const therapistId = req.user.id;
+    const today = utcToZonedParts(new Date(), req.user.timezone).date;
+
+    const [windows, breaks, exceptions] = await Promise.all([
+      prisma.therapistAvailability.findMany({
+        where: { therapistId },
+        orderBy: [{ dayOfWeek: "asc" }, { startTime: "asc" }],
+      }),
+      prisma.therapistBreak.findMany({
+        where: { therapistId },
+        orderBy: { startTime: "asc" },
+      }),
+      prisma.therapistAvailabilityException.findMany({
+        where: { therapistId, date: { gte: today } },
+        orderBy: { date: "asc" },
+      }),
+    ]);
+
+    return res.status(200).json({
+      data: { timezone: req.user.timezone, windows, breaks, exceptions },
+      message: "Availability fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleBookingError(error, res, "Error while fetching availability");
+  }
+};
+
+const addAvailabilityException = async (req, res) => {
+  try {
+    const data = AvailabilityExceptionSchema.parse(req.body);
+
+    const exception = await prisma.therapistAvailabilityException.create({
+      data: { ...data, therapistId: req.user.id },
+    });
+
+    return res.status(201).json({
+      data: exception,
+      message: "Exception added successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleBookingError(error, res, "Error while adding exception");
+  }
+};
+
+const deleteAvailabilityException = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { count } = await prisma.therapistAvailabilityException.deleteMany({
+      where: { id, therapistId: req.user.id },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        message: "Exception not found",
+        status: false,
+      });
+    }
+
+    return res.status(200).json({
+      message: "Exception deleted successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleBookingError(error, res, "Error while deleting exception");
+  }
+};
+
+const getTherapistSlots = async (req, res) => {
+  try {
+    const { therapistId } = req.params;
+    const { from, days } = SlotsQuerySchema.parse(req.query);
+
+    const therapist = await findBookableTherapist(therapistId);
+    if (!therapist) {
+      return res.status(404).json({
+        message: "Therapist Not Found",
+        status: false,
+      });
+    }
+
+    await releaseExpiredPaymentHolds(therapist.id);
+
+    const fromDate =
+      from || utcToZonedParts(new Date(), therapist.timezone).date;
+    const schedule = await loadTherapistSchedule(therapist, fromDate, days);
+
+    return res.status(200).json({
+      data: {
+        timezone: therapist.timezone,
+        sessionPrice: therapist.sessionPrice,
+        slots: generateAvailableSlots(schedule),
+      },
+      message: "Available slots fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleBookingError(error, res, "Error while fetching slots");
+  }
+};
+
+const createBooking = async (req, res) => {
+  try {
+    const { therapistId, startTime, notes } = CreateBookingSchema.parse(
+      req.body
+    );
+    const studentId = req.user.id;
+
+    const therapist = await findBookableTherapist(therapistId);
+    if (!therapist) {
+      return res.status(404).json({
+        message: "Therapist Not Found",
+        status: false,
+      });
+    }
+
+    await releaseExpiredPaymentHolds(therapist.id);
+
+    const slot = await resolveRequestedSlot(therapist, new Date(startTime));
+    if (!slot) {
+      return res.status(409).json({
+        message: "This slot is not available",
+        status: false,
+      });
+    }
+
+    const isPaid = therapist.sessionPrice > 0;
+
+    const booking = await prisma.$transaction(
+      async (prisma) => {
+        const conversation = await findBookingConversation(
+          prisma,
+          studentId,
+          therapistId
+        );
+
+        if (conversation.status === "Dismiss") {
+          return null;
+        }
+
+        await assertSlotIsFree(prisma, therapistId, slot);
+
+        // Free sessions are confirmed straight away; paid ones open the chat
+        // once the payment is captured
+        if (!isPaid) {
+          await acceptBookingConversation(prisma, conversation.id);
+        }
+
+        return prisma.sessionBooking.create({
+          data: {
+            therapistId,
+            studentId,
+            conversationId: conversation.id,
+            startTime: slot.startTime,
+            endTime: slot.endTime,
+            slotKey: buildSlotKey(therapistId, slot.startTime),
+            notes,
+            // Paid sessions hold the slot until the payment is captured
+            ...(isPaid && {
+              status: "PENDING_PAYMENT",
+              price: therapist.sessionPrice,
+              paymentDueAt: paymentDueDate(),
+            }),
+          },
+          select: bookingSelect,
+        });
+      },
+      { isolationLevel: "Serializable" }
+    );
+
+    if (!booking) {
+      return res.status(403).json({
+        message: "This therapist is not accepting sessions with you",
+        status: false,
+      });
+    }
+
+    return res.status(201).json({
+      data: booking,
+      message: isPaid
+        ? "Slot reserved. Complete the payment to confirm your session."
+        : "Session booked successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleBookingError(error, res, "Error while booking session");
+  }
+};
+
+const rescheduleBooking = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { startTime } = RescheduleBookingSchema.parse(req.body);
+
+    const booking = await prisma.sessionBooking.findFirst({
+      where: { id, studentId: req.user.id },
+      include: { therapist: { select: { id: true, timezone: true } } },
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        message: "Booking not found",
+        status: false,
+      });
+    }
+
+    // Unpaid bookings are simply cancelled and booked again instead
+    if (booking.status !== "BOOKED" || booking.startTime <= new Date()) {
+      return res.status(400).json({
+        message: "Only upcoming confirmed bookings can be rescheduled",
+        status: false,
+      });
+    }
+
+    await releaseExpiredPaymentHolds(booking.therapistId);
+
+    const slot = await resolveRequestedSlot(
+      booking.therapist,
+      new Date(startTime)
+    );
+    if (!slot) {
+      return res.status(409).json({
+        message: "This slot is not available",
+        status: false,
+      });
+    }
+
+    // Release the old slot and take the new one atomically. Any payment
+    // moves with the booking so it is not charged twice.
+    const rescheduled = await prisma.$transaction(
+      async (prisma) => {
+        await prisma.sessionBooking.update({
+          where: { id: booking.id },
+          data: {
+            status: "CANCELLED",
+            slotKey: null,
+            cancelledBy: "STUDENT",
+            cancellationReason: "Rescheduled",
+            cancelledAt: new Date(),
+          },
+        });
+
+        // The old booking no longer holds its slot, so moving within an
+        // overlapping window is allowed
+        await assertSlotIsFree(prisma, booking.therapistId, slot);
+
+        const next = await prisma.sessionBooking.create({
+          data: {
+            therapistId: booking.therapistId,
+            studentId: booking.studentId,
+            conversationId: booking.conversationId,
+            startTime: slot.startTime,
+            endTime: slot.endTime,
+            slotKey: buildSlotKey(booking.therapistId, slot.startTime),
+            notes: booking.notes,
+            price: booking.price,
+            rescheduledFromId: booking.id,
+          },
+          select: bookingSelect,
+        });
+
+        await prisma.payment.updateMany({
+          where: { bookingId: booking.id },
+          data: { bookingId: next.id },
+        });
+
+        return next;
+      },
+      { isolationLevel: "Serializable" }
+    );
+
+    return res.status(200).json({
+      data: rescheduled,
+      message: "Session rescheduled successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleBookingError(error, res, "Error while rescheduling session");
+  }
+};
+
+const cancelBooking = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = CancelBookingSchema.parse(req.body);
+    const ownerField = req.role === "therapist" ? "therapistId" : "studentId";
+
+    const booking = await prisma.sessionBooking.findFirst({
+      where: { id, [ownerField]: req.user.id },
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        message: "Booking not found",
+        status: false,
+      });
+    }
+
+    if (
+      !ACTIVE_BOOKING_STATUSES.includes(booking.status) ||
+      booking.startTime <= new Date()
+    ) {
+      return res.status(400).json({
+        message: "Only upcoming bookings can be cancelled",
+        status: false,
+      });
+    }
+
+    const cancelled = await prisma.sessionBooking.update({
+      where: { id: booking.id },
+      data: {
+        status: "CANCELLED",
+        slotKey: null,
+        cancelledBy: req.role.toUpperCase(),
+        cancellationReason: reason,
+        cancelledAt: new Date(),
+      },
+      select: bookingSelect,
+    });
+
+    if (booking.status === "BOOKED" && booking.price > 0) {
+      await refundBookingPayments(booking.id);
+    }
+
+    return res.status(200).json({
+      data: cancelled,
+      message: "Session cancelled successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleBookingError(error, res, "Error while cancelling session");
+  }
+};
+
+// Dashboard listing for both students and therapists
+const getMyBookings = async (req, res) => {
+  try {
+    const { scope, page, limit } = BookingsQuerySchema.parse(req.query);
+    const ownerField = req.role === "therapist" ? "therapistId" : "studentId";
+
+    const pageNumber = Math.max(page, 1);
+    const pageSize = Math.min(Math.max(limit, 1), 50);
+    const now = new Date();
+
+    const where = {
+      [ownerField]: req.user.id,
+      ...(scope === "upcoming"
+        ? { endTime: { gt: now }, status: { in: ACTIVE_BOOKING_STATUSES } }
+        : {
+            OR: [
+              { endTime: { lte: now } },
+              { status: { notIn: ACTIVE_BOOKING_STATUSES } },
+            ],
+          }),
+    };
+
+    const [bookings, totalBookings] = await Promise.all([
+      prisma.sessionBooking.findMany({
+        where,
+        orderBy: { startTime: scope === "upcoming" ? "asc" : "desc" },
+        skip: (pageNumber - 1) * pageSize,
+        take: pageSize,
+        select: bookingSelect,
+      }),
+      prisma.sessionBooking.count({ where }),
+    ]);
+
+    const totalPages = Math.ceil(totalBookings / pageSize);
+
+    return res.status(200).json({
+      data: bookings,
+      pagination: {
+        currentPage: pageNumber,
+        pageSize,
+        totalBookings,
+        totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPreviousPage: pageNumber > 1,
+      },
+      message: "Bookings fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleBookingError(error, res, "Error while fetching bookings");
+  }
+};
+
+export {
+  ACTIVE_BOOKING_STATUSES,
+  setAvailability,
+  getMyAvailability,
+  addAvailabilityException,
+  deleteAvailabilityException,
+  getTherapistSlots,
+  createBooking,
+  rescheduleBooking,
+  cancelBooking,
+  getMyBookings,
+};
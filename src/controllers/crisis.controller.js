@@ -0,0 +1,179 @@
+import { z } from "zod";
+import { prisma } from "../db/prismaClientConfig.js";
+import { timeAgo } from "../utils/Helper.js";
+import { recordAchievementEvent } from "../utils/achievements.js";
+
+const CrisisAlertQuerySchema = z.object({
+  status: z.enum(["OPEN", "ACKNOWLEDGED", "RESOLVED"]).default("OPEN"),
+  page: z.string().transform(Number).default("1"),
+  limit: z.string().transform(Number).default("10"),
+});
+
+const UpdateCrisisAlertSchema = z.object({
+  status: z.enum(["ACKNOWLEDGED", "RESOLVED"], {
+    errorMap: () => ({
+      message: "Status must be either 'ACKNOWLEDGED' or 'RESOLVED'",
+    }),
+  }),
+  // Publish the held story/comment again once staff are happy it is safe
+  releaseContent: z.boolean().default(false),
+  note: z.string().max(1000).optional(),
+});
+
+const getCrisisAlerts = async (req, res) => {
+  try {
+    const { status, page, limit } = CrisisAlertQuerySchema.parse(req.query);
+
+    const pageNumber = Math.max(page, 1);
+    const pageSize = Math.min(limit, 50);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const [alerts, totalAlerts] = await Promise.all([
+      prisma.crisisAlert.findMany({
+        where: { status },
+        orderBy: { createdAt: status === "OPEN" ? "asc" : "desc" }, // Oldest open alerts first
+        skip,
+        take: pageSize,
+        include: {
+          story: {
+            select: {
+              id: true,
+              title: true,
+              content: true,
+              isUnderReview: true,
+            },
+          },
+          comment: {
+            select: {
+              id: true,
+              content: true,
+              isUnderReview: true,
+            },
+          },
+        },
+      }),
+      prisma.crisisAlert.count({ where: { status } }),
+    ]);
+
+    const totalPages = Math.ceil(totalAlerts / pageSize);
+
+    return res.status(200).json({
+      data: alerts.map((alert) => ({
+        ...alert,
+        timeAgo: timeAgo(alert.createdAt),
+      })),
+      pagination: {
+        currentPage: pageNumber,
+        pageSize,
+        totalAlerts,
+        totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPreviousPage: pageNumber > 1,
+      },
+      message: "Crisis alerts retrieved successfully",
+      status: true,
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        message: "Validation Error",
+        errors: error.errors.map((e) => e.message),
+        status: false,
+      });
+    }
+
+    console.error(error);
+    return res.status(500).json({
+      message: "Error while retrieving crisis alerts",
+      error: error.message,
+      status: false,
+    });
+  }
+};
+
+const updateCrisisAlert = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, releaseContent, note } = UpdateCrisisAlertSchema.parse(
+      req.body
+    );
+
+    const alert = await prisma.crisisAlert.findUnique({ where: { id } });
+
+    if (!alert) {
+      return res.status(404).json({
+        message: "Crisis alert not found",
+        status: false,
+      });
+    }
+
+    const isResolving = status === "RESOLVED";
+    let released = null;
+
+    const updatedAlert = await prisma.$transaction(async (prisma) => {
+      if (isResolving && releaseContent) {
+        if (alert.commentId) {
+          const comment = await prisma.comment.update({
+            where: { id: alert.commentId },
+            data: { isUnderReview: false },
+            include: { story: { select: { studentId: true } } },
+          });
+          if (comment.story.studentId !== alert.authorId) {
+            released = { event: "COMMENT_POSTED", sourceId: comment.id };
+          }
+        } else if (alert.storyId) {
+          const story = await prisma.story.update({
+            where: { id: alert.storyId },
+            data: { isUnderReview: false },
+          });
+          // Unfinished or unpublished stories count once they go live
+          if (story.isComplete && story.status === "PUBLISHED") {
+            released = { event: "STORY_PUBLISHED", sourceId: story.id };
+          }
+        }
+      }
+
+      return prisma.crisisAlert.update({
+        where: { id },
+        data: {
+          status,
+          resolutionNote: note,
+          ...(isResolving && {
+            resolvedById: req.user.id,
+            resolvedAt: new Date(),
+          }),
+        },
+      });
+    });
+
+    // Held content earns its achievements once it goes live
+    if (released && alert.authorType === "STUDENT") {
+      await recordAchievementEvent(alert.authorId, released.event, {
+        sourceId: released.sourceId,
+      });
+    }
+
+    return res.status(200).json({
+      data: updatedAlert,
+      message: "Crisis alert updated successfully",
+      status: true,
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        message: "Validation Error",
+        errors: error.errors.map((e) => e.message),
+        status: false,
+      });
+    }
+
+    console.error(error);
+    return res.status(500).json({
+      message: "Error while updating crisis alert",
+      error: error.message,
+      status: false,
+    });
+  }
+};
+
+export { getCrisisAlerts, updateCrisisAlert };
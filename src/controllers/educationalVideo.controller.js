@@ -1,6 +1,7 @@
 import { z } from "zod";
 import { prisma } from "../db/prismaClientConfig.js";
 import { deleteSingleObjectFromS3 } from "./aws.controller.js";
+import { recordAchievementEvent } from "../utils/achievements.js";
 
 const CreateEducationalVideoSchema = z.object({
   title: z
@@ -258,8 +259,54 @@ const relatedEducationalVideos = async (req, res) => {
   }
 };
 
+const markVideoCompleted = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const studentId = req.user.id;
+
+    const video = await prisma.educationalVideo.findUnique({
+      where: { id },
+      select: { id: true },
+    });
+
+    if (!video) {
+      return res.status(404).json({
+        message: "Video not found",
+        status: false,
+      });
+    }
+
+    // Rewatching keeps the first completion
+    const completion = await prisma.videoCompletion.upsert({
+      where: { studentId_videoId: { studentId, videoId: id } },
+      create: { studentId, videoId: id },
+      update: {},
+    });
+
+    const badges = await recordAchievementEvent(
+      studentId,
+      "VIDEO_COMPLETED",
+      { sourceId: completion.id }
+    );
+
+    return res.status(200).json({
+      data: { completion, badgesEarned: badges.map((badge) => badge.code) },
+      message: "Video marked as completed",
+      status: true,
+    });
+  } catch (error) {
+    console.error("Error marking video as completed:", error);
+    return res.status(500).json({
+      message: "Error marking video as completed",
+      error: error.message,
+      status: false,
+    });
+  }
+};
+
 export {
   createEducationalVideo,
+  markVideoCompleted,
   getStudentEducationalVideos,
   getParentEducationalVideos,
   getEducationalVideoById,
@@ -0,0 +1,419 @@
+import crypto from "crypto";
+import { z } from "zod";
+import { prisma } from "../db/prismaClientConfig.js";
+import { isMinorStudent } from "../utils/age.js";
+import { notifyUser } from "../utils/notifications.js";
+import { getWellbeingSummary } from "../utils/wellbeing.js";
+
+// No 0/O or 1/I so codes survive being read out over the phone
+const INVITE_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const INVITE_CODE_LENGTH = 8;
+
+const RequestGuardianLinkSchema = z
+  .object({
+    email: z.string().email({ message: "Invalid email address" }).toLowerCase(),
+    phone: z.string().min(10, "Phone number must be at least 10 digits"),
+    inviteCode: z
+      .string()
+      .trim()
+      .toUpperCase()
+      .length(INVITE_CODE_LENGTH, { message: "Invalid invite code" }),
+  })
+  .partial()
+  .refine(
+    (body) =>
+      [body.email, body.phone, body.inviteCode].filter(Boolean).length === 1,
+    { message: "Provide exactly one of email, phone or inviteCode" }
+  );
+
+const RespondGuardianLinkSchema = z.object({
+  action: z.enum(["accept", "decline"], {
+    errorMap: () => ({ message: "Action must be either 'accept' or 'decline'" }),
+  }),
+});
+
+const ADULT_STUDENT_MESSAGE =
+  "Guardian linking is only available for students under 18";
+
+const studentSelect = {
+  id: true,
+  fullName: true,
+  userName: true,
+  studentImage: true,
+};
+
+const parentSelect = {
+  id: true,
+  fullName: true,
+  email: true,
+  parentImage: true,
+};
+
+const handleGuardianError = (error, res, message) => {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      message: "Validation Error",
+      errors: error.errors.map((e) => e.message),
+      status: false,
+    });
+  }
+
+  console.error(error);
+  return res.status(500).json({
+    message,
+    error: error.message,
+    status: false,
+  });
+};
+
+const generateInviteCode = () =>
+  Array.from(
+    { length: INVITE_CODE_LENGTH },
+    () => INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)]
+  ).join("");
+
+const findStudentForLink = ({ email, phone, inviteCode }) => {
+  const where = email
+    ? { email }
+    : phone
+    ? { phone }
+    : { guardianInviteCode: inviteCode };
+
+  return prisma.student.findUnique({
+    where,
+    select: { ...studentSelect, age: true, dob: true },
+  });
+};
+
+// Student side
+
+const generateGuardianInviteCode = async (req, res) => {
+  try {
+    if (!isMinorStudent(req.user)) {
+      return res.status(403).json({
+        message: ADULT_STUDENT_MESSAGE,
+        status: false,
+      });
+    }
+
+    // A new code replaces the old one, so a leaked code can be retired
+    let student;
+    for (let attempt = 0; !student; attempt++) {
+      try {
+        student = await prisma.student.update({
+          where: { id: req.user.id },
+          data: { guardianInviteCode: generateInviteCode() },
+          select: { guardianInviteCode: true },
+        });
+      } catch (error) {
+        if (error.code !== "P2002" || attempt >= 4) throw error;
+      }
+    }
+
+    return res.status(200).json({
+      data: { inviteCode: student.guardianInviteCode },
+      message: "Invite code generated successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleGuardianError(
+      error,
+      res,
+      "Error while generating invite code"
+    );
+  }
+};
+
+const getStudentGuardianLinks = async (req, res) => {
+  try {
+    const links = await prisma.guardianLink.findMany({
+      where: {
+        studentId: req.user.id,
+        status: { in: ["PENDING", "ACCEPTED"] },
+      },
+      orderBy: { createdAt: "desc" },
+      include: { parent: { select: parentSelect } },
+    });
+
+    return res.status(200).json({
+      data: links,
+      message: "Guardian links fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleGuardianError(
+      error,
+      res,
+      "Error while fetching guardian links"
+    );
+  }
+};
+
+const respondToGuardianLink = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { action } = RespondGuardianLinkSchema.parse(req.body);
+
+    if (action === "accept" && !isMinorStudent(req.user)) {
+      return res.status(403).json({
+        message: ADULT_STUDENT_MESSAGE,
+        status: false,
+      });
+    }
+
+    const { count } = await prisma.guardianLink.updateMany({
+      where: { id, studentId: req.user.id, status: "PENDING" },
+      data: {
+        status: action === "accept" ? "ACCEPTED" : "DECLINED",
+        respondedAt: new Date(),
+      },
+    });
+
+    if (!count) {
+      return res.status(404).json({
+        message: "Pending guardian request not found",
+        status: false,
+      });
+    }
+
+    const link = await prisma.guardianLink.findUnique({ where: { id } });
+
+    if (action === "accept") {
+      await notifyUser(
+        { id: link.parentId, userType: "parent" },
+        {
+          type: "GUARDIAN_LINK_ACCEPTED",
+          title: "Link request accepted",
+          body: `${req.user.fullName} accepted your request to link accounts`,
+          data: { guardianLinkId: link.id },
+        }
+      );
+    }
+
+    return res.status(200).json({
+      data: link,
+      message:
+        action === "accept"
+          ? "Guardian link accepted successfully"
+          : "Guardian link declined successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleGuardianError(
+      error,
+      res,
+      "Error while responding to guardian link"
+    );
+  }
+};
+
+// Either side can end a pending or accepted link
+const endGuardianLink = (where, revokedBy) =>
+  prisma.guardianLink.updateMany({
+    where: { ...where, status: { in: ["PENDING", "ACCEPTED"] } },
+    data: { status: "REVOKED", revokedAt: new Date(), revokedBy },
+  });
+
+const revokeGuardianLink = async (req, res) => {
+  try {
+    const { count } = await endGuardianLink(
+      { id: req.params.id, studentId: req.user.id },
+      "STUDENT"
+    );
+
+    if (!count) {
+      return res.status(404).json({
+        message: "Guardian link not found",
+        status: false,
+      });
+    }
+
+    return res.status(200).json({
+      message: "Guardian link revoked successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleGuardianError(
+      error,
+      res,
+      "Error while revoking guardian link"
+    );
+  }
+};
+
+// Parent side
+
+// Asks the student to confirm a link, unless one is already pending or
+// accepted. A declined or revoked link can be asked for again.
+const createGuardianLinkRequest = async (parent, student, requestedVia) => {
+  const existing = await prisma.guardianLink.findUnique({
+    where: {
+      parentId_studentId: { parentId: parent.id, studentId: student.id },
+    },
+  });
+  if (existing?.status === "ACCEPTED" || existing?.status === "PENDING") {
+    return;
+  }
+
+  const link = await prisma.guardianLink.upsert({
+    where: {
+      parentId_studentId: { parentId: parent.id, studentId: student.id },
+    },
+    create: {
+      parentId: parent.id,
+      studentId: student.id,
+      requestedVia,
+    },
+    update: {
+      status: "PENDING",
+      requestedVia,
+      respondedAt: null,
+      revokedAt: null,
+      revokedBy: null,
+    },
+  });
+
+  await notifyUser(
+    { id: student.id, userType: "student" },
+    {
+      type: "GUARDIAN_LINK_REQUESTED",
+      title: "New guardian link request",
+      body: `${parent.fullName} wants to link with your account`,
+      data: { guardianLinkId: link.id },
+    }
+  );
+};
+
+const requestGuardianLink = async (req, res) => {
+  try {
+    const body = RequestGuardianLinkSchema.parse(req.body);
+    const requestedVia = body.email
+      ? "EMAIL"
+      : body.phone
+      ? "PHONE"
+      : "INVITE_CODE";
+
+    // Every request gets the same answer, so a parent cannot use this to
+    // find out whether an email or phone number belongs to a student, or
+    // whether that student is a minor
+    const student = await findStudentForLink(body);
+    if (student && isMinorStudent(student)) {
+      await createGuardianLinkRequest(req.user, student, requestedVia);
+    }
+
+    return res.status(202).json({
+      message:
+        "If a matching student exists, they will be asked to confirm the link",
+      status: true,
+    });
+  } catch (error) {
+    return handleGuardianError(
+      error,
+      res,
+      "Error while requesting guardian link"
+    );
+  }
+};
+
+const getParentGuardianLinks = async (req, res) => {
+  try {
+    const links = await prisma.guardianLink.findMany({
+      // Pending requests stay hidden: listing one would tell the parent the
+      // email or phone number they asked for belongs to a minor
+      where: { parentId: req.user.id, status: "ACCEPTED" },
+      orderBy: { createdAt: "desc" },
+      include: { student: { select: studentSelect } },
+    });
+
+    return res.status(200).json({
+      data: links,
+      message: "Guardian links fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleGuardianError(
+      error,
+      res,
+      "Error while fetching guardian links"
+    );
+  }
+};
+
+const removeGuardianLink = async (req, res) => {
+  try {
+    const { count } = await endGuardianLink(
+      { id: req.params.id, parentId: req.user.id },
+      "PARENT"
+    );
+
+    if (!count) {
+      return res.status(404).json({
+        message: "Guardian link not found",
+        status: false,
+      });
+    }
+
+    return res.status(200).json({
+      message: "Guardian link removed successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleGuardianError(
+      error,
+      res,
+      "Error while removing guardian link"
+    );
+  }
+};
+
+const getLinkedStudentWellbeing = async (req, res) => {
+  try {
+    const link = await prisma.guardianLink.findFirst({
+      where: { id: req.params.id, parentId: req.user.id, status: "ACCEPTED" },
+      include: {
+        student: { select: { ...studentSelect, age: true, dob: true } },
+      },
+    });
+
+    if (!link) {
+      return res.status(404).json({
+        message: "Guardian link not found",
+        status: false,
+      });
+    }
+
+    // Oversight ends when the student comes of age
+    if (!isMinorStudent(link.student)) {
+      return res.status(403).json({
+        message: ADULT_STUDENT_MESSAGE,
+        status: false,
+      });
+    }
+
+    const { age, dob, ...student } = link.student;
+    const summary = await getWellbeingSummary(student.id);
+
+    return res.status(200).json({
+      data: { student, ...summary },
+      message: "Wellbeing summary fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleGuardianError(
+      error,
+      res,
+      "Error while fetching wellbeing summary"
+    );
+  }
+};
+
+export {
+  generateGuardianInviteCode,
+  getStudentGuardianLinks,
+  respondToGuardianLink,
+  revokeGuardianLink,
+  requestGuardianLink,
+  getParentGuardianLinks,
+  removeGuardianLink,
+  getLinkedStudentWellbeing,
+};
@@ -1,15 +1,35 @@
 import { prisma } from "../db/prismaClientConfig.js";
 import { getRecipientSocketId, io } from "../socket/socket.js";
+import { notifyUser } from "../utils/notifications.js";
+import { canDeliver } from "../utils/notificationPreferences.js";
+import { isBlockedBetween } from "../utils/blocks.js";
+import { filterContent, sendContentRejected } from "../utils/contentFilter.js";
 
 const sendMessage = async (req, res) => {
   try {
-    const { recipientId, message } = req.body;
+    const { recipientId } = req.body;
     const senderId = req.user.id;
     const senderType =
       req.user.userType !== "parent" && req.user.userType === "student"
         ? "STUDENT"
         : "THERAPIST";
 
+    // A block either way closes the conversation
+    if (await isBlockedBetween(senderId, recipientId)) {
+      return res.status(403).json({
+        message: "You cannot message this user",
+        status: false,
+      });
+    }
+
+    const filtered = await filterContent("MESSAGE", {
+      message: req.body.message,
+    });
+    if (filtered.action === "REJECT") {
+      return sendContentRejected(res, filtered);
+    }
+    const { message } = filtered.fields;
+
     // First find or create conversation
     let conversation = await prisma.conversation.findFirst({
       where: {
@@ -65,11 +85,28 @@ const sendMessage = async (req, res) => {
       },
     });
 
+    const recipient = {
+      id: recipientId,
+      userType: senderType === "STUDENT" ? "therapist" : "student",
+    };
+
+    // Live delivery follows the recipient's in-app setting for messages; the
+    // message itself is always stored and shows up in getMessages
     const recipientSocketId = getRecipientSocketId(recipientId);
-    if (recipientSocketId) {
+    if (
+      recipientSocketId &&
+      (await canDeliver(recipient, "NEW_MESSAGE", "inApp"))
+    ) {
       io.to(recipientSocketId).emit("newMessage", newMessage);
     }
 
+    await notifyUser(recipient, {
+      type: "NEW_MESSAGE",
+      title: "New message",
+      body: `${req.user.userName || "Someone"} sent you a message`,
+      data: { conversationId: conversation.id, messageId: newMessage.id },
+    });
+
     return res.status(200).json({
       data: newMessage,
       message: "Message sent successfully",
@@ -367,6 +404,21 @@ const handleReq = async (req, res) => {
       });
     }
 
+    if (status === "Accepted") {
+      await notifyUser(
+        { id: conversation.studentId, userType: "student" },
+        {
+          type: "CONVERSATION_ACCEPTED",
+          title: "Conversation accepted",
+          body: `${req.user.userName || "Your therapist"} accepted your request to chat`,
+          data: {
+            conversationId: conversation.id,
+            therapistId: conversation.therapistId,
+          },
+        }
+      );
+    }
+
     return res.status(200).json({
       message: "Conversation Status Updated Successfully !!",
       status: true,
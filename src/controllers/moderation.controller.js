@@ -0,0 +1,670 @@
+import { z } from "zod";
+import { prisma } from "../db/prismaClientConfig.js";
+import { timeAgo } from "../utils/Helper.js";
+import { hideAnonymousAuthor } from "../utils/storyPrivacy.js";
+import {
+  MODERATION_ACTIONS,
+  OPEN_REPORT_STATUSES,
+  notifyModerationOutcome,
+} from "../utils/moderation.js";
+import { suspendAccount } from "../utils/suspensions.js";
+import { revokeAllSessions } from "../utils/session.js";
+import { notifyUser } from "../utils/notifications.js";
+import {
+  DEFAULT_FILTER_POLICIES,
+  FILTER_ACTIONS,
+  FILTER_CATEGORIES,
+  FILTER_CONTENT_TYPES,
+  QUEUEABLE_CONTENT_TYPES,
+} from "../utils/contentFilter.js";
+import { updateTherapistRating } from "../utils/reviews.js";
+
+const ModerationQueueQuerySchema = z.object({
+  // Without a status the queue holds everything still waiting on a moderator
+  status: z
+    .enum(["OPEN", "UNDER_REVIEW", "ACTIONED", "DISMISSED"], {
+      message: "Invalid report status",
+    })
+    .optional(),
+  page: z.string().transform(Number).default("1"),
+  limit: z.string().transform(Number).default("10"),
+});
+
+const ModerationActionSchema = z
+  .object({
+    action: z.enum(MODERATION_ACTIONS, { message: "Invalid action" }),
+    note: z
+      .string()
+      .trim()
+      .max(1000, { message: "Note cannot exceed 1000 characters" })
+      .optional(),
+    suspensionDays: z.number().int().min(1).max(365).optional(),
+  })
+  .refine(
+    (body) => body.action !== "SUSPEND_AUTHOR" || body.suspensionDays,
+    { message: "suspensionDays is required to suspend the author" }
+  );
+
+const ContentFlagQuerySchema = z.object({
+  status: z
+    .enum(["PENDING", "APPROVED", "REJECTED"], {
+      message: "Invalid flag status",
+    })
+    .default("PENDING"),
+  contentType: z
+    .enum(QUEUEABLE_CONTENT_TYPES, { message: "Invalid content type" })
+    .optional(),
+  page: z.string().transform(Number).default("1"),
+  limit: z.string().transform(Number).default("10"),
+});
+
+const ResolveContentFlagSchema = z.object({
+  decision: z.enum(["APPROVED", "REJECTED"], {
+    message: "Decision must be either 'APPROVED' or 'REJECTED'",
+  }),
+  note: z
+    .string()
+    .trim()
+    .max(1000, { message: "Note cannot exceed 1000 characters" })
+    .optional(),
+});
+
+const FilterPolicyParamsSchema = z.object({
+  contentType: z.enum(FILTER_CONTENT_TYPES, {
+    message: "Invalid content type",
+  }),
+  category: z.enum(FILTER_CATEGORIES, { message: "Invalid category" }),
+});
+
+const FilterPolicySchema = z.object({
+  action: z.enum(FILTER_ACTIONS, {
+    message: "Action must be ALLOW, MASK, REJECT or QUEUE",
+  }),
+});
+
+const reporterSelect = {
+  studentReporter: { select: { id: true, userName: true } },
+  parentReporter: { select: { id: true, fullName: true } },
+  therapistReporter: { select: { id: true, userName: true } },
+};
+
+const moderatedStorySelect = {
+  id: true,
+  title: true,
+  content: true,
+  image: true,
+  audio: true,
+  audioDuration: true,
+  isAnonymous: true,
+  isUnderReview: true,
+  hiddenAt: true,
+  hiddenByReports: true,
+  removedAt: true,
+  createdAt: true,
+  studentId: true,
+  student: { select: { id: true, userName: true, studentImage: true } },
+};
+
+const handleModerationError = (error, res, message) => {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      message: "Validation Error",
+      errors: error.errors.map((e) => e.message),
+      status: false,
+    });
+  }
+
+  console.error(error);
+  return res.status(500).json({
+    message,
+    error: error.message,
+    status: false,
+  });
+};
+
+// Reported stories, one entry per story, oldest report first
+const getModerationQueue = async (req, res) => {
+  try {
+    const { status, page, limit } = ModerationQueueQuerySchema.parse(
+      req.query
+    );
+
+    const pageNumber = Math.max(page, 1);
+    const pageSize = Math.min(limit, 50);
+    const skip = (pageNumber - 1) * pageSize;
+    const where = { status: status ? status : { in: OPEN_REPORT_STATUSES } };
+
+    const [groups, allGroups] = await Promise.all([
+      prisma.report.groupBy({
+        by: ["storyId"],
+        where,
+        _count: { _all: true },
+        _min: { createdAt: true },
+        _max: { createdAt: true },
+        orderBy: { _min: { createdAt: "asc" } },
+        skip,
+        take: pageSize,
+      }),
+      prisma.report.groupBy({ by: ["storyId"], where }),
+    ]);
+
+    const [stories, newReports] = await Promise.all([
+      prisma.story.findMany({
+        where: { id: { in: groups.map((group) => group.storyId) } },
+        select: moderatedStorySelect,
+      }),
+      prisma.report.groupBy({
+        by: ["storyId"],
+        where: {
+          storyId: { in: groups.map((group) => group.storyId) },
+          status: "OPEN",
+        },
+        _count: { _all: true },
+      }),
+    ]);
+    const storiesById = new Map(stories.map((story) => [story.id, story]));
+    const newCounts = new Map(
+      newReports.map((group) => [group.storyId, group._count._all])
+    );
+
+    const totalStories = allGroups.length;
+    const totalPages = Math.ceil(totalStories / pageSize);
+
+    return res.status(200).json({
+      data: groups.map((group) => ({
+        // Moderators see the real author only through revealStoryAuthor
+        story: hideAnonymousAuthor(storiesById.get(group.storyId)),
+        reportsCount: group._count._all,
+        newReportsCount: newCounts.get(group.storyId) || 0,
+        firstReportedAt: group._min.createdAt,
+        lastReportedAt: group._max.createdAt,
+        timeAgo: timeAgo(group._min.createdAt),
+      })),
+      pagination: {
+        currentPage: pageNumber,
+        pageSize,
+        totalStories,
+        totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPreviousPage: pageNumber > 1,
+      },
+      message: "Moderation queue retrieved successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleModerationError(
+      error,
+      res,
+      "Error while retrieving moderation queue"
+    );
+  }
+};
+
+// A reported story with every report against it and what was done about it
+const getModerationCase = async (req, res) => {
+  try {
+    const { storyId } = req.params;
+
+    const story = await prisma.story.findUnique({
+      where: { id: storyId },
+      select: {
+        ...moderatedStorySelect,
+        reports: {
+          orderBy: { createdAt: "desc" },
+          select: {
+            id: true,
+            reason: true,
+            status: true,
+            isNew: true,
+            createdAt: true,
+            resolvedAt: true,
+            actionId: true,
+            ...reporterSelect,
+          },
+        },
+        moderationActions: {
+          orderBy: { createdAt: "desc" },
+          select: {
+            id: true,
+            action: true,
+            note: true,
+            createdAt: true,
+            admin: { select: { id: true, name: true } },
+            suspension: {
+              select: { id: true, endsAt: true, liftedAt: true },
+            },
+          },
+        },
+      },
+    });
+
+    if (!story) {
+      return res.status(404).json({
+        message: "Reported story not found",
+        status: false,
+      });
+    }
+
+    return res.status(200).json({
+      data: hideAnonymousAuthor(story),
+      message: "Reported story retrieved successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleModerationError(
+      error,
+      res,
+      "Error while retrieving reported story"
+    );
+  }
+};
+
+// Claims a story's open reports so other moderators can see it is in hand
+const startReview = async (req, res) => {
+  try {
+    const { storyId } = req.params;
+
+    const { count } = await prisma.report.updateMany({
+      where: { storyId, status: "OPEN" },
+      data: { status: "UNDER_REVIEW", isNew: false },
+    });
+
+    if (!count) {
+      return res.status(404).json({
+        message: "No open reports found for this story",
+        status: false,
+      });
+    }
+
+    return res.status(200).json({
+      data: { reportsCount: count },
+      message: "Reports moved to review",
+      status: true,
+    });
+  } catch (error) {
+    return handleModerationError(error, res, "Error while starting review");
+  }
+};
+
+const getStoryChanges = (action, story) => {
+  switch (action) {
+    case "HIDE_STORY":
+      return { hiddenAt: story.hiddenAt || new Date(), hiddenByReports: false };
+    case "REMOVE_STORY":
+      return { removedAt: new Date() };
+    case "WARN_AUTHOR":
+    case "DISMISS_REPORTS":
+      // The story stays up, so an automatic hide is lifted
+      return story.hiddenByReports
+        ? { hiddenAt: null, hiddenByReports: false }
+        : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Records a moderator's decision on a reported story, applies it, and
+ * closes the story's open reports: dismissed for DISMISS_REPORTS, actioned
+ * otherwise. Reporters and the author are notified of the outcome.
+ */
+const takeModerationAction = async (req, res) => {
+  try {
+    const { storyId } = req.params;
+    const { action, note, suspensionDays } = ModerationActionSchema.parse(
+      req.body
+    );
+
+    const story = await prisma.story.findUnique({
+      where: { id: storyId },
+      select: {
+        id: true,
+        studentId: true,
+        hiddenAt: true,
+        hiddenByReports: true,
+        removedAt: true,
+      },
+    });
+
+    if (!story) {
+      return res.status(404).json({
+        message: "Story not found",
+        status: false,
+      });
+    }
+
+    if (story.removedAt && action !== "SUSPEND_AUTHOR") {
+      return res.status(409).json({
+        message: "This story has already been removed",
+        status: false,
+      });
+    }
+
+    const openReports = await prisma.report.findMany({
+      where: { storyId, status: { in: OPEN_REPORT_STATUSES } },
+      select: {
+        id: true,
+        studentReporterId: true,
+        parentReporterId: true,
+        therapistReporterId: true,
+      },
+    });
+
+    const now = new Date();
+    const moderationAction = await prisma.$transaction(async (prisma) => {
+      const created = await prisma.moderationAction.create({
+        data: { action, note, storyId, adminId: req.user.id },
+      });
+
+      const storyChanges = getStoryChanges(action, story);
+      if (storyChanges) {
+        await prisma.story.update({
+          where: { id: storyId },
+          data: storyChanges,
+        });
+      }
+
+      if (action === "SUSPEND_AUTHOR") {
+        await suspendAccount(
+          {
+            userId: story.studentId,
+            userType: "student",
+            reason: note || "Suspended following reports on a story",
+            endsAt: new Date(now.getTime() + suspensionDays * 86400000),
+            adminId: req.user.id,
+            actionId: created.id,
+          },
+          prisma
+        );
+      }
+
+      await prisma.report.updateMany({
+        where: { id: { in: openReports.map((report) => report.id) } },
+        data: {
+          status: action === "DISMISS_REPORTS" ? "DISMISSED" : "ACTIONED",
+          isNew: false,
+          resolvedAt: now,
+          actionId: created.id,
+        },
+      });
+
+      return created;
+    });
+
+    if (action === "SUSPEND_AUTHOR") {
+      await revokeAllSessions(story.studentId);
+    }
+    await notifyModerationOutcome(moderationAction, openReports, story);
+
+    return res.status(201).json({
+      data: { ...moderationAction, reportsResolved: openReports.length },
+      message: "Moderation action recorded successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleModerationError(
+      error,
+      res,
+      "Error while recording moderation action"
+    );
+  }
+};
+
+// Content the filter held back, oldest first while still pending
+const getContentFlags = async (req, res) => {
+  try {
+    const { status, contentType, page, limit } = ContentFlagQuerySchema.parse(
+      req.query
+    );
+
+    const pageNumber = Math.max(page, 1);
+    const pageSize = Math.min(limit, 50);
+    const skip = (pageNumber - 1) * pageSize;
+    const where = { status, ...(contentType && { contentType }) };
+
+    const [flags, totalFlags] = await Promise.all([
+      prisma.contentFlag.findMany({
+        where,
+        orderBy: { createdAt: status === "PENDING" ? "asc" : "desc" },
+        skip,
+        take: pageSize,
+        include: { resolvedBy: { select: { id: true, name: true } } },
+      }),
+      prisma.contentFlag.count({ where }),
+    ]);
+
+    const totalPages = Math.ceil(totalFlags / pageSize);
+
+    return res.status(200).json({
+      data: flags.map((flag) => ({
+        ...flag,
+        timeAgo: timeAgo(flag.createdAt),
+      })),
+      pagination: {
+        currentPage: pageNumber,
+        pageSize,
+        totalFlags,
+        totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPreviousPage: pageNumber > 1,
+      },
+      message: "Flagged content retrieved successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleModerationError(
+      error,
+      res,
+      "Error while retrieving flagged content"
+    );
+  }
+};
+
+// Approving shows the held content; rejecting takes it down
+const applyFlagDecision = async (flag, decision, adminId, db) => {
+  const { contentType, contentId } = flag;
+  const now = new Date();
+
+  if (contentType === "STORY") {
+    await db.story.updateMany({
+      // A story the report threshold also hid waits for that review
+      where: {
+        id: contentId,
+        ...(decision === "APPROVED" && { hiddenByReports: false }),
+      },
+      data: decision === "APPROVED" ? { hiddenAt: null } : { removedAt: now },
+    });
+  } else if (contentType === "COMMENT") {
+    await db.comment.updateMany({
+      where: { id: contentId },
+      data:
+        decision === "APPROVED"
+          ? { hiddenAt: null }
+          : { deletedAt: now, deletedById: adminId, deletedByModerator: true },
+    });
+  } else if (contentType === "REVIEW") {
+    const review = await db.review.findUnique({
+      where: { id: contentId },
+      select: { therapistId: true },
+    });
+    if (!review) return;
+
+    if (decision === "APPROVED") {
+      await db.review.update({
+        where: { id: contentId },
+        data: { hiddenAt: null },
+      });
+    } else {
+      await db.review.delete({ where: { id: contentId } });
+    }
+    if (review.therapistId) {
+      await updateTherapistRating(review.therapistId, db);
+    }
+  }
+};
+
+const FLAG_OUTCOMES = {
+  APPROVED: (label) => `Your ${label} has been reviewed and is now visible.`,
+  REJECTED: (label) =>
+    `Your ${label} was removed because it goes against our community guidelines.`,
+};
+
+/**
+ * Resolves a content flag, together with any other pending flag on the same
+ * story, comment or review, and tells the author the outcome.
+ */
+const resolveContentFlag = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { decision, note } = ResolveContentFlagSchema.parse(req.body);
+
+    const flag = await prisma.contentFlag.findUnique({ where: { id } });
+
+    if (!flag) {
+      return res.status(404).json({
+        message: "Flag not found",
+        status: false,
+      });
+    }
+
+    if (flag.status !== "PENDING") {
+      return res.status(409).json({
+        message: "This flag has already been resolved",
+        status: false,
+      });
+    }
+
+    const { count } = await prisma.$transaction(async (prisma) => {
+      await applyFlagDecision(flag, decision, req.user.id, prisma);
+
+      return prisma.contentFlag.updateMany({
+        where: {
+          contentType: flag.contentType,
+          contentId: flag.contentId,
+          status: "PENDING",
+        },
+        data: {
+          status: decision,
+          note,
+          resolvedAt: new Date(),
+          resolvedById: req.user.id,
+        },
+      });
+    });
+
+    const outcome = FLAG_OUTCOMES[decision](flag.contentType.toLowerCase());
+    await notifyUser(
+      { id: flag.authorId, userType: flag.authorType.toLowerCase() },
+      {
+        type: "MODERATION_NOTICE",
+        title: "Moderation notice",
+        body: note ? `${outcome} ${note}` : outcome,
+        data: {
+          contentType: flag.contentType,
+          contentId: flag.contentId,
+          decision,
+        },
+      }
+    );
+
+    return res.status(200).json({
+      data: { ...flag, status: decision, flagsResolved: count },
+      message: "Flag resolved successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleModerationError(error, res, "Error while resolving flag");
+  }
+};
+
+// The policy in force for every content type and category
+const getFilterPolicies = async (req, res) => {
+  try {
+    const overrides = await prisma.contentFilterPolicy.findMany();
+    const overridden = new Map(
+      overrides.map((o) => [`${o.contentType}:${o.category}`, o])
+    );
+
+    return res.status(200).json({
+      data: FILTER_CONTENT_TYPES.flatMap((contentType) =>
+        FILTER_CATEGORIES.map((category) => {
+          const override = overridden.get(`${contentType}:${category}`);
+          return {
+            contentType,
+            category,
+            action:
+              override?.action ||
+              DEFAULT_FILTER_POLICIES[contentType][category],
+            isDefault: !override,
+            updatedAt: override?.updatedAt || null,
+          };
+        })
+      ),
+      message: "Filter policies retrieved successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleModerationError(
+      error,
+      res,
+      "Error while retrieving filter policies"
+    );
+  }
+};
+
+// Setting a policy back to its default removes the override
+const updateFilterPolicy = async (req, res) => {
+  try {
+    const { contentType, category } = FilterPolicyParamsSchema.parse(
+      req.params
+    );
+    const { action } = FilterPolicySchema.parse(req.body);
+
+    if (action === "QUEUE" && !QUEUEABLE_CONTENT_TYPES.includes(contentType)) {
+      return res.status(400).json({
+        message: `${contentType} content cannot be queued for review`,
+        status: false,
+      });
+    }
+
+    if (action === DEFAULT_FILTER_POLICIES[contentType][category]) {
+      await prisma.contentFilterPolicy.deleteMany({
+        where: { contentType, category },
+      });
+    } else {
+      await prisma.contentFilterPolicy.upsert({
+        where: { contentType_category: { contentType, category } },
+        create: { contentType, category, action },
+        update: { action },
+      });
+    }
+
+    return res.status(200).json({
+      data: {
+        contentType,
+        category,
+        action,
+        isDefault: action === DEFAULT_FILTER_POLICIES[contentType][category],
+      },
+      message: "Filter policy updated successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleModerationError(
+      error,
+      res,
+      "Error while updating filter policy"
+    );
+  }
+};
+
+export {
+  getModerationQueue,
+  getModerationCase,
+  startReview,
+  takeModerationAction,
+  getContentFlags,
+  resolveContentFlag,
+  getFilterPolicies,
+  updateFilterPolicy,
+};
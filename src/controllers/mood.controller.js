@@ -0,0 +1,392 @@
+import { z } from "zod";
+import { prisma } from "../db/prismaClientConfig.js";
+import { utcToZonedParts } from "../utils/timezone.js";
+import { getUserTimezone } from "../utils/notificationPreferences.js";
+import {
+  EMOTION_TAGS,
+  INSIGHT_WINDOW_DAYS,
+  summarizeMood,
+} from "../utils/moodAnalytics.js";
+import {
+  CRISIS_RESOURCES,
+  screenForCrisis,
+} from "../utils/crisisEscalation.js";
+import { recordAchievementEvent } from "../utils/achievements.js";
+
+// Entries a therapist sees alongside the shared summary
+const SHARED_RECENT_CHECK_INS = 14;
+
+const MoodCheckInSchema = z.object({
+  mood: z
+    .number({ required_error: "Mood is required" })
+    .int()
+    .min(1, { message: "Mood must be between 1 and 5" })
+    .max(5, { message: "Mood must be between 1 and 5" }),
+  emotions: z
+    .array(z.enum(EMOTION_TAGS))
+    .max(5, { message: "Pick at most 5 emotions" })
+    .default([])
+    .transform((emotions) => [...new Set(emotions)]),
+  note: z
+    .string()
+    .max(2000, { message: "Note cannot exceed 2000 characters" })
+    .nullable()
+    .optional(),
+  sleepHours: z.number().min(0).max(24).nullable().optional(),
+  energy: z.number().int().min(1).max(5).nullable().optional(),
+});
+
+const dateSchema = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, "Date must be in YYYY-MM-DD format");
+
+const MoodCheckInQuerySchema = z.object({
+  from: dateSchema.optional(),
+  to: dateSchema.optional(),
+  page: z.string().transform(Number).default("1"),
+  limit: z.string().transform(Number).default("30"),
+});
+
+const MoodShareSchema = z.object({
+  therapistId: z.string().uuid({ message: "Invalid therapist id" }),
+});
+
+const handleMoodError = (error, res, message) => {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      message: "Validation Error",
+      errors: error.errors.map((e) => e.message),
+      status: false,
+    });
+  }
+
+  console.error(error);
+  return res.status(500).json({
+    message,
+    error: error.message,
+    status: false,
+  });
+};
+
+const insightWindowStart = (now = new Date()) =>
+  new Date(now.getTime() - INSIGHT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+const loadMoodSummary = async (studentId) => {
+  const timezone = await getUserTimezone(studentId);
+  const since = utcToZonedParts(insightWindowStart(), timezone).date;
+
+  const checkIns = await prisma.moodCheckIn.findMany({
+    where: { studentId, localDate: { gte: since } },
+    orderBy: { localDate: "asc" },
+    select: {
+      localDate: true,
+      mood: true,
+      emotions: true,
+      sleepHours: true,
+      energy: true,
+    },
+  });
+
+  return { timezone, ...summarizeMood(checkIns, timezone) };
+};
+
+// Only a therapist the student is still in an accepted conversation with
+const findActiveMoodShare = (studentId, therapistId) =>
+  prisma.moodShare.findFirst({
+    where: {
+      studentId,
+      therapistId,
+      revokedAt: null,
+      conversation: { status: "Accepted" },
+    },
+  });
+
+// Student side
+
+const saveMoodCheckIn = async (req, res) => {
+  try {
+    const data = MoodCheckInSchema.parse(req.body);
+    const studentId = req.user.id;
+
+    const timezone = await getUserTimezone(studentId);
+    const localDate = utcToZonedParts(new Date(), timezone).date;
+
+    // Journals stay private, so nothing is held or escalated here; the
+    // student is simply shown where to get help
+    const crisis = data.note
+      ? await screenForCrisis(data.note)
+      : { isCrisis: false };
+
+    const checkIn = await prisma.moodCheckIn.upsert({
+      where: { studentId_localDate: { studentId, localDate } },
+      create: { ...data, studentId, localDate },
+      update: data,
+    });
+
+    await recordAchievementEvent(studentId, "MOOD_CHECK_IN", {
+      sourceId: checkIn.id,
+    });
+
+    return res.status(200).json({
+      data: checkIn,
+      ...(crisis.isCrisis && { crisisResources: CRISIS_RESOURCES }),
+      message: "Mood check-in saved successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleMoodError(error, res, "Error while saving mood check-in");
+  }
+};
+
+const getMoodCheckIns = async (req, res) => {
+  try {
+    const { from, to, page, limit } = MoodCheckInQuerySchema.parse(req.query);
+
+    const pageNumber = Math.max(page, 1);
+    const pageSize = Math.min(limit, 100);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const where = {
+      studentId: req.user.id,
+      ...((from || to) && {
+        localDate: {
+          ...(from && { gte: from }),
+          ...(to && { lte: to }),
+        },
+      }),
+    };
+
+    const [checkIns, totalCheckIns] = await Promise.all([
+      prisma.moodCheckIn.findMany({
+        where,
+        orderBy: { localDate: "desc" },
+        skip,
+        take: pageSize,
+      }),
+      prisma.moodCheckIn.count({ where }),
+    ]);
+
+    const totalPages = Math.ceil(totalCheckIns / pageSize);
+
+    return res.status(200).json({
+      data: checkIns,
+      pagination: {
+        currentPage: pageNumber,
+        pageSize,
+        totalCheckIns,
+        totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPreviousPage: pageNumber > 1,
+      },
+      message: "Mood check-ins fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleMoodError(error, res, "Error while fetching mood check-ins");
+  }
+};
+
+const deleteMoodCheckIn = async (req, res) => {
+  try {
+    const { count } = await prisma.moodCheckIn.deleteMany({
+      where: { id: req.params.id, studentId: req.user.id },
+    });
+
+    if (!count) {
+      return res.status(404).json({
+        message: "Mood check-in not found",
+        status: false,
+      });
+    }
+
+    return res.status(200).json({
+      message: "Mood check-in deleted successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleMoodError(error, res, "Error while deleting mood check-in");
+  }
+};
+
+const getMoodInsights = async (req, res) => {
+  try {
+    const summary = await loadMoodSummary(req.user.id);
+
+    return res.status(200).json({
+      data: summary,
+      message: "Mood insights fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleMoodError(error, res, "Error while fetching mood insights");
+  }
+};
+
+const shareMoodWithTherapist = async (req, res) => {
+  try {
+    const { therapistId } = MoodShareSchema.parse(req.body);
+    const studentId = req.user.id;
+
+    const conversation = await prisma.conversation.findFirst({
+      where: { studentId, therapistId, status: "Accepted" },
+    });
+
+    if (!conversation) {
+      return res.status(403).json({
+        message:
+          "You can only share with a therapist who has accepted your conversation",
+        status: false,
+      });
+    }
+
+    const share = await prisma.moodShare.upsert({
+      where: { studentId_therapistId: { studentId, therapistId } },
+      create: { studentId, therapistId, conversationId: conversation.id },
+      update: { revokedAt: null, conversationId: conversation.id },
+    });
+
+    return res.status(200).json({
+      data: share,
+      message: "Mood summary shared successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleMoodError(error, res, "Error while sharing mood summary");
+  }
+};
+
+const getMoodShares = async (req, res) => {
+  try {
+    const shares = await prisma.moodShare.findMany({
+      where: { studentId: req.user.id, revokedAt: null },
+      orderBy: { createdAt: "desc" },
+      include: {
+        therapist: {
+          select: { id: true, userName: true, therapistImage: true },
+        },
+      },
+    });
+
+    return res.status(200).json({
+      data: shares,
+      message: "Mood shares fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleMoodError(error, res, "Error while fetching mood shares");
+  }
+};
+
+const revokeMoodShare = async (req, res) => {
+  try {
+    const { count } = await prisma.moodShare.updateMany({
+      where: {
+        studentId: req.user.id,
+        therapistId: req.params.therapistId,
+        revokedAt: null,
+      },
+      data: { revokedAt: new Date() },
+    });
+
+    if (!count) {
+      return res.status(404).json({
+        message: "Mood share not found",
+        status: false,
+      });
+    }
+
+    return res.status(200).json({
+      message: "Mood sharing stopped successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleMoodError(error, res, "Error while revoking mood share");
+  }
+};
+
+// Therapist side
+
+const getSharedMoodStudents = async (req, res) => {
+  try {
+    const shares = await prisma.moodShare.findMany({
+      where: {
+        therapistId: req.user.id,
+        revokedAt: null,
+        conversation: { status: "Accepted" },
+      },
+      orderBy: { createdAt: "desc" },
+      include: {
+        student: {
+          select: { id: true, userName: true, studentImage: true },
+        },
+      },
+    });
+
+    return res.status(200).json({
+      data: shares.map((share) => ({
+        sharedAt: share.createdAt,
+        student: share.student,
+      })),
+      message: "Shared mood summaries fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleMoodError(
+      error,
+      res,
+      "Error while fetching shared mood summaries"
+    );
+  }
+};
+
+const getSharedMoodSummary = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    const share = await findActiveMoodShare(studentId, req.user.id);
+
+    if (!share) {
+      return res.status(404).json({
+        message: "This student has not shared their mood summary with you",
+        status: false,
+      });
+    }
+
+    const [summary, recentCheckIns] = await Promise.all([
+      loadMoodSummary(studentId),
+      prisma.moodCheckIn.findMany({
+        where: { studentId },
+        orderBy: { localDate: "desc" },
+        take: SHARED_RECENT_CHECK_INS,
+        // Notes stay private to the student
+        select: {
+          localDate: true,
+          mood: true,
+          emotions: true,
+          sleepHours: true,
+          energy: true,
+        },
+      }),
+    ]);
+
+    return res.status(200).json({
+      data: { ...summary, recentCheckIns },
+      message: "Mood summary fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleMoodError(error, res, "Error while fetching mood summary");
+  }
+};
+
+export {
+  saveMoodCheckIn,
+  getMoodCheckIns,
+  deleteMoodCheckIn,
+  getMoodInsights,
+  shareMoodWithTherapist,
+  getMoodShares,
+  revokeMoodShare,
+  getSharedMoodStudents,
+  getSharedMoodSummary,
+};
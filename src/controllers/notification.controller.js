@@ -1,46 +1,239 @@
-import { admin } from "../config/firebase.config.js";
+import { z } from "zod";
+import { prisma } from "../db/prismaClientConfig.js";
+import { timeAgo } from "../utils/Helper.js";
 
-const sendNotification = async (req, res) => {
+const DeviceTokenSchema = z.object({
+  token: z
+    .string({ required_error: "Device token is required" })
+    .min(1, { message: "Device token is required" })
+    .max(4096, { message: "Device token is too long" }),
+  platform: z.enum(["android", "ios", "web"]).optional(),
+});
+
+const NotificationQuerySchema = z.object({
+  unreadOnly: z
+    .enum(["true", "false"])
+    .default("false")
+    .transform((value) => value === "true"),
+  page: z.string().transform(Number).default("1"),
+  limit: z.string().transform(Number).default("20"),
+});
+
+const handleNotificationError = (error, res, message) => {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      message: "Validation Error",
+      errors: error.errors.map((e) => e.message),
+      status: false,
+    });
+  }
+
+  console.error(error);
+  return res.status(500).json({
+    message,
+    error: error.message,
+    status: false,
+  });
+};
+
+const registerDeviceToken = async (req, res) => {
   try {
-    const message = {
-      token: "DEVICE_FCM_TOKEN", // Replace with the recipient's FCM token
-      notification: {
-        title: "Hello!",
-        body: "This is a test notification from Firebase.",
-      },
-      data: {
-        // Optional: Add custom data payload
-        key1: "value1",
-        key2: "value2",
-      },
+    const { token, platform } = DeviceTokenSchema.parse(req.body);
+    const owner = {
+      userId: req.user.id,
+      userType: req.role.toUpperCase(),
+      platform,
+      lastSeenAt: new Date(),
     };
 
-    admin
-      .messaging()
-      .send(message)
-      .then((response) => {
-        console.log("Notification sent successfully:", response);
-        res.status(200).json({
-          message: "Notification sent successfully",
-          status: true,
-        });
-      })
-      .catch((error) => {
-        console.error("Error sending notification:", error);
-        res.status(500).json({
-          message: "Failed to send notification",
-          error: error.message,
+    // A device that switches accounts moves its token to the new user
+    const deviceToken = await prisma.deviceToken.upsert({
+      where: { token },
+      create: { token, ...owner },
+      update: owner,
+    });
+
+    return res.status(200).json({
+      data: deviceToken,
+      message: "Device registered successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleNotificationError(
+      error,
+      res,
+      "Error while registering device"
+    );
+  }
+};
+
+const unregisterDeviceToken = async (req, res) => {
+  try {
+    const { token } = DeviceTokenSchema.pick({ token: true }).parse(req.body);
+
+    await prisma.deviceToken.deleteMany({
+      where: { token, userId: req.user.id },
+    });
+
+    return res.status(200).json({
+      message: "Device unregistered successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleNotificationError(
+      error,
+      res,
+      "Error while unregistering device"
+    );
+  }
+};
+
+const getNotifications = async (req, res) => {
+  try {
+    const { unreadOnly, page, limit } = NotificationQuerySchema.parse(
+      req.query
+    );
+
+    const pageNumber = Math.max(page, 1);
+    const pageSize = Math.min(limit, 50);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const where = {
+      recipientId: req.user.id,
+      ...(unreadOnly && { readAt: null }),
+    };
+
+    const [notifications, totalNotifications, unreadCount] = await Promise.all(
+      [
+        prisma.notification.findMany({
+          where,
+          orderBy: { createdAt: "desc" },
+          skip,
+          take: pageSize,
+        }),
+        prisma.notification.count({ where }),
+        prisma.notification.count({
+          where: { recipientId: req.user.id, readAt: null },
+        }),
+      ]
+    );
+
+    const totalPages = Math.ceil(totalNotifications / pageSize);
+
+    return res.status(200).json({
+      data: notifications.map((notification) => ({
+        ...notification,
+        timeAgo: timeAgo(notification.createdAt),
+      })),
+      unreadCount,
+      pagination: {
+        currentPage: pageNumber,
+        pageSize,
+        totalNotifications,
+        totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPreviousPage: pageNumber > 1,
+      },
+      message: "Notifications retrieved successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleNotificationError(
+      error,
+      res,
+      "Error while fetching notifications"
+    );
+  }
+};
+
+const markNotificationRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { count } = await prisma.notification.updateMany({
+      where: { id, recipientId: req.user.id, readAt: null },
+      data: { readAt: new Date() },
+    });
+
+    if (!count) {
+      const exists = await prisma.notification.count({
+        where: { id, recipientId: req.user.id },
+      });
+      if (!exists) {
+        return res.status(404).json({
+          message: "Notification not found",
           status: false,
         });
-      });
+      }
+    }
+
+    return res.status(200).json({
+      message: "Notification marked as read",
+      status: true,
+    });
   } catch (error) {
-    console.error("Error sending notification:", error);
-    res.status(500).json({
-      message: "Failed to send notification",
-      error: error.message,
-      status: false,
+    return handleNotificationError(
+      error,
+      res,
+      "Error while updating notification"
+    );
+  }
+};
+
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const { count } = await prisma.notification.updateMany({
+      where: { recipientId: req.user.id, readAt: null },
+      data: { readAt: new Date() },
     });
+
+    return res.status(200).json({
+      data: { updated: count },
+      message: "All notifications marked as read",
+      status: true,
+    });
+  } catch (error) {
+    return handleNotificationError(
+      error,
+      res,
+      "Error while updating notifications"
+    );
   }
 };
 
-export { sendNotification };
+const deleteNotification = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { count } = await prisma.notification.deleteMany({
+      where: { id, recipientId: req.user.id },
+    });
+
+    if (!count) {
+      return res.status(404).json({
+        message: "Notification not found",
+        status: false,
+      });
+    }
+
+    return res.status(200).json({
+      message: "Notification deleted successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleNotificationError(
+      error,
+      res,
+      "Error while deleting notification"
+    );
+  }
+};
+
+export {
+  registerDeviceToken,
+  unregisterDeviceToken,
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+};
@@ -1,4 +1,5 @@
 import { prisma } from "../db/prismaClientConfig.js";
+import { VISIBLE_REVIEW_FILTER } from "../utils/reviews.js";
 
 // Get all statistics
 const getStats = async (req, res) => {
@@ -135,6 +136,7 @@ const getTopRatedTherapists = async (req, res) => {
     // Get the total count of high-rated reviews (4 or 5 stars)
     const highRatedReviewsCount = await prisma.review.count({
       where: {
+        ...VISIBLE_REVIEW_FILTER,
         rating: {
           gte: 4, // Greater than or equal to 4 stars
         },
@@ -142,7 +144,9 @@ const getTopRatedTherapists = async (req, res) => {
     });
 
     // Get total reviews count
-    const totalReviewsCount = await prisma.review.count();
+    const totalReviewsCount = await prisma.review.count({
+      where: VISIBLE_REVIEW_FILTER,
+    });
 
     return res.status(200).json({
       data: topTherapists,
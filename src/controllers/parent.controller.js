@@ -8,7 +8,13 @@ import {
 } from "../utils/passwordEncryptDescrypt.js";
 import { deleteSingleObjectFromS3 } from "./aws.controller.js";
 import { accessTokenGenerator } from "../utils/Helper.js";
+import { revokeSession } from "../utils/session.js";
+import { findConflictingAccount } from "../utils/accountResolver.js";
 import { generateOTP } from "../utils/otpUtils.js";
+import {
+  getActiveSuspension,
+  sendSuspendedResponse,
+} from "../utils/suspensions.js";
 
 // Parent Creation Schema
 const createParentSchema = z.object({
@@ -92,34 +98,15 @@ const createParent = async (req, res) => {
     const { fullName, phone, email, password, parentImage, dob, gender } =
       createParentSchema.parse(req.body);
 
-    // Check if email or phone already exists in student or therapist models
-    const [studentCheck, therapistCheck] = await prisma.$transaction([
-      prisma.student.findFirst({
-        where: { OR: [{ email: email }, { phone: phone }] },
-        select: { id: true, email: true, phone: true },
-      }),
-      prisma.therapist.findFirst({
-        where: { OR: [{ email: email }, { phone: phone }] },
-        select: { id: true, email: true, phone: true },
-      }),
-    ]);
-
-    // Handle conflicts with student accounts
-    if (studentCheck) {
-      return res.status(409).json({
-        message: `${
-          studentCheck.email === email ? "Email" : "Phone"
-        } already registered as a student`,
-        status: false,
-      });
-    }
+    // Check if email or phone already exists for another account type
+    const conflictingAccount = await findConflictingAccount(
+      { email, phone },
+      "parent"
+    );
 
-    // Handle conflicts with therapist accounts
-    if (therapistCheck) {
+    if (conflictingAccount) {
       return res.status(409).json({
-        message: `${
-          therapistCheck.email === email ? "Email" : "Phone"
-        } already registered as a therapist`,
+        message: `${conflictingAccount.field} already registered as a ${conflictingAccount.userType}`,
         status: false,
       });
     }
@@ -162,7 +149,7 @@ const createParent = async (req, res) => {
           },
         });
 
-        const { accessToken } = await accessTokenGenerator(
+        const { accessToken, refreshToken } = await accessTokenGenerator(
           createdParent.id,
           "parent"
         );
@@ -171,6 +158,7 @@ const createParent = async (req, res) => {
           data: createdParent,
           userType: "parent",
           accessToken,
+          refreshToken,
           message: "Parent account created successfully",
           status: true,
         });
@@ -222,6 +210,10 @@ const createParent = async (req, res) => {
       }
     }
 
+    // Re-running sign-up must not let a suspended account back in
+    const suspension = await getActiveSuspension(existingParent.id, "parent");
+    if (suspension) return sendSuspendedResponse(res, suspension);
+
     try {
       // Update the existing parent by ID (safest approach)
       const updatedParent = await prisma.parent.update({
@@ -247,7 +239,7 @@ const createParent = async (req, res) => {
         },
       });
 
-      const { accessToken } = await accessTokenGenerator(
+      const { accessToken, refreshToken } = await accessTokenGenerator(
         updatedParent.id,
         "parent"
       );
@@ -256,6 +248,7 @@ const createParent = async (req, res) => {
         data: updatedParent,
         userType: "parent",
         accessToken,
+        refreshToken,
         message: "Parent account updated successfully",
         status: true,
       });
@@ -373,6 +366,10 @@ const loginParent = async (req, res) => {
       });
     }
 
+    // Suspended accounts are refused before an OTP goes out
+    const suspension = await getActiveSuspension(user.id, "parent");
+    if (suspension) return sendSuspendedResponse(res, suspension);
+
     // Check if this is an OTP verification request
     if (otp) {
       // If OTP is provided, verify it
@@ -390,7 +387,7 @@ const loginParent = async (req, res) => {
       });
 
       // Generate access token
-      const { accessToken } = await accessTokenGenerator(user.id, "parent");
+      const { accessToken, refreshToken } = await accessTokenGenerator(user.id, "parent");
 
       // Respond with token and user details
       return res.status(200).json({
@@ -400,6 +397,7 @@ const loginParent = async (req, res) => {
           userType: "parent",
         },
         accessToken,
+        refreshToken,
         message: "Logged In Successfully",
         status: true,
       });
@@ -453,9 +451,8 @@ const loginParent = async (req, res) => {
 // Logout Parent Controller
 const logoutParent = async (req, res) => {
   try {
-    await prisma.parent.findFirstOrThrow({
-      where: { id: req.user?.id },
-    });
+    // Revoke the session so its access and refresh tokens stop working
+    await revokeSession(req.sessionId);
 
     return res.status(200).json({
       message: "Logged out Successfully",
@@ -0,0 +1,394 @@
+import { z } from "zod";
+import { prisma } from "../db/prismaClientConfig.js";
+import {
+  getRazorpayClient,
+  verifyWebhookSignature,
+} from "../utils/razorpay.js";
+import {
+  acceptBookingConversation,
+  buildSlotKey,
+  isSlotFree,
+} from "../utils/bookings.js";
+
+const SessionPriceSchema = z.object({
+  // In rupees; 0 makes sessions free
+  sessionPrice: z
+    .number({ invalid_type_error: "Session price must be a number" })
+    .min(0, { message: "Session price cannot be negative" })
+    .max(100000, { message: "Session price cannot exceed 100000" }),
+});
+
+const EarningsQuerySchema = z.object({
+  from: z.string().datetime({ offset: true }).optional(),
+  to: z.string().datetime({ offset: true }).optional(),
+});
+
+const handlePaymentError = (error, res, message) => {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      message: "Validation Error",
+      errors: error.errors.map((e) => e.message),
+      status: false,
+    });
+  }
+
+  console.error(error);
+  return res.status(500).json({
+    message,
+    error: error.message,
+    status: false,
+  });
+};
+
+const setSessionPrice = async (req, res) => {
+  try {
+    const { sessionPrice } = SessionPriceSchema.parse(req.body);
+    const priceInPaise = Math.round(sessionPrice * 100);
+
+    const therapist = await prisma.therapist.update({
+      where: { id: req.user.id },
+      data: { sessionPrice: priceInPaise || null },
+      select: { id: true, sessionPrice: true },
+    });
+
+    return res.status(200).json({
+      data: therapist,
+      message: "Session price updated successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handlePaymentError(error, res, "Error while updating session price");
+  }
+};
+
+const createBookingOrder = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+
+    const booking = await prisma.sessionBooking.findFirst({
+      where: { id: bookingId, studentId: req.user.id },
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        message: "Booking not found",
+        status: false,
+      });
+    }
+
+    if (
+      booking.status !== "PENDING_PAYMENT" ||
+      !booking.paymentDueAt ||
+      booking.paymentDueAt <= new Date()
+    ) {
+      return res.status(400).json({
+        message: "This booking is not awaiting payment",
+        status: false,
+      });
+    }
+
+    // Reuse the open order so retries do not create duplicate charges
+    let payment = await prisma.payment.findFirst({
+      where: { bookingId: booking.id, status: "CREATED" },
+    });
+
+    if (!payment) {
+      const order = await getRazorpayClient().orders.create({
+        amount: booking.price,
+        currency: "INR",
+        receipt: booking.id,
+        notes: { bookingId: booking.id },
+      });
+
+      payment = await prisma.payment.create({
+        data: {
+          amount: order.amount,
+          currency: order.currency,
+          razorpayOrderId: order.id,
+          bookingId: booking.id,
+          studentId: booking.studentId,
+          therapistId: booking.therapistId,
+        },
+      });
+    }
+
+    return res.status(200).json({
+      data: {
+        orderId: payment.razorpayOrderId,
+        amount: payment.amount,
+        currency: payment.currency,
+        keyId: process.env.RAZORPAY_KEY_ID,
+        bookingId: booking.id,
+        paymentDueAt: booking.paymentDueAt,
+      },
+      message: "Payment order created successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handlePaymentError(error, res, "Error while creating payment order");
+  }
+};
+
+// Returns true when the captured money has nowhere to go and must be refunded
+const applyPaymentCaptured = async (prisma, payment, entity) => {
+  if (payment.status === "CAPTURED" || payment.status === "REFUNDED") {
+    return false;
+  }
+
+  await prisma.payment.update({
+    where: { id: payment.id },
+    data: {
+      status: "CAPTURED",
+      razorpayPaymentId: entity.id,
+      capturedAt: new Date(),
+      failureReason: null,
+    },
+  });
+
+  const booking = await prisma.sessionBooking.findUnique({
+    where: { id: payment.bookingId },
+  });
+
+  if (booking.status === "PENDING_PAYMENT") {
+    await prisma.sessionBooking.update({
+      where: { id: booking.id },
+      data: { status: "BOOKED", paymentDueAt: null },
+    });
+    await acceptBookingConversation(prisma, booking.conversationId);
+    return false;
+  }
+
+  // The hold expired just before the payment landed: keep the session if
+  // nothing booked since overlaps it, otherwise the payment is refunded
+  if (
+    booking.status === "CANCELLED" &&
+    !booking.cancelledBy &&
+    booking.startTime > new Date() &&
+    (await isSlotFree(prisma, booking.therapistId, booking))
+  ) {
+    await prisma.sessionBooking.update({
+      where: { id: booking.id },
+      data: {
+        status: "BOOKED",
+        slotKey: buildSlotKey(booking.therapistId, booking.startTime),
+        paymentDueAt: null,
+        cancellationReason: null,
+        cancelledAt: null,
+      },
+    });
+    await acceptBookingConversation(prisma, booking.conversationId);
+    return false;
+  }
+
+  return true;
+};
+
+const applyPaymentFailed = (prisma, payment, entity) => {
+  if (payment.status !== "CREATED") return;
+
+  return prisma.payment.update({
+    where: { id: payment.id },
+    data: {
+      status: "FAILED",
+      razorpayPaymentId: entity.id,
+      failureReason: entity.error_description || null,
+    },
+  });
+};
+
+const applyRefundProcessed = (prisma, payment, entity) => {
+  const refundedAmount = Math.min(
+    payment.amount,
+    payment.refundedAmount + (entity.amount || 0)
+  );
+
+  return prisma.payment.update({
+    where: { id: payment.id },
+    data: {
+      refundedAmount,
+      refundedAt: new Date(),
+      ...(refundedAmount >= payment.amount && { status: "REFUNDED" }),
+    },
+  });
+};
+
+const findPaymentForEvent = ({ payment, refund }) => {
+  if (payment?.entity?.order_id) {
+    return prisma.payment.findUnique({
+      where: { razorpayOrderId: payment.entity.order_id },
+    });
+  }
+  if (refund?.entity?.payment_id) {
+    return prisma.payment.findUnique({
+      where: { razorpayPaymentId: refund.entity.payment_id },
+    });
+  }
+  return null;
+};
+
+const handleRazorpayWebhook = async (req, res) => {
+  try {
+    if (
+      !verifyWebhookSignature(req.rawBody, req.header("x-razorpay-signature"))
+    ) {
+      return res.status(400).json({
+        message: "Invalid webhook signature",
+        status: false,
+      });
+    }
+
+    const { event, payload = {} } = req.body;
+    const paymentEntity = payload.payment?.entity;
+    const refundEntity = payload.refund?.entity;
+    const eventId =
+      req.header("x-razorpay-event-id") ||
+      `${event}:${refundEntity?.id || paymentEntity?.id}`;
+
+    const payment = await findPaymentForEvent(payload);
+
+    let needsRefund = false;
+    try {
+      // Serializable so restoring an expired hold cannot race a new booking
+      await prisma.$transaction(
+        async (prisma) => {
+          // The unique event id makes Razorpay's retries a no-op
+          await prisma.paymentEvent.create({
+            data: {
+              razorpayEventId: eventId,
+              event,
+              payload: req.body,
+              paymentId: payment?.id,
+            },
+          });
+
+          if (!payment) return;
+
+          switch (event) {
+            case "payment.captured":
+              needsRefund = await applyPaymentCaptured(
+                prisma,
+                payment,
+                paymentEntity
+              );
+              break;
+            case "payment.failed":
+              await applyPaymentFailed(prisma, payment, paymentEntity);
+              break;
+            case "refund.processed":
+              await applyRefundProcessed(prisma, payment, refundEntity);
+              break;
+          }
+        },
+        { isolationLevel: "Serializable" }
+      );
+    } catch (error) {
+      if (
+        error.code === "P2002" &&
+        error.meta?.target?.includes("razorpayEventId")
+      ) {
+        return res.status(200).json({
+          message: "Event already processed",
+          status: true,
+        });
+      }
+      throw error;
+    }
+
+    if (needsRefund) {
+      try {
+        await getRazorpayClient().payments.refund(paymentEntity.id, {
+          amount: paymentEntity.amount,
+          notes: { bookingId: payment.bookingId, reason: "Slot unavailable" },
+        });
+      } catch (error) {
+        console.error(`Failed to refund payment ${payment.id}:`, error);
+      }
+    }
+
+    return res.status(200).json({
+      message: "Webhook processed successfully",
+      status: true,
+    });
+  } catch (error) {
+    // A 5xx makes Razorpay retry the delivery later
+    return handlePaymentError(error, res, "Error while processing webhook");
+  }
+};
+
+const getEarningsReport = async (req, res) => {
+  try {
+    const { from, to } = EarningsQuerySchema.parse(req.query);
+
+    const where = {
+      status: { in: ["CAPTURED", "REFUNDED"] },
+      ...((from || to) && {
+        capturedAt: {
+          ...(from && { gte: new Date(from) }),
+          ...(to && { lte: new Date(to) }),
+        },
+      }),
+    };
+
+    const grouped = await prisma.payment.groupBy({
+      by: ["therapistId"],
+      where,
+      _sum: { amount: true, refundedAmount: true },
+      _count: { _all: true },
+    });
+
+    const therapists = await prisma.therapist.findMany({
+      where: { id: { in: grouped.map((row) => row.therapistId) } },
+      select: { id: true, userName: true },
+    });
+    const therapistNames = Object.fromEntries(
+      therapists.map((therapist) => [therapist.id, therapist.userName])
+    );
+
+    const byTherapist = grouped
+      .map((row) => {
+        const gross = row._sum.amount || 0;
+        const refunded = row._sum.refundedAmount || 0;
+        return {
+          therapistId: row.therapistId,
+          therapistName: therapistNames[row.therapistId] || null,
+          payments: row._count._all,
+          gross,
+          refunded,
+          net: gross - refunded,
+        };
+      })
+      .sort((a, b) => b.net - a.net);
+
+    const totals = byTherapist.reduce(
+      (sum, row) => ({
+        payments: sum.payments + row.payments,
+        gross: sum.gross + row.gross,
+        refunded: sum.refunded + row.refunded,
+        net: sum.net + row.net,
+      }),
+      { payments: 0, gross: 0, refunded: 0, net: 0 }
+    );
+
+    return res.status(200).json({
+      data: {
+        currency: "INR",
+        unit: "paise",
+        from: from || null,
+        to: to || null,
+        totals,
+        byTherapist,
+      },
+      message: "Earnings report fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handlePaymentError(error, res, "Error while fetching earnings");
+  }
+};
+
+export {
+  setSessionPrice,
+  createBookingOrder,
+  handleRazorpayWebhook,
+  getEarningsReport,
+};
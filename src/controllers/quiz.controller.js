@@ -4,6 +4,32 @@ import {
   deleteSingleObjectFromS3,
   handleSingleUpload,
 } from "./aws.controller.js"; // Import S3 functions
+import { notifyUsers } from "../utils/notifications.js";
+import {
+  COMPLETED_SESSION_STATUSES,
+  checkRetakePolicy,
+  finalizeQuizSession,
+  isSessionOverdue,
+} from "../utils/quizSessions.js";
+import {
+  QUESTION_TYPES,
+  getCorrectAnswer,
+  getOptionImageUrls,
+  getQuestionOptions,
+  isCorrectResponse,
+  parseStoredResponse,
+  serializeResponse,
+  toQuestionData,
+  toStudentQuestion,
+  validateResponse,
+} from "../utils/quizQuestions.js";
+import {
+  ANONYMOUS_NAME,
+  LEADERBOARD_PERIODS,
+  getClassKey,
+  getPeriodStart,
+  getSchoolKey,
+} from "../utils/leaderboard.js";
 
 // Enhanced validation schema for Quiz
 const CreateQuizSchema = z.object({
@@ -17,44 +43,503 @@ const CreateQuizSchema = z.object({
     .max(1000, { message: "Description cannot exceed 1000 characters" }),
   imageUrl: z.string().optional(), // Image URL is now optional in the schema
   totalQuestions: z.number().int().min(1).optional(), // Total questions can be updated later
+  timeLimitSeconds: z
+    .number()
+    .int()
+    .min(30, { message: "Time limit must be at least 30 seconds" })
+    .max(4 * 60 * 60, { message: "Time limit cannot exceed 4 hours" })
+    .nullable()
+    .optional(),
+  retakePolicy: z.enum(["NONE", "LIMITED", "UNLIMITED"]).optional(),
+  maxAttempts: z
+    .number()
+    .int()
+    .min(1, { message: "Max attempts must be at least 1" })
+    .nullable()
+    .optional(),
+  retakeCooldownMinutes: z.number().int().min(0).nullable().optional(),
+}).refine((quiz) => quiz.retakePolicy !== "LIMITED" || quiz.maxAttempts, {
+  message: "Max attempts is required when retakes are limited",
+  path: ["maxAttempts"],
 });
 
-// Enhanced validation schema for Quiz Questions
-const CreateQuizQuestionSchema = z.object({
-  question: z
-    .string()
-    .min(5, { message: "Question must be at least 5 characters long" })
-    .max(500, { message: "Question cannot exceed 500 characters" }),
-  option1: z
-    .string()
-    .min(1, { message: "Option 1 cannot be empty" })
-    .max(200, { message: "Option 1 cannot exceed 200 characters" }),
-  option2: z
-    .string()
-    .min(1, { message: "Option 2 cannot be empty" })
-    .max(200, { message: "Option 2 cannot exceed 200 characters" }),
-  option3: z
-    .string()
-    .min(1, { message: "Option 3 cannot be empty" })
-    .max(200, { message: "Option 3 cannot exceed 200 characters" }),
-  option4: z
-    .string()
-    .min(1, { message: "Option 4 cannot be empty" })
-    .max(200, { message: "Option 4 cannot exceed 200 characters" }),
-  answer: z.string().min(1, { message: "Answer cannot be empty" }),
-  id: z.string().uuid().optional(), // Include id for updating existing questions
+const QuizOptionSchema = z
+  .object({
+    id: z.string().min(1).max(50).optional(),
+    text: z
+      .string()
+      .min(1, { message: "Option text cannot be empty" })
+      .max(200, { message: "Option text cannot exceed 200 characters" })
+      .optional(),
+    // Uploaded through the usual presigned S3 flow (/aws/getputurl)
+    imageUrl: z
+      .string()
+      .url({ message: "Option image must be a URL" })
+      .optional(),
+  })
+  .refine((option) => option.text || option.imageUrl, {
+    message: "Each option needs text or an image",
+  });
+
+const FreeTextAnswerKeySchema = z.object({
+  acceptedAnswers: z
+    .array(z.string().trim().min(1))
+    .min(1, { message: "Add at least one accepted answer" }),
+  caseSensitive: z.boolean().optional(),
 });
 
+// Checks that the answer key fits the question type and its options
+const checkQuestionAnswerKey = (question, ctx) => {
+  const addIssue = (message, path = "answerKey") =>
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message, path: [path] });
+
+  const optionIds = (question.options || []).map((option) => option.id);
+  if (new Set(optionIds).size !== optionIds.length) {
+    return addIssue("Option ids must be unique", "options");
+  }
+
+  const { type, answerKey } = question;
+  const isOptionIdList = (value) =>
+    Array.isArray(value) &&
+    value.length > 0 &&
+    new Set(value).size === value.length &&
+    value.every((id) => optionIds.includes(id));
+
+  switch (type) {
+    case "SINGLE_CHOICE":
+      if (question.options) {
+        if (!optionIds.includes(answerKey)) {
+          addIssue("Answer key must be the id of one of the options");
+        }
+        return;
+      }
+      // Four-option question
+      ["option1", "option2", "option3", "option4"].forEach((field, index) => {
+        if (!question[field]) {
+          addIssue(`Option ${index + 1} cannot be empty`, field);
+        }
+      });
+      if (!question.answer) addIssue("Answer cannot be empty", "answer");
+      return;
+    case "MULTI_SELECT":
+    case "ORDERING":
+      if (!question.options) {
+        return addIssue("This question type needs options", "options");
+      }
+      if (!isOptionIdList(answerKey)) {
+        return addIssue("Answer key must be a list of option ids");
+      }
+      if (type === "ORDERING" && answerKey.length !== optionIds.length) {
+        addIssue("Answer key must list every option in the correct order");
+      }
+      return;
+    case "TRUE_FALSE":
+      if (question.options) {
+        addIssue("True/false questions don't take options", "options");
+      }
+      if (typeof answerKey !== "boolean") {
+        addIssue("Answer key must be true or false");
+      }
+      return;
+    case "FREE_TEXT":
+      if (question.options) {
+        addIssue("Free-text questions don't take options", "options");
+      }
+      if (!FreeTextAnswerKeySchema.safeParse(answerKey).success) {
+        addIssue("Answer key must list the accepted answers");
+      }
+      return;
+  }
+};
+
+// Enhanced validation schema for Quiz Questions. Requests without a `type`
+// are the original four-option questions.
+const CreateQuizQuestionSchema = z
+  .object({
+    type: z.enum(QUESTION_TYPES).default("SINGLE_CHOICE"),
+    question: z
+      .string()
+      .min(5, { message: "Question must be at least 5 characters long" })
+      .max(500, { message: "Question cannot exceed 500 characters" }),
+    imageUrl: z
+      .string()
+      .url({ message: "Question image must be a URL" })
+      .nullable()
+      .optional(),
+    option1: z
+      .string()
+      .max(200, { message: "Option 1 cannot exceed 200 characters" })
+      .optional(),
+    option2: z
+      .string()
+      .max(200, { message: "Option 2 cannot exceed 200 characters" })
+      .optional(),
+    option3: z
+      .string()
+      .max(200, { message: "Option 3 cannot exceed 200 characters" })
+      .optional(),
+    option4: z
+      .string()
+      .max(200, { message: "Option 4 cannot exceed 200 characters" })
+      .optional(),
+    answer: z.string().optional(),
+    options: z
+      .array(QuizOptionSchema)
+      .min(2, { message: "Add at least 2 options" })
+      .max(8, { message: "A question can have at most 8 options" })
+      // Options without an id are numbered in the order given
+      .transform((options) =>
+        options.map((option, index) => ({
+          ...option,
+          id: option.id || String(index + 1),
+        }))
+      )
+      .optional(),
+    answerKey: z.any().optional(),
+    explanation: z
+      .string()
+      .max(1000, { message: "Explanation cannot exceed 1000 characters" })
+      .nullable()
+      .optional(),
+    id: z.string().uuid().optional(), // Include id for updating existing questions
+  })
+  .superRefine(checkQuestionAnswerKey);
+
+const QuizQuestionsSchema = z
+  .array(CreateQuizQuestionSchema)
+  .max(100, { message: "A quiz can have at most 100 questions" });
+
+// Option id or text, true/false, a list of option ids, or free text
+const QuizAnswerSchema = z.union(
+  [
+    z.string().min(1, { message: "Answer cannot be empty" }),
+    z.boolean(),
+    z.array(z.string()),
+  ],
+  { errorMap: () => ({ message: "Invalid answer" }) }
+);
+
 const QuizAttemptSchema = z.object({
   quizId: z.string().uuid(),
   questionId: z.string().uuid(), // Add this line
-  answer: z.string().min(1, { message: "Answer cannot be empty" }),
+  answer: QuizAnswerSchema,
+});
+
+const SessionAnswerSchema = z.object({
+  questionId: z.string().uuid({ message: "Invalid question id" }),
+  answer: QuizAnswerSchema,
+});
+
+const SubmitSessionSchema = z.object({
+  // Lets a client send everything at once instead of answering as it goes
+  answers: z.array(SessionAnswerSchema).optional(),
 });
 
+const LeaderboardQuerySchema = z.object({
+  period: z
+    .enum(Object.keys(LEADERBOARD_PERIODS), {
+      message: "Period must be weekly, monthly or allTime",
+    })
+    .default("allTime"),
+  cohort: z
+    .enum(["all", "school", "class"], {
+      message: "Cohort must be all, school or class",
+    })
+    .default("all"),
+  page: z.string().transform(Number).default("1"),
+  limit: z.string().transform(Number).default("10"),
+});
+
+// Trimmed with inner whitespace collapsed so "St. Mary's " and "St.  Mary's"
+// land in the same cohort
+const cohortNameSchema = (label) =>
+  z
+    .string()
+    .trim()
+    .min(1, { message: `${label} cannot be empty` })
+    .max(100, { message: `${label} cannot exceed 100 characters` })
+    .transform((name) => name.replace(/\s+/g, " "))
+    .nullable()
+    .optional();
+
+const LeaderboardSettingsSchema = z.object({
+  schoolName: cohortNameSchema("School name"),
+  className: cohortNameSchema("Class name"),
+  hideFromLeaderboard: z.boolean().optional(),
+});
+
+const handleQuizError = (error, res, message) => {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      message: "Validation Error",
+      errors: error.errors.map((e) => e.message),
+      status: false,
+    });
+  }
+
+  console.error(error);
+  return res.status(500).json({
+    message,
+    error: error.message,
+    status: false,
+  });
+};
+
+/**
+ * Quiz reads are public; only admins (on the /admin routes) get answer keys.
+ * Everyone else gets active questions with answers stripped and options
+ * shuffled in a fixed order per quiz.
+ */
+const withVisibleQuestions = (quiz, req) => ({
+  ...quiz,
+  questions:
+    req.role === "admin"
+      ? quiz.questions.map((question) => ({
+          ...question,
+          // Four-option questions get the same `options` list as newer types
+          options: getQuestionOptions(question),
+        }))
+      : quiz.questions
+          .filter((question) => question.isActive)
+          .map((question) => toStudentQuestion(question, quiz.id)),
+});
+
+const withRemainingTime = (session, now = new Date()) => ({
+  ...session,
+  remainingSeconds:
+    session.status === "IN_PROGRESS" && session.expiresAt
+      ? Math.max(0, Math.ceil((session.expiresAt - now) / 1000))
+      : null,
+});
+
+/**
+ * Loads a session the student can still answer in. Sessions past their time
+ * limit are closed as EXPIRED on the way. Returns `{ session }` or
+ * `{ error: { status, message } }`.
+ */
+const loadOpenSession = async (sessionId, studentId) => {
+  const session = await prisma.quizSession.findFirst({
+    where: { id: sessionId, studentId },
+  });
+
+  if (!session) {
+    return { error: { status: 404, message: "Quiz session not found" } };
+  }
+  if (session.status !== "IN_PROGRESS") {
+    return {
+      error: { status: 409, message: "This quiz session is already finished" },
+    };
+  }
+  if (isSessionOverdue(session)) {
+    await finalizeQuizSession(session.id, "EXPIRED");
+    return {
+      error: { status: 409, message: "Time is up for this quiz session" },
+    };
+  }
+  return { session };
+};
+
+/**
+ * Returns the student's running session for a quiz, or starts a new one if
+ * the retake policy allows it. Returns `{ session, resumed }` or
+ * `{ error: { status, message, retryAt? } }`.
+ */
+const openQuizSession = async (quiz, studentId) => {
+  const current = await prisma.quizSession.findFirst({
+    where: { studentId, quizId: quiz.id, status: "IN_PROGRESS" },
+  });
+
+  if (current) {
+    if (!isSessionOverdue(current)) return { session: current, resumed: true };
+    await finalizeQuizSession(current.id, "EXPIRED");
+  }
+
+  const sessions = await prisma.quizSession.findMany({
+    where: { studentId, quizId: quiz.id },
+    select: { status: true, attemptNumber: true, submittedAt: true },
+  });
+
+  const eligibility = checkRetakePolicy(
+    quiz,
+    sessions.filter((s) => COMPLETED_SESSION_STATUSES.includes(s.status))
+  );
+  if (!eligibility.allowed) {
+    return {
+      error: {
+        status: 403,
+        message: eligibility.message,
+        retryAt: eligibility.retryAt,
+      },
+    };
+  }
+
+  const now = new Date();
+  try {
+    const session = await prisma.quizSession.create({
+      data: {
+        studentId,
+        quizId: quiz.id,
+        attemptNumber:
+          Math.max(0, ...sessions.map((s) => s.attemptNumber)) + 1,
+        startedAt: now,
+        expiresAt: quiz.timeLimitSeconds
+          ? new Date(now.getTime() + quiz.timeLimitSeconds * 1000)
+          : null,
+      },
+    });
+    return { session, resumed: false };
+  } catch (error) {
+    // Two starts raced for the same attempt number
+    if (error.code === "P2002") {
+      return {
+        error: { status: 409, message: "A quiz session was just started" },
+      };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Records (or changes) an answer inside a running session. Returns
+ * `{ question, isCorrect }`, `{ error }` when the answer doesn't fit the
+ * question, or null when the question isn't part of the quiz.
+ */
+const recordSessionAnswer = async (
+  session,
+  { questionId, answer: response }
+) => {
+  const question = await prisma.quizQuestion.findFirst({
+    where: { id: questionId, quizId: session.quizId, isActive: true },
+  });
+  if (!question) return null;
+
+  const invalid = validateResponse(question, response);
+  if (invalid) return { error: invalid };
+
+  const isCorrect = isCorrectResponse(question, response);
+  const answer = serializeResponse(response);
+  await prisma.quizAttempt.upsert({
+    where: { sessionId_questionId: { sessionId: session.id, questionId } },
+    create: {
+      studentId: session.studentId,
+      quizId: session.quizId,
+      questionId,
+      sessionId: session.id,
+      answer,
+      isCorrect,
+    },
+    update: { answer, isCorrect, attemptedAt: new Date() },
+  });
+  return { question, isCorrect };
+};
+
+// Answers saved so far in a running session, without their correctness
+const getSavedAnswers = async (sessionId) => {
+  const attempts = await prisma.quizAttempt.findMany({
+    where: { sessionId },
+    select: {
+      questionId: true,
+      answer: true,
+      question: { select: { type: true } },
+    },
+  });
+
+  return attempts.map(({ questionId, answer, question }) => ({
+    questionId,
+    answer: parseStoredResponse(question, answer),
+  }));
+};
+
+/**
+ * Per-question breakdown of a finished session. Correct answers and
+ * explanations are only revealed in the submission response.
+ */
+const getSessionResults = async (session, { revealAnswers = false } = {}) => {
+  const [questions, answers] = await Promise.all([
+    prisma.quizQuestion.findMany({
+      where: { quizId: session.quizId, isActive: true },
+      orderBy: { createdAt: "asc" },
+    }),
+    prisma.quizAttempt.findMany({
+      where: { sessionId: session.id },
+      select: { questionId: true, answer: true, isCorrect: true },
+    }),
+  ]);
+  const answerByQuestion = new Map(answers.map((a) => [a.questionId, a]));
+
+  return questions.map((question) => {
+    const given = answerByQuestion.get(question.id);
+    return {
+      ...toStudentQuestion(question, session.id),
+      yourAnswer: given ? parseStoredResponse(question, given.answer) : null,
+      isCorrect: given?.isCorrect ?? false,
+      ...(revealAnswers && {
+        correctAnswer: getCorrectAnswer(question),
+        explanation: question.explanation,
+      }),
+    };
+  });
+};
+
+const getQuestionImageUrls = (question) =>
+  [question.imageUrl, ...getOptionImageUrls(question)].filter(Boolean);
+
+const deleteQuestionImages = async (imageUrls) => {
+  for (const imageUrl of imageUrls) {
+    try {
+      await deleteSingleObjectFromS3(imageUrl);
+    } catch (s3Error) {
+      console.error("Error deleting question image from S3:", s3Error);
+      // Continue execution even if image deletion fails
+    }
+  }
+};
+
+// Students are notified a page at a time so no single query or insert grows
+// with the size of the student base
+const QUIZ_NOTIFICATION_BATCH_SIZE = 1000;
+
+const sendQuizPublishedNotifications = async (quiz) => {
+  let cursor;
+  for (;;) {
+    const students = await prisma.student.findMany({
+      select: { id: true },
+      orderBy: { id: "asc" },
+      take: QUIZ_NOTIFICATION_BATCH_SIZE,
+      ...(cursor && { skip: 1, cursor: { id: cursor } }),
+    });
+    if (!students.length) return;
+
+    await notifyUsers(
+      students.map(({ id }) => ({ id, userType: "student" })),
+      {
+        type: "QUIZ_PUBLISHED",
+        title: "New quiz available",
+        body: quiz.title,
+        data: { quizId: quiz.id },
+      }
+    );
+
+    if (students.length < QUIZ_NOTIFICATION_BATCH_SIZE) return;
+    cursor = students[students.length - 1].id;
+  }
+};
+
+// Lets every student know a quiz has gone live. Runs in the background: the
+// quiz is already saved, so the admin's request neither waits for the
+// fan-out nor fails with it.
+const notifyQuizPublished = (quiz) => {
+  sendQuizPublishedNotifications(quiz).catch((error) =>
+    console.error(`Failed to notify students about quiz ${quiz.id}:`, error)
+  );
+};
+
 // Enhanced quiz controller
 const createQuiz = async (req, res) => {
   try {
     const validated = CreateQuizSchema.parse(req.body);
+    // Questions can be sent along with the quiz or added one by one later
+    const questions = QuizQuestionsSchema.optional().parse(req.body.questions);
 
     let imageUrl = req.body.imageUrl || null;
 
@@ -72,9 +557,18 @@ const createQuiz = async (req, res) => {
       data: {
         ...validated,
         imageUrl: imageUrl,
+        ...(questions?.length && {
+          totalQuestions: questions.length,
+          questions: { create: questions.map(toQuestionData) },
+        }),
       },
+      include: { questions: true },
     });
 
+    if (newQuiz.isActive) {
+      notifyQuizPublished(newQuiz);
+    }
+
     return res.status(201).json({
       data: newQuiz,
       message: "Quiz created successfully",
@@ -115,7 +609,7 @@ const addQuizQuestion = async (req, res) => {
 
     const newQuizQuestion = await prisma.quizQuestion.create({
       data: {
-        ...validated,
+        ...toQuestionData(validated),
         quizId: quizId,
       },
     });
@@ -183,7 +677,7 @@ const getQuizzes = async (req, res) => {
     const hasPreviousPage = pageNumber > 1;
 
     return res.status(200).json({
-      data: quizzes,
+      data: quizzes.map((quiz) => withVisibleQuestions(quiz, req)),
       pagination: {
         totalQuizzes,
         totalPages,
@@ -267,23 +761,34 @@ const editQuiz = async (req, res) => {
         const validatedQuestion = CreateQuizQuestionSchema.parse(questionData);
 
         if (validatedQuestion.id) {
+          const existingQuestion = await prisma.quizQuestion.findFirst({
+            where: { id: validatedQuestion.id, quizId: id },
+          });
+
+          if (!existingQuestion) {
+            return res.status(404).json({
+              message: "Quiz question not found",
+              status: false,
+            });
+          }
+
           // Update existing question
-          await prisma.quizQuestion.update({
+          const updatedQuestion = await prisma.quizQuestion.update({
             where: { id: validatedQuestion.id },
-            data: {
-              question: validatedQuestion.question,
-              option1: validatedQuestion.option1,
-              option2: validatedQuestion.option2,
-              option3: validatedQuestion.option3,
-              option4: validatedQuestion.option4,
-              answer: validatedQuestion.answer,
-            },
+            data: toQuestionData(validatedQuestion),
           });
+
+          const keptImages = getQuestionImageUrls(updatedQuestion);
+          await deleteQuestionImages(
+            getQuestionImageUrls(existingQuestion).filter(
+              (url) => !keptImages.includes(url)
+            )
+          );
         } else {
           // Create new question
           await prisma.quizQuestion.create({
             data: {
-              ...validatedQuestion,
+              ...toQuestionData(validatedQuestion),
               quizId: id,
             },
           });
@@ -312,18 +817,16 @@ const editQuiz = async (req, res) => {
   }
 };
 
+// Answers one question at a time for older clients. The answer goes into the
+// student's running session, which is submitted once every question has an
+// answer; quizScore is only ever updated by scoring a whole session. Whether
+// an answer was right is only revealed with the submitted session's results.
 const submitQuizAttempt = async (req, res) => {
   try {
     const studentId = req.user.id; // Assuming you have authentication middleware
     const { quizId, questionId, answer } = QuizAttemptSchema.parse(req.body);
 
-    // Get the quiz to check the correct answer
-    const quiz = await prisma.quiz.findUnique({
-      where: { id: quizId },
-      include: {
-        questions: true, // Include questions to find the correct answer
-      },
-    });
+    const quiz = await prisma.quiz.findUnique({ where: { id: quizId } });
 
     if (!quiz) {
       return res.status(404).json({
@@ -332,23 +835,25 @@ const submitQuizAttempt = async (req, res) => {
       });
     }
 
-    // Find the question being answered
-    const question = quiz.questions.find((q) => q.id === questionId);
+    if (!quiz.isActive) {
+      return res.status(403).json({
+        message: "This quiz is not currently active",
+        status: false,
+      });
+    }
 
-    if (!question) {
-      return res.status(404).json({
-        message: "Question not found in the quiz",
+    const { session, error } = await openQuizSession(quiz, studentId);
+    if (error) {
+      return res.status(error.status).json({
+        message: error.message,
+        retryAt: error.retryAt,
         status: false,
       });
     }
 
     // Check if the student has already attempted this question
     const existingAttempt = await prisma.quizAttempt.findFirst({
-      where: {
-        studentId,
-        quizId,
-        questionId,
-      },
+      where: { sessionId: session.id, questionId },
     });
 
     if (existingAttempt) {
@@ -358,91 +863,74 @@ const submitQuizAttempt = async (req, res) => {
       });
     }
 
-    // Create the attempt
-    const isCorrect = answer === question.answer;
+    const recorded = await recordSessionAnswer(session, { questionId, answer });
 
-    await prisma.quizAttempt.create({
-      data: {
-        studentId,
-        quizId,
-        questionId,
-        answer,
-        isCorrect,
-      },
-    });
-
-    // If answer is correct, increment student's quiz score
-    if (isCorrect) {
-      // Calculate how many questions the student has correctly answered in this quiz
-      const correctAnswersCount = await prisma.quizAttempt.count({
-        where: {
-          studentId,
-          quizId,
-          isCorrect: true,
-        },
+    if (!recorded) {
+      return res.status(404).json({
+        message: "Question not found in the quiz",
+        status: false,
       });
+    }
 
-      // Get total number of questions in the quiz
-      const totalQuestionsInQuiz = quiz.questions.length;
-
-      // Calculate the percentage score for this quiz (rounded to 2 decimal places)
-      const quizScore = Math.round(
-        (correctAnswersCount / totalQuestionsInQuiz) * 100
-      );
-
-      // Update the student's quiz score
-      await prisma.student.update({
-        where: {
-          id: studentId,
-        },
-        data: {
-          quizScore: { increment: 1 }, // Add 1 point for each correct answer
-        },
+    if (recorded.error) {
+      return res.status(400).json({
+        message: recorded.error,
+        status: false,
       });
+    }
 
-      // Get student's updated total quiz score for response
-      const updatedStudent = await prisma.student.findUnique({
-        where: { id: studentId },
-        select: { quizScore: true },
-      });
+    const [answeredCount, totalQuestionsInQuiz] = await Promise.all([
+      prisma.quizAttempt.count({ where: { sessionId: session.id } }),
+      prisma.quizQuestion.count({ where: { quizId, isActive: true } }),
+    ]);
 
-      return res.status(200).json({
-        message: "You have given the correct answer",
-        isCorrect: true,
-        quizProgress: {
-          correctAnswers: correctAnswersCount,
-          totalQuestions: totalQuestionsInQuiz,
-          percentageComplete: `${quizScore}%`,
-        },
-        totalScore: updatedStudent.quizScore,
-        status: true,
-      });
-    } else {
-      // Get current quiz progress even if answer is incorrect
-      const correctAnswersCount = await prisma.quizAttempt.count({
-        where: {
-          studentId,
-          quizId,
-          isCorrect: true,
-        },
-      });
+    // Correctness stays hidden while the session is open; otherwise the
+    // answer could be changed through the session API until it is right
+    const finished =
+      answeredCount >= totalQuestionsInQuiz
+        ? await finalizeQuizSession(session.id)
+        : null;
 
-      const totalQuestionsInQuiz = quiz.questions.length;
-      const quizScore = Math.round(
-        (correctAnswersCount / totalQuestionsInQuiz) * 100
-      );
+    const student = await prisma.student.findUnique({
+      where: { id: studentId },
+      select: { quizScore: true },
+    });
 
+    if (!finished) {
       return res.status(200).json({
-        message: "You have given the wrong answer",
-        isCorrect: false,
+        message: "Answer saved. Results are shown once the quiz is complete",
         quizProgress: {
-          correctAnswers: correctAnswersCount,
+          answeredQuestions: answeredCount,
           totalQuestions: totalQuestionsInQuiz,
-          percentageComplete: `${quizScore}%`,
         },
+        totalScore: student.quizScore,
+        sessionId: session.id,
+        sessionStatus: session.status,
         status: true,
       });
     }
+
+    // Rescoring on submit is authoritative for this answer too
+    const results = await getSessionResults(finished, { revealAnswers: true });
+    const result = results.find((r) => r.id === questionId);
+
+    return res.status(200).json({
+      message: result?.isCorrect
+        ? "You have given the correct answer"
+        : "You have given the wrong answer",
+      isCorrect: Boolean(result?.isCorrect),
+      explanation: recorded.question.explanation,
+      quizProgress: {
+        correctAnswers: finished.correctAnswers,
+        totalQuestions: finished.totalQuestions,
+        percentageComplete: `${finished.score}%`,
+      },
+      results,
+      totalScore: student.quizScore,
+      sessionId: session.id,
+      sessionStatus: finished.status,
+      status: true,
+    });
   } catch (error) {
     if (error instanceof z.ZodError) {
       return res.status(400).json({
@@ -459,6 +947,293 @@ const submitQuizAttempt = async (req, res) => {
   }
 };
 
+const startQuizSession = async (req, res) => {
+  try {
+    const studentId = req.user.id;
+    const { quizId } = req.params;
+
+    const quiz = await prisma.quiz.findUnique({
+      where: { id: quizId },
+      include: {
+        questions: {
+          where: { isActive: true },
+          orderBy: { createdAt: "asc" },
+        },
+      },
+    });
+
+    if (!quiz) {
+      return res.status(404).json({
+        message: "Quiz not found",
+        status: false,
+      });
+    }
+
+    if (!quiz.isActive) {
+      return res.status(403).json({
+        message: "This quiz is not currently active",
+        status: false,
+      });
+    }
+
+    if (!quiz.questions.length) {
+      return res.status(400).json({
+        message: "This quiz has no questions yet",
+        status: false,
+      });
+    }
+
+    const { session, resumed, error } = await openQuizSession(
+      quiz,
+      studentId
+    );
+    if (error) {
+      return res.status(error.status).json({
+        message: error.message,
+        retryAt: error.retryAt,
+        status: false,
+      });
+    }
+
+    const answers = resumed ? await getSavedAnswers(session.id) : [];
+
+    const { questions, ...quizDetails } = quiz;
+
+    return res.status(resumed ? 200 : 201).json({
+      data: {
+        session: withRemainingTime(session),
+        quiz: quizDetails,
+        questions: questions.map((question) =>
+          toStudentQuestion(question, session.id)
+        ),
+        answers,
+      },
+      message: resumed
+        ? "Quiz session resumed successfully"
+        : "Quiz session started successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleQuizError(
+      error,
+      res,
+      "Error while starting quiz session"
+    );
+  }
+};
+
+const answerQuizQuestion = async (req, res) => {
+  try {
+    const data = SessionAnswerSchema.parse(req.body);
+
+    const { session, error } = await loadOpenSession(
+      req.params.sessionId,
+      req.user.id
+    );
+    if (error) {
+      return res.status(error.status).json({
+        message: error.message,
+        status: false,
+      });
+    }
+
+    const recorded = await recordSessionAnswer(session, data);
+
+    if (!recorded) {
+      return res.status(404).json({
+        message: "Question not found in the quiz",
+        status: false,
+      });
+    }
+
+    if (recorded.error) {
+      return res.status(400).json({
+        message: recorded.error,
+        status: false,
+      });
+    }
+
+    const [answeredCount, totalQuestions] = await Promise.all([
+      prisma.quizAttempt.count({ where: { sessionId: session.id } }),
+      prisma.quizQuestion.count({
+        where: { quizId: session.quizId, isActive: true },
+      }),
+    ]);
+
+    // Correctness is only revealed once the session is submitted
+    return res.status(200).json({
+      data: {
+        session: withRemainingTime(session),
+        answeredCount,
+        totalQuestions,
+      },
+      message: "Answer saved successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleQuizError(error, res, "Error while saving answer");
+  }
+};
+
+const submitQuizSession = async (req, res) => {
+  try {
+    const { answers = [] } = SubmitSessionSchema.parse(req.body || {});
+    const studentId = req.user.id;
+
+    const session = await prisma.quizSession.findFirst({
+      where: { id: req.params.sessionId, studentId },
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        message: "Quiz session not found",
+        status: false,
+      });
+    }
+
+    if (session.status !== "IN_PROGRESS") {
+      return res.status(409).json({
+        message: "This quiz session is already finished",
+        status: false,
+      });
+    }
+
+    let finished;
+    if (isSessionOverdue(session)) {
+      // Answers sent after the deadline don't count
+      finished = await finalizeQuizSession(session.id, "EXPIRED");
+    } else {
+      for (const answer of answers) {
+        const recorded = await recordSessionAnswer(session, answer);
+        if (!recorded) {
+          return res.status(404).json({
+            message: "Question not found in the quiz",
+            status: false,
+          });
+        }
+        if (recorded.error) {
+          return res.status(400).json({
+            message: recorded.error,
+            status: false,
+          });
+        }
+      }
+      finished = await finalizeQuizSession(session.id);
+    }
+
+    const [results, student] = await Promise.all([
+      getSessionResults(finished, { revealAnswers: true }),
+      prisma.student.findUnique({
+        where: { id: studentId },
+        select: { quizScore: true },
+      }),
+    ]);
+
+    return res.status(200).json({
+      data: {
+        session: withRemainingTime(finished),
+        results,
+        totalScore: student.quizScore,
+      },
+      message:
+        finished.status === "EXPIRED"
+          ? "Time ran out; your quiz was scored on the answers saved in time"
+          : "Quiz submitted successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleQuizError(error, res, "Error while submitting quiz");
+  }
+};
+
+const getQuizSession = async (req, res) => {
+  try {
+    let session = await prisma.quizSession.findFirst({
+      where: { id: req.params.sessionId, studentId: req.user.id },
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        message: "Quiz session not found",
+        status: false,
+      });
+    }
+
+    if (session.status === "IN_PROGRESS" && isSessionOverdue(session)) {
+      session = await finalizeQuizSession(session.id, "EXPIRED");
+    }
+
+    const data =
+      session.status === "IN_PROGRESS"
+        ? {
+            session: withRemainingTime(session),
+            answers: await getSavedAnswers(session.id),
+          }
+        : {
+            session: withRemainingTime(session),
+            results: await getSessionResults(session),
+          };
+
+    return res.status(200).json({
+      data,
+      message: "Quiz session fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleQuizError(
+      error,
+      res,
+      "Error while fetching quiz session"
+    );
+  }
+};
+
+const getMyQuizSessions = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, quizId } = req.query;
+    const pageNumber = Math.max(Number(page), 1);
+    const pageSize = Math.min(Number(limit), 50);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const where = { studentId: req.user.id, ...(quizId && { quizId }) };
+
+    const [sessions, totalSessions] = await Promise.all([
+      prisma.quizSession.findMany({
+        where,
+        orderBy: { startedAt: "desc" },
+        skip,
+        take: pageSize,
+        include: {
+          quiz: { select: { id: true, title: true, imageUrl: true } },
+        },
+      }),
+      prisma.quizSession.count({ where }),
+    ]);
+
+    const totalPages = Math.ceil(totalSessions / pageSize);
+
+    return res.status(200).json({
+      data: sessions.map((session) => withRemainingTime(session)),
+      pagination: {
+        currentPage: pageNumber,
+        pageSize,
+        totalSessions,
+        totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPreviousPage: pageNumber > 1,
+      },
+      message: "Quiz sessions fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleQuizError(
+      error,
+      res,
+      "Error while fetching quiz sessions"
+    );
+  }
+};
+
 const getStudentQuizResults = async (req, res) => {
   try {
     const studentId = req.user.id; // Assuming you have authentication middleware
@@ -502,94 +1277,94 @@ const getStudentQuizResults = async (req, res) => {
 
 const getLeaderboard = async (req, res) => {
   try {
-    const { limit = 10, page = 1 } = req.query;
-    const pageNumber = Math.max(Number(page), 1);
-    const pageSize = Math.min(Number(limit), 50); // Limit max results to 50
+    const { period: periodParam, cohort, page, limit } =
+      LeaderboardQuerySchema.parse(req.query);
+    const period = LEADERBOARD_PERIODS[periodParam];
+    const pageNumber = Math.max(page, 1);
+    const pageSize = Math.min(limit, 50); // Limit max results to 50
     const skip = (pageNumber - 1) * pageSize;
 
-    // Get current user ID if authenticated
-    const currentUserId = req.user?.id;
-
-    // Get top students ordered by quiz score
-    const topStudents = await prisma.student.findMany({
-      select: {
-        id: true,
-        fullName: true,
-        userName: true,
-        studentImage: true,
-        quizScore: true,
-      },
-      orderBy: {
-        quizScore: "desc",
-      },
-      skip: skip,
-      take: pageSize,
-    });
-
-    // Get total count for pagination
-    const totalStudents = await prisma.student.count();
-
-    // Calculate pagination values
-    const totalPages = Math.ceil(totalStudents / pageSize);
-    const hasNextPage = pageNumber < totalPages;
-    const hasPreviousPage = pageNumber > 1;
+    const currentUserId = req.user.id;
+
+    // Ranks come from the snapshot the leaderboard job last built
+    const where = { period };
+    let rankField = "rank";
+    if (cohort === "school") {
+      where.schoolKey = getSchoolKey(req.user);
+      rankField = "schoolRank";
+    } else if (cohort === "class") {
+      where.classKey = getClassKey(req.user);
+      rankField = "classRank";
+    }
 
-    // If user is authenticated, get their rank
-    let currentUserRank = null;
-    if (currentUserId) {
-      // Count students with higher quiz scores
-      const higherRankedCount = await prisma.student.count({
-        where: {
-          quizScore: {
-            gt:
-              (
-                await prisma.student.findUnique({
-                  where: { id: currentUserId },
-                  select: { quizScore: true },
-                })
-              )?.quizScore || 0,
-          },
-        },
+    if (cohort !== "all" && !where[`${cohort}Key`]) {
+      return res.status(400).json({
+        message: `Add your ${cohort} in leaderboard settings to see this leaderboard`,
+        status: false,
       });
+    }
 
-      // Get the current user's data
-      const currentUser = await prisma.student.findUnique({
-        where: { id: currentUserId },
-        select: {
-          id: true,
-          fullName: true,
-          userName: true,
-          studentImage: true,
-          quizScore: true,
+    const [entries, totalStudents, ownEntry] = await Promise.all([
+      prisma.leaderboardSnapshot.findMany({
+        where,
+        orderBy: [{ [rankField]: "asc" }, { studentId: "asc" }],
+        skip,
+        take: pageSize,
+        include: {
+          student: {
+            select: {
+              id: true,
+              fullName: true,
+              userName: true,
+              studentImage: true,
+              hideFromLeaderboard: true,
+            },
+          },
         },
-      });
+      }),
+      prisma.leaderboardSnapshot.count({ where }),
+      prisma.leaderboardSnapshot.findFirst({
+        where: { ...where, studentId: currentUserId },
+      }),
+    ]);
 
-      if (currentUser) {
-        // Rank is position (1-based index)
-        const rank = higherRankedCount + 1;
-        currentUserRank = {
-          rank,
-          ...currentUser,
-        };
-      }
-    }
+    // Opted-out students keep their place but not their name; everyone
+    // still sees themselves
+    const toLeaderboardRow = (entry, student) => {
+      const isCurrentUser = entry.studentId === currentUserId;
+      const isAnonymous = student.hideFromLeaderboard && !isCurrentUser;
+      return {
+        rank: entry[rankField],
+        id: isAnonymous ? null : student.id,
+        fullName: isAnonymous ? ANONYMOUS_NAME : student.fullName,
+        userName: isAnonymous ? null : student.userName,
+        studentImage: isAnonymous ? null : student.studentImage,
+        quizScore: entry.score,
+        quizzesCompleted: entry.quizzesCompleted,
+        isAnonymous,
+        isCurrentUser,
+      };
+    };
 
-    // Assign ranks to top students
-    const rankedStudents = topStudents.map((student, index) => ({
-      rank: skip + index + 1,
-      ...student,
-    }));
+    const totalPages = Math.ceil(totalStudents / pageSize);
+    const snapshot = entries[0] || ownEntry;
 
     return res.status(200).json({
       data: {
-        leaderboard: rankedStudents,
-        currentUserRank,
+        leaderboard: entries.map((entry) =>
+          toLeaderboardRow(entry, entry.student)
+        ),
+        currentUserRank: ownEntry && toLeaderboardRow(ownEntry, req.user),
+        period: periodParam,
+        cohort,
+        periodStart: getPeriodStart(period),
+        computedAt: snapshot?.computedAt ?? null,
       },
       pagination: {
         totalStudents,
         totalPages,
-        hasNextPage,
-        hasPreviousPage,
+        hasNextPage: pageNumber < totalPages,
+        hasPreviousPage: pageNumber > 1,
         currentPage: pageNumber,
         pageSize,
       },
@@ -597,11 +1372,63 @@ const getLeaderboard = async (req, res) => {
       status: true,
     });
   } catch (error) {
-    console.error(error);
-    return res.status(500).json({
-      message: "Something went wrong while fetching the leaderboard",
-      status: false,
+    return handleQuizError(
+      error,
+      res,
+      "Something went wrong while fetching the leaderboard"
+    );
+  }
+};
+
+const leaderboardSettingsSelect = {
+  schoolName: true,
+  className: true,
+  hideFromLeaderboard: true,
+};
+
+const getLeaderboardSettings = async (req, res) => {
+  try {
+    const settings = await prisma.student.findUnique({
+      where: { id: req.user.id },
+      select: leaderboardSettingsSelect,
+    });
+
+    return res.status(200).json({
+      data: settings,
+      message: "Leaderboard settings fetched successfully",
+      status: true,
     });
+  } catch (error) {
+    return handleQuizError(
+      error,
+      res,
+      "Error while fetching leaderboard settings"
+    );
+  }
+};
+
+const updateLeaderboardSettings = async (req, res) => {
+  try {
+    const data = LeaderboardSettingsSchema.parse(req.body);
+
+    const settings = await prisma.student.update({
+      where: { id: req.user.id },
+      data,
+      select: leaderboardSettingsSelect,
+    });
+
+    return res.status(200).json({
+      data: settings,
+      // Anonymity applies straight away; cohort boards follow the next refresh
+      message: "Leaderboard settings updated successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleQuizError(
+      error,
+      res,
+      "Error while updating leaderboard settings"
+    );
   }
 };
 
@@ -609,6 +1436,15 @@ const toogleisActive = async (req, res) => {
   try {
     const { id, isActive } = req.params;
 
+    const quiz = await prisma.quiz.findUnique({ where: { id } });
+
+    if (!quiz) {
+      return res.status(404).json({
+        message: "Quiz not found",
+        status: false,
+      });
+    }
+
     // console.log("isActive: >>", typeof isActive);
     const updatedQuiz = await prisma.quiz.update({
       where: {
@@ -619,6 +1455,10 @@ const toogleisActive = async (req, res) => {
       },
     });
 
+    if (!quiz.isActive && updatedQuiz.isActive) {
+      notifyQuizPublished(updatedQuiz);
+    }
+
     return res.status(200).json({
       data: updatedQuiz,
       message: "Quiz status updated successfully",
@@ -646,9 +1486,10 @@ const getUnattemptedQuizzes = async (req, res) => {
         activequiz !== undefined ? { isActive: activequiz === "true" } : {},
         {
           NOT: {
-            attempts: {
+            sessions: {
               some: {
                 studentId,
+                status: { in: COMPLETED_SESSION_STATUSES },
               },
             },
           },
@@ -704,6 +1545,7 @@ const deleteQuiz = async (req, res) => {
     // Check if quiz exists
     const quiz = await prisma.quiz.findUnique({
       where: { id: id },
+      include: { questions: true },
     });
 
     if (!quiz) {
@@ -736,6 +1578,7 @@ const deleteQuiz = async (req, res) => {
         // Continue execution even if image deletion fails
       }
     }
+    await deleteQuestionImages(quiz.questions.flatMap(getQuestionImageUrls));
 
     return res.status(200).json({
       message: "Quiz deleted successfully",
@@ -772,6 +1615,7 @@ const deleteQuizQuestion = async (req, res) => {
         id: questionId,
       },
     });
+    await deleteQuestionImages(getQuestionImageUrls(question));
 
     return res.status(200).json({
       message: "Quiz question deleted successfully",
@@ -805,8 +1649,8 @@ const getSpecificQuiz = async (req, res) => {
       });
     }
 
-    // Check if quiz is active
-    if (!quiz.isActive) {
+    // Check if quiz is active (admins can still review drafts)
+    if (!quiz.isActive && req.role !== "admin") {
       return res.status(403).json({
         message: "This quiz is not currently active",
         status: false,
@@ -814,7 +1658,7 @@ const getSpecificQuiz = async (req, res) => {
     }
 
     return res.status(200).json({
-      data: quiz,
+      data: withVisibleQuestions(quiz, req),
       message: "Quiz fetched successfully",
       status: true,
     });
@@ -832,6 +1676,11 @@ export {
   getQuizzes,
   editQuiz,
   submitQuizAttempt,
+  startQuizSession,
+  answerQuizQuestion,
+  submitQuizSession,
+  getQuizSession,
+  getMyQuizSessions,
   getStudentQuizResults,
   toogleisActive,
   getUnattemptedQuizzes,
@@ -840,4 +1689,6 @@ export {
   deleteQuizQuestion,
   getSpecificQuiz,
   getLeaderboard,
+  getLeaderboardSettings,
+  updateLeaderboardSettings,
 };
@@ -1,8 +1,24 @@
 import { prisma } from "../db/prismaClientConfig.js";
+import {
+  filterContent,
+  flagContent,
+  sendContentRejected,
+} from "../utils/contentFilter.js";
+import { updateTherapistRating } from "../utils/reviews.js";
 
 const addReview = async (req, res) => {
   try {
-    const { title, review, rating, therapistId } = req.body;
+    const { rating, therapistId } = req.body;
+
+    const filtered = await filterContent("REVIEW", {
+      title: req.body.title,
+      review: req.body.review,
+    });
+    if (filtered.action === "REJECT") {
+      return sendContentRejected(res, filtered);
+    }
+    const { title, review } = filtered.fields;
+    const isHeld = filtered.action === "QUEUE";
 
     const result = await prisma.$transaction(async (prisma) => {
       // 1. Create the new review
@@ -13,6 +29,8 @@ const addReview = async (req, res) => {
           rating,
           therapistId,
           studentId: req.user?.id,
+          // Held reviews count towards the rating once approved
+          ...(isHeld && { hiddenAt: new Date() }),
         },
         include: {
           Student: {
@@ -23,36 +41,28 @@ const addReview = async (req, res) => {
         },
       });
 
-      // 2. Calculate average rating for the therapist
-      const reviews = await prisma.review.findMany({
-        where: {
-          therapistId: therapistId,
-        },
-        select: {
-          rating: true,
-        },
-      });
-
-      // Calculate average rating
-      const totalRating = reviews.reduce((acc, review) => acc + review.rating, 0);
-      const averageRating = totalRating / reviews.length;
-
-      // 3. Update therapist's rating
-      await prisma.therapist.update({
-        where: {
-          id: therapistId,
-        },
-        data: {
-          ratings: Number(averageRating.toFixed(1)), // Round to 1 decimal place
-        },
-      });
+      // 2. Update therapist's rating
+      await updateTherapistRating(therapistId, prisma);
 
       return addedReview;
     });
 
+    if (isHeld) {
+      await flagContent({
+        contentType: "REVIEW",
+        contentId: result.id,
+        authorId: req.user.id,
+        authorType: req.role,
+        categories: filtered.categories,
+        excerpt: `${title}\n${review}`,
+      });
+    }
+
     return res.status(201).json({
       data: result,
-      message: "Review added successfully",
+      message: isHeld
+        ? "Review submitted. It will appear once a moderator has approved it."
+        : "Review added successfully",
       status: true,
     });
   } catch (error) {
@@ -0,0 +1,95 @@
+import { z } from "zod";
+import { getHiddenUserIds } from "../utils/blocks.js";
+import { SEARCH_TYPES, searchContent } from "../utils/search.js";
+
+const SearchQuerySchema = z.object({
+  q: z
+    .string({ required_error: "Search query is required" })
+    .trim()
+    .min(2, { message: "Search query must be at least 2 characters long" })
+    .max(100, { message: "Search query cannot exceed 100 characters" })
+    .refine((q) => /[\p{L}\p{N}]/u.test(q), {
+      message: "Search query must contain letters or numbers",
+    }),
+  // Comma separated, e.g. ?types=story,blog; every type when left out
+  types: z
+    .string()
+    .default(SEARCH_TYPES.join(","))
+    .transform((types) => [
+      ...new Set(
+        types
+          .split(",")
+          .map((type) => type.trim().toLowerCase())
+          .filter(Boolean)
+      ),
+    ])
+    .pipe(
+      z
+        .array(
+          z.enum(SEARCH_TYPES, {
+            message: "Types must be story, blog, video or therapist",
+          })
+        )
+        .min(1, { message: "At least one type is required" })
+    ),
+  page: z.string().transform(Number).default("1"),
+  limit: z.string().transform(Number).default("10"),
+});
+
+const handleSearchError = (error, res, message) => {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      message: "Validation Error",
+      errors: error.errors.map((e) => e.message),
+      status: false,
+    });
+  }
+
+  console.error(error);
+  return res.status(500).json({
+    message,
+    error: error.message,
+    status: false,
+  });
+};
+
+// One ranked list across every requested type, with per type totals
+const search = async (req, res) => {
+  try {
+    const { q, types, page, limit } = SearchQuerySchema.parse(req.query);
+
+    const pageNumber = Math.max(page, 1);
+    const pageSize = Math.min(limit, 50);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const hiddenUserIds = await getHiddenUserIds(req.user.id);
+    const results = await searchContent(req, q, types, hiddenUserIds);
+
+    const totalResults = results.length;
+    const totalPages = Math.ceil(totalResults / pageSize);
+
+    return res.status(200).json({
+      data: results.slice(skip, skip + pageSize),
+      counts: Object.fromEntries(
+        types.map((type) => [
+          type,
+          results.filter((result) => result.type === type).length,
+        ])
+      ),
+      pagination: {
+        currentPage: pageNumber,
+        pageSize,
+        totalResults,
+        totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPreviousPage: pageNumber > 1,
+      },
+      message: "Search results retrieved successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleSearchError(error, res, "Error while searching");
+  }
+};
+
+export { search };
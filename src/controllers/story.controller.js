@@ -2,6 +2,47 @@ import { z } from "zod";
 import { prisma } from "../db/prismaClientConfig.js";
 import { timeAgo } from "../utils/Helper.js";
 import { deleteSingleObjectFromS3 } from "./aws.controller.js";
+import {
+  CRISIS_RESOURCES,
+  raiseCrisisAlert,
+  screenForCrisis,
+} from "../utils/crisisEscalation.js";
+import { notifyUser } from "../utils/notifications.js";
+import { recordAchievementEvent } from "../utils/achievements.js";
+import {
+  LISTED_COMMENT_FILTER,
+  MAX_COMMENT_DEPTH,
+  VISIBLE_COMMENT_FILTER,
+  commentAuthorSelect,
+  formatCommentThread,
+  getAuthorField,
+  getCommentAuthor,
+} from "../utils/comments.js";
+import {
+  ANONYMOUS_AUTHOR_NAME,
+  hideAnonymousAuthor,
+} from "../utils/storyPrivacy.js";
+import {
+  STORY_VISIBILITIES,
+  getFeedStoryFilter,
+  getReadableStoryFilter,
+  publishStory,
+} from "../utils/storyVisibility.js";
+import {
+  OPEN_REPORT_STATUSES,
+  REPORTER_FIELDS,
+  applyReportThreshold,
+} from "../utils/moderation.js";
+import {
+  excludeAuthors,
+  getHiddenUserIds,
+  isBlockedByAny,
+} from "../utils/blocks.js";
+import {
+  filterContent,
+  flagContent,
+  sendContentRejected,
+} from "../utils/contentFilter.js";
 
 // Zod validation schema for creating a post
 const CreateStorySchema = z.object({
@@ -19,6 +60,8 @@ const CreateStorySchema = z.object({
 
   audio: z.string().optional(),
   audioDuration: z.number().optional(),
+  // Hides the author's identity everywhere the story is shown
+  isAnonymous: z.boolean().optional(),
 });
 
 const ChunkStorySchema = z.object({
@@ -31,6 +74,7 @@ const ChunkStorySchema = z.object({
   image: z.string().optional(),
   audio: z.string().optional(),
   audioDuration: z.number().optional(),
+  isAnonymous: z.boolean().optional(),
   isChunk: z.boolean().default(true),
   chunkIndex: z.number().int().min(0),
   totalChunks: z.number().int().min(1),
@@ -42,6 +86,68 @@ const StoryPaginationSchema = z.object({
   limit: z.string().transform(Number).default("10"),
 });
 
+const EditCommentSchema = z.object({
+  comment: z
+    .string()
+    .trim()
+    .min(1, { message: "Comment cannot be empty" })
+    .max(2000, { message: "Comment cannot exceed 2000 characters" }),
+});
+
+const AddCommentSchema = EditCommentSchema.extend({
+  parentCommentId: z.string().uuid().optional(),
+});
+
+// Who can read the story, and whether it goes live now, later or not yet
+const StoryPublishingSchema = z
+  .object({
+    visibility: z
+      .enum(STORY_VISIBILITIES, { message: "Invalid visibility" })
+      .optional(),
+    isDraft: z.boolean().optional(),
+    publishAt: z.coerce.date().optional(),
+  })
+  .refine((data) => !(data.isDraft && data.publishAt), {
+    message: "A story can be saved as a draft or scheduled, not both",
+  })
+  .refine((data) => !data.publishAt || data.publishAt > new Date(), {
+    message: "Scheduled time must be in the future",
+  });
+
+// Story columns for a draft or scheduled story; empty means publish now
+const toPublishingData = ({ isDraft, publishAt }) => {
+  if (publishAt) return { status: "SCHEDULED", publishAt, publishedAt: null };
+  if (isDraft) return { status: "DRAFT", publishAt: null, publishedAt: null };
+  return {};
+};
+
+const PUBLISHING_MESSAGES = {
+  DRAFT: "Story saved as a draft",
+  SCHEDULED: "Story scheduled successfully",
+};
+
+// Shown when the content filter holds something back for a moderator
+const HELD_STORY_MESSAGE =
+  "Your story has been saved and will be shared once a moderator has reviewed it";
+const HELD_COMMENT_MESSAGE =
+  "Comment saved and will be visible once a moderator has reviewed it";
+
+const RevealAuthorSchema = z.object({
+  reason: z
+    .string()
+    .trim()
+    .min(10, { message: "Give a reason of at least 10 characters" })
+    .max(500, { message: "Reason cannot exceed 500 characters" }),
+});
+
+const ReportStorySchema = z.object({
+  reason: z
+    .string()
+    .trim()
+    .min(3, { message: "Reason must be at least 3 characters long" })
+    .max(500, { message: "Reason cannot exceed 500 characters" }),
+});
+
 // Zod validation schema for editing a post
 const EditStorySchema = z.object({
   title: z
@@ -53,6 +159,7 @@ const EditStorySchema = z.object({
   image: z.string().optional(),
   audio: z.string().optional(),
   audioDuration: z.number().optional(),
+  isAnonymous: z.boolean().optional(),
   imageBeforeChange: z.string().optional(),
   audioBeforeChange: z.string().optional(),
 
@@ -74,9 +181,13 @@ const createStory = async (req, res) => {
     const totalChunks = req.body.totalChunks || 1;
     const storyId = req.body.storyId; // Only provided for chunks after the first one
 
-    const { title, content, image, audioDuration, audio } = isChunk
+    const story = isChunk
       ? ChunkStorySchema.parse(req.body)
       : CreateStorySchema.parse(req.body);
+    const { image, audioDuration, audio, isAnonymous } = story;
+    const { visibility, ...publishing } = StoryPublishingSchema.parse(
+      req.body
+    );
 
     // Verify that the author (user) exists
     const authorExists = await prisma.student.findUnique({
@@ -92,9 +203,58 @@ const createStory = async (req, res) => {
       });
     }
 
+    // Later chunks are appended to the story so far and filtered together
+    // with it, since a phone number or a word can straddle a chunk boundary
+    let existingStory = null;
+    if (isChunk && chunkIndex > 0) {
+      if (!storyId) {
+        return res.status(400).json({
+          message: "Story ID is required for chunk uploads",
+          status: false,
+        });
+      }
+
+      // Verify story exists and belongs to this student
+      existingStory = await prisma.story.findFirst({
+        where: {
+          id: storyId,
+          studentId,
+          isComplete: false,
+        },
+      });
+
+      if (!existingStory) {
+        return res.status(404).json({
+          message: "Story not found or already completed",
+          status: false,
+        });
+      }
+    }
+
+    const filtered = await filterContent("STORY", {
+      title: story.title,
+      content: (existingStory?.content || "") + story.content,
+    });
+    if (filtered.action === "REJECT") {
+      return sendContentRejected(res, filtered);
+    }
+    const { title, content } = filtered.fields;
+    const isHeld = filtered.action === "QUEUE";
+    const flagHeldStory = (storyId) =>
+      flagContent({
+        contentType: "STORY",
+        contentId: storyId,
+        authorId: studentId,
+        authorType: "student",
+        categories: filtered.categories,
+        excerpt: [title, content].filter(Boolean).join("\n"),
+      });
+
     // Handle story creation or chunk append based on the isChunk flag
     if (!isChunk) {
-      // Regular story creation (unchanged)
+      // Crisis language holds the story back from the feed until reviewed
+      const crisis = await screenForCrisis(title, content);
+
       const createdPost = await prisma.story.create({
         data: {
           title,
@@ -103,6 +263,11 @@ const createStory = async (req, res) => {
           audio: audio || "",
           audioDuration: audioDuration || 0,
           studentId,
+          isAnonymous: isAnonymous || false,
+          visibility,
+          ...toPublishingData(publishing),
+          isUnderReview: crisis.isCrisis,
+          ...(isHeld && { hiddenAt: new Date() }),
         },
         select: {
           id: true,
@@ -113,17 +278,56 @@ const createStory = async (req, res) => {
           audioDuration: true,
           createdAt: true,
           studentId: true,
+          isAnonymous: true,
+          visibility: true,
+          status: true,
+          publishAt: true,
+          isUnderReview: true,
+          hiddenAt: true,
         },
       });
 
+      if (isHeld) {
+        await flagHeldStory(createdPost.id);
+      }
+
+      if (crisis.isCrisis) {
+        await raiseCrisisAlert({
+          detection: crisis,
+          storyId: createdPost.id,
+          authorId: studentId,
+          authorType: "student",
+          content,
+        });
+
+        return res.status(201).json({
+          data: createdPost,
+          crisisResources: CRISIS_RESOURCES,
+          message:
+            "Your story has been saved and will be reviewed by our care team before it is shared. You are not alone - please reach out to one of these helplines.",
+          status: true,
+        });
+      }
+
+      if (!isHeld && createdPost.status === "PUBLISHED") {
+        await recordAchievementEvent(studentId, "STORY_PUBLISHED", {
+          sourceId: createdPost.id,
+        });
+      }
+
       return res.status(201).json({
         data: createdPost,
-        message: "Story created successfully",
+        message: isHeld
+          ? HELD_STORY_MESSAGE
+          : PUBLISHING_MESSAGES[createdPost.status] ||
+            "Story created successfully",
         status: true,
       });
     } else {
       // Handle chunked content
       if (chunkIndex === 0) {
+        const crisis = await screenForCrisis(title, content);
+
         // First chunk - create a new story
         const newStory = await prisma.story.create({
           data: {
@@ -133,7 +337,12 @@ const createStory = async (req, res) => {
             audio: audio || "",
             audioDuration: audioDuration || 0,
             studentId,
+            isAnonymous: isAnonymous || false,
+            visibility,
+            ...toPublishingData(publishing),
             isComplete: false,
+            isUnderReview: crisis.isCrisis,
+            ...(isHeld && { hiddenAt: new Date() }),
           },
           select: {
             id: true,
@@ -144,9 +353,29 @@ const createStory = async (req, res) => {
             audioDuration: true,
             createdAt: true,
             studentId: true,
+            isAnonymous: true,
+            visibility: true,
+            status: true,
+            publishAt: true,
+            isUnderReview: true,
+            hiddenAt: true,
           },
         });
 
+        if (isHeld) {
+          await flagHeldStory(newStory.id);
+        }
+
+        if (crisis.isCrisis) {
+          await raiseCrisisAlert({
+            detection: crisis,
+            storyId: newStory.id,
+            authorId: studentId,
+            authorType: "student",
+            content,
+          });
+        }
+
         // Also create a StoryChunk record to track chunks
         await prisma.storyChunk.create({
           data: {
@@ -164,35 +393,13 @@ const createStory = async (req, res) => {
             chunksReceived: 1,
             totalChunks,
           },
+          ...(crisis.isCrisis && { crisisResources: CRISIS_RESOURCES }),
           message: "First chunk received successfully",
           status: true,
         });
       } else {
-        // Subsequent chunks - append to existing story
-        if (!storyId) {
-          return res.status(400).json({
-            message: "Story ID is required for chunk uploads",
-            status: false,
-          });
-        }
-
-        // Verify story exists and belongs to this student
-        const existingStory = await prisma.story.findFirst({
-          where: {
-            id: storyId,
-            studentId,
-            isComplete: false,
-          },
-        });
-
-        if (!existingStory) {
-          return res.status(404).json({
-            message: "Story not found or already completed",
-            status: false,
-          });
-        }
-
-        // Update the story chunk tracking
+        // Subsequent chunks - `content` is already the whole story so far,
+        // filtered as one text
         const chunkTracker = await prisma.storyChunk.findUnique({
           where: {
             storyId,
@@ -206,13 +413,20 @@ const createStory = async (req, res) => {
           });
         }
 
+        // Screen the whole story so far, signals can straddle chunk boundaries
+        const crisis = existingStory.isUnderReview
+          ? { isCrisis: false }
+          : await screenForCrisis(title, content);
+
         // Update the story with the new content
         const updatedStory = await prisma.story.update({
           where: {
             id: storyId,
           },
           data: {
-            content: existingStory.content + content,
+            content,
+            ...(crisis.isCrisis && { isUnderReview: true }),
+            ...(isHeld && { hiddenAt: existingStory.hiddenAt || new Date() }),
             // Update title and other fields if provided in the final chunk
             ...(chunkIndex === totalChunks - 1
               ? {
@@ -233,9 +447,40 @@ const createStory = async (req, res) => {
             audioDuration: true,
             createdAt: true,
             studentId: true,
+            isAnonymous: true,
+            visibility: true,
+            status: true,
+            publishAt: true,
+            isUnderReview: true,
+            hiddenAt: true,
           },
         });
 
+        if (isHeld) {
+          await flagHeldStory(storyId);
+        }
+
+        if (crisis.isCrisis) {
+          await raiseCrisisAlert({
+            detection: crisis,
+            storyId,
+            authorId: studentId,
+            authorType: "student",
+            content: updatedStory.content,
+          });
+        }
+
+        if (
+          chunkIndex === totalChunks - 1 &&
+          !updatedStory.isUnderReview &&
+          !updatedStory.hiddenAt &&
+          updatedStory.status === "PUBLISHED"
+        ) {
+          await recordAchievementEvent(studentId, "STORY_PUBLISHED", {
+            sourceId: storyId,
+          });
+        }
+
         // Update the chunk tracker
         await prisma.storyChunk.update({
           where: {
@@ -243,7 +488,7 @@ const createStory = async (req, res) => {
           },
           data: {
             receivedChunks: chunkTracker.receivedChunks + 1,
-            content: chunkTracker.content + content,
+            content,
             isComplete: chunkIndex === totalChunks - 1,
           },
         });
@@ -255,6 +500,9 @@ const createStory = async (req, res) => {
             totalChunks,
             isComplete: chunkIndex === totalChunks - 1,
           },
+          ...(updatedStory.isUnderReview && {
+            crisisResources: CRISIS_RESOURCES,
+          }),
           message:
             chunkIndex === totalChunks - 1
               ? "Story completed successfully"
@@ -297,12 +545,19 @@ const getStories = async (req, res) => {
     const pageSize = Math.min(limit, 10); // Ensure max 10 posts per request
     const skip = (pageNumber - 1) * pageSize;
 
-    // Create filters to exclude stories reported or hidden by the current user
-    let filterConditions = {};
+    // Published stories the user may read, minus private journals and
+    // stories held for review
+    const feedFilter = getFeedStoryFilter(req);
+    let filterConditions = feedFilter;
+
+    // Members the user blocked or muted, or who blocked them
+    const hiddenUserIds = await getHiddenUserIds(userId);
 
+    // Create filters to exclude stories reported or hidden by the current user
     if (userId && role) {
       // Define which stories to exclude based on user role
       filterConditions = {
+        ...feedFilter,
         AND: [
           // Filter out reported stories
           {
@@ -334,6 +589,7 @@ const getStories = async (req, res) => {
               },
             },
           },
+          { studentId: { notIn: hiddenUserIds } },
         ],
       };
     }
@@ -345,7 +601,7 @@ const getStories = async (req, res) => {
         take: pageSize,
         skip: skip,
         orderBy: {
-          createdAt: "desc", // Most recent stories first
+          publishedAt: "desc", // Most recently published stories first
         },
         include: {
           student: {
@@ -386,8 +642,10 @@ const getStories = async (req, res) => {
           }),
           _count: {
             select: {
-              comments: true,
-              likes: true,
+              comments: {
+                where: excludeAuthors(VISIBLE_COMMENT_FILTER, hiddenUserIds),
+              },
+              likes: { where: excludeAuthors({}, hiddenUserIds) },
             },
           },
         },
@@ -404,7 +662,7 @@ const getStories = async (req, res) => {
 
     return res.status(200).json({
       data: stories.map((story) => ({
-        ...story,
+        ...hideAnonymousAuthor(story, userId),
         timeAgo: timeAgo(story.createdAt),
         commentCount: story._count.comments,
         likeCount: story._count.likes,
@@ -455,11 +713,18 @@ const getCurrentUserStories = async (req, res) => {
     // Get the current user's ID from the authenticated session
     const userId = req.user.id;
 
+    // ?status=DRAFT or SCHEDULED lists unpublished work
+    const status = z
+      .enum(["DRAFT", "SCHEDULED", "PUBLISHED"], { message: "Invalid status" })
+      .optional()
+      .parse(req.query.status);
+
     // Fetch current user's stories with pagination and detailed relations
     const [stories, totalStories] = await Promise.all([
       prisma.story.findMany({
         where: {
           studentId: userId, // Filter stories by current user's ID
+          ...(status && { status }),
         },
         take: pageSize,
         skip: skip,
@@ -474,6 +739,7 @@ const getCurrentUserStories = async (req, res) => {
             },
           },
           comments: {
+            where: VISIBLE_COMMENT_FILTER,
             select: {
               content: true,
               createdAt: true,
@@ -487,7 +753,7 @@ const getCurrentUserStories = async (req, res) => {
           },
           _count: {
             select: {
-              comments: true,
+              comments: { where: VISIBLE_COMMENT_FILTER },
               likes: true,
             },
           },
@@ -496,6 +762,7 @@ const getCurrentUserStories = async (req, res) => {
       prisma.story.count({
         where: {
           studentId: userId, // Count only current user's stories
+          ...(status && { status }),
         },
       }),
     ]);
@@ -565,6 +832,9 @@ const editStory = async (req, res) => {
       ...req.body,
       storyId: storyId,
     });
+    const { visibility, ...publishing } = StoryPublishingSchema.parse(
+      req.body
+    );
 
     // First, verify the story exists and belongs to the user
     const existingStory = await prisma.story.findUnique({
@@ -580,6 +850,9 @@ const editStory = async (req, res) => {
         image: true,
         audio: true,
         audioDuration: true,
+        isUnderReview: true,
+        hiddenAt: true,
+        status: true,
       },
     });
 
@@ -591,6 +864,40 @@ const editStory = async (req, res) => {
       });
     }
 
+    const publishingData = toPublishingData(publishing);
+    if (
+      Object.keys(publishingData).length &&
+      existingStory.status === "PUBLISHED"
+    ) {
+      return res.status(400).json({
+        message: "A published story cannot be moved back to drafts or scheduled",
+        status: false,
+      });
+    }
+
+    // Chunks are filtered one at a time as they arrive
+    const filtered = await filterContent("STORY", {
+      title: validatedData.title,
+      content: validatedData.content,
+    });
+    if (filtered.action === "REJECT") {
+      return sendContentRejected(res, filtered);
+    }
+    Object.assign(validatedData, filtered.fields);
+    const isHeld = filtered.action === "QUEUE";
+    const heldAt = existingStory.hiddenAt || new Date();
+    const flagHeldStory = () =>
+      flagContent({
+        contentType: "STORY",
+        contentId: storyId,
+        authorId: userId,
+        authorType: "student",
+        categories: filtered.categories,
+        excerpt: [validatedData.title, validatedData.content]
+          .filter(Boolean)
+          .join("\n"),
+      });
+
     // Handle file deletion if needed
     if (validatedData.imageBeforeChange) {
       await deleteSingleObjectFromS3(validatedData.imageBeforeChange);
@@ -615,6 +922,10 @@ const editStory = async (req, res) => {
         updateData.audio = validatedData.audio;
       if (validatedData.audioDuration !== undefined)
         updateData.audioDuration = validatedData.audioDuration;
+      if (validatedData.isAnonymous !== undefined)
+        updateData.isAnonymous = validatedData.isAnonymous;
+      if (visibility !== undefined) updateData.visibility = visibility;
+      Object.assign(updateData, publishingData);
 
       // If no update fields provided, return error
       if (Object.keys(updateData).length === 0) {
@@ -624,6 +935,15 @@ const editStory = async (req, res) => {
         });
       }
 
+      const crisis = existingStory.isUnderReview
+        ? { isCrisis: false }
+        : await screenForCrisis(
+            updateData.title ?? existingStory.title,
+            updateData.content ?? existingStory.content
+          );
+      if (crisis.isCrisis) updateData.isUnderReview = true;
+      if (isHeld) updateData.hiddenAt = heldAt;
+
       // Update the story
       const updatedStory = await prisma.story.update({
         where: { id: storyId },
@@ -636,6 +956,12 @@ const editStory = async (req, res) => {
           audio: true,
           audioDuration: true,
           createdAt: true,
+          isAnonymous: true,
+          visibility: true,
+          status: true,
+          publishAt: true,
+          isUnderReview: true,
+          hiddenAt: true,
           student: {
             select: {
               id: true,
@@ -645,9 +971,26 @@ const editStory = async (req, res) => {
         },
       });
 
+      if (isHeld) {
+        await flagHeldStory();
+      }
+
+      if (crisis.isCrisis) {
+        await raiseCrisisAlert({
+          detection: crisis,
+          storyId,
+          authorId: userId,
+          authorType: "student",
+          content: updatedStory.content,
+        });
+      }
+
       return res.status(200).json({
         data: updatedStory,
-        message: "Story updated successfully",
+        ...(updatedStory.isUnderReview && {
+          crisisResources: CRISIS_RESOURCES,
+        }),
+        message: isHeld ? HELD_STORY_MESSAGE : "Story updated successfully",
         status: true,
       });
     } else {
@@ -699,6 +1042,16 @@ const editStory = async (req, res) => {
           updateData.audio = validatedData.audio;
         if (validatedData.audioDuration !== undefined)
           updateData.audioDuration = validatedData.audioDuration;
+        if (validatedData.isAnonymous !== undefined)
+          updateData.isAnonymous = validatedData.isAnonymous;
+        if (visibility !== undefined) updateData.visibility = visibility;
+        Object.assign(updateData, publishingData);
+
+        const crisis = existingStory.isUnderReview
+          ? { isCrisis: false }
+          : await screenForCrisis(validatedData.title, validatedData.content);
+        if (crisis.isCrisis) updateData.isUnderReview = true;
+        if (isHeld) updateData.hiddenAt = heldAt;
 
         const updatedStory = await prisma.story.update({
           where: { id: storyId },
@@ -711,9 +1064,25 @@ const editStory = async (req, res) => {
             audio: true,
             audioDuration: true,
             createdAt: true,
+            isUnderReview: true,
+            hiddenAt: true,
           },
         });
 
+        if (isHeld) {
+          await flagHeldStory();
+        }
+
+        if (crisis.isCrisis) {
+          await raiseCrisisAlert({
+            detection: crisis,
+            storyId,
+            authorId: userId,
+            authorType: "student",
+            content: updatedStory.content,
+          });
+        }
+
         return res.status(200).json({
           data: {
             ...updatedStory,
@@ -721,6 +1090,9 @@ const editStory = async (req, res) => {
             totalChunks,
             isComplete: totalChunks === 1,
           },
+          ...(updatedStory.isUnderReview && {
+            crisisResources: CRISIS_RESOURCES,
+          }),
           message:
             totalChunks === 1
               ? "Story updated successfully"
@@ -768,6 +1140,12 @@ const editStory = async (req, res) => {
             updateData.audioDuration = validatedData.audioDuration;
         }
 
+        const crisis = existingStory.isUnderReview
+          ? { isCrisis: false }
+          : await screenForCrisis(validatedData.title, updateData.content);
+        if (crisis.isCrisis) updateData.isUnderReview = true;
+        if (isHeld) updateData.hiddenAt = heldAt;
+
         const updatedStory = await prisma.story.update({
           where: { id: storyId },
           data: updateData,
@@ -779,9 +1157,25 @@ const editStory = async (req, res) => {
             audio: true,
             audioDuration: true,
             createdAt: true,
+            isUnderReview: true,
+            hiddenAt: true,
           },
         });
 
+        if (isHeld) {
+          await flagHeldStory();
+        }
+
+        if (crisis.isCrisis) {
+          await raiseCrisisAlert({
+            detection: crisis,
+            storyId,
+            authorId: userId,
+            authorType: "student",
+            content: updatedStory.content,
+          });
+        }
+
         return res.status(200).json({
           data: {
             ...updatedStory,
@@ -789,6 +1183,9 @@ const editStory = async (req, res) => {
             totalChunks,
             isComplete: chunkIndex === totalChunks - 1,
           },
+          ...(updatedStory.isUnderReview && {
+            crisisResources: CRISIS_RESOURCES,
+          }),
           message:
             chunkIndex === totalChunks - 1
               ? "Story updated successfully"
@@ -827,6 +1224,52 @@ const editStory = async (req, res) => {
   }
 };
 
+// Publishes one of the author's drafts or scheduled stories right away
+const publishStoryNow = async (req, res) => {
+  try {
+    const { storyId } = req.params;
+
+    const story = await prisma.story.findFirst({
+      where: { id: storyId, studentId: req.user.id },
+    });
+
+    if (!story) {
+      return res.status(404).json({
+        message: "Story not found or you are not authorized to publish it",
+        status: false,
+      });
+    }
+
+    if (story.status === "PUBLISHED") {
+      return res.status(400).json({
+        message: "Story is already published",
+        status: false,
+      });
+    }
+
+    if (!story.isComplete) {
+      return res.status(400).json({
+        message: "Finish uploading the story before publishing it",
+        status: false,
+      });
+    }
+
+    await publishStory(story);
+
+    return res.status(200).json({
+      message: "Story published successfully",
+      status: true,
+    });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({
+      message: "Error while publishing story",
+      error: error.message,
+      status: false,
+    });
+  }
+};
+
 const deleteStory = async (req, res) => {
   try {
     const { storyId } = req.params;
@@ -883,16 +1326,73 @@ const deleteStory = async (req, res) => {
   }
 };
 
+// Threads whose root was deleted stay listed while any reply is visible.
+// Comments by `hiddenUserIds` (see getHiddenUserIds) are left out.
+const visibleThreadFilter = (hiddenUserIds = []) => {
+  const listed = excludeAuthors(LISTED_COMMENT_FILTER, hiddenUserIds);
+
+  return {
+    ...listed,
+    OR: [
+      { deletedAt: null },
+      {
+        replies: {
+          some: {
+            ...listed,
+            OR: [
+              { deletedAt: null },
+              { replies: { some: { ...listed, deletedAt: null } } },
+            ],
+          },
+        },
+      },
+    ],
+  };
+};
+
+// A comment and, below the deepest level, its replies oldest first
+const commentThreadSelect = (depth = 0, hiddenUserIds = []) => ({
+  id: true,
+  parentCommentId: true,
+  depth: true,
+  content: true,
+  createdAt: true,
+  editedAt: true,
+  pinnedAt: true,
+  deletedAt: true,
+  ...commentAuthorSelect,
+  _count: {
+    select: { likes: { where: excludeAuthors({}, hiddenUserIds) } },
+  },
+  ...(depth < MAX_COMMENT_DEPTH && {
+    replies: {
+      where: excludeAuthors(LISTED_COMMENT_FILTER, hiddenUserIds),
+      orderBy: { createdAt: "asc" },
+      select: commentThreadSelect(depth + 1, hiddenUserIds),
+    },
+  }),
+});
+
+// A comment its author can still act on, or null
+const findOwnComment = (commentId, req) =>
+  prisma.comment.findFirst({
+    where: {
+      id: commentId,
+      deletedAt: null,
+      [getAuthorField(req.role)]: req.user.id,
+    },
+  });
+
 const addComment = async (req, res) => {
   try {
     const { storyId } = req.params;
-    const { comment } = req.body;
+    const { parentCommentId, ...written } = AddCommentSchema.parse(req.body);
     const userRole = req.role;
     const userId = req.user.id;
 
     // Find the story
-    const story = await prisma.story.findUnique({
-      where: { id: storyId },
+    const story = await prisma.story.findFirst({
+      where: { id: storyId, ...getReadableStoryFilter(req) },
     });
 
     if (!story) {
@@ -902,94 +1402,166 @@ const addComment = async (req, res) => {
       });
     }
 
+    let replyTo = null;
+    if (parentCommentId) {
+      replyTo = await prisma.comment.findFirst({
+        where: { id: parentCommentId, storyId, ...VISIBLE_COMMENT_FILTER },
+      });
+
+      if (!replyTo) {
+        return res.status(404).json({
+          message: "The comment you are replying to no longer exists",
+          status: false,
+        });
+      }
+    }
+
+    // A member who blocked the user keeps them off their stories and threads
+    const replyToAuthorId =
+      replyTo && (replyTo.studentId || replyTo.parentId || replyTo.therapistId);
+    if (await isBlockedByAny(userId, [story.studentId, replyToAuthorId])) {
+      return res.status(403).json({
+        message: "You cannot comment on this story",
+        status: false,
+      });
+    }
+
+    // Past the deepest level a reply joins its parent's thread
+    const threadParentId =
+      replyTo && replyTo.depth >= MAX_COMMENT_DEPTH
+        ? replyTo.parentCommentId
+        : replyTo?.id;
+
+    const filtered = await filterContent("COMMENT", written);
+    if (filtered.action === "REJECT") {
+      return sendContentRejected(res, filtered);
+    }
+    const { comment } = filtered.fields;
+    const isHeld = filtered.action === "QUEUE";
+
+    // Comments with crisis language stay hidden until the care team reviews them
+    const crisis = await screenForCrisis(comment);
+
     // Create the comment
     const newComment = await prisma.comment.create({
       data: {
         content: comment,
-        ...(userRole === "student"
-          ? { studentId: userId }
-          : userRole === "parent"
-          ? { parentId: userId }
-          : {
-              therapistId: userId,
-            }),
+        isUnderReview: crisis.isCrisis,
+        ...(isHeld && { hiddenAt: new Date() }),
+        [getAuthorField(userRole)]: userId,
         storyId: storyId,
+        ...(replyTo && {
+          parentCommentId: threadParentId,
+          depth: Math.min(replyTo.depth + 1, MAX_COMMENT_DEPTH),
+        }),
       },
       select: {
+        id: true,
+        parentCommentId: true,
+        depth: true,
         content: true,
         createdAt: true,
-
-        ...(userRole === "student"
-          ? {
-              student: {
-                select: {
-                  id: true,
-                  userName: true,
-                  studentImage: true,
-                },
-              },
-            }
-          : userRole === "parent"
-          ? {
-              parent: {
-                select: {
-                  id: true,
-                  // userName: true,
-                  parentImage: true,
-                },
-              },
-            }
-          : {
-              therapist: {
-                select: {
-                  id: true,
-                  userName: true,
-                  therapistImage: true,
-                },
-              },
-            }),
+        ...commentAuthorSelect,
       },
     });
 
-    let newCommentData;
-    if (userRole === "student") {
-      newCommentData = {
-        id: newComment.student.id,
-        name: newComment.student.userName,
-        image: newComment.student.studentImage,
-        createdAt: newComment.createdAt,
-        content: newComment.content,
-      };
-    }
-    if (userRole === "parent") {
-      newCommentData = {
-        id: newComment.parent.id,
-        // name: newComment.parent.userName,
-        image: newComment.parent.parentImage,
-        createdAt: newComment.createdAt,
-        content: newComment.content,
-      };
+    // The author of an anonymous story stays anonymous in notifications too
+    const actorName =
+      story.isAnonymous && story.studentId === userId
+        ? ANONYMOUS_AUTHOR_NAME
+        : req.user.userName || "Someone";
+
+    // Whoever was replied to hears about it, even on their own story
+    const replyToAuthor = replyTo && {
+      id: replyTo.studentId || replyTo.parentId || replyTo.therapistId,
+      userType: replyTo.studentId
+        ? "student"
+        : replyTo.parentId
+        ? "parent"
+        : "therapist",
+    };
+
+    if (isHeld) {
+      await flagContent({
+        contentType: "COMMENT",
+        contentId: newComment.id,
+        authorId: userId,
+        authorType: userRole,
+        categories: filtered.categories,
+        excerpt: comment,
+      });
     }
-    if (userRole === "therapist") {
-      newCommentData = {
-        id: newComment.therapist.id,
-        name: newComment.therapist.userName,
-        image: newComment.therapist.therapistImage,
-        createdAt: newComment.createdAt,
-        content: newComment.content,
-      };
+
+    if (crisis.isCrisis) {
+      await raiseCrisisAlert({
+        detection: crisis,
+        storyId,
+        commentId: newComment.id,
+        authorId: userId,
+        authorType: userRole,
+        content: comment,
+      });
+    } else if (!isHeld) {
+      if (replyToAuthor && replyToAuthor.id !== userId) {
+        await notifyUser(replyToAuthor, {
+          type: "COMMENT_REPLIED",
+          title: "New reply to your comment",
+          body: `${actorName} replied to your comment`,
+          data: { storyId, commentId: newComment.id },
+        });
+      }
+
+      if (
+        story.studentId !== userId &&
+        story.studentId !== replyToAuthor?.id
+      ) {
+        await notifyUser(
+          { id: story.studentId, userType: "student" },
+          {
+            type: "STORY_COMMENTED",
+            title: "New comment on your story",
+            body: `${req.user.userName || "Someone"} commented on your story`,
+            data: { storyId, commentId: newComment.id },
+          }
+        );
+      }
+
+      if (userRole === "student" && story.studentId !== userId) {
+        await recordAchievementEvent(userId, "COMMENT_POSTED", {
+          sourceId: newComment.id,
+        });
+      }
     }
+
+    const { user } = getCommentAuthor(newComment);
     return res.status(200).json({
       data: {
-        user: newCommentData,
+        id: newComment.id,
+        parentCommentId: newComment.parentCommentId,
+        depth: newComment.depth,
+        user,
         content: newComment.content,
         createdAt: newComment.createdAt,
         userType: userRole.toUpperCase(),
+        isUnderReview: crisis.isCrisis,
       },
-      message: "Comment added successfully",
+      ...(crisis.isCrisis && { crisisResources: CRISIS_RESOURCES }),
+      message: crisis.isCrisis
+        ? "Comment saved and will be visible once our care team has reviewed it"
+        : isHeld
+        ? HELD_COMMENT_MESSAGE
+        : "Comment added successfully",
       status: true,
     });
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        message: "Validation Error",
+        errors: error.errors.map((e) => e.message),
+        status: false,
+      });
+    }
+
     return res.status(500).json({
       message: "Error while adding comment",
       error: error.message,
@@ -998,6 +1570,8 @@ const addComment = async (req, res) => {
   }
 };
 
+// Pages through top-level comments (pinned first, then newest), each with
+// its whole reply thread, so a page never splits a conversation
 const getStoryComments = async (req, res) => {
   try {
     const { storyId, page = 1, limit = 10 } = req.query;
@@ -1017,98 +1591,68 @@ const getStoryComments = async (req, res) => {
     // Calculate skip value for pagination
     const skip = (pageNum - 1) * limitNum;
 
-    // Get total count of comments
-    const totalComments = await prisma.comment.count({
-      where: { storyId },
+    const hiddenUserIds = await getHiddenUserIds(req.user.id);
+
+    const story = await prisma.story.findFirst({
+      where: {
+        id: storyId,
+        ...getReadableStoryFilter(req),
+        studentId: { notIn: hiddenUserIds },
+      },
+      select: { id: true, studentId: true, isAnonymous: true },
     });
 
-    // Get paginated comments
-    const storyComments = await prisma.story.findFirstOrThrow({
-      where: { id: storyId },
-      select: {
-        comments: {
-          skip,
-          take: limitNum,
-          select: {
-            id: true,
-            content: true,
-            createdAt: true,
-            student: {
-              select: {
-                id: true,
-                userName: true,
-                studentImage: true,
-              },
-            },
-            parent: {
-              select: {
-                id: true,
-                // userName: true,
-                parentImage: true,
-              },
-            },
-            therapist: {
-              select: {
-                id: true,
-                userName: true,
-                therapistImage: true,
-              },
-            },
-          },
-          orderBy: {
-            createdAt: "desc", // Most recent comments first
-          },
-        },
-      },
-    });
-
-    // Transform the comments to include userType and normalize the user data
-    const transformedComments = storyComments.comments.map((comment) => {
-      let userData = null;
-      let userType = null;
+    if (!story) {
+      return res.status(404).json({
+        message: "Story not found",
+        status: false,
+      });
+    }
 
-      if (comment.student) {
-        userData = {
-          id: comment.student.id,
-          name: comment.student.userName,
-          image: comment.student.studentImage,
-        };
-        userType = "STUDENT";
-      } else if (comment.parent) {
-        userData = {
-          id: comment.parent.id,
-          // name: comment.parent.userName,
-          image: comment.parent.parentImage,
-        };
-        userType = "PARENT";
-      } else if (comment.therapist) {
-        userData = {
-          id: comment.therapist.id,
-          name: comment.therapist.userName,
-          image: comment.therapist.therapistImage,
-        };
-        userType = "THERAPIST";
-      }
+    const threadWhere = {
+      storyId,
+      parentCommentId: null,
+      ...visibleThreadFilter(hiddenUserIds),
+    };
 
-      return {
-        id: comment.id,
-        content: comment.content,
-        createdAt: comment.createdAt,
-        userType,
-        user: userData,
-      };
-    });
+    const [totalThreads, totalComments, threads] = await Promise.all([
+      prisma.comment.count({ where: threadWhere }),
+      prisma.comment.count({
+        where: {
+          storyId,
+          ...excludeAuthors(VISIBLE_COMMENT_FILTER, hiddenUserIds),
+        },
+      }),
+      prisma.comment.findMany({
+        where: threadWhere,
+        orderBy: [
+          { pinnedAt: { sort: "desc", nulls: "last" } },
+          { createdAt: "desc" }, // Most recent comments first
+        ],
+        skip,
+        take: limitNum,
+        select: commentThreadSelect(0, hiddenUserIds),
+      }),
+    ]);
 
     // Calculate pagination metadata
-    const totalPages = Math.ceil(totalComments / limitNum);
+    const totalPages = Math.ceil(totalThreads / limitNum);
     const hasNextPage = pageNum < totalPages;
     const hasPrevPage = pageNum > 1;
 
+    const anonymousAuthorId =
+      story.isAnonymous && story.studentId !== req.user?.id
+        ? story.studentId
+        : null;
+
     return res.status(200).json({
-      data: transformedComments,
+      data: threads
+        .map((thread) => formatCommentThread(thread, { anonymousAuthorId }))
+        .filter(Boolean),
       pagination: {
         currentPage: pageNum,
         totalPages,
+        totalThreads,
         totalComments,
         hasNextPage,
         hasPrevPage,
@@ -1118,15 +1662,338 @@ const getStoryComments = async (req, res) => {
       status: true,
     });
   } catch (error) {
-    if (error.code === "P2025") {
+    return res.status(500).json({
+      message: "Error while getting comments",
+      error: error.message,
+      status: false,
+    });
+  }
+};
+
+const editComment = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const { comment: content } = EditCommentSchema.parse(req.body);
+
+    const comment = await findOwnComment(commentId, req);
+
+    if (!comment) {
       return res.status(404).json({
-        message: "Story not found",
+        message: "Comment not found or you are not authorized to edit it",
+        status: false,
+      });
+    }
+
+    if (content === comment.content) {
+      return res.status(400).json({
+        message: "The comment has not changed",
+        status: false,
+      });
+    }
+
+    const filtered = await filterContent("COMMENT", { content });
+    if (filtered.action === "REJECT") {
+      return sendContentRejected(res, filtered);
+    }
+    const isHeld = filtered.action === "QUEUE";
+
+    // An edit can introduce crisis language just like a new comment
+    const crisis = comment.isUnderReview
+      ? { isCrisis: false }
+      : await screenForCrisis(filtered.fields.content);
+
+    const [, updatedComment] = await prisma.$transaction([
+      prisma.commentEdit.create({
+        data: { commentId, previousContent: comment.content },
+      }),
+      prisma.comment.update({
+        where: { id: commentId },
+        data: {
+          content: filtered.fields.content,
+          editedAt: new Date(),
+          ...(crisis.isCrisis && { isUnderReview: true }),
+          ...(isHeld && { hiddenAt: comment.hiddenAt || new Date() }),
+        },
+        select: {
+          id: true,
+          content: true,
+          editedAt: true,
+          isUnderReview: true,
+        },
+      }),
+    ]);
+
+    if (isHeld) {
+      await flagContent({
+        contentType: "COMMENT",
+        contentId: commentId,
+        authorId: req.user.id,
+        authorType: req.role,
+        categories: filtered.categories,
+        excerpt: updatedComment.content,
+      });
+    }
+
+    if (crisis.isCrisis) {
+      await raiseCrisisAlert({
+        detection: crisis,
+        storyId: comment.storyId,
+        commentId,
+        authorId: req.user.id,
+        authorType: req.role,
+        content: updatedComment.content,
+      });
+    }
+
+    return res.status(200).json({
+      data: updatedComment,
+      ...(crisis.isCrisis && { crisisResources: CRISIS_RESOURCES }),
+      message: crisis.isCrisis
+        ? "Comment saved and will be visible once our care team has reviewed it"
+        : isHeld
+        ? HELD_COMMENT_MESSAGE
+        : "Comment updated successfully",
+      status: true,
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        message: "Validation Error",
+        errors: error.errors.map((e) => e.message),
         status: false,
       });
     }
 
+    console.error(error);
     return res.status(500).json({
-      message: "Error while getting comments",
+      message: "Error while updating comment",
+      error: error.message,
+      status: false,
+    });
+  }
+};
+
+// Earlier versions of a comment, for its author or a moderator
+const getCommentEditHistory = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+
+    const comment = await prisma.comment.findFirst({
+      where: {
+        id: commentId,
+        // The moderation route has already checked the admin's permission
+        ...(req.role !== "admin" && {
+          deletedAt: null,
+          [getAuthorField(req.role)]: req.user.id,
+        }),
+      },
+      select: {
+        id: true,
+        content: true,
+        editedAt: true,
+        edits: { orderBy: { editedAt: "desc" } },
+      },
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        message: "Comment not found",
+        status: false,
+      });
+    }
+
+    return res.status(200).json({
+      data: comment,
+      message: "Comment history retrieved successfully",
+      status: true,
+    });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({
+      message: "Error while retrieving comment history",
+      error: error.message,
+      status: false,
+    });
+  }
+};
+
+// Soft delete, by the comment's author or (on the moderation route) an
+// admin. Replies stay in place under a "deleted" placeholder.
+const deleteComment = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const isModerator = req.role === "admin";
+
+    const comment = isModerator
+      ? await prisma.comment.findFirst({
+          where: { id: commentId, deletedAt: null },
+        })
+      : await findOwnComment(commentId, req);
+
+    if (!comment) {
+      return res.status(404).json({
+        message: "Comment not found or you are not authorized to delete it",
+        status: false,
+      });
+    }
+
+    await prisma.comment.update({
+      where: { id: commentId },
+      data: {
+        deletedAt: new Date(),
+        deletedById: req.user.id,
+        deletedByModerator: isModerator,
+        pinnedAt: null,
+      },
+    });
+
+    return res.status(200).json({
+      message: "Comment deleted successfully",
+      status: true,
+    });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({
+      message: "Error while deleting comment",
+      error: error.message,
+      status: false,
+    });
+  }
+};
+
+const toggleCommentLike = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const authorField = getAuthorField(req.role);
+
+    const comment = await prisma.comment.findFirst({
+      where: {
+        id: commentId,
+        ...VISIBLE_COMMENT_FILTER,
+        story: getReadableStoryFilter(req),
+      },
+      select: {
+        id: true,
+        studentId: true,
+        parentId: true,
+        therapistId: true,
+        story: { select: { studentId: true } },
+      },
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        message: "Comment not found",
+        status: false,
+      });
+    }
+
+    const existingLike = await prisma.commentLike.findFirst({
+      where: { commentId, [authorField]: req.user.id },
+    });
+
+    if (existingLike) {
+      await prisma.commentLike.delete({ where: { id: existingLike.id } });
+
+      return res.status(200).json({
+        message: "Successfully unliked the comment",
+        status: true,
+        liked: false,
+      });
+    }
+
+    const commentAuthorId =
+      comment.studentId || comment.parentId || comment.therapistId;
+    if (
+      await isBlockedByAny(req.user.id, [
+        comment.story.studentId,
+        commentAuthorId,
+      ])
+    ) {
+      return res.status(403).json({
+        message: "You cannot like this comment",
+        status: false,
+      });
+    }
+
+    await prisma.commentLike.create({
+      data: { commentId, [authorField]: req.user.id },
+    });
+
+    return res.status(200).json({
+      message: "Successfully liked the comment",
+      status: true,
+      liked: true,
+    });
+  } catch (error) {
+    // A double tap raced the first like in
+    if (error.code === "P2002") {
+      return res.status(200).json({
+        message: "Successfully liked the comment",
+        status: true,
+        liked: true,
+      });
+    }
+
+    console.error("Toggle Comment Like Error:", error);
+    return res.status(500).json({
+      message: "Error while toggling comment like",
+      status: false,
+      error: error.message,
+    });
+  }
+};
+
+// The story's author can pin one top-level comment; pinning another
+// replaces it, and pinning the same one again unpins it
+const togglePinComment = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+
+    const comment = await prisma.comment.findFirst({
+      where: {
+        id: commentId,
+        parentCommentId: null,
+        ...VISIBLE_COMMENT_FILTER,
+        story: { studentId: req.user.id },
+      },
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        message: "Comment not found or you are not authorized to pin it",
+        status: false,
+      });
+    }
+
+    const pinned = !comment.pinnedAt;
+
+    await prisma.$transaction([
+      prisma.comment.updateMany({
+        where: { storyId: comment.storyId, pinnedAt: { not: null } },
+        data: { pinnedAt: null },
+      }),
+      ...(pinned
+        ? [
+            prisma.comment.update({
+              where: { id: commentId },
+              data: { pinnedAt: new Date() },
+            }),
+          ]
+        : []),
+    ]);
+
+    return res.status(200).json({
+      message: pinned
+        ? "Comment pinned successfully"
+        : "Comment unpinned successfully",
+      status: true,
+      pinned,
+    });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({
+      message: "Error while pinning comment",
       error: error.message,
       status: false,
     });
@@ -1139,8 +2006,8 @@ const toggleStoryLike = async (req, res) => {
     const userRole = req.role;
 
     // Verify story exists
-    const story = await prisma.story.findUnique({
-      where: { id: storyId },
+    const story = await prisma.story.findFirst({
+      where: { id: storyId, ...getReadableStoryFilter(req) },
     });
 
     if (!story) {
@@ -1177,6 +2044,14 @@ const toggleStoryLike = async (req, res) => {
       });
     }
 
+    // Likes can always be taken back, but a blocked member cannot add one
+    if (await isBlockedByAny(userId, [story.studentId])) {
+      return res.status(403).json({
+        message: "You cannot like this story",
+        status: false,
+      });
+    }
+
     // Create new like
     await prisma.like.create({
       data: {
@@ -1191,6 +2066,18 @@ const toggleStoryLike = async (req, res) => {
       },
     });
 
+    if (story.studentId !== userId) {
+      await notifyUser(
+        { id: story.studentId, userType: "student" },
+        {
+          type: "STORY_LIKED",
+          title: "Someone liked your story",
+          body: `${req.user.userName || "Someone"} liked your story`,
+          data: { storyId },
+        }
+      );
+    }
+
     return res.status(200).json({
       message: "Successfully liked the story",
       status: true,
@@ -1209,6 +2096,7 @@ const toggleStoryLike = async (req, res) => {
 const getTopThreeLikedStoryes = async (req, res) => {
   try {
     const stories = await prisma.story.findMany({
+      where: getFeedStoryFilter(req),
       take: 3,
       orderBy: {
         likes: {
@@ -1219,6 +2107,7 @@ const getTopThreeLikedStoryes = async (req, res) => {
         image: true,
         title: true,
         content: true,
+        isAnonymous: true,
         student: {
           select: {
             studentImage: true,
@@ -1233,7 +2122,7 @@ const getTopThreeLikedStoryes = async (req, res) => {
       },
     });
     return res.status(200).json({
-      data: stories,
+      data: stories.map((story) => hideAnonymousAuthor(story)),
       message: "Top 3 liked stories retrieved successfully",
       status: true,
     });
@@ -1249,13 +2138,24 @@ const getSpecificStory = async (req, res) => {
   try {
     const { storyId } = req.params;
     // console.log(storyId);
-    const userId = req.user?.id; // Assuming you want to ensure the user owns the story
+    const userId = req.user?.id;
 
-    // Fetch the story by ID, ensuring it belongs to the logged-in user
-    const story = await prisma.story.findUnique({
+    const hiddenUserIds = await getHiddenUserIds(userId);
+    const visibleComments = excludeAuthors(
+      VISIBLE_COMMENT_FILTER,
+      hiddenUserIds
+    );
+    const visibleLikes = excludeAuthors({}, hiddenUserIds);
+
+    // Authors can open any of their own stories, drafts included
+    const story = await prisma.story.findFirst({
       where: {
         id: storyId,
-        studentId: userId, // Ensure the story belongs to the user
+        OR: [
+          getReadableStoryFilter(req),
+          ...(req.role === "student" ? [{ studentId: userId }] : []),
+        ],
+        studentId: { notIn: hiddenUserIds },
       },
       select: {
         id: true,
@@ -1265,6 +2165,11 @@ const getSpecificStory = async (req, res) => {
         audio: true,
         audioDuration: true,
         createdAt: true,
+        isAnonymous: true,
+        visibility: true,
+        status: true,
+        publishAt: true,
+        publishedAt: true,
         student: {
           select: {
             id: true,
@@ -1274,6 +2179,7 @@ const getSpecificStory = async (req, res) => {
           },
         },
         comments: {
+          where: visibleComments,
           select: {
             id: true,
             content: true,
@@ -1289,6 +2195,7 @@ const getSpecificStory = async (req, res) => {
           },
         },
         likes: {
+          where: visibleLikes,
           select: {
             id: true,
             student: {
@@ -1303,8 +2210,8 @@ const getSpecificStory = async (req, res) => {
         },
         _count: {
           select: {
-            comments: true,
-            likes: true,
+            comments: { where: visibleComments },
+            likes: { where: visibleLikes },
           },
         },
       },
@@ -1318,6 +2225,8 @@ const getSpecificStory = async (req, res) => {
       });
     }
 
+    const visibleStory = hideAnonymousAuthor(story, userId);
+
     // Format the story with additional data
     const formattedStory = {
       id: story.id,
@@ -1328,13 +2237,18 @@ const getSpecificStory = async (req, res) => {
       audioDuration: story.audioDuration,
       createdAt: story.createdAt,
       timeAgo: timeAgo(story.createdAt),
-      student: story.student,
-      comments: story.comments.map((comment) => ({
+      isAnonymous: story.isAnonymous,
+      visibility: story.visibility,
+      status: story.status,
+      publishAt: story.publishAt,
+      publishedAt: story.publishedAt,
+      student: visibleStory.student,
+      comments: visibleStory.comments.map((comment) => ({
         ...comment,
         timeAgo: timeAgo(comment.createdAt),
       })),
       commentsCount: story._count.comments,
-      likes: story.likes,
+      likes: visibleStory.likes,
       likesCount: story._count.likes,
     };
 
@@ -1357,12 +2271,19 @@ const getSpecificStory = async (req, res) => {
 const reportStory = async (req, res) => {
   try {
     const { storyId } = req.params;
-    const { reason } = req.body;
-    const user = req.user;
+    const { reason } = ReportStorySchema.parse(req.body);
+    const reporterField = REPORTER_FIELDS[req.role];
+
+    if (!reporterField) {
+      return res.status(400).json({
+        message: "Invalid user type for reporting",
+        status: false,
+      });
+    }
 
     // Verify the story exists
-    const story = await prisma.story.findUnique({
-      where: { id: storyId },
+    const story = await prisma.story.findFirst({
+      where: { id: storyId, ...getReadableStoryFilter(req) },
     });
 
     if (!story) {
@@ -1371,37 +2292,43 @@ const reportStory = async (req, res) => {
         status: false,
       });
     }
-    // Determine reporter type based on userType from the JWT middleware
-    const reportData = {
-      storyId,
-      reason,
-    };
 
-    // Add the appropriate reporter ID based on user type
-    if (user.userType === "student") {
-      reportData.studentReporterId = user.id;
-    } else if (user.userType === "parent") {
-      reportData.parentReporterId = user.id;
-    } else if (user.userType === "therapist") {
-      reportData.therapistReporterId = user.id;
-    } else {
-      return res.status(400).json({
-        message: "Invalid user type for reporting",
+    // One open report per person, so the hide threshold counts people
+    const existingReport = await prisma.report.findFirst({
+      where: {
+        storyId,
+        [reporterField]: req.user.id,
+        status: { in: OPEN_REPORT_STATUSES },
+      },
+    });
+
+    if (existingReport) {
+      return res.status(409).json({
+        message: "You have already reported this story",
         status: false,
       });
     }
 
-    // Create the report
     const reportedStory = await prisma.report.create({
-      data: reportData,
+      data: { storyId, reason, [reporterField]: req.user.id },
     });
 
+    await applyReportThreshold(storyId);
+
     return res.status(201).json({
       message: "Story reported successfully",
       status: true,
       report: reportedStory,
     });
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        message: "Validation Error",
+        errors: error.errors.map((e) => e.message),
+        status: false,
+      });
+    }
+
     console.error("Error reporting story:", error);
     return res.status(500).json({
       message: "Failed to report story",
@@ -1411,13 +2338,71 @@ const reportStory = async (req, res) => {
   }
 };
 
+// The caller's own reports and how each was resolved
+const getMyReports = async (req, res) => {
+  try {
+    const { page, limit } = StoryPaginationSchema.parse(req.query);
+    const pageNumber = Math.max(page, 1);
+    const pageSize = Math.min(limit, 50);
+    const skip = (pageNumber - 1) * pageSize;
+    const where = { [REPORTER_FIELDS[req.role]]: req.user.id };
+
+    const [reports, totalReports] = await Promise.all([
+      prisma.report.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip,
+        take: pageSize,
+        select: {
+          id: true,
+          reason: true,
+          status: true,
+          createdAt: true,
+          resolvedAt: true,
+          story: { select: { id: true, title: true } },
+          action: { select: { action: true } },
+        },
+      }),
+      prisma.report.count({ where }),
+    ]);
+
+    const totalPages = Math.ceil(totalReports / pageSize);
+
+    return res.status(200).json({
+      data: reports.map(({ action, ...report }) => ({
+        ...report,
+        // Only the outcome; the moderator's note stays internal
+        outcome: action?.action || null,
+        timeAgo: timeAgo(report.createdAt),
+      })),
+      pagination: {
+        currentPage: pageNumber,
+        pageSize,
+        totalReports,
+        totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPreviousPage: pageNumber > 1,
+      },
+      message: "Reports retrieved successfully",
+      status: true,
+    });
+  } catch (error) {
+    console.error("Error fetching reports:", error);
+    return res.status(500).json({
+      message: "Failed to get reports",
+      status: false,
+      error: error.message,
+    });
+  }
+};
+
 const toggleFavoriteStory = async (req, res) => {
   try {
     const { id } = req.params;
     const { userType } = req.user;
     const userId = req.user.id;
-    const story = await prisma.story.findUnique({
-      where: { id },
+    const story = await prisma.story.findFirst({
+      where: { id, ...getReadableStoryFilter(req) },
     });
 
     if (!story) {
@@ -1493,8 +2478,8 @@ const hideStory = async (req, res) => {
     const user = req.user;
 
     // Verify the story exists
-    const story = await prisma.story.findUnique({
-      where: { id: storyId },
+    const story = await prisma.story.findFirst({
+      where: { id: storyId, ...getReadableStoryFilter(req) },
     });
 
     if (!story) {
@@ -1562,102 +2547,6 @@ const hideStory = async (req, res) => {
   }
 };
 
-const getReportedStories = async (req, res) => {
-  try {
-    const reportedStories = await prisma.report.findMany({
-      where: {
-        isNew: true,
-      },
-      select: {
-        id: true,
-        reason: true,
-        createdAt: true,
-        story: {
-          select: {
-            id: true,
-          },
-        },
-        studentReporter: {
-          select: {
-            userName: true,
-          },
-        },
-        parentReporter: {
-          select: {
-            fullName: true,
-          },
-        },
-        therapistReporter: {
-          select: {
-            userName: true,
-          },
-        },
-      },
-    });
-
-    return res.status(200).json({
-      data: reportedStories,
-      message: "Reported stories retrieved successfully",
-      status: true,
-    });
-  } catch (error) {
-    return res.status(500).json({
-      message: "Failed to get reported stories",
-      status: false,
-      error: error.message,
-    });
-  }
-};
-
-const getReportedStory = async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    const reportedStory = await prisma.story.findUnique({
-      where: {
-        id,
-      },
-      select: {
-        image: true,
-        title: true,
-        content: true,
-        audio: true,
-        audioDuration: true,
-        student: {
-          select: {
-            studentImage: true,
-            userName: true,
-          },
-        },
-        _count: {
-          select: {
-            reports: true,
-          },
-        },
-      },
-    });
-
-    if (reportedStory) {
-      return res.status(200).json({
-        data: reportedStory,
-        message: "Reported story retrieved successfully",
-        status: true,
-      });
-    } else {
-      return res.status(404).json({
-        message: "Reported story not found",
-        status: false,
-      });
-    }
-  } catch (error) {
-    return res.status(500).json({
-      message: "Failed to get reported story",
-      status: false,
-      error: error.message,
-    });
-  }
-};
-
 const getFavoriteStories = async (req, res) => {
   try {
     const { page, limit } = StoryPaginationSchema.parse(req.query);
@@ -1687,7 +2576,7 @@ const getFavoriteStories = async (req, res) => {
     // First find favorite entries for the user
     const [favoriteEntries, totalFavorites] = await Promise.all([
       prisma.favorites.findMany({
-        where: userCondition,
+        where: { ...userCondition, story: getReadableStoryFilter(req) },
         take: pageSize,
         skip: skip,
         orderBy: {
@@ -1711,7 +2600,7 @@ const getFavoriteStories = async (req, res) => {
               },
               _count: {
                 select: {
-                  comments: true,
+                  comments: { where: VISIBLE_COMMENT_FILTER },
                   likes: true,
                 },
               },
@@ -1720,7 +2609,7 @@ const getFavoriteStories = async (req, res) => {
         },
       }),
       prisma.favorites.count({
-        where: userCondition,
+        where: { ...userCondition, story: getReadableStoryFilter(req) },
       }),
     ]);
 
@@ -1728,7 +2617,7 @@ const getFavoriteStories = async (req, res) => {
     const stories = favoriteEntries.map((entry) => {
       const story = entry.story;
       return {
-        ...story,
+        ...hideAnonymousAuthor(story, userId),
         timeAgo: timeAgo(story.createdAt),
         commentCount: story._count.comments,
         likeCount: story._count.likes,
@@ -1763,21 +2652,151 @@ const getFavoriteStories = async (req, res) => {
     });
   }
 };
+// Moderator lookup of an anonymous story's author. Every lookup is logged
+// with the moderator and their reason.
+const revealStoryAuthor = async (req, res) => {
+  try {
+    const { storyId } = req.params;
+    const { reason } = RevealAuthorSchema.parse(req.body);
+
+    const story = await prisma.story.findUnique({
+      where: { id: storyId },
+      select: {
+        id: true,
+        isAnonymous: true,
+        student: {
+          select: {
+            id: true,
+            fullName: true,
+            userName: true,
+            email: true,
+            studentImage: true,
+          },
+        },
+      },
+    });
+
+    if (!story) {
+      return res.status(404).json({
+        message: "Story not found",
+        status: false,
+      });
+    }
+
+    if (!story.isAnonymous) {
+      return res.status(400).json({
+        message: "This story was not posted anonymously",
+        status: false,
+      });
+    }
+
+    await prisma.storyAuthorReveal.create({
+      data: {
+        storyId,
+        studentId: story.student.id,
+        adminId: req.user.id,
+        reason,
+      },
+    });
+
+    return res.status(200).json({
+      data: story.student,
+      message: "Story author retrieved successfully",
+      status: true,
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        message: "Validation Error",
+        errors: error.errors.map((e) => e.message),
+        status: false,
+      });
+    }
+
+    console.error(error);
+    return res.status(500).json({
+      message: "Error while retrieving story author",
+      error: error.message,
+      status: false,
+    });
+  }
+};
+
+const getStoryAuthorReveals = async (req, res) => {
+  try {
+    const { page, limit } = StoryPaginationSchema.parse(req.query);
+    const pageSize = Math.min(Math.max(limit, 1), 50);
+    const pageNumber = Math.max(page, 1);
+    const where = req.query.storyId ? { storyId: req.query.storyId } : {};
+
+    const [reveals, totalReveals] = await Promise.all([
+      prisma.storyAuthorReveal.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip: (pageNumber - 1) * pageSize,
+        take: pageSize,
+        include: {
+          admin: { select: { id: true, name: true, email: true } },
+        },
+      }),
+      prisma.storyAuthorReveal.count({ where }),
+    ]);
+
+    const totalPages = Math.ceil(totalReveals / pageSize);
+
+    return res.status(200).json({
+      data: reveals,
+      pagination: {
+        currentPage: pageNumber,
+        pageSize,
+        totalReveals,
+        totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPreviousPage: pageNumber > 1,
+      },
+      message: "Author lookups retrieved successfully",
+      status: true,
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        message: "Validation Error",
+        errors: error.errors.map((e) => e.message),
+        status: false,
+      });
+    }
+
+    console.error(error);
+    return res.status(500).json({
+      message: "Error while retrieving author lookups",
+      error: error.message,
+      status: false,
+    });
+  }
+};
+
 export {
   createStory,
   getStories,
   getCurrentUserStories,
   editStory,
+  publishStoryNow,
   deleteStory,
   addComment,
   getStoryComments,
+  editComment,
+  getCommentEditHistory,
+  deleteComment,
+  toggleCommentLike,
+  togglePinComment,
   toggleStoryLike,
   getTopThreeLikedStoryes,
   getSpecificStory, // Export the new function
   reportStory,
   hideStory,
   toggleFavoriteStory,
-  getReportedStories,
-  getReportedStory,
+  getMyReports,
   getFavoriteStories,
+  revealStoryAuthor,
+  getStoryAuthorReveals,
 };
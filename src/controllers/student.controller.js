@@ -4,8 +4,18 @@ import nodemailer from "nodemailer";
 import { prisma } from "../db/prismaClientConfig.js";
 import { deleteSingleObjectFromS3 } from "./aws.controller.js";
 import { accessTokenGenerator } from "../utils/Helper.js";
+import { revokeSession } from "../utils/session.js";
+import { findConflictingAccount } from "../utils/accountResolver.js";
 import { timeAgo } from "../utils/Helper.js";
 import { generateOTP } from "../utils/otpUtils.js";
+import { getStudentAchievements } from "../utils/achievements.js";
+import { VISIBLE_COMMENT_FILTER } from "../utils/comments.js";
+import { getFeedStoryFilter } from "../utils/storyVisibility.js";
+import {
+  getActiveSuspension,
+  sendSuspendedResponse,
+} from "../utils/suspensions.js";
+import { filterContent, sendContentRejected } from "../utils/contentFilter.js";
 
 // Zod validation schema for user creation
 const CreateUserSchema = z.object({
@@ -43,6 +53,12 @@ const CreateUserSchema = z.object({
   gender: z.string().optional(),
 
   trustPhoneNo: z.string().optional(),
+
+  trustEmail: z
+    .string()
+    .email({ message: "Invalid trusted contact email" })
+    .toLowerCase()
+    .optional(),
 });
 
 const EditUserSchema = z.object({
@@ -56,6 +72,10 @@ const EditUserSchema = z.object({
     .min(3, { message: "userName must be at least 3 characters long" })
     .max(15, { message: "userName cannot exceed 15 characters" }),
 
+  bio: z
+    .string()
+    .max(500, { message: "bio cannot exceed 500 characters" })
+    .optional(),
   age: z.number().int().min(0).max(120).optional(),
   gender: z.string().optional(),
   dob: z.string().optional(),
@@ -63,6 +83,11 @@ const EditUserSchema = z.object({
   profileImage: z.string().optional(),
 
   trustPhoneNo: z.string().optional(),
+  trustEmail: z
+    .string()
+    .email({ message: "Invalid trusted contact email" })
+    .toLowerCase()
+    .optional(),
   imageBeforeChange: z.string().optional().nullable(),
 });
 
@@ -130,6 +155,7 @@ const createStudent = async (req, res) => {
       dob,
       profileImage,
       trustPhoneNo,
+      trustEmail,
       gender,
     } = CreateUserSchema.parse(req.body);
 
@@ -145,32 +171,15 @@ const createStudent = async (req, res) => {
       });
     }
 
-    // Check if email or phone already exists in parent or therapist models
-    const [parentCheck, therapistCheck] = await prisma.$transaction([
-      prisma.parent.findFirst({
-        where: { OR: [{ email: email }, { phone: phone }] },
-        select: { id: true, email: true, phone: true },
-      }),
-      prisma.therapist.findFirst({
-        where: { OR: [{ email: email }, { phone: phone }] },
-        select: { id: true, email: true, phone: true },
-      }),
-    ]);
-
-    if (parentCheck) {
-      return res.status(409).json({
-        message: `${
-          parentCheck.email === email ? "Email" : "Phone"
-        } already registered as a parent`,
-        status: false,
-      });
-    }
+    // Check if email or phone already exists for another account type
+    const conflictingAccount = await findConflictingAccount(
+      { email, phone },
+      "student"
+    );
 
-    if (therapistCheck) {
+    if (conflictingAccount) {
       return res.status(409).json({
-        message: `${
-          therapistCheck.email === email ? "Email" : "Phone"
-        } already registered as a therapist`,
+        message: `${conflictingAccount.field} already registered as a ${conflictingAccount.userType}`,
         status: false,
       });
     }
@@ -201,6 +210,7 @@ const createStudent = async (req, res) => {
             password: hashedPassword,
             gender,
             trustPhoneNo,
+            trustEmail,
             dob,
             isOtpVerify: true, // Since they've already verified OTP in the previous step
           },
@@ -213,10 +223,11 @@ const createStudent = async (req, res) => {
             createdAt: true,
             gender: true,
             trustPhoneNo: true,
+            trustEmail: true,
           },
         });
 
-        const { accessToken } = await accessTokenGenerator(
+        const { accessToken, refreshToken } = await accessTokenGenerator(
           createdStudent.id,
           "student"
         );
@@ -225,6 +236,7 @@ const createStudent = async (req, res) => {
           data: createdStudent,
           userType: "student",
           accessToken,
+          refreshToken,
           message: "User created successfully",
           status: true,
         });
@@ -276,6 +288,10 @@ const createStudent = async (req, res) => {
       }
     }
 
+    // Re-running sign-up must not let a suspended account back in
+    const suspension = await getActiveSuspension(existingStudent.id, "student");
+    if (suspension) return sendSuspendedResponse(res, suspension);
+
     try {
       // Update the existing student by ID (safest approach)
       const updatedStudent = await prisma.student.update({
@@ -289,6 +305,7 @@ const createStudent = async (req, res) => {
           password: hashedPassword,
           gender,
           trustPhoneNo,
+          trustEmail,
           dob,
           isOtpVerify: true, // Ensure OTP verification flag is set
         },
@@ -301,10 +318,11 @@ const createStudent = async (req, res) => {
           createdAt: true,
           gender: true,
           trustPhoneNo: true,
+          trustEmail: true,
         },
       });
 
-      const { accessToken } = await accessTokenGenerator(
+      const { accessToken, refreshToken } = await accessTokenGenerator(
         updatedStudent.id,
         "student"
       );
@@ -313,6 +331,7 @@ const createStudent = async (req, res) => {
         data: updatedStudent,
         userType: "student",
         accessToken,
+        refreshToken,
         message: "Student account updated successfully",
         status: true,
       });
@@ -350,37 +369,49 @@ const createStudent = async (req, res) => {
 const editStudent = async (req, res) => {
   try {
     const {
-      fullName,
-      userName,
       age,
       profileImage,
       gender,
       dob,
       trustPhoneNo,
+      trustEmail,
       imageBeforeChange,
+      ...profile
     } = EditUserSchema.parse(req.body);
 
     const studentId = req.user.id;
 
+    // Everything other members can see goes through the BIO policy; the
+    // trusted contact details are private and left alone
+    const filtered = await filterContent("BIO", profile);
+    if (filtered.action === "REJECT") {
+      return sendContentRejected(res, filtered);
+    }
+    const { fullName, userName, bio } = filtered.fields;
+
     const updatedStudent = await prisma.student.update({
       where: { id: studentId },
       data: {
         fullName,
         userName,
+        bio,
         age,
         studentImage: profileImage,
         gender,
         dob,
         trustPhoneNo,
+        trustEmail,
       },
       select: {
         fullName: true,
         userName: true,
+        bio: true,
         age: true,
         studentImage: true,
         gender: true,
         dob: true,
         trustPhoneNo: true,
+        trustEmail: true,
       },
     });
     if (imageBeforeChange) {
@@ -438,6 +469,10 @@ const loginStudent = async (req, res) => {
       });
     }
 
+    // Suspended accounts are refused before an OTP goes out
+    const suspension = await getActiveSuspension(user.id, "student");
+    if (suspension) return sendSuspendedResponse(res, suspension);
+
     // Check if this is an OTP verification request
     if (otp) {
       // If OTP is provided, verify it
@@ -455,7 +490,7 @@ const loginStudent = async (req, res) => {
       });
 
       // Generate access token
-      const { accessToken } = await accessTokenGenerator(user.id, "student");
+      const { accessToken, refreshToken } = await accessTokenGenerator(user.id, "student");
 
       // Respond with token and user details
       return res.status(200).json({
@@ -465,6 +500,7 @@ const loginStudent = async (req, res) => {
           userType: "student",
         },
         accessToken,
+        refreshToken,
         message: "Logged In Successfully",
         status: true,
       });
@@ -517,10 +553,8 @@ const loginStudent = async (req, res) => {
 
 const logoutStudent = async (req, res) => {
   try {
-    // Verify user exists
-    await prisma.student.findFirstOrThrow({
-      where: { id: req.user?.id },
-    });
+    // Revoke the session so its access and refresh tokens stop working
+    await revokeSession(req.sessionId);
 
     return res.status(200).json({
       message: "Logged out Successfully",
@@ -560,7 +594,7 @@ const getStudentProfile = async (req, res) => {
     }
 
     return res.status(200).json({
-      data: user,
+      data: { ...user, achievements: await getStudentAchievements(user.id) },
       message: "User profile retrieved successfully",
       status: true,
     });
@@ -626,6 +660,13 @@ const getStudentProfileDetails = async (req, res) => {
     // Calculate pagination offsets
     const skip = (page - 1) * limit;
 
+    // Others only see the published stories they are allowed to read, and
+    // anonymous stories are never tied to the profile
+    const storyFilter =
+      req.user?.id === studentId
+        ? { status: "PUBLISHED" }
+        : { ...getFeedStoryFilter(req), isAnonymous: false };
+
     // Get student details
     const studentDetails = await prisma.student.findUnique({
       where: { id: studentId },
@@ -637,7 +678,7 @@ const getStudentProfileDetails = async (req, res) => {
         quizScore: true,
         _count: {
           select: {
-            stories: true,
+            stories: { where: storyFilter },
           },
         },
       },
@@ -657,6 +698,7 @@ const getStudentProfileDetails = async (req, res) => {
     const stories = await prisma.story.findMany({
       where: {
         studentId: studentId,
+        ...storyFilter,
       },
       select: {
         id: true,
@@ -666,6 +708,7 @@ const getStudentProfileDetails = async (req, res) => {
         audio: true,
         audioDuration: true,
         createdAt: true,
+        isAnonymous: true,
         student: {
           select: {
             id: true,
@@ -675,6 +718,7 @@ const getStudentProfileDetails = async (req, res) => {
           },
         },
         comments: {
+          where: VISIBLE_COMMENT_FILTER,
           select: {
             id: true,
             content: true,
@@ -704,7 +748,7 @@ const getStudentProfileDetails = async (req, res) => {
         },
         _count: {
           select: {
-            comments: true,
+            comments: { where: VISIBLE_COMMENT_FILTER },
             likes: true,
           },
         },
@@ -726,6 +770,7 @@ const getStudentProfileDetails = async (req, res) => {
       audioDuration: story.audioDuration,
       createdAt: story.createdAt,
       timeAgo: timeAgo(story.createdAt),
+      isAnonymous: story.isAnonymous,
       student: story.student,
       comments: story.comments.map((comment) => ({
         ...comment,
@@ -753,6 +798,7 @@ const getStudentProfileDetails = async (req, res) => {
         returnedStoriesCount: formattedStories.length,
         stories: formattedStories,
         quizScore: studentDetails.quizScore,
+        achievements: await getStudentAchievements(studentId),
         pagination: {
           totalStories,
           totalPages,
@@ -0,0 +1,415 @@
+import { z } from "zod";
+import { prisma } from "../db/prismaClientConfig.js";
+import { timeAgo } from "../utils/Helper.js";
+import { MEMBER_ACCOUNT_TYPES, findAccount } from "../utils/accountResolver.js";
+import { notifyUser } from "../utils/notifications.js";
+import { revokeAllSessions } from "../utils/session.js";
+import {
+  getSuspensionMessage,
+  liftSuspension,
+  suspendAccount,
+  verifyAppealToken,
+} from "../utils/suspensions.js";
+
+const SuspendUserSchema = z.object({
+  userId: z.string().min(1, { message: "User id is required" }),
+  userType: z
+    .string()
+    .transform((userType) => userType.toLowerCase())
+    .pipe(
+      z.enum(MEMBER_ACCOUNT_TYPES, {
+        message: "User type must be student, parent or therapist",
+      })
+    ),
+  reason: z
+    .string()
+    .trim()
+    .min(5, { message: "Reason must be at least 5 characters long" })
+    .max(1000, { message: "Reason cannot exceed 1000 characters" }),
+  // Leave out for a permanent ban
+  days: z.number().int().min(1).max(3650).optional(),
+});
+
+const SuspensionQuerySchema = z.object({
+  userId: z.string().optional(),
+  activeOnly: z
+    .enum(["true", "false"])
+    .default("false")
+    .transform((value) => value === "true"),
+  page: z.string().transform(Number).default("1"),
+  limit: z.string().transform(Number).default("10"),
+});
+
+const FileAppealSchema = z.object({
+  appealToken: z.string().min(1, { message: "Appeal token is required" }),
+  message: z
+    .string()
+    .trim()
+    .min(10, { message: "Appeal must be at least 10 characters long" })
+    .max(2000, { message: "Appeal cannot exceed 2000 characters" }),
+});
+
+const AppealQuerySchema = z.object({
+  status: z.enum(["PENDING", "ACCEPTED", "REJECTED"]).default("PENDING"),
+  page: z.string().transform(Number).default("1"),
+  limit: z.string().transform(Number).default("10"),
+});
+
+const ResolveAppealSchema = z.object({
+  decision: z.enum(["ACCEPTED", "REJECTED"], {
+    message: "Decision must be either 'ACCEPTED' or 'REJECTED'",
+  }),
+  response: z
+    .string()
+    .trim()
+    .max(1000, { message: "Response cannot exceed 1000 characters" })
+    .optional(),
+});
+
+const isActive = (suspension) =>
+  !suspension.liftedAt &&
+  (!suspension.endsAt || suspension.endsAt > new Date());
+
+const handleSuspensionError = (error, res, message) => {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      message: "Validation Error",
+      errors: error.errors.map((e) => e.message),
+      status: false,
+    });
+  }
+
+  console.error(error);
+  return res.status(500).json({
+    message,
+    error: error.message,
+    status: false,
+  });
+};
+
+const suspendUser = async (req, res) => {
+  try {
+    const { userId, userType, reason, days } = SuspendUserSchema.parse(
+      req.body
+    );
+
+    const account = await findAccount(userType, { id: userId });
+
+    if (!account) {
+      return res.status(404).json({
+        message: "User not found",
+        status: false,
+      });
+    }
+
+    const suspension = await suspendAccount({
+      userId,
+      userType,
+      reason,
+      endsAt: days ? new Date(Date.now() + days * 86400000) : null,
+      adminId: req.user.id,
+    });
+
+    // Signed-in devices are logged out straight away
+    await revokeAllSessions(userId);
+
+    await notifyUser(
+      { id: userId, userType },
+      {
+        type: "MODERATION_NOTICE",
+        title: days ? "Account suspended" : "Account banned",
+        body: `${getSuspensionMessage(suspension)}. Reason: ${reason}`,
+        data: { suspensionId: suspension.id },
+      }
+    );
+
+    return res.status(201).json({
+      data: suspension,
+      message: days
+        ? "User suspended successfully"
+        : "User banned successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleSuspensionError(error, res, "Error while suspending user");
+  }
+};
+
+const liftUserSuspension = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const suspension = await prisma.accountSuspension.findUnique({
+      where: { id },
+    });
+
+    if (!suspension) {
+      return res.status(404).json({
+        message: "Suspension not found",
+        status: false,
+      });
+    }
+
+    if (!isActive(suspension)) {
+      return res.status(409).json({
+        message: "This suspension is no longer active",
+        status: false,
+      });
+    }
+
+    const lifted = await liftSuspension(suspension);
+
+    await notifyUser(
+      { id: suspension.userId, userType: suspension.userType },
+      {
+        type: "MODERATION_NOTICE",
+        title: "Suspension lifted",
+        body: "Your account suspension has been lifted. Welcome back.",
+        data: { suspensionId: suspension.id },
+      }
+    );
+
+    return res.status(200).json({
+      data: lifted,
+      message: "Suspension lifted successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleSuspensionError(error, res, "Error while lifting suspension");
+  }
+};
+
+const getSuspensions = async (req, res) => {
+  try {
+    const { userId, activeOnly, page, limit } = SuspensionQuerySchema.parse(
+      req.query
+    );
+
+    const pageNumber = Math.max(page, 1);
+    const pageSize = Math.min(limit, 50);
+    const skip = (pageNumber - 1) * pageSize;
+    const now = new Date();
+    const where = {
+      ...(userId && { userId }),
+      ...(activeOnly && {
+        liftedAt: null,
+        OR: [{ endsAt: null }, { endsAt: { gt: now } }],
+      }),
+    };
+
+    const [suspensions, totalSuspensions] = await Promise.all([
+      prisma.accountSuspension.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip,
+        take: pageSize,
+        include: {
+          admin: { select: { id: true, name: true } },
+          appeal: { select: { id: true, status: true, createdAt: true } },
+        },
+      }),
+      prisma.accountSuspension.count({ where }),
+    ]);
+
+    const totalPages = Math.ceil(totalSuspensions / pageSize);
+
+    return res.status(200).json({
+      data: suspensions.map((suspension) => ({
+        ...suspension,
+        isActive: isActive(suspension),
+        isPermanent: !suspension.endsAt,
+      })),
+      pagination: {
+        currentPage: pageNumber,
+        pageSize,
+        totalSuspensions,
+        totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPreviousPage: pageNumber > 1,
+      },
+      message: "Suspensions retrieved successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleSuspensionError(
+      error,
+      res,
+      "Error while retrieving suspensions"
+    );
+  }
+};
+
+// Filed by a suspended user with the token their refused login returned
+const fileAppeal = async (req, res) => {
+  try {
+    const { appealToken, message } = FileAppealSchema.parse(req.body);
+
+    const suspensionId = verifyAppealToken(appealToken);
+
+    if (!suspensionId) {
+      return res.status(401).json({
+        message: "Invalid or expired appeal token. Sign in again to get one.",
+        status: false,
+      });
+    }
+
+    const suspension = await prisma.accountSuspension.findUnique({
+      where: { id: suspensionId },
+      include: { appeal: { select: { id: true } } },
+    });
+
+    if (!suspension || !isActive(suspension)) {
+      return res.status(409).json({
+        message: "This suspension is no longer active",
+        status: false,
+      });
+    }
+
+    if (suspension.appeal) {
+      return res.status(409).json({
+        message: "An appeal has already been filed for this suspension",
+        status: false,
+      });
+    }
+
+    const appeal = await prisma.suspensionAppeal.create({
+      data: { suspensionId, message },
+    });
+
+    return res.status(201).json({
+      data: appeal,
+      message: "Appeal submitted. We will email you once it has been reviewed.",
+      status: true,
+    });
+  } catch (error) {
+    if (error.code === "P2002") {
+      return res.status(409).json({
+        message: "An appeal has already been filed for this suspension",
+        status: false,
+      });
+    }
+
+    return handleSuspensionError(error, res, "Error while filing appeal");
+  }
+};
+
+const getAppeals = async (req, res) => {
+  try {
+    const { status, page, limit } = AppealQuerySchema.parse(req.query);
+
+    const pageNumber = Math.max(page, 1);
+    const pageSize = Math.min(limit, 50);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const [appeals, totalAppeals] = await Promise.all([
+      prisma.suspensionAppeal.findMany({
+        where: { status },
+        orderBy: { createdAt: status === "PENDING" ? "asc" : "desc" }, // Oldest pending appeals first
+        skip,
+        take: pageSize,
+        include: {
+          suspension: true,
+          resolvedBy: { select: { id: true, name: true } },
+        },
+      }),
+      prisma.suspensionAppeal.count({ where: { status } }),
+    ]);
+
+    const totalPages = Math.ceil(totalAppeals / pageSize);
+
+    return res.status(200).json({
+      data: appeals.map((appeal) => ({
+        ...appeal,
+        timeAgo: timeAgo(appeal.createdAt),
+      })),
+      pagination: {
+        currentPage: pageNumber,
+        pageSize,
+        totalAppeals,
+        totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPreviousPage: pageNumber > 1,
+      },
+      message: "Appeals retrieved successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleSuspensionError(error, res, "Error while retrieving appeals");
+  }
+};
+
+// Accepting an appeal lifts the suspension it was filed against
+const resolveAppeal = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { decision, response } = ResolveAppealSchema.parse(req.body);
+
+    const appeal = await prisma.suspensionAppeal.findUnique({
+      where: { id },
+      include: { suspension: true },
+    });
+
+    if (!appeal) {
+      return res.status(404).json({
+        message: "Appeal not found",
+        status: false,
+      });
+    }
+
+    if (appeal.status !== "PENDING") {
+      return res.status(409).json({
+        message: "This appeal has already been resolved",
+        status: false,
+      });
+    }
+
+    const { suspension } = appeal;
+    const resolvedAppeal = await prisma.$transaction(async (prisma) => {
+      if (decision === "ACCEPTED" && isActive(suspension)) {
+        await liftSuspension(suspension, prisma);
+      }
+
+      return prisma.suspensionAppeal.update({
+        where: { id },
+        data: {
+          status: decision,
+          response,
+          resolvedAt: new Date(),
+          resolvedById: req.user.id,
+        },
+      });
+    });
+
+    const outcome =
+      decision === "ACCEPTED"
+        ? "Your appeal was accepted and your account has been restored."
+        : "Your appeal was reviewed and the suspension stays in place.";
+
+    await notifyUser(
+      { id: suspension.userId, userType: suspension.userType },
+      {
+        type: "MODERATION_NOTICE",
+        title: "Your appeal has been reviewed",
+        body: response ? `${outcome} ${response}` : outcome,
+        data: { suspensionId: suspension.id, appealId: id, decision },
+      }
+    );
+
+    return res.status(200).json({
+      data: resolvedAppeal,
+      message: "Appeal resolved successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleSuspensionError(error, res, "Error while resolving appeal");
+  }
+};
+
+export {
+  suspendUser,
+  liftUserSuspension,
+  getSuspensions,
+  fileAppeal,
+  getAppeals,
+  resolveAppeal,
+};
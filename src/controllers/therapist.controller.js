@@ -2,11 +2,26 @@ import { z } from "zod";
 import { prisma } from "../db/prismaClientConfig.js";
 import { decryptPassword } from "../utils/passwordEncryptDescrypt.js";
 import bcrypt from "bcryptjs";
-import { deleteSingleObjectFromS3 } from "./aws.controller.js";
+import { deleteSingleObjectFromS3, generateUploadUrl } from "./aws.controller.js";
 import { accessTokenGenerator } from "../utils/Helper.js";
+import { revokeAllSessions, revokeSession } from "../utils/session.js";
+import { findConflictingAccount } from "../utils/accountResolver.js";
 import nodemailer from "nodemailer";
+import jwt from "jsonwebtoken";
 import { generateOTP } from "../utils/otpUtils.js";
 import { sendMail } from "./student.controller.js";
+import {
+  therapistApprovedEmail,
+  therapistRejectedEmail,
+  therapistResubmittedEmail,
+} from "../utils/emailTemplates.js";
+import { notifyUser } from "../utils/notifications.js";
+import {
+  getActiveSuspension,
+  sendSuspendedResponse,
+} from "../utils/suspensions.js";
+import { filterContent, sendContentRejected } from "../utils/contentFilter.js";
+import { VISIBLE_REVIEW_FILTER } from "../utils/reviews.js";
 
 const createdTherapistSchema = z.object({
   userName: z
@@ -104,34 +119,15 @@ const createTherapist = async (req, res) => {
       therapistImage,
     } = createdTherapistSchema.parse(req.body);
 
-    // Check if email or phone already exists in student or parent models
-    const [studentCheck, parentCheck] = await prisma.$transaction([
-      prisma.student.findFirst({
-        where: { OR: [{ email: email }, { phone: phone }] },
-        select: { id: true, email: true, phone: true },
-      }),
-      prisma.parent.findFirst({
-        where: { OR: [{ email: email }, { phone: phone }] },
-        select: { id: true, email: true, phone: true },
-      }),
-    ]);
-
-    // Handle conflicts with student accounts
-    if (studentCheck) {
-      return res.status(409).json({
-        message: `${
-          studentCheck.email === email ? "Email" : "Phone"
-        } already registered as a student`,
-        status: false,
-      });
-    }
+    // Check if email or phone already exists for another account type
+    const conflictingAccount = await findConflictingAccount(
+      { email, phone },
+      "therapist"
+    );
 
-    // Handle conflicts with parent accounts
-    if (parentCheck) {
+    if (conflictingAccount) {
       return res.status(409).json({
-        message: `${
-          parentCheck.email === email ? "Email" : "Phone"
-        } already registered as a parent`,
+        message: `${conflictingAccount.field} already registered as a ${conflictingAccount.userType}`,
         status: false,
       });
     }
@@ -185,7 +181,7 @@ const createTherapist = async (req, res) => {
           },
         });
 
-        const { accessToken } = await accessTokenGenerator(
+        const { accessToken, refreshToken } = await accessTokenGenerator(
           createdTherapist.id,
           "therapist"
         );
@@ -194,6 +190,7 @@ const createTherapist = async (req, res) => {
           data: createdTherapist,
           userType: "therapist",
           accessToken,
+          refreshToken,
           message: "Therapist account created successfully",
           status: true,
         });
@@ -245,6 +242,13 @@ const createTherapist = async (req, res) => {
       }
     }
 
+    // Re-running sign-up must not let a suspended account back in
+    const suspension = await getActiveSuspension(
+      existingTherapist.id,
+      "therapist"
+    );
+    if (suspension) return sendSuspendedResponse(res, suspension);
+
     try {
       // Update the existing therapist by ID (safest approach)
       const updatedTherapist = await prisma.therapist.update({
@@ -281,7 +285,7 @@ const createTherapist = async (req, res) => {
         },
       });
 
-      const { accessToken } = await accessTokenGenerator(
+      const { accessToken, refreshToken } = await accessTokenGenerator(
         updatedTherapist.id,
         "therapist"
       );
@@ -290,6 +294,7 @@ const createTherapist = async (req, res) => {
         data: updatedTherapist,
         userType: "therapist",
         accessToken,
+        refreshToken,
         message: "Therapist account updated successfully",
         status: true,
       });
@@ -327,17 +332,16 @@ const createTherapist = async (req, res) => {
 const editTherapist = async (req, res) => {
   try {
     const {
-      userName,
       languageType,
       profileImage,
       qualifications,
-      bio,
       specialization,
       gender,
       recoveryEmail,
       licenseNO,
       experience,
       imageBeforeChange,
+      ...profile
     } = EditUserSchema.parse(req.body);
 
     const therapistId = req.user.id;
@@ -360,6 +364,12 @@ const editTherapist = async (req, res) => {
       });
     }
 
+    const filtered = await filterContent("BIO", profile);
+    if (filtered.action === "REJECT") {
+      return sendContentRejected(res, filtered);
+    }
+    const { userName, bio } = filtered.fields;
+
     const updatedTherapist = await prisma.therapist.update({
       where: { id: therapistId },
       data: {
@@ -453,6 +463,10 @@ const loginTherapist = async (req, res) => {
       });
     }
 
+    // Suspended accounts are refused before an OTP goes out
+    const suspension = await getActiveSuspension(therapist.id, "therapist");
+    if (suspension) return sendSuspendedResponse(res, suspension);
+
     // Check if this is an OTP verification request
     if (otp) {
       // If OTP is provided, verify it
@@ -470,7 +484,7 @@ const loginTherapist = async (req, res) => {
       });
 
       // Generate access token
-      const { accessToken } = await accessTokenGenerator(
+      const { accessToken, refreshToken } = await accessTokenGenerator(
         therapist.id,
         "therapist"
       );
@@ -484,6 +498,7 @@ const loginTherapist = async (req, res) => {
           email: therapist.email,
         },
         accessToken,
+        refreshToken,
         message: "Logged In Successfully",
         status: true,
       });
@@ -536,10 +551,8 @@ const loginTherapist = async (req, res) => {
 
 const logoutTherapist = async (req, res) => {
   try {
-    // Verify user exists
-    await prisma.therapist.findFirstOrThrow({
-      where: { id: req.user?.id },
-    });
+    // Revoke the session so its access and refresh tokens stop working
+    await revokeSession(req.sessionId);
 
     return res.status(200).json({
       message: "Logged out Successfully",
@@ -569,6 +582,7 @@ const getAllTherapist = async (_, res) => {
         qualifications: true,
         ratings: true,
         Review: {
+          where: VISIBLE_REVIEW_FILTER,
           select: {
             title: true,
             review: true,
@@ -617,6 +631,7 @@ const getSpecificTherapist = async (req, res) => {
         qualifications: true,
         ratings: true,
         Review: {
+          where: VISIBLE_REVIEW_FILTER,
           select: {
             title: true,
             review: true,
@@ -717,6 +732,19 @@ const getUnverifiedTherapist = async (req, res) => {
         qualifications: true,
         specialization: true,
         experience: true,
+        documents: {
+          select: { id: true, type: true, fileUrl: true, createdAt: true },
+          orderBy: { createdAt: "desc" },
+        },
+        verificationHistory: {
+          select: {
+            action: true,
+            reason: true,
+            reviewerId: true,
+            createdAt: true,
+          },
+          orderBy: { createdAt: "asc" },
+        },
       },
     });
 
@@ -741,6 +769,129 @@ const getUnverifiedTherapist = async (req, res) => {
   }
 };
 
+const RejectTherapistSchema = z.object({
+  reason: z
+    .string({ required_error: "Rejection reason is required" })
+    .trim()
+    .min(10, { message: "Rejection reason must be at least 10 characters" })
+    .max(1000, { message: "Rejection reason cannot exceed 1000 characters" }),
+});
+
+const THERAPIST_DOCUMENT_FILE_TYPES = [
+  "application/pdf",
+  "image/jpeg",
+  "image/png",
+];
+
+// Pending therapists cannot log in yet, so the verification routes take a
+// short-lived token from /verification/login instead of an access token.
+const VERIFICATION_TOKEN_EXPIRY = "30m";
+
+const TherapistCredentialsSchema = z.object({
+  email: z.string().email({ message: "Invalid email address" }).toLowerCase(),
+  password: z.string().min(1, { message: "Password is required" }),
+});
+
+const VerificationTokenSchema = z.object({
+  verificationToken: z
+    .string({ required_error: "Verification token is required" })
+    .min(1, { message: "Verification token is required" }),
+});
+
+const DocumentUploadUrlSchema = VerificationTokenSchema.extend({
+  fileType: z.enum(THERAPIST_DOCUMENT_FILE_TYPES, {
+    errorMap: () => ({
+      message: "Documents must be PDF, JPEG or PNG files",
+    }),
+  }),
+});
+
+const AddTherapistDocumentSchema = VerificationTokenSchema.extend({
+  type: z.enum(["LICENSE", "DEGREE", "OTHER"], {
+    errorMap: () => ({
+      message: "Document type must be LICENSE, DEGREE or OTHER",
+    }),
+  }),
+  fileUrl: z.string().url({ message: "Invalid URL format" }),
+});
+
+const ResubmitTherapistSchema = VerificationTokenSchema.extend({
+  licenseNO: z.string().optional(),
+  qualifications: z.string().optional(),
+  specialization: z.string().optional(),
+  experience: z.string().optional(),
+});
+
+const findTherapistByCredentials = async ({ email, password }) => {
+  const therapist = await prisma.therapist.findUnique({
+    where: { email },
+  });
+
+  if (!therapist) return null;
+
+  const isPasswordCorrect = await decryptPassword(password, therapist.password);
+  return isPasswordCorrect ? therapist : null;
+};
+
+const createVerificationToken = (therapist) =>
+  jwt.sign(
+    { therapistId: therapist.id, purpose: "therapist-verification" },
+    process.env.ACCESS_TOKEN_SECRET,
+    { expiresIn: VERIFICATION_TOKEN_EXPIRY }
+  );
+
+// The therapist a verification token was issued for, or null
+const findTherapistByVerificationToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (decoded.purpose !== "therapist-verification") return null;
+
+  return prisma.therapist.findUnique({ where: { id: decoded.therapistId } });
+};
+
+const sendInvalidVerificationToken = (res) =>
+  res.status(401).json({
+    message: "Verification session expired, please sign in again",
+    status: false,
+  });
+
+const sendTherapistEmail = async (email, template) => {
+  try {
+    await sendMail({ email, ...template });
+  } catch (error) {
+    // The decision is already saved; a mail failure should not undo it
+    console.error("Error sending therapist verification email:", error);
+  }
+};
+
+const handleVerificationError = (error, res, message) => {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      message: "Validation Error",
+      errors: error.errors.map((e) => e.message),
+      status: false,
+    });
+  }
+
+  if (error.code === "P2025") {
+    return res.status(404).json({
+      message: "Therapist Not Found",
+      status: false,
+    });
+  }
+
+  console.error(error);
+  return res.status(500).json({
+    message,
+    error: error.message,
+    status: false,
+  });
+};
+
 const approveTherapist = async (req, res) => {
   try {
     const { id } = req.params;
@@ -751,38 +902,284 @@ const approveTherapist = async (req, res) => {
       });
     }
 
-    const approveUser = await prisma.therapist.update({
-      where: {
-        id,
+    const [approveUser] = await prisma.$transaction([
+      prisma.therapist.update({
+        where: {
+          id,
+        },
+        data: {
+          isTherapistVerifiedByAdmin: true,
+          isTherapistApprove: true,
+          isTherapistReject: false,
+        },
+      }),
+      prisma.therapistVerification.create({
+        data: {
+          therapistId: id,
+          action: "APPROVED",
+          reviewerId: req.user.id,
+        },
+      }),
+    ]);
+
+    // Every verification outcome is emailed regardless of notification
+    // preferences; the dispatcher only adds the in-app and push copies
+    await sendTherapistEmail(
+      approveUser.email,
+      therapistApprovedEmail(approveUser)
+    );
+    await notifyUser(
+      { id: approveUser.id, userType: "therapist" },
+      {
+        type: "THERAPIST_APPROVED",
+        title: "Your profile is approved",
+        body: "Students can now find you and book sessions with you",
+        email: false,
+      }
+    );
+
+    return res.status(200).json({
+      message: "Therapist Approve Successsfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleVerificationError(
+      error,
+      res,
+      "Error While Approve Therapist"
+    );
+  }
+};
+
+const rejectTherapist = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = RejectTherapistSchema.parse(req.body);
+
+    const [rejectedUser] = await prisma.$transaction([
+      prisma.therapist.update({
+        where: { id },
+        data: {
+          isTherapistVerifiedByAdmin: false,
+          isTherapistApprove: false,
+          isTherapistReject: true,
+        },
+      }),
+      prisma.therapistVerification.create({
+        data: {
+          therapistId: id,
+          action: "REJECTED",
+          reason,
+          reviewerId: req.user.id,
+        },
+      }),
+    ]);
+
+    // A previously approved therapist must not keep using old sessions
+    await revokeAllSessions(id);
+
+    await sendTherapistEmail(
+      rejectedUser.email,
+      therapistRejectedEmail({ userName: rejectedUser.userName, reason })
+    );
+
+    return res.status(200).json({
+      message: "Therapist rejected successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleVerificationError(
+      error,
+      res,
+      "Error while rejecting therapist"
+    );
+  }
+};
+
+const loginTherapistVerification = async (req, res) => {
+  try {
+    const credentials = TherapistCredentialsSchema.parse(req.body);
+
+    const therapist = await findTherapistByCredentials(credentials);
+    if (!therapist) {
+      return res.status(401).json({
+        message: "Invalid email or password",
+        status: false,
+      });
+    }
+
+    return res.status(200).json({
+      verificationToken: createVerificationToken(therapist),
+      message: "Verification session started",
+      status: true,
+    });
+  } catch (error) {
+    return handleVerificationError(
+      error,
+      res,
+      "Error while starting verification session"
+    );
+  }
+};
+
+const getTherapistDocumentUploadUrl = async (req, res) => {
+  try {
+    const { fileType, verificationToken } = DocumentUploadUrlSchema.parse(
+      req.body
+    );
+
+    const therapist = await findTherapistByVerificationToken(
+      verificationToken
+    );
+    if (!therapist) return sendInvalidVerificationToken(res);
+
+    const uploadData = await generateUploadUrl(
+      fileType,
+      `Therapist-Documents/${therapist.id}`
+    );
+
+    return res.status(200).json({
+      data: uploadData,
+      message: "Upload URL generated successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleVerificationError(
+      error,
+      res,
+      "Error while generating upload URL"
+    );
+  }
+};
+
+const addTherapistDocument = async (req, res) => {
+  try {
+    const { type, fileUrl, verificationToken } =
+      AddTherapistDocumentSchema.parse(req.body);
+
+    const therapist = await findTherapistByVerificationToken(
+      verificationToken
+    );
+    if (!therapist) return sendInvalidVerificationToken(res);
+
+    // Only accept files that were uploaded through this therapist's presigned URL
+    if (!fileUrl.includes(`/Uploads/Therapist-Documents/${therapist.id}/`)) {
+      return res.status(400).json({
+        message: "Document must be uploaded using the provided upload URL",
+        status: false,
+      });
+    }
+
+    const document = await prisma.therapistDocument.create({
+      data: {
+        therapistId: therapist.id,
+        type,
+        fileUrl,
       },
+    });
+
+    return res.status(201).json({
+      data: document,
+      message: "Document added successfully",
+      status: true,
+    });
+  } catch (error) {
+    return handleVerificationError(error, res, "Error while adding document");
+  }
+};
+
+const getTherapistVerificationStatus = async (req, res) => {
+  try {
+    const { verificationToken } = VerificationTokenSchema.parse(req.body);
+
+    const therapist = await findTherapistByVerificationToken(
+      verificationToken
+    );
+    if (!therapist) return sendInvalidVerificationToken(res);
+
+    const [documents, history] = await Promise.all([
+      prisma.therapistDocument.findMany({
+        where: { therapistId: therapist.id },
+        orderBy: { createdAt: "desc" },
+      }),
+      prisma.therapistVerification.findMany({
+        where: { therapistId: therapist.id },
+        select: { action: true, reason: true, createdAt: true },
+        orderBy: { createdAt: "asc" },
+      }),
+    ]);
+
+    return res.status(200).json({
       data: {
-        isTherapistVerifiedByAdmin: true,
-        isTherapistApprove: true,
+        isTherapistApprove: therapist.isTherapistApprove,
+        isTherapistReject: therapist.isTherapistReject,
+        documents,
+        history,
       },
+      message: "Verification status fetched successfully",
+      status: true,
     });
+  } catch (error) {
+    return handleVerificationError(
+      error,
+      res,
+      "Error while fetching verification status"
+    );
+  }
+};
 
-    if (!approveUser) {
-      return res.status(404).json({
-        message: "Therapist Not Found",
+const resubmitTherapist = async (req, res) => {
+  try {
+    const { verificationToken, experience, ...details } =
+      ResubmitTherapistSchema.parse(req.body);
+
+    const therapist = await findTherapistByVerificationToken(
+      verificationToken
+    );
+    if (!therapist) return sendInvalidVerificationToken(res);
+
+    if (!therapist.isTherapistReject) {
+      return res.status(400).json({
+        message: "Only rejected applications can be resubmitted",
         status: false,
       });
     }
 
-    await sendMail({
-      email: approveUser.email,
-      subject: "Approve Therapist",
-      html: "",
-    });
+    // Back in the review queue with the updated details
+    const [updatedTherapist] = await prisma.$transaction([
+      prisma.therapist.update({
+        where: { id: therapist.id },
+        data: {
+          ...details,
+          ...(experience !== undefined && {
+            experience: parseFloat(experience),
+          }),
+          isTherapistReject: false,
+        },
+      }),
+      prisma.therapistVerification.create({
+        data: {
+          therapistId: therapist.id,
+          action: "RESUBMITTED",
+        },
+      }),
+    ]);
+
+    await sendTherapistEmail(
+      updatedTherapist.email,
+      therapistResubmittedEmail(updatedTherapist)
+    );
+
     return res.status(200).json({
-      message: "Therapist Approve Successsfully",
+      message: "Application resubmitted successfully",
       status: true,
     });
   } catch (error) {
-    return res.status(500).json({
-      message: "Error While Approve Therapist",
-      error: error.message,
-      status: false,
-    });
+    return handleVerificationError(
+      error,
+      res,
+      "Error while resubmitting application"
+    );
   }
 };
 
@@ -796,4 +1193,10 @@ export {
   getUnverifiedTherapists,
   getUnverifiedTherapist,
   approveTherapist,
+  rejectTherapist,
+  loginTherapistVerification,
+  getTherapistDocumentUploadUrl,
+  addTherapistDocument,
+  getTherapistVerificationStatus,
+  resubmitTherapist,
 };
@@ -21,6 +21,27 @@ import {
 } from "./therapist.controller.js";
 import jwt from "jsonwebtoken";
 import { decryptPassword } from "../utils/passwordEncryptDescrypt.js";
+import {
+  findAccount,
+  findConflictingAccount,
+  updateAccount,
+} from "../utils/accountResolver.js";
+import {
+  revokeAllSessions,
+  revokeSession,
+  rotateSession,
+} from "../utils/session.js";
+import { isValidTimeZone } from "../utils/timezone.js";
+import {
+  getActiveSuspension,
+  getSuspensionDetails,
+  getSuspensionMessage,
+  sendSuspendedResponse,
+} from "../utils/suspensions.js";
+import {
+  NOTIFICATION_TYPES,
+  resolvePreferences,
+} from "../utils/notificationPreferences.js";
 
 // Phone validation schema
 export const phoneNumberSchema = z
@@ -69,8 +90,10 @@ const verifyEmailOtpSchema = z.object({
 
 export const getCurrentUser = async (req, res) => {
   try {
+    const extras = await req.user.loadAllExtras();
+
     return res.status(200).json({
-      data: req.user,
+      data: { ...req.user, ...extras },
       message: "User profile retrieved successfully",
       status: true,
     });
@@ -84,6 +107,25 @@ export const getCurrentUser = async (req, res) => {
   }
 };
 
+// Per-type handlers behind the unified /users endpoints
+const CREATE_HANDLERS = {
+  student: createStudent,
+  therapist: createTherapist,
+  parent: createParent,
+};
+
+const LOGIN_HANDLERS = {
+  student: loginStudent,
+  therapist: loginTherapist,
+  parent: loginParent,
+};
+
+const EDIT_HANDLERS = {
+  student: editStudent,
+  therapist: editTherapist,
+  parent: editParent,
+};
+
 const createUser = async (req, res) => {
   try {
     const { userType } = req.body;
@@ -96,25 +138,17 @@ const createUser = async (req, res) => {
     }
 
     // Convert userType to lowercase for case-insensitive comparison
-    const userTypeLower = userType.toLowerCase();
-
-    switch (userTypeLower) {
-      case "student":
-        return await createStudent(req, res);
-
-      case "therapist":
-        return await createTherapist(req, res);
+    const handler = CREATE_HANDLERS[userType.toLowerCase()];
 
-      case "parent":
-        return await createParent(req, res);
-
-      default:
-        return res.status(400).json({
-          message:
-            "Invalid user type. Must be either 'student','therapist' Or 'parent'",
-          status: false,
-        });
+    if (!handler) {
+      return res.status(400).json({
+        message:
+          "Invalid user type. Must be either 'student','therapist' Or 'parent'",
+        status: false,
+      });
     }
+
+    return await handler(req, res);
   } catch (error) {
     console.error("Error in createUser middleware:", error);
     return res.status(500).json({
@@ -138,34 +172,19 @@ const loginUser = async (req, res) => {
 
     // Convert userType to lowercase for case-insensitive comparison
     const userTypeLower = userType.toLowerCase();
+    const handler = LOGIN_HANDLERS[userTypeLower];
 
-    // If email and password are provided but no OTP, we need to generate and send OTP
-    if (email && password && !otp) {
-      let user;
+    if (!handler) {
+      return res.status(400).json({
+        message:
+          "Invalid user type. Must be either 'student','therapist' Or 'parent'",
+        status: false,
+      });
+    }
 
-      // Find the user based on userType
-      switch (userTypeLower) {
-        case "student":
-          user = await prisma.student.findUnique({
-            where: { email },
-          });
-          break;
-        case "parent":
-          user = await prisma.parent.findUnique({
-            where: { email },
-          });
-          break;
-        case "therapist":
-          user = await prisma.therapist.findUnique({
-            where: { email },
-          });
-          break;
-        default:
-          return res.status(400).json({
-            message: "Invalid user type",
-            status: false,
-          });
-      }
+    // Before an OTP is sent, make sure the email belongs to this account type
+    if (email && password && !otp) {
+      const user = await findAccount(userTypeLower, { email });
 
       if (!user) {
         return res.status(404).json({
@@ -173,57 +192,10 @@ const loginUser = async (req, res) => {
           status: false,
         });
       }
-
-      // Verify password (this will be handled in the specific login functions)
-
-      // Handle the login process based on user type
-      switch (userTypeLower) {
-        case "student":
-          return await loginStudent(req, res);
-        case "parent":
-          return await loginParent(req, res);
-        case "therapist":
-          return await loginTherapist(req, res);
-        default:
-          return res.status(400).json({
-            message: "Invalid user type",
-            status: false,
-          });
-      }
     }
 
-    // If OTP is provided along with email and password, verify OTP
-    if (email && password && otp) {
-      switch (userTypeLower) {
-        case "student":
-          return await loginStudent(req, res);
-        case "parent":
-          return await loginParent(req, res);
-        case "therapist":
-          return await loginTherapist(req, res);
-        default:
-          return res.status(400).json({
-            message: "Invalid user type",
-            status: false,
-          });
-      }
-    }
-
-    // Handle other login flows (e.g., phone-based login)
-    switch (userTypeLower) {
-      case "student":
-        return await loginStudent(req, res);
-      case "parent":
-        return await loginParent(req, res);
-      case "therapist":
-        return await loginTherapist(req, res);
-      default:
-        return res.status(400).json({
-          message:
-            "Invalid user type. Must be either 'student','therapist' Or 'parent'",
-          status: false,
-        });
-    }
+    // Password and OTP checks are handled in the specific login functions
+    return await handler(req, res);
   } catch (error) {
     console.error("Error in loginUser middleware:", error);
     return res.status(500).json({
@@ -246,25 +218,17 @@ const editUser = async (req, res) => {
     }
 
     // Convert userType to lowercase for case-insensitive comparison
-    const userTypeLower = userType.toLowerCase();
+    const handler = EDIT_HANDLERS[userType.toLowerCase()];
 
-    switch (userTypeLower) {
-      case "student":
-        return await editStudent(req, res);
-
-      case "therapist":
-        return await editTherapist(req, res);
-
-      case "parent":
-        return await editParent(req, res);
-
-      default:
-        return res.status(400).json({
-          message:
-            "Invalid user type. Must be either 'student','therapist' Or 'parent'",
-          status: false,
-        });
+    if (!handler) {
+      return res.status(400).json({
+        message:
+          "Invalid user type. Must be either 'student','therapist' Or 'parent'",
+        status: false,
+      });
     }
+
+    return await handler(req, res);
   } catch (error) {
     console.error("Error in editUser middleware:", error);
     return res.status(500).json({
@@ -297,24 +261,7 @@ const sendEmailOtp = async (req, res) => {
     const { email, password, userType } = validationResult.data;
 
     // Check if email exists in respective user type
-    let user;
-    switch (userType) {
-      case "student":
-        user = await prisma.student.findUnique({
-          where: { email },
-        });
-        break;
-      case "parent":
-        user = await prisma.parent.findUnique({
-          where: { email },
-        });
-        break;
-      case "therapist":
-        user = await prisma.therapist.findUnique({
-          where: { email },
-        });
-        break;
-    }
+    const user = await findAccount(userType, { email });
 
     if (!user) {
       return res.status(404).json({
@@ -341,26 +288,7 @@ const sendEmailOtp = async (req, res) => {
     const generatedOTP = Math.floor(1000 + Math.random() * 9000).toString();
 
     // Store OTP in the database
-    switch (userType) {
-      case "student":
-        await prisma.student.update({
-          where: { email },
-          data: { otp: generatedOTP },
-        });
-        break;
-      case "parent":
-        await prisma.parent.update({
-          where: { email },
-          data: { otp: generatedOTP },
-        });
-        break;
-      case "therapist":
-        await prisma.therapist.update({
-          where: { email },
-          data: { otp: generatedOTP },
-        });
-        break;
-    }
+    await updateAccount(userType, { email }, { otp: generatedOTP });
 
     // Send OTP via email
     try {
@@ -409,24 +337,7 @@ const verifyEmailOtp = async (req, res) => {
     const { email, otp, userType } = validationResult.data;
 
     // Check if user exists and verify OTP
-    let user;
-    switch (userType) {
-      case "student":
-        user = await prisma.student.findUnique({
-          where: { email },
-        });
-        break;
-      case "parent":
-        user = await prisma.parent.findUnique({
-          where: { email },
-        });
-        break;
-      case "therapist":
-        user = await prisma.therapist.findUnique({
-          where: { email },
-        });
-        break;
-    }
+    const user = await findAccount(userType, { email });
 
     if (!user) {
       return res.status(404).json({
@@ -442,39 +353,18 @@ const verifyEmailOtp = async (req, res) => {
       });
     }
 
+    const suspension = await getActiveSuspension(user.id, userType);
+    if (suspension) return sendSuspendedResponse(res, suspension);
+
     // Update user record
-    switch (userType) {
-      case "student":
-        await prisma.student.update({
-          where: { email },
-          data: {
-            otp: null,
-            isMailOtpVerify: true,
-          },
-        });
-        break;
-      case "parent":
-        await prisma.parent.update({
-          where: { email },
-          data: {
-            otp: null,
-            isMailOtpVerify: true,
-          },
-        });
-        break;
-      case "therapist":
-        await prisma.therapist.update({
-          where: { email },
-          data: {
-            otp: null,
-            isMailOtpVerify: true,
-          },
-        });
-        break;
-    }
+    await updateAccount(
+      userType,
+      { email },
+      { otp: null, isMailOtpVerify: true }
+    );
 
     // Generate access token
-    const { accessToken } = await accessTokenGenerator(user.id, userType);
+    const { accessToken, refreshToken } = await accessTokenGenerator(user.id, userType);
 
     return res.status(200).json({
       data: {
@@ -483,6 +373,7 @@ const verifyEmailOtp = async (req, res) => {
         userType: userType,
       },
       accessToken,
+      refreshToken,
       message: "OTP verified successfully. Logged in.",
       status: true,
     });
@@ -572,6 +463,7 @@ const googleOauthHandler = async (req, res) => {
     } else {
       return handleWebRedirect(res, {
         accessToken: result.accessToken,
+        refreshToken: result.refreshToken,
         userType: result.userType,
         isNewUser: !existingStudent && !existingParent,
       });
@@ -591,20 +483,29 @@ const googleOauthHandler = async (req, res) => {
         errorMessage =
           "Invalid user type for this account Or Email already registered with a different account type.";
         break;
+      case "Account suspended":
+        errorMessage = getSuspensionMessage(error.suspension);
+        statusCode = 403;
+        break;
       default:
         errorMessage = "Error processing request. Please try again.";
         statusCode = 500;
     }
 
+    const suspension =
+      error.suspension && getSuspensionDetails(error.suspension);
+
     if (req.query.platform === "mobile") {
       return res.status(statusCode).json({
         status: false,
         message: errorMessage,
+        ...(suspension && { suspension }),
       });
     } else {
       return handleWebRedirect(res, {
         error: true,
         message: errorMessage,
+        ...(suspension && { appealToken: suspension.appealToken }),
       });
     }
   }
@@ -664,6 +565,10 @@ const googleOauthMobileHandler = async (req, res) => {
         errorMessage =
           "Invalid user type for this account Or Email already registered with a different account type.";
         break;
+      case "Account suspended":
+        errorMessage = getSuspensionMessage(error.suspension);
+        statusCode = 403;
+        break;
       default:
         errorMessage = "Error processing request. Please try again.";
         statusCode = 500;
@@ -671,6 +576,9 @@ const googleOauthMobileHandler = async (req, res) => {
     return res.status(statusCode).json({
       status: false,
       message: errorMessage,
+      ...(error.suspension && {
+        suspension: getSuspensionDetails(error.suspension),
+      }),
     });
   }
 };
@@ -712,8 +620,18 @@ const handleGoogleSignin = async (
       throw new Error("Invalid user type");
     }
 
+    const suspension = await getActiveSuspension(
+      existingUser.id,
+      finalUserType
+    );
+    if (suspension) {
+      const error = new Error("Account suspended");
+      error.suspension = suspension;
+      throw error;
+    }
+
     // Generate access token
-    const { accessToken } = await accessTokenGenerator(
+    const { accessToken, refreshToken } = await accessTokenGenerator(
       existingUser.id,
       finalUserType
     );
@@ -722,6 +640,7 @@ const handleGoogleSignin = async (
       data: existingUser,
       userType: finalUserType,
       accessToken,
+      refreshToken,
     };
   } catch (error) {
     throw error;
@@ -812,7 +731,7 @@ const handleGoogleSignup = async (googleUser, userType) => {
     }
 
     // Generate access token
-    const { accessToken } = await accessTokenGenerator(
+    const { accessToken, refreshToken } = await accessTokenGenerator(
       createdUser.id,
       finalUserType
     );
@@ -821,6 +740,7 @@ const handleGoogleSignup = async (googleUser, userType) => {
       data: createdUser,
       userType: finalUserType,
       accessToken,
+      refreshToken,
     };
   } catch (error) {
     throw error;
@@ -861,42 +781,15 @@ const createUserAndGetOtp = async (req, res) => {
     const queryField = isNumber ? "phone" : "email";
     console.log("queryField", queryField);
 
-    // Check if phone number or email exists in all user types
-    const [studentCheck, parentCheck, therapistCheck] =
-      await prisma.$transaction([
-        prisma.student.findUnique({
-          where: { [queryField]: contact },
-        }),
-        prisma.parent.findUnique({
-          where: { [queryField]: contact },
-        }),
-        prisma.therapist.findUnique({
-          where: { [queryField]: contact },
-        }),
-      ]);
-
-    console.log("studentCheck", studentCheck);
-
-    // Check for existing accounts in ANY user type (not just the requested type)
-    const existingUserTypes = [];
-
-    // Add user types regardless of whether phone is empty or not
-    if (studentCheck) {
-      existingUserTypes.push("student");
-    }
-    if (parentCheck) {
-      existingUserTypes.push("parent");
-    }
-    if (therapistCheck) {
-      existingUserTypes.push("therapist");
-    }
-
-    console.log("existingUserTypes", existingUserTypes);
+    // Check if phone number or email exists in any user type (including the requested type)
+    const existingAccount = await findConflictingAccount(
+      { [queryField]: contact },
+      null
+    );
 
-    // If contact exists in any user type (including the requested type), return error
-    if (existingUserTypes.length > 0) {
+    if (existingAccount) {
       // If trying to register with the same user type as an existing account
-      if (existingUserTypes.includes(userType)) {
+      if (existingAccount.userType === userType) {
         return res.status(409).json({
           message: `This ${queryField} is already registered as a ${userType}`,
           status: false,
@@ -906,9 +799,7 @@ const createUserAndGetOtp = async (req, res) => {
 
       // If trying to register with a different user type
       return res.status(409).json({
-        message: `This ${queryField} is already registered as ${existingUserTypes.join(
-          ", "
-        )}. Please use a different ${queryField}.`,
+        message: `This ${queryField} is already registered as ${existingAccount.userType}. Please use a different ${queryField}.`,
         status: false,
         errorType: "ACCOUNT_TYPE_MISMATCH",
       });
@@ -927,56 +818,41 @@ const createUserAndGetOtp = async (req, res) => {
     try {
       switch (userType) {
         case "student":
-          user = studentCheck
-            ? await prisma.student.update({
-                where: { [queryField]: contact },
-                data: { otp, isOtpVerify: false },
-              })
-            : await prisma.student.create({
-                data: {
-                  [queryField]: contact,
-                  otp,
-                  fullName: `user_${Date.now()}`, // Temporary unique name
-                  userName: `user_${Date.now()}`, // Temporary unique username
-                  email: isNumber ? `temp_${Date.now()}@temp.com` : contact, // Use provided email if available
-                  password: "123", // Temporary password
-                },
-              });
+          user = await prisma.student.create({
+            data: {
+              [queryField]: contact,
+              otp,
+              fullName: `user_${Date.now()}`, // Temporary unique name
+              userName: `user_${Date.now()}`, // Temporary unique username
+              email: isNumber ? `temp_${Date.now()}@temp.com` : contact, // Use provided email if available
+              password: "123", // Temporary password
+            },
+          });
           break;
 
         case "parent":
-          user = parentCheck
-            ? await prisma.parent.update({
-                where: { [queryField]: contact },
-                data: { otp, isOtpVerify: false },
-              })
-            : await prisma.parent.create({
-                data: {
-                  [queryField]: contact,
-                  otp,
-                  fullName: `user_${Date.now()}`,
-                  email: isNumber ? `temp_${Date.now()}@temp.com` : contact,
-                  password: "123",
-                },
-              });
+          user = await prisma.parent.create({
+            data: {
+              [queryField]: contact,
+              otp,
+              fullName: `user_${Date.now()}`,
+              email: isNumber ? `temp_${Date.now()}@temp.com` : contact,
+              password: "123",
+            },
+          });
           break;
 
         case "therapist":
-          user = therapistCheck
-            ? await prisma.therapist.update({
-                where: { [queryField]: contact },
-                data: { otp, isOtpVerify: false },
-              })
-            : await prisma.therapist.create({
-                data: {
-                  [queryField]: contact,
-                  otp,
-                  userName: `user_${Date.now()}`,
-                  email: isNumber ? `temp_${Date.now()}@temp.com` : contact,
-                  password: "123",
-                  languageType: [],
-                },
-              });
+          user = await prisma.therapist.create({
+            data: {
+              [queryField]: contact,
+              otp,
+              userName: `user_${Date.now()}`,
+              email: isNumber ? `temp_${Date.now()}@temp.com` : contact,
+              password: "123",
+              languageType: [],
+            },
+          });
           break;
       }
     } catch (dbError) {
@@ -1054,130 +930,246 @@ const verifyOtp = async (req, res) => {
     const queryField = isNumber ? "phone" : "email";
 
     // Check if user exists and verify OTP
-    if (userType === "student") {
-      const student = await prisma.student.findUnique({
-        where: { [queryField]: contact },
+    const user = await findAccount(userType, { [queryField]: contact });
+
+    if (!user) {
+      return res.status(404).json({
+        message: "User not found",
+        status: false,
       });
+    }
 
-      if (!student) {
-        return res.status(404).json({
-          message: "User not found",
-          status: false,
-        });
-      }
+    if (user.otp !== otp) {
+      return res.status(400).json({
+        message: "Invalid OTP",
+        status: false,
+      });
+    }
 
-      if (student.otp !== otp) {
-        return res.status(400).json({
-          message: "Invalid OTP",
-          status: false,
-        });
-      }
+    const updatedUser = await updateAccount(
+      userType,
+      { [queryField]: contact },
+      { otp: "", isOtpVerify: true }
+    );
 
-      // Update patient record
-      const updatedstudent = await prisma.student.update({
-        where: { [queryField]: contact },
-        data: {
-          otp: "",
-          isOtpVerify: true,
-        },
+    return res.status(200).json({
+      message: "OTP verified successfully",
+      data: {
+        isOtpVerify: updatedUser.isOtpVerify,
+      },
+      status: true,
+    });
+  } catch (error) {
+    console.error("Authentication error:", error);
+    // Handle specific Prisma errors
+    if (error.code === "P2002") {
+      return res.status(409).json({
+        message: "Phone number already registered",
+        status: false,
       });
+    }
+    console.log("error", error);
+    return res.status(500).json({
+      message: "Error while authenticating user",
+      error: error.message,
+      status: false,
+    });
+  }
+};
 
-      return res.status(200).json({
-        message: "OTP verified successfully",
-        data: {
-          isOtpVerify: updatedstudent.isOtpVerify,
-        },
-        status: true,
-      });
-    } else if (userType === "parent") {
-      // Handle therapist authentication
-      const parent = await prisma.parent.findUnique({
-        where: { [queryField]: contact },
-      });
+const RefreshTokenSchema = z.object({
+  refreshToken: z.string().min(1, "Refresh token is required"),
+});
 
-      if (!parent) {
-        return res.status(404).json({
-          message: "User not found",
-          status: false,
-        });
-      }
+const refreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = RefreshTokenSchema.parse(req.body);
 
-      if (parent.otp !== otp) {
-        return res.status(400).json({
-          message: "Invalid OTP",
-          status: false,
-        });
-      }
+    const result = await rotateSession(refreshToken);
 
-      // Update patient record
-      const updatedparent = await prisma.parent.update({
-        where: {
-          [queryField]: contact,
-        },
-        data: {
-          otp: "",
-          isOtpVerify: true,
-        },
+    if (result.error) {
+      return res.status(401).json({
+        message: result.error,
+        status: false,
       });
+    }
 
-      return res.status(200).json({
-        message: "OTP verified successfully",
-        data: {
-          isOtpVerify: updatedparent.isOtpVerify,
-        },
-        status: true,
-      });
-    } else if (userType === "therapist") {
-      // Handle therapist authentication
-      const therapist = await prisma.therapist.findUnique({
-        where: { [queryField]: contact },
+    return res.status(200).json({
+      data: {
+        id: result.userId,
+        userType: result.userType,
+      },
+      accessToken: result.accessToken,
+      refreshToken: result.refreshToken,
+      message: "Session refreshed successfully",
+      status: true,
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        message: "Validation Error",
+        errors: error.errors.map((e) => e.message),
+        status: false,
       });
+    }
 
-      if (!therapist) {
-        return res.status(404).json({
-          message: "User not found",
-          status: false,
-        });
-      }
+    console.error(error);
+    return res.status(500).json({
+      message: "Error while refreshing session",
+      error: error.message,
+      status: false,
+    });
+  }
+};
 
-      if (therapist.otp !== otp) {
-        return res.status(400).json({
-          message: "Invalid OTP",
-          status: false,
-        });
-      }
+const logoutUser = async (req, res) => {
+  try {
+    await revokeSession(req.sessionId);
 
-      // Update patient record
-      const updatedtherapist = await prisma.therapist.update({
-        where: {
-          [queryField]: contact,
-        },
-        data: {
-          otp: "",
-          isOtpVerify: true,
-        },
-      });
+    return res.status(200).json({
+      message: "Logged out Successfully",
+      status: true,
+    });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({
+      message: "Error while logging out user",
+      error: error.message,
+      status: false,
+    });
+  }
+};
 
-      return res.status(200).json({
-        message: "OTP verified successfully",
-        data: {
-          isOtpVerify: updatedtherapist.isOtpVerify,
-        },
-        status: true,
-      });
-    }
+const logoutAllDevices = async (req, res) => {
+  try {
+    const { count } = await revokeAllSessions(req.user.id);
+    // Signed-out devices should stop receiving push notifications too
+    await prisma.deviceToken.deleteMany({ where: { userId: req.user.id } });
+
+    return res.status(200).json({
+      data: { revokedSessions: count },
+      message: "Logged out from all devices successfully",
+      status: true,
+    });
   } catch (error) {
-    console.error("Authentication error:", error);
-    // Handle specific Prisma errors
-    if (error.code === "P2002") {
-      return res.status(409).json({
-        message: "Phone number already registered",
+    console.error(error);
+    return res.status(500).json({
+      message: "Error while logging out from all devices",
+      error: error.message,
+      status: false,
+    });
+  }
+};
+
+const quietTimeSchema = z
+  .string()
+  .regex(/^([01]\d|2[0-3]):[0-5]\d$/, "Time must be in HH:mm format");
+
+const NotificationPreferenceSchema = z.object({
+  timezone: z
+    .string()
+    .refine(isValidTimeZone, { message: "Invalid timezone" })
+    .optional(),
+  // null removes the quiet window (students under 18 fall back to the default)
+  quietHours: z
+    .object({
+      start: quietTimeSchema,
+      end: quietTimeSchema,
+    })
+    .refine(({ start, end }) => start !== end, {
+      message: "Quiet hours must start and end at different times",
+    })
+    .nullable()
+    .optional(),
+  channels: z
+    .record(
+      z.enum(NOTIFICATION_TYPES),
+      z
+        .object({
+          inApp: z.boolean().optional(),
+          push: z.boolean().optional(),
+          email: z.boolean().optional(),
+        })
+        .strict()
+    )
+    .optional(),
+});
+
+const toPreferenceResponse = (preference, user, userType) =>
+  resolvePreferences(preference, { userType, account: user });
+
+const getNotificationPreferences = async (req, res) => {
+  try {
+    const preference = await prisma.notificationPreference.findUnique({
+      where: { userId: req.user.id },
+    });
+
+    return res.status(200).json({
+      data: toPreferenceResponse(preference, req.user, req.role),
+      message: "Notification preferences fetched successfully",
+      status: true,
+    });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({
+      message: "Error while fetching notification preferences",
+      error: error.message,
+      status: false,
+    });
+  }
+};
+
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const { timezone, quietHours, channels } =
+      NotificationPreferenceSchema.parse(req.body);
+
+    const existing = await prisma.notificationPreference.findUnique({
+      where: { userId: req.user.id },
+    });
+
+    // Only the switches sent in this request change; the rest are kept
+    const storedChannels = existing?.channels || {};
+    const mergedChannels = { ...storedChannels };
+    Object.entries(channels || {}).forEach(([type, switches]) => {
+      mergedChannels[type] = { ...storedChannels[type], ...switches };
+    });
+
+    const data = {
+      channels: mergedChannels,
+      ...(timezone && { timezone }),
+      ...(quietHours !== undefined && {
+        quietHoursStart: quietHours?.start ?? null,
+        quietHoursEnd: quietHours?.end ?? null,
+      }),
+    };
+
+    const preference = await prisma.notificationPreference.upsert({
+      where: { userId: req.user.id },
+      create: {
+        userId: req.user.id,
+        userType: req.role.toUpperCase(),
+        ...data,
+      },
+      update: data,
+    });
+
+    return res.status(200).json({
+      data: toPreferenceResponse(preference, req.user, req.role),
+      message: "Notification preferences updated successfully",
+      status: true,
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        message: "Validation Error",
+        errors: error.errors.map((e) => e.message),
         status: false,
       });
     }
-    console.log("error", error);
+    console.error(error);
     return res.status(500).json({
-      message: "Error while authenticating user",
+      message: "Error while updating notification preferences",
       error: error.message,
       status: false,
     });
@@ -1194,4 +1186,9 @@ export {
   verifyOtp,
   sendEmailOtp, // Add this
   verifyEmailOtp, // Add this
+  refreshSession,
+  logoutUser,
+  logoutAllDevices,
+  getNotificationPreferences,
+  updateNotificationPreferences,
 };
@@ -4,6 +4,9 @@ import cors from "cors";
 import cookieParser from "cookie-parser";
 import { routes } from "./routers/routesIndex.js";
 import { app, server } from "./socket/socket.js"
+import { startLeaderboardJob } from "./jobs/leaderboard.job.js";
+import { startStoryPublishingJob } from "./jobs/storyPublishing.job.js";
+import { startSuspensionExpiryJob } from "./jobs/suspensionExpiry.job.js";
 
 app.use(
   cors({
@@ -13,7 +16,14 @@ app.use(
     allowedHeaders: ["Content-Type", "Authorization"],
   })
 );
-app.use(express.json());
+app.use(
+  express.json({
+    // Webhook signatures are computed over the exact bytes that were sent
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 app.use(
   express.urlencoded({
@@ -29,6 +39,9 @@ app.use(cookieParser());
 app.use(routes);
 
 
-server.listen(process.env.PORT || 3000, () =>
-  console.log("Server is running on PORT:", process.env.PORT || 3000)
-);
+server.listen(process.env.PORT || 3000, () => {
+  console.log("Server is running on PORT:", process.env.PORT || 3000);
+  startLeaderboardJob();
+  startStoryPublishingJob();
+  startSuspensionExpiryJob();
+});
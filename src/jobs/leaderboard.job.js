@@ -0,0 +1,11 @@
+import { refreshAllLeaderboards } from "../utils/leaderboard.js";
+import { scheduleJob } from "./scheduleJob.js";
+
+// Every 15 minutes by default. Running at boot means weekly and monthly
+// boards are not empty until the first tick.
+export const startLeaderboardJob = () =>
+  scheduleJob(
+    "Leaderboard refresh",
+    process.env.LEADERBOARD_CRON || "*/15 * * * *",
+    refreshAllLeaderboards
+  );
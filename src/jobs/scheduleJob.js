@@ -0,0 +1,28 @@
+import cron from "node-cron";
+
+/**
+ * Runs `fn` on the cron `expression`, and once straight away so anything
+ * that fell due while the server was down is caught up. A run still going
+ * when the next tick fires makes that tick a no-op. When `fn` returns a
+ * non-zero count it is logged; errors are logged and the schedule goes on.
+ */
+export const scheduleJob = (name, expression, fn) => {
+  let isRunning = false;
+
+  const run = async () => {
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      const count = await fn();
+      if (typeof count === "number" && count) console.log(`${name}:`, count);
+    } catch (error) {
+      console.error(`Error in ${name} job:`, error);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  cron.schedule(expression, run);
+  run();
+};
@@ -0,0 +1,10 @@
+import { publishDueStories } from "../utils/storyVisibility.js";
+import { scheduleJob } from "./scheduleJob.js";
+
+// Every minute by default
+export const startStoryPublishingJob = () =>
+  scheduleJob(
+    "Scheduled stories published",
+    process.env.STORY_PUBLISHING_CRON || "* * * * *",
+    publishDueStories
+  );
@@ -0,0 +1,11 @@
+import { clearExpiredSuspensions } from "../utils/suspensions.js";
+import { scheduleJob } from "./scheduleJob.js";
+
+// Every five minutes by default. Suspended users' stories and comments
+// reappear once the suspension ends.
+export const startSuspensionExpiryJob = () =>
+  scheduleJob(
+    "Expired suspensions cleared",
+    process.env.SUSPENSION_EXPIRY_CRON || "*/5 * * * *",
+    clearExpiredSuspensions
+  );
@@ -1,10 +1,16 @@
 import jwt from "jsonwebtoken";
 import { prisma } from "../db/prismaClientConfig.js";
+import { isSessionActive } from "../utils/session.js";
+import { resolveAccount } from "../utils/accountResolver.js";
+import {
+  getActiveSuspension,
+  sendSuspendedResponse,
+  syncSuspensionFlag,
+} from "../utils/suspensions.js";
 
 export const verifyJWT = (roles) => async (req, res, next) => {
   try {
     const token = req.header("Authorization")?.replace("Bearer ", "");
-    console.log("token", token);
 
     if (!token) {
       return res.status(401).json({
@@ -15,8 +21,6 @@ export const verifyJWT = (roles) => async (req, res, next) => {
 
     const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
 
-    console.log("decodedToken", decodedToken);
-
     if (!decodedToken?.id || !decodedToken?.userType) {
       return res.status(401).json({
         message: "Invalid token format",
@@ -24,114 +28,29 @@ export const verifyJWT = (roles) => async (req, res, next) => {
       });
     }
 
-    let user;
-    let role;
-    if (roles.includes("student")) {
-      user = await prisma.student.findUnique({
-        where: { id: decodedToken?.id },
+    const userType = decodedToken.userType.toLowerCase();
+
+    if (!roles.includes(userType)) {
+      return res.status(403).json({
+        message: "You are not allowed to access this resource",
+        status: false,
       });
-      if (user) {
-        user = {
-          ...user,
-          storiesCount: await prisma.story.count({
-            where: {
-              studentId: user?.id,
-            },
-          }),
-        };
-      }
+    }
 
-      role = "student";
-      if (!user && roles.includes("therapist")) {
-        user = await prisma.therapist.findUnique({
-          where: { id: decodedToken?.id },
-          include: {
-            Review: {
-              select: {
-                title: true,
-                review: true,
-                rating: true,
-                createdAt: true,
-                Student: {
-                  select: {
-                    fullName: true,
-                  },
-                },
-              },
-              orderBy: {
-                createdAt: "desc",
-              },
-            },
-          },
-        });
+    // Tokens are bound to a session so logout can invalidate them early
+    const session = decodedToken.sid
+      ? await prisma.session.findUnique({ where: { id: decodedToken.sid } })
+      : null;
 
-        role = "therapist";
-      }
-      if (!user && roles.includes("parent")) {
-        user = await prisma.parent.findUnique({
-          where: { id: decodedToken?.id },
-        });
-        role = "parent";
-      }
-      if (!user && roles.includes("admin")) {
-        user = await prisma.admin.findUnique({
-          where: { id: decodedToken?.id },
-        });
-        role = "admin";
-      }
-    } else if (roles.includes("therapist")) {
-      user = await prisma.therapist.findUnique({
-        where: { id: decodedToken?.id },
-        include: {
-          Review: {
-            select: {
-              title: true,
-              review: true,
-              rating: true,
-              createdAt: true,
-              Student: {
-                select: {
-                  fullName: true,
-                },
-              },
-            },
-            orderBy: {
-              createdAt: "desc",
-            },
-          },
-        },
-      });
-      role = "therapist";
-      if (!user && roles.includes("parent")) {
-        user = await prisma.parent.findUnique({
-          where: { id: decodedToken?.id },
-        });
-        role = "parent";
-      }
-      if (!user && roles.includes("admin")) {
-        user = await prisma.admin.findUnique({
-          where: { id: decodedToken?.id },
-        });
-        role = "admin";
-      }
-    } else if (roles.includes("parent")) {
-      user = await prisma.parent.findUnique({
-        where: { id: decodedToken?.id },
-      });
-      role = "parent";
-      if (!user && roles.includes("admin")) {
-        user = await prisma.admin.findUnique({
-          where: { id: decodedToken?.id },
-        });
-        role = "admin";
-      }
-    } else if (roles.includes("admin")) {
-      user = await prisma.admin.findUnique({
-        where: { id: decodedToken?.id },
+    if (!isSessionActive(session, decodedToken.id)) {
+      return res.status(401).json({
+        message: "Session expired or revoked",
+        status: false,
       });
-      role = "admin";
     }
 
+    const user = await resolveAccount(userType, decodedToken.id);
+
     if (!user) {
       return res.status(401).json({
         message: "User not found",
@@ -139,8 +58,18 @@ export const verifyJWT = (roles) => async (req, res, next) => {
       });
     }
 
-    req.user = { ...user, userType: decodedToken.userType };
-    req.role = role;
+    if (user.isSuspended) {
+      const suspension = await getActiveSuspension(user.id, userType);
+      if (suspension) return sendSuspendedResponse(res, suspension);
+
+      // The suspension has run out since the flag was last synced
+      await syncSuspensionFlag(user.id, userType);
+      user.isSuspended = false;
+    }
+
+    req.user = user;
+    req.role = userType;
+    req.sessionId = session.id;
     next();
   } catch (error) {
     if (error instanceof jwt.JsonWebTokenError) {
@@ -0,0 +1,13 @@
+import { hasPermission } from "../utils/permissions.js";
+
+// Must run after verifyJWT(["admin"]) so req.user is the signed-in admin
+export const requirePermission = (permission) => (req, res, next) => {
+  if (req.role !== "admin" || !hasPermission(req.user?.role, permission)) {
+    return res.status(403).json({
+      message: "You do not have permission to perform this action",
+      status: false,
+    });
+  }
+
+  next();
+};
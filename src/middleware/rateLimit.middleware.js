@@ -0,0 +1,64 @@
+// In-memory sliding-window limits. Counts live in this process only, so
+// each instance behind a load balancer limits on its own.
+const hits = new Map();
+
+// Drop keys nobody has hit for a while so the map doesn't grow forever
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of hits) {
+    if (now - entry.lastHitAt > entry.windowMs) hits.delete(key);
+  }
+}, PRUNE_INTERVAL_MS).unref();
+
+// `getKey` picks what is counted for a request; requests it returns no key
+// for are not limited
+export const rateLimit =
+  ({ name, max, windowMs, message, getKey }) =>
+  (req, res, next) => {
+    const subject = getKey(req);
+    if (!subject) return next();
+
+    const key = `${name}:${subject}`;
+    const now = Date.now();
+
+    const entry = hits.get(key) || {
+      timestamps: [],
+      windowMs,
+      lastHitAt: now,
+    };
+    entry.timestamps = entry.timestamps.filter((t) => now - t < windowMs);
+
+    if (entry.timestamps.length >= max) {
+      const retryAfterSeconds = Math.ceil(
+        (entry.timestamps[0] + windowMs - now) / 1000
+      );
+      res.set("Retry-After", String(retryAfterSeconds));
+      return res.status(429).json({
+        message: message || "Too many requests, please slow down",
+        retryAfterSeconds,
+        status: false,
+      });
+    }
+
+    entry.timestamps.push(now);
+    entry.lastHitAt = now;
+    hits.set(key, entry);
+    next();
+  };
+
+// Must run after verifyJWT so req.user is set
+export const rateLimitPerUser = (options) =>
+  rateLimit({ ...options, getKey: (req) => `${req.role}:${req.user.id}` });
+
+export const rateLimitPerIp = (options) =>
+  rateLimit({ ...options, getKey: (req) => req.ip });
+
+// Counts attempts against one account, whichever address they come from
+export const rateLimitPerEmail = (options) =>
+  rateLimit({
+    ...options,
+    getKey: (req) =>
+      typeof req.body?.email === "string" &&
+      req.body.email.trim().toLowerCase(),
+  });
@@ -0,0 +1,72 @@
+import { Router } from "express";
+import {
+  createBadge,
+  deleteBadge,
+  editBadge,
+  getAllBadges,
+  getBadgeCatalog,
+  getMyAchievements,
+  getXpRules,
+  installDefaultAchievements,
+  toggleBadgeActive,
+  upsertXpRule,
+} from "../controllers/achievement.controller.js";
+import { verifyJWT } from "../middleware/auth.middleware.js";
+import { requirePermission } from "../middleware/permission.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+
+const router = Router();
+
+router.post(
+  "/createBadge",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  createBadge
+);
+router.post(
+  "/installDefaults",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  installDefaultAchievements
+);
+router.get(
+  "/getAllBadges",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  getAllBadges
+);
+router.put(
+  "/editBadge/:id",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  editBadge
+);
+router.put(
+  "/toggleIsActive/:id/:isActive",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  toggleBadgeActive
+);
+router.delete(
+  "/deleteBadge/:id",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  deleteBadge
+);
+router.get(
+  "/xpRules",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  getXpRules
+);
+router.put(
+  "/xpRules/:event",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  upsertXpRule
+);
+
+router.get("/myAchievements", verifyJWT(["student"]), getMyAchievements);
+router.get("/badges", verifyJWT(["student"]), getBadgeCatalog);
+
+export { router as achievementRoutes };
@@ -1,10 +1,30 @@
 import { Router } from "express";
 import { verifyJWT } from "../middleware/auth.middleware.js";
-import { createAdminAccount, loginAdmin, updateDetails } from "../controllers/admin.controller.js";
+import { requirePermission } from "../middleware/permission.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+import {
+  bootstrapSuperAdmin,
+  createAdminAccount,
+  loginAdmin,
+  updateAdminRole,
+  updateDetails,
+} from "../controllers/admin.controller.js";
 
 const router = Router();
 
-router.post("/create", createAdminAccount);
+router.post("/bootstrap", bootstrapSuperAdmin);
+router.post(
+  "/create",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_ADMINS),
+  createAdminAccount
+);
+router.put(
+  "/updateRole/:id",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_ADMINS),
+  updateAdminRole
+);
 router.post("/login", loginAdmin);
 router.put("/update", verifyJWT(["admin"]), updateDetails);
 
@@ -0,0 +1,66 @@
+import { Router } from "express";
+import {
+  createAssessment,
+  deleteAssessment,
+  editAssessment,
+  getAllAssessments,
+  getAssessments,
+  getMyAssessmentResults,
+  getSpecificAssessment,
+  installStandardAssessments,
+  submitAssessment,
+  toggleAssessmentActive,
+} from "../controllers/assessment.controller.js";
+import { verifyJWT } from "../middleware/auth.middleware.js";
+import { requirePermission } from "../middleware/permission.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+
+const router = Router();
+
+router.post(
+  "/createAssessment",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  createAssessment
+);
+router.post(
+  "/installStandardAssessments",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  installStandardAssessments
+);
+router.get(
+  "/getAllAssessments",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  getAllAssessments
+);
+router.put(
+  "/editAssessment/:id",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  editAssessment
+);
+router.put(
+  "/toggleIsActive/:id/:isActive",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  toggleAssessmentActive
+);
+router.delete(
+  "/deleteAssessment/:id",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  deleteAssessment
+);
+
+router.get("/getAssessments", verifyJWT(["student"]), getAssessments);
+router.get(
+  "/getSpecificAssessment/:id",
+  verifyJWT(["student"]),
+  getSpecificAssessment
+);
+router.post("/submitAssessment/:id", verifyJWT(["student"]), submitAssessment);
+router.get("/myResults", verifyJWT(["student"]), getMyAssessmentResults);
+
+export { router as assessmentRoutes };
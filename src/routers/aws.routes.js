@@ -1,11 +1,23 @@
 import { Router } from "express";
 import { verifyJWT } from "../middleware/auth.middleware.js";
+import { requirePermission } from "../middleware/permission.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 import { handleMultipleDelete, handleSingleDelete, handleSingleUpload } from "../controllers/aws.controller.js";
 
 const router = Router();
 
 router.get("/getputurl", handleSingleUpload);
-router.delete("/deletefile", handleSingleDelete);
-router.delete("/deletemultiple", handleMultipleDelete);
+router.delete(
+  "/deletefile",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.DELETE_UPLOADS),
+  handleSingleDelete
+);
+router.delete(
+  "/deletemultiple",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.DELETE_UPLOADS),
+  handleMultipleDelete
+);
 
 export default router
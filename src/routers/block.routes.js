@@ -0,0 +1,27 @@
+import { Router } from "express";
+import { verifyJWT } from "../middleware/auth.middleware.js";
+import {
+  blockUser,
+  getBlockedUsers,
+  unblockUser,
+} from "../controllers/block.controller.js";
+
+const router = Router();
+
+router.post(
+  "/blockUser",
+  verifyJWT(["student", "therapist", "parent"]),
+  blockUser
+);
+router.delete(
+  "/unblockUser/:userId",
+  verifyJWT(["student", "therapist", "parent"]),
+  unblockUser
+);
+router.get(
+  "/getBlockedUsers",
+  verifyJWT(["student", "therapist", "parent"]),
+  getBlockedUsers
+);
+
+export { router as blockRoutes };
@@ -9,10 +9,17 @@ import {
   searchBlogs,
 } from "../controllers/blog.controller.js";
 import { verifyJWT } from "../middleware/auth.middleware.js";
+import { requirePermission } from "../middleware/permission.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 
 const router = Router();
 
-router.post("/createBlog", createBlog);
+router.post(
+  "/createBlog",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  createBlog
+);
 router.get("/getBlogs", getBlogs);
 router.get(
   "/getBlog/:id/:iscountView",
@@ -21,6 +28,16 @@ router.get(
 );
 router.get("/getTopViewedBlogs", getTopViewedBlogs);
 router.get("/searchBlogs", searchBlogs);
-router.put("/editBlog/:id", editBlog);
-router.delete("/deleteBlog/:id", deleteBlog);
+router.put(
+  "/editBlog/:id",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  editBlog
+);
+router.delete(
+  "/deleteBlog/:id",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  deleteBlog
+);
 export { router as blogRoutes };
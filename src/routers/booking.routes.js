@@ -0,0 +1,52 @@
+import { Router } from "express";
+import { verifyJWT } from "../middleware/auth.middleware.js";
+import {
+  addAvailabilityException,
+  cancelBooking,
+  createBooking,
+  deleteAvailabilityException,
+  getMyAvailability,
+  getMyBookings,
+  getTherapistSlots,
+  rescheduleBooking,
+  setAvailability,
+} from "../controllers/booking.controller.js";
+
+const router = Router();
+
+// Therapist availability
+router.get("/availability", verifyJWT(["therapist"]), getMyAvailability);
+router.put("/availability", verifyJWT(["therapist"]), setAvailability);
+router.post(
+  "/availability/exceptions",
+  verifyJWT(["therapist"]),
+  addAvailabilityException
+);
+router.delete(
+  "/availability/exceptions/:id",
+  verifyJWT(["therapist"]),
+  deleteAvailabilityException
+);
+
+// Student booking
+router.get(
+  "/therapists/:therapistId/slots",
+  verifyJWT(["student"]),
+  getTherapistSlots
+);
+router.post("/bookings", verifyJWT(["student"]), createBooking);
+router.put(
+  "/bookings/:id/reschedule",
+  verifyJWT(["student"]),
+  rescheduleBooking
+);
+
+// Shared dashboard
+router.get("/bookings", verifyJWT(["student", "therapist"]), getMyBookings);
+router.put(
+  "/bookings/:id/cancel",
+  verifyJWT(["student", "therapist"]),
+  cancelBooking
+);
+
+export { router as bookingRoutes };
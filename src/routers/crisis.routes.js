@@ -0,0 +1,25 @@
+import { Router } from "express";
+import { verifyJWT } from "../middleware/auth.middleware.js";
+import { requirePermission } from "../middleware/permission.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+import {
+  getCrisisAlerts,
+  updateCrisisAlert,
+} from "../controllers/crisis.controller.js";
+
+const router = Router();
+
+router.get(
+  "/getCrisisAlerts",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CRISIS_ALERTS),
+  getCrisisAlerts
+);
+router.put(
+  "/updateCrisisAlert/:id",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CRISIS_ALERTS),
+  updateCrisisAlert
+);
+
+export { router as crisisRoutes };
@@ -4,15 +4,19 @@ import {
   getEducationalVideoById,
   getParentEducationalVideos,
   getStudentEducationalVideos,
+  markVideoCompleted,
   relatedEducationalVideos,
 } from "../controllers/educationalVideo.controller.js";
 import { verifyJWT } from "../middleware/auth.middleware.js";
+import { requirePermission } from "../middleware/permission.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 
 const router = Router();
 
 router.post(
   "/createEducationalVideo",
-  //   verifyJWT(["admin"]),
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
   createEducationalVideo
 );
 router.get(
@@ -33,4 +37,5 @@ router.get(
 );
 
 router.get("/getEducationalVideo/:id", getEducationalVideoById);
+router.post("/completeVideo/:id", verifyJWT(["student"]), markVideoCompleted);
 export { router as educationalVideoRoutes };
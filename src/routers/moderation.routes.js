@@ -0,0 +1,67 @@
+import { Router } from "express";
+import { verifyJWT } from "../middleware/auth.middleware.js";
+import { requirePermission } from "../middleware/permission.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+import {
+  getContentFlags,
+  getFilterPolicies,
+  getModerationCase,
+  getModerationQueue,
+  resolveContentFlag,
+  startReview,
+  takeModerationAction,
+  updateFilterPolicy,
+} from "../controllers/moderation.controller.js";
+
+const router = Router();
+
+router.get(
+  "/queue",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MODERATE_STORIES),
+  getModerationQueue
+);
+router.get(
+  "/case/:storyId",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MODERATE_STORIES),
+  getModerationCase
+);
+router.post(
+  "/startReview/:storyId",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MODERATE_STORIES),
+  startReview
+);
+router.post(
+  "/action/:storyId",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MODERATE_STORIES),
+  takeModerationAction
+);
+router.get(
+  "/flags",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MODERATE_STORIES),
+  getContentFlags
+);
+router.put(
+  "/flags/:id",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MODERATE_STORIES),
+  resolveContentFlag
+);
+router.get(
+  "/filterPolicies",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MODERATE_STORIES),
+  getFilterPolicies
+);
+router.put(
+  "/filterPolicies/:contentType/:category",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_FILTER_POLICIES),
+  updateFilterPolicy
+);
+
+export { router as moderationRoutes };
@@ -0,0 +1,25 @@
+import { Router } from "express";
+import { verifyJWT } from "../middleware/auth.middleware.js";
+import {
+  deleteNotification,
+  getNotifications,
+  markAllNotificationsRead,
+  markNotificationRead,
+  registerDeviceToken,
+  unregisterDeviceToken,
+} from "../controllers/notification.controller.js";
+
+const router = Router();
+
+const ALL_ROLES = ["student", "parent", "therapist", "admin"];
+
+// FCM device registry
+router.post("/devices", verifyJWT(ALL_ROLES), registerDeviceToken);
+router.delete("/devices", verifyJWT(ALL_ROLES), unregisterDeviceToken);
+
+router.get("/", verifyJWT(ALL_ROLES), getNotifications);
+router.put("/readAll", verifyJWT(ALL_ROLES), markAllNotificationsRead);
+router.put("/:id/read", verifyJWT(ALL_ROLES), markNotificationRead);
+router.delete("/:id", verifyJWT(ALL_ROLES), deleteNotification);
+
+export { router as notificationRoutes };
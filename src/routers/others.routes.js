@@ -1,5 +1,7 @@
 import { Router } from "express";
 import { verifyJWT } from "../middleware/auth.middleware.js";
+import { requirePermission } from "../middleware/permission.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 import {
   getBlogViewsStats,
   getStats,
@@ -8,8 +10,23 @@ import {
 
 const router = Router();
 
-router.get("/stats", getStats);
-router.get("/top-therapists", getTopRatedTherapists);
-router.get("/blog-stats", getBlogViewsStats);
+router.get(
+  "/stats",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.VIEW_STATS),
+  getStats
+);
+router.get(
+  "/top-therapists",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.VIEW_STATS),
+  getTopRatedTherapists
+);
+router.get(
+  "/blog-stats",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.VIEW_STATS),
+  getBlogViewsStats
+);
 
 export default router;
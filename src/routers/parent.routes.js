@@ -6,6 +6,12 @@ import {
   loginParent,
   logoutParent,
 } from "../controllers/parent.controller.js";
+import {
+  getLinkedStudentWellbeing,
+  getParentGuardianLinks,
+  removeGuardianLink,
+  requestGuardianLink,
+} from "../controllers/guardian.controller.js";
 import { verifyJWT } from "../middleware/auth.middleware.js";
 
 const router = Router();
@@ -16,4 +22,14 @@ router.get("/logout", verifyJWT(["parent"]), logoutParent);
 router.put("/editParent", verifyJWT(["parent"]), editParent);
 router.get("/getAllParents", getAllParents);
 
+// Guardian links
+router.post("/guardianLinks", verifyJWT(["parent"]), requestGuardianLink);
+router.get("/guardianLinks", verifyJWT(["parent"]), getParentGuardianLinks);
+router.delete("/guardianLinks/:id", verifyJWT(["parent"]), removeGuardianLink);
+router.get(
+  "/guardianLinks/:id/wellbeing",
+  verifyJWT(["parent"]),
+  getLinkedStudentWellbeing
+);
+
 export { router as parentRoutes };
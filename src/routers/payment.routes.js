@@ -0,0 +1,29 @@
+import { Router } from "express";
+import { verifyJWT } from "../middleware/auth.middleware.js";
+import { requirePermission } from "../middleware/permission.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+import {
+  createBookingOrder,
+  getEarningsReport,
+  handleRazorpayWebhook,
+  setSessionPrice,
+} from "../controllers/payment.controller.js";
+
+const router = Router();
+
+router.put("/sessionPrice", verifyJWT(["therapist"]), setSessionPrice);
+router.post(
+  "/bookings/:bookingId/order",
+  verifyJWT(["student"]),
+  createBookingOrder
+);
+// Authenticated by the Razorpay signature header instead of a JWT
+router.post("/webhook", handleRazorpayWebhook);
+router.get(
+  "/earnings",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.VIEW_EARNINGS),
+  getEarningsReport
+);
+
+export { router as paymentRoutes };
@@ -5,31 +5,139 @@ import {
   getQuizzes,
   getUnattemptedQuizzes,
   submitQuizAttempt,
+  startQuizSession,
+  answerQuizQuestion,
+  submitQuizSession,
+  getQuizSession,
+  getMyQuizSessions,
   toogleisActive,
   addQuizQuestion,
   deleteQuiz,
   deleteQuizQuestion,
   getSpecificQuiz,
   getLeaderboard,
+  getLeaderboardSettings,
+  updateLeaderboardSettings,
 } from "../controllers/quiz.controller.js";
 import { verifyJWT } from "../middleware/auth.middleware.js";
+import { requirePermission } from "../middleware/permission.middleware.js";
+import { rateLimitPerUser } from "../middleware/rateLimit.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 
 const router = Router();
 
-router.post("/createQuiz", createQuiz);
-router.post("/addQuizQuestion/:quizId", addQuizQuestion);
+// Quiz submissions feed the leaderboard, so scripted answering is capped
+const limitQuizStarts = rateLimitPerUser({
+  name: "quiz-start",
+  max: 10,
+  windowMs: 60 * 1000,
+  message: "Too many quiz starts, please wait a minute",
+});
+const limitQuizAnswers = rateLimitPerUser({
+  name: "quiz-answer",
+  max: 60,
+  windowMs: 60 * 1000,
+  message: "You are answering too quickly, please slow down",
+});
+const limitQuizSubmits = rateLimitPerUser({
+  name: "quiz-submit",
+  max: 10,
+  windowMs: 60 * 1000,
+  message: "Too many quiz submissions, please wait a minute",
+});
+
+router.post(
+  "/createQuiz",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  createQuiz
+);
+router.post(
+  "/addQuizQuestion/:quizId",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  addQuizQuestion
+);
 router.get("/getQuizzes", getQuizzes);
 router.get("/getSpecificQuiz/:quizId", getSpecificQuiz);
-router.put("/editQuiz/:id", editQuiz);
-router.put("/toogleisActive/:id/:isActive", toogleisActive);
-router.post("/attemptQuiz", verifyJWT(["student"]), submitQuizAttempt);
+// Same reads with answer keys included
+router.get(
+  "/admin/getQuizzes",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  getQuizzes
+);
+router.get(
+  "/admin/getSpecificQuiz/:quizId",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  getSpecificQuiz
+);
+router.put(
+  "/editQuiz/:id",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  editQuiz
+);
+router.put(
+  "/toogleisActive/:id/:isActive",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  toogleisActive
+);
+router.post(
+  "/attemptQuiz",
+  verifyJWT(["student"]),
+  limitQuizAnswers,
+  submitQuizAttempt
+);
+router.post(
+  "/startQuiz/:quizId",
+  verifyJWT(["student"]),
+  limitQuizStarts,
+  startQuizSession
+);
+router.get("/mySessions", verifyJWT(["student"]), getMyQuizSessions);
+router.get("/sessions/:sessionId", verifyJWT(["student"]), getQuizSession);
+router.post(
+  "/sessions/:sessionId/answer",
+  verifyJWT(["student"]),
+  limitQuizAnswers,
+  answerQuizQuestion
+);
+router.post(
+  "/sessions/:sessionId/submit",
+  verifyJWT(["student"]),
+  limitQuizSubmits,
+  submitQuizSession
+);
 router.get(
   "/getUnattemptedQuizzes",
   verifyJWT(["student"]),
   getUnattemptedQuizzes
 );
 router.get("/leaderboard", verifyJWT(["student"]), getLeaderboard);
-router.delete("/deleteQuiz/:id", deleteQuiz);
-router.delete("/deleteQuizQuestion/:questionId", deleteQuizQuestion);
+router.get(
+  "/leaderboard/settings",
+  verifyJWT(["student"]),
+  getLeaderboardSettings
+);
+router.put(
+  "/leaderboard/settings",
+  verifyJWT(["student"]),
+  updateLeaderboardSettings
+);
+router.delete(
+  "/deleteQuiz/:id",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  deleteQuiz
+);
+router.delete(
+  "/deleteQuizQuestion/:questionId",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_CONTENT),
+  deleteQuizQuestion
+);
 
 export { router as quizRoutes };
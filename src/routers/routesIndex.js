@@ -12,6 +12,16 @@ import othersRoutes from "./others.routes.js";
 import adminRoutes from "./admin.routes.js";
 import { quizRoutes } from "./quiz.routes.js";
 import { educationalVideoRoutes } from "./educationalVideo.routes.js";
+import { crisisRoutes } from "./crisis.routes.js";
+import { bookingRoutes } from "./booking.routes.js";
+import { paymentRoutes } from "./payment.routes.js";
+import { notificationRoutes } from "./notification.routes.js";
+import { assessmentRoutes } from "./assessment.routes.js";
+import { achievementRoutes } from "./achievement.routes.js";
+import { moderationRoutes } from "./moderation.routes.js";
+import { suspensionRoutes } from "./suspension.routes.js";
+import { blockRoutes } from "./block.routes.js";
+import { searchRoutes } from "./search.routes.js";
 
 const router = Router();
 
@@ -28,5 +38,15 @@ router.use("/api/v1/others", othersRoutes);
 router.use("/api/v1/admin", adminRoutes);
 router.use("/api/v1/quiz", quizRoutes);
 router.use("/api/v1/educationalvideo", educationalVideoRoutes);
+router.use("/api/v1/crisis", crisisRoutes);
+router.use("/api/v1/booking", bookingRoutes);
+router.use("/api/v1/payments", paymentRoutes);
+router.use("/api/v1/notifications", notificationRoutes);
+router.use("/api/v1/assessment", assessmentRoutes);
+router.use("/api/v1/achievements", achievementRoutes);
+router.use("/api/v1/moderation", moderationRoutes);
+router.use("/api/v1/suspensions", suspensionRoutes);
+router.use("/api/v1/blocks", blockRoutes);
+router.use("/api/v1/search", searchRoutes);
 
 export { router as routes };
@@ -0,0 +1,9 @@
+import { Router } from "express";
+import { verifyJWT } from "../middleware/auth.middleware.js";
+import { search } from "../controllers/search.controller.js";
+
+const router = Router();
+
+router.get("/", verifyJWT(["student", "therapist", "parent"]), search);
+
+export { router as searchRoutes };
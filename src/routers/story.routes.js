@@ -1,23 +1,36 @@
 import { Router } from "express";
 import { verifyJWT } from "../middleware/auth.middleware.js";
+import { requirePermission } from "../middleware/permission.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 import {
   addComment,
   createStory,
+  deleteComment,
   deleteStory,
+  editComment,
   editStory,
+  publishStoryNow,
+  getCommentEditHistory,
   getCurrentUserStories,
-  getReportedStories,
-  getReportedStory,
+  getMyReports,
   getStories,
   getSpecificStory,
   getStoryComments,
   getTopThreeLikedStoryes,
   reportStory,
+  toggleCommentLike,
+  togglePinComment,
   toggleStoryLike,
   toggleFavoriteStory,
   hideStory,
   getFavoriteStories,
+  getStoryAuthorReveals,
+  revealStoryAuthor,
 } from "../controllers/story.controller.js";
+import {
+  getModerationCase,
+  getModerationQueue,
+} from "../controllers/moderation.controller.js";
 
 const router = Router();
 
@@ -39,22 +52,92 @@ router.get(
   verifyJWT(["student"]),
   getCurrentUserStories
 );
-router.get("/getSpecificStory/:storyId", getSpecificStory);
+router.post("/publishStory/:storyId", verifyJWT(["student"]), publishStoryNow);
+router.get(
+  "/getSpecificStory/:storyId",
+  verifyJWT(["student", "therapist", "parent"]),
+  getSpecificStory
+);
 router.post(
   "/like/:storyId",
   verifyJWT(["student", "therapist", "parent"]),
   toggleStoryLike
 );
-router.get("/getStoryComments", getStoryComments);
+router.get(
+  "/getStoryComments",
+  verifyJWT(["student", "therapist", "parent"]),
+  getStoryComments
+);
+router.put(
+  "/editComment/:commentId",
+  verifyJWT(["student", "therapist", "parent"]),
+  editComment
+);
+router.get(
+  "/commentHistory/:commentId",
+  verifyJWT(["student", "therapist", "parent"]),
+  getCommentEditHistory
+);
+router.delete(
+  "/deleteComment/:commentId",
+  verifyJWT(["student", "therapist", "parent"]),
+  deleteComment
+);
+router.post(
+  "/likeComment/:commentId",
+  verifyJWT(["student", "therapist", "parent"]),
+  toggleCommentLike
+);
+router.post("/pinComment/:commentId", verifyJWT(["student"]), togglePinComment);
 router.get("/getTopThreeLikedStoryes", getTopThreeLikedStoryes);
 
-router.get("/getReportedStories", getReportedStories);
-router.get("/getReportedStory/:id", getReportedStory);
+router.get(
+  "/getReportedStories",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MODERATE_STORIES),
+  getModerationQueue
+);
+router.get(
+  "/moderation/commentHistory/:commentId",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MODERATE_STORIES),
+  getCommentEditHistory
+);
+router.delete(
+  "/moderation/deleteComment/:commentId",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MODERATE_STORIES),
+  deleteComment
+);
+router.post(
+  "/moderation/revealAuthor/:storyId",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MODERATE_STORIES),
+  revealStoryAuthor
+);
+// Reviewing who looked up whom is kept above the moderators themselves
+router.get(
+  "/moderation/authorReveals",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MANAGE_ADMINS),
+  getStoryAuthorReveals
+);
+router.get(
+  "/getReportedStory/:storyId",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.MODERATE_STORIES),
+  getModerationCase
+);
 router.post(
   "/reportStory/:storyId",
   verifyJWT(["student", "therapist", "parent"]),
   reportStory
 );
+router.get(
+  "/myReports",
+  verifyJWT(["student", "therapist", "parent"]),
+  getMyReports
+);
 router.post(
   "/toggleFavoriteStory/:id",
   verifyJWT(["student", "therapist", "parent"]),
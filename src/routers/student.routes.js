@@ -1,5 +1,7 @@
 import { Router } from "express";
 import { verifyJWT } from "../middleware/auth.middleware.js";
+import { requirePermission } from "../middleware/permission.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 import {
   createStudent,
   editStudent,
@@ -9,6 +11,21 @@ import {
   getAllStudents,
   getStudentProfileDetails,
 } from "../controllers/student.controller.js";
+import {
+  generateGuardianInviteCode,
+  getStudentGuardianLinks,
+  respondToGuardianLink,
+  revokeGuardianLink,
+} from "../controllers/guardian.controller.js";
+import {
+  deleteMoodCheckIn,
+  getMoodCheckIns,
+  getMoodInsights,
+  getMoodShares,
+  revokeMoodShare,
+  saveMoodCheckIn,
+  shareMoodWithTherapist,
+} from "../controllers/mood.controller.js";
 
 const router = Router();
 
@@ -17,11 +34,47 @@ router.post("/login", loginStudent);
 router.post("/logout", verifyJWT(["student"]), logoutStudent);
 router.get("/profile", verifyJWT(["student"]), getStudentProfile);
 router.put("/editStudent", verifyJWT(["student"]), editStudent);
-router.get("/getAllStudents", getAllStudents);
+router.get(
+  "/getAllStudents",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.VIEW_USERS),
+  getAllStudents
+);
 router.get(
   "/getStudentProfileDetails/:id",
   verifyJWT(["student"]),
   getStudentProfileDetails
 );
 
+// Guardian links
+router.post(
+  "/guardianInviteCode",
+  verifyJWT(["student"]),
+  generateGuardianInviteCode
+);
+router.get("/guardianLinks", verifyJWT(["student"]), getStudentGuardianLinks);
+router.put(
+  "/guardianLinks/:id/respond",
+  verifyJWT(["student"]),
+  respondToGuardianLink
+);
+router.put(
+  "/guardianLinks/:id/revoke",
+  verifyJWT(["student"]),
+  revokeGuardianLink
+);
+
+// Mood journal
+router.post("/moodCheckIns", verifyJWT(["student"]), saveMoodCheckIn);
+router.get("/moodCheckIns", verifyJWT(["student"]), getMoodCheckIns);
+router.get("/moodCheckIns/insights", verifyJWT(["student"]), getMoodInsights);
+router.delete("/moodCheckIns/:id", verifyJWT(["student"]), deleteMoodCheckIn);
+router.get("/moodShares", verifyJWT(["student"]), getMoodShares);
+router.post("/moodShares", verifyJWT(["student"]), shareMoodWithTherapist);
+router.delete(
+  "/moodShares/:therapistId",
+  verifyJWT(["student"]),
+  revokeMoodShare
+);
+
 export { router as studentRoutes };
@@ -0,0 +1,50 @@
+import { Router } from "express";
+import { verifyJWT } from "../middleware/auth.middleware.js";
+import { requirePermission } from "../middleware/permission.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+import {
+  fileAppeal,
+  getAppeals,
+  getSuspensions,
+  liftUserSuspension,
+  resolveAppeal,
+  suspendUser,
+} from "../controllers/suspension.controller.js";
+
+const router = Router();
+
+router.post(
+  "/suspendUser",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.SUSPEND_USERS),
+  suspendUser
+);
+router.put(
+  "/liftSuspension/:id",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.SUSPEND_USERS),
+  liftUserSuspension
+);
+router.get(
+  "/getSuspensions",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.SUSPEND_USERS),
+  getSuspensions
+);
+router.get(
+  "/getAppeals",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.SUSPEND_USERS),
+  getAppeals
+);
+router.put(
+  "/resolveAppeal/:id",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.SUSPEND_USERS),
+  resolveAppeal
+);
+// Suspended users cannot sign in; the appeal token in the body stands in
+// for an access token
+router.post("/appeal", fileAppeal);
+
+export { router as suspensionRoutes };
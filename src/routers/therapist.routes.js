@@ -1,19 +1,50 @@
 import { Router } from "express";
 import { verifyJWT } from "../middleware/auth.middleware.js";
+import { requirePermission } from "../middleware/permission.middleware.js";
 import {
+  rateLimitPerEmail,
+  rateLimitPerIp,
+} from "../middleware/rateLimit.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+import {
+  addTherapistDocument,
   approveTherapist,
   createTherapist,
   editTherapist,
   getAllTherapist,
   getSpecificTherapist,
+  getTherapistDocumentUploadUrl,
+  getTherapistVerificationStatus,
   getUnverifiedTherapist,
   getUnverifiedTherapists,
   loginTherapist,
+  loginTherapistVerification,
   logoutTherapist,
+  rejectTherapist,
+  resubmitTherapist,
 } from "../controllers/therapist.controller.js";
+import {
+  getSharedMoodStudents,
+  getSharedMoodSummary,
+} from "../controllers/mood.controller.js";
 
 const router = Router();
 
+// Verification sign-in checks a password, so guessing is capped both per
+// address and per account
+const limitVerificationLoginsPerIp = rateLimitPerIp({
+  name: "therapist-verification-login-ip",
+  max: 20,
+  windowMs: 15 * 60 * 1000,
+  message: "Too many sign-in attempts, please try again later",
+});
+const limitVerificationLoginsPerEmail = rateLimitPerEmail({
+  name: "therapist-verification-login-email",
+  max: 5,
+  windowMs: 15 * 60 * 1000,
+  message: "Too many sign-in attempts, please try again later",
+});
+
 router.post("/createTherapist", createTherapist);
 router.post("/login", loginTherapist);
 router.get("/logout", verifyJWT(["therapist"]), logoutTherapist);
@@ -22,18 +53,49 @@ router.get("/getAllTherapist", getAllTherapist);
 router.get("/getSpecificTherapist/:id", getSpecificTherapist);
 router.get(
   "/getUnverifiedTherapists",
-  //   verifyJWT(["admin"]),
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.REVIEW_THERAPISTS),
   getUnverifiedTherapists
 );
 router.get(
   "/getUnverifiedTherapist/:id",
-  //   verifyJWT(["admin"]),
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.REVIEW_THERAPISTS),
   getUnverifiedTherapist
 );
 
 router.put(
   "/approvetherapist/:id",
-  //  verifyJWT(["admin"]),
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.REVIEW_THERAPISTS),
   approveTherapist
 );
+router.put(
+  "/rejecttherapist/:id",
+  verifyJWT(["admin"]),
+  requirePermission(PERMISSIONS.REVIEW_THERAPISTS),
+  rejectTherapist
+);
+
+// Verification flow for therapists who are not approved yet. The login
+// returns a short-lived token the other routes take in the body.
+router.post(
+  "/verification/login",
+  limitVerificationLoginsPerIp,
+  limitVerificationLoginsPerEmail,
+  loginTherapistVerification
+);
+router.post("/verification/status", getTherapistVerificationStatus);
+router.post("/verification/documentUploadUrl", getTherapistDocumentUploadUrl);
+router.post("/verification/documents", addTherapistDocument);
+router.post("/verification/resubmit", resubmitTherapist);
+
+// Mood summaries students chose to share
+router.get("/moodSummaries", verifyJWT(["therapist"]), getSharedMoodStudents);
+router.get(
+  "/moodSummaries/:studentId",
+  verifyJWT(["therapist"]),
+  getSharedMoodSummary
+);
+
 export default router;
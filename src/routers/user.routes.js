@@ -11,6 +11,11 @@ import {
   sendEmailOtp,
   verifyEmailOtp,
   googleOauthMobileHandler,
+  refreshSession,
+  logoutUser,
+  logoutAllDevices,
+  getNotificationPreferences,
+  updateNotificationPreferences,
 } from "../controllers/user.controller.js";
 import { validateUserType } from "../middleware/validateUserType.js";
 
@@ -36,5 +41,27 @@ router.post("/createUserAndGetOtp", createUserAndGetOtp);
 router.post("/verifyOtp", verifyOtp);
 router.post("/send-email-otp", sendEmailOtp);
 router.post("/verify-email-otp", verifyEmailOtp);
+router.post("/refresh", refreshSession);
+router.post(
+  "/logout",
+  verifyJWT(["student", "therapist", "parent", "admin"]),
+  logoutUser
+);
+router.post(
+  "/logoutAllDevices",
+  verifyJWT(["student", "therapist", "parent", "admin"]),
+  logoutAllDevices
+);
+
+router.get(
+  "/notificationPreferences",
+  verifyJWT(["student", "therapist", "parent", "admin"]),
+  getNotificationPreferences
+);
+router.put(
+  "/notificationPreferences",
+  verifyJWT(["student", "therapist", "parent", "admin"]),
+  updateNotificationPreferences
+);
 
 export { router as userRoutes };
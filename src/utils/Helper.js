@@ -2,6 +2,7 @@ import { GoogleGenerativeAI } from "@google/generative-ai";
 import { JSDOM } from "jsdom";
 import { generateAccessToken } from "./generateAccessToken.js";
 import { prisma } from "../db/prismaClientConfig.js";
+import { createSession } from "./session.js";
 import * as cheerio from "cheerio";
 import qs from "qs";
 import axios from "axios";
@@ -28,8 +29,8 @@ const accessTokenGenerator = async (userId, userType) => {
         where: { id: userId },
       });
     }
-    const accessToken = generateAccessToken(user.id, user.email, userType);
-    return { accessToken };
+    const { accessToken, refreshToken } = await createSession(user, userType);
+    return { accessToken, refreshToken };
   } catch (error) {
     throw new Error("Failed to generate access token");
   }
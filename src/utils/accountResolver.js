@@ -0,0 +1,149 @@
+import { prisma } from "../db/prismaClientConfig.js";
+import { VISIBLE_REVIEW_FILTER } from "./reviews.js";
+
+// Every account type lives in its own table; this is the single place that
+// maps a userType onto the right Prisma model.
+const ACCOUNT_MODELS = {
+  student: prisma.student,
+  parent: prisma.parent,
+  therapist: prisma.therapist,
+  admin: prisma.admin,
+};
+
+// Account types that share the email/phone namespace at sign-up
+const MEMBER_ACCOUNT_TYPES = ["student", "parent", "therapist"];
+
+// Credentials never leave the resolver
+const stripSecrets = (account) => {
+  if (!account) return account;
+  const { password, otp, ...rest } = account;
+  return rest;
+};
+
+const getAccountModel = (userType) =>
+  ACCOUNT_MODELS[String(userType || "").toLowerCase()] || null;
+
+const findAccount = (userType, where, args = {}) => {
+  const model = getAccountModel(userType);
+  if (!model) return null;
+  return model.findUnique({ where, ...args });
+};
+
+const updateAccount = (userType, where, data) => {
+  const model = getAccountModel(userType);
+  if (!model) {
+    throw new Error("Invalid user type");
+  }
+  return model.update({ where, data });
+};
+
+/**
+ * Looks for an account of another type that already owns the given email
+ * or phone. Returns `{ userType, field }` for the first clash, or null.
+ */
+const findConflictingAccount = async ({ email, phone }, ownUserType) => {
+  const conditions = [];
+  if (email) conditions.push({ email });
+  if (phone) conditions.push({ phone });
+  if (conditions.length === 0) return null;
+
+  const otherTypes = MEMBER_ACCOUNT_TYPES.filter(
+    (userType) => userType !== ownUserType
+  );
+
+  const matches = await prisma.$transaction(
+    otherTypes.map((userType) =>
+      ACCOUNT_MODELS[userType].findFirst({
+        where: { OR: conditions },
+        select: { id: true, email: true, phone: true },
+      })
+    )
+  );
+
+  const index = matches.findIndex(Boolean);
+  if (index === -1) return null;
+
+  return {
+    userType: otherTypes[index],
+    field: email && matches[index].email === email ? "Email" : "Phone",
+  };
+};
+
+// Extras that are too expensive to load on every request. Each loader runs at
+// most once per request, and only when a controller asks for it.
+const ACCOUNT_EXTRAS = {
+  student: {
+    storiesCount: (account) =>
+      prisma.story.count({ where: { studentId: account.id } }),
+  },
+  therapist: {
+    Review: (account) =>
+      prisma.review.findMany({
+        where: { therapistId: account.id, ...VISIBLE_REVIEW_FILTER },
+        select: {
+          title: true,
+          review: true,
+          rating: true,
+          createdAt: true,
+          Student: {
+            select: {
+              fullName: true,
+            },
+          },
+        },
+        orderBy: {
+          createdAt: "desc",
+        },
+      }),
+  },
+};
+
+const attachLazyExtras = (account) => {
+  const loaders = ACCOUNT_EXTRAS[account.userType] || {};
+  const cache = {};
+
+  // Non-enumerable so the account still serialises to the plain profile
+  Object.defineProperty(account, "loadExtra", {
+    enumerable: false,
+    value: (name) => {
+      if (!loaders[name]) return Promise.resolve(undefined);
+      cache[name] ??= loaders[name](account);
+      return cache[name];
+    },
+  });
+
+  Object.defineProperty(account, "loadAllExtras", {
+    enumerable: false,
+    value: async () => {
+      const names = Object.keys(loaders);
+      const values = await Promise.all(names.map(account.loadExtra));
+      return Object.fromEntries(names.map((name, i) => [name, values[i]]));
+    },
+  });
+
+  return account;
+};
+
+/**
+ * Loads the profile for an authenticated identity. Only the table matching
+ * `userType` is queried; extras are available through `loadExtra(name)`.
+ */
+const resolveAccount = async (userType, id) => {
+  const normalizedType = String(userType || "").toLowerCase();
+  const account = await findAccount(normalizedType, { id });
+  if (!account) return null;
+
+  return attachLazyExtras({
+    ...stripSecrets(account),
+    userType: normalizedType,
+  });
+};
+
+export {
+  MEMBER_ACCOUNT_TYPES,
+  getAccountModel,
+  findAccount,
+  updateAccount,
+  findConflictingAccount,
+  resolveAccount,
+};
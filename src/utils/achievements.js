@@ -0,0 +1,278 @@
+import { prisma } from "../db/prismaClientConfig.js";
+import { notifyUser } from "./notifications.js";
+import { getUserTimezone } from "./notificationPreferences.js";
+import { COMPLETED_SESSION_STATUSES } from "./quizSessions.js";
+import { utcToZonedParts, zonedTimeToUtc } from "./timezone.js";
+import { STREAK_WINDOW_DAYS, computeActivityStreaks } from "./wellbeing.js";
+
+export const ACHIEVEMENT_EVENTS = [
+  "STORY_PUBLISHED",
+  "COMMENT_POSTED",
+  "MOOD_CHECK_IN",
+  "VIDEO_COMPLETED",
+  "QUIZ_COMPLETED",
+];
+
+export const XP_PER_LEVEL = 200;
+
+// Installed by the admin "install defaults" endpoint; admins can edit or
+// add to these at any time
+export const DEFAULT_BADGES = [
+  {
+    code: "FIRST_STORY",
+    name: "First Story",
+    description: "Shared your first story",
+    event: "STORY_PUBLISHED",
+    criteria: { type: "count", threshold: 1 },
+    xpReward: 50,
+  },
+  {
+    code: "MOOD_STREAK_7",
+    name: "Week of Check-ins",
+    description: "Checked in on your mood 7 days in a row",
+    event: "MOOD_CHECK_IN",
+    criteria: { type: "streak", threshold: 7 },
+    xpReward: 100,
+  },
+  {
+    code: "FIRST_VIDEO",
+    name: "Curious Mind",
+    description: "Watched an educational video to the end",
+    event: "VIDEO_COMPLETED",
+    criteria: { type: "count", threshold: 1 },
+    xpReward: 25,
+  },
+  {
+    code: "QUIZ_MASTER",
+    name: "Quiz Master",
+    description: "Scored 100% on 3 different quizzes",
+    event: "QUIZ_COMPLETED",
+    criteria: { type: "count", threshold: 3, minScore: 100 },
+    xpReward: 150,
+  },
+  {
+    code: "HELPFUL_PEER",
+    name: "Helpful Peer",
+    description: "Left 10 supportive comments on other students' stories",
+    event: "COMMENT_POSTED",
+    criteria: { type: "count", threshold: 10 },
+    xpReward: 100,
+  },
+];
+
+export const DEFAULT_XP_RULES = [
+  { event: "STORY_PUBLISHED", xp: 20, dailyCap: 60 },
+  { event: "COMMENT_POSTED", xp: 5, dailyCap: 25 },
+  { event: "MOOD_CHECK_IN", xp: 10, dailyCap: 10 },
+  { event: "VIDEO_COMPLETED", xp: 15, dailyCap: null },
+  { event: "QUIZ_COMPLETED", xp: 20, dailyCap: null },
+];
+
+// Where each event's history lives. Badge criteria are checked against
+// these rows rather than event counters, so a missed or replayed event can
+// never leave a student with the wrong badges.
+const EVENT_SOURCES = {
+  STORY_PUBLISHED: {
+    model: "story",
+    dateField: "createdAt",
+    where: (studentId) => ({
+      studentId,
+      status: "PUBLISHED",
+      isComplete: true,
+      isUnderReview: false,
+    }),
+  },
+  COMMENT_POSTED: {
+    model: "comment",
+    dateField: "createdAt",
+    where: (studentId) => ({
+      studentId,
+      isUnderReview: false,
+      deletedAt: null,
+      story: { NOT: { studentId } },
+    }),
+  },
+  MOOD_CHECK_IN: {
+    model: "moodCheckIn",
+    dateField: "createdAt",
+    where: (studentId) => ({ studentId }),
+  },
+  VIDEO_COMPLETED: {
+    model: "videoCompletion",
+    dateField: "completedAt",
+    where: (studentId) => ({ studentId }),
+  },
+  QUIZ_COMPLETED: {
+    model: "quizSession",
+    dateField: "submittedAt",
+    // Retakes of the same quiz count once
+    distinctBy: "quizId",
+    where: (studentId, criteria) => ({
+      studentId,
+      status: { in: COMPLETED_SESSION_STATUSES },
+      ...(criteria.minScore != null && { score: { gte: criteria.minScore } }),
+    }),
+  },
+};
+
+const meetsCriteria = async (studentId, event, criteria) => {
+  const source = EVENT_SOURCES[event];
+  const where = source.where(studentId, criteria);
+  const model = prisma[source.model];
+
+  if (criteria.type === "streak") {
+    const since = new Date(
+      Date.now() - (STREAK_WINDOW_DAYS + 1) * 24 * 60 * 60 * 1000
+    );
+    const [rows, timezone] = await Promise.all([
+      model.findMany({
+        where: { ...where, [source.dateField]: { gte: since } },
+        select: { [source.dateField]: true },
+      }),
+      getUserTimezone(studentId),
+    ]);
+    const { longestStreak } = computeActivityStreaks(
+      rows.map((row) => row[source.dateField]),
+      timezone
+    );
+    return longestStreak >= criteria.threshold;
+  }
+
+  const count = source.distinctBy
+    ? (await model.groupBy({ by: [source.distinctBy], where })).length
+    : await model.count({ where });
+  return count >= criteria.threshold;
+};
+
+// False when this source already paid out (the ledger is idempotent)
+const addXp = async (studentId, amount, reason, sourceKey) => {
+  try {
+    await prisma.xpTransaction.create({
+      data: { studentId, amount, reason, sourceKey },
+    });
+    return true;
+  } catch (error) {
+    if (error.code === "P2002") return false;
+    throw error;
+  }
+};
+
+const grantEventXp = async (studentId, event, sourceId) => {
+  const rule = await prisma.xpRule.findUnique({ where: { event } });
+  if (!rule?.isActive || rule.xp <= 0) return;
+
+  let amount = rule.xp;
+  if (rule.dailyCap != null) {
+    const timezone = await getUserTimezone(studentId);
+    const today = utcToZonedParts(new Date(), timezone).date;
+    const { _sum } = await prisma.xpTransaction.aggregate({
+      where: {
+        studentId,
+        sourceKey: { startsWith: `${event}:` },
+        createdAt: { gte: zonedTimeToUtc(today, "00:00", timezone) },
+      },
+      _sum: { amount: true },
+    });
+    amount = Math.min(amount, rule.dailyCap - (_sum.amount || 0));
+  }
+  if (amount <= 0) return;
+
+  await addXp(
+    studentId,
+    amount,
+    event.toLowerCase().replace(/_/g, " "),
+    `${event}:${sourceId}`
+  );
+};
+
+const awardBadges = async (studentId, event) => {
+  const badges = await prisma.badge.findMany({
+    where: { event, isActive: true, awards: { none: { studentId } } },
+  });
+
+  const earned = [];
+  for (const badge of badges) {
+    if (!(await meetsCriteria(studentId, event, badge.criteria))) continue;
+
+    // A parallel event may have awarded it a moment ago
+    const { count } = await prisma.studentBadge.createMany({
+      data: [{ studentId, badgeId: badge.id }],
+      skipDuplicates: true,
+    });
+    if (!count) continue;
+
+    if (badge.xpReward > 0) {
+      await addXp(
+        studentId,
+        badge.xpReward,
+        `Earned the ${badge.name} badge`,
+        `BADGE:${badge.id}`
+      );
+    }
+    await notifyUser(
+      { id: studentId, userType: "student" },
+      {
+        type: "BADGE_EARNED",
+        title: "New badge earned",
+        body: badge.name,
+        data: { badgeId: badge.id },
+      }
+    );
+    earned.push(badge);
+  }
+  return earned;
+};
+
+/**
+ * Entry point for domain events: grants the event's XP once per `sourceId`
+ * (the story, comment, check-in... that triggered it) and awards any badges
+ * whose criteria are now met. Safe to call more than once for the same
+ * event. Failures are logged, never thrown, so they can't break the action
+ * that raised the event.
+ */
+export const recordAchievementEvent = async (
+  studentId,
+  event,
+  { sourceId }
+) => {
+  try {
+    await grantEventXp(studentId, event, sourceId);
+    return await awardBadges(studentId, event);
+  } catch (error) {
+    console.error(`Error processing achievement event ${event}:`, error);
+    return [];
+  }
+};
+
+/** XP total, level and earned badges, newest first, for profile pages. */
+export const getStudentAchievements = async (studentId) => {
+  const [{ _sum }, awards] = await Promise.all([
+    prisma.xpTransaction.aggregate({
+      where: { studentId },
+      _sum: { amount: true },
+    }),
+    prisma.studentBadge.findMany({
+      where: { studentId },
+      orderBy: { awardedAt: "desc" },
+      include: {
+        badge: {
+          select: {
+            id: true,
+            code: true,
+            name: true,
+            description: true,
+            iconUrl: true,
+          },
+        },
+      },
+    }),
+  ]);
+
+  const xp = _sum.amount || 0;
+  return {
+    xp,
+    level: Math.floor(xp / XP_PER_LEVEL) + 1,
+    xpToNextLevel: XP_PER_LEVEL - (xp % XP_PER_LEVEL),
+    badges: awards.map(({ badge, awardedAt }) => ({ ...badge, awardedAt })),
+  };
+};
@@ -0,0 +1,55 @@
+// Students give us either an `age` or a free-form `dob` at sign-up. These
+// helpers turn whichever we have into an age in whole years.
+
+export const ADULT_AGE = 18;
+
+// Accepts "YYYY-MM-DD", "DD-MM-YYYY" and "DD/MM/YYYY" (optionally with a
+// time part after the date)
+const parseDob = (dob) => {
+  if (!dob) return null;
+  const value = String(dob).trim().slice(0, 10);
+
+  let match = value.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+  let year, month, day;
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else {
+    match = value.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/);
+    if (!match) return null;
+    [, day, month, year] = match.map(Number);
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return { year, month, day };
+};
+
+/**
+ * Age in whole years from the date of birth, falling back to the stored
+ * `age`. Returns null when neither is usable.
+ */
+export const getStudentAge = ({ age, dob } = {}, now = new Date()) => {
+  const birth = parseDob(dob);
+  if (birth) {
+    const hadBirthday =
+      now.getUTCMonth() + 1 > birth.month ||
+      (now.getUTCMonth() + 1 === birth.month &&
+        now.getUTCDate() >= birth.day);
+    const years = now.getUTCFullYear() - birth.year - (hadBirthday ? 0 : 1);
+    if (years >= 0) return years;
+  }
+
+  return Number.isInteger(age) ? age : null;
+};
+
+// Students with no usable age are treated as minors
+export const isMinorStudent = (student, now = new Date()) => {
+  const age = getStudentAge(student, now);
+  return age === null || age < ADULT_AGE;
+};
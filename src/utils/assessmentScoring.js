@@ -0,0 +1,103 @@
+// Scoring for Likert-style screening instruments (see the Assessment model).
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Checks that an instrument's bands cover every score it can produce without
+ * gaps or overlaps. Returns an error message, or null when the bands are fine.
+ */
+export const validateSeverityBands = ({ scale, items, severityBands }) => {
+  const values = scale.map((option) => option.value);
+  const minValue = Math.min(...values);
+  const maxValue = Math.max(...values);
+
+  const weights = items.map((item) => item.weight ?? 1);
+  const lowest = round(
+    weights.reduce((sum, w) => sum + Math.min(w * minValue, w * maxValue), 0)
+  );
+  const highest = round(
+    weights.reduce((sum, w) => sum + Math.max(w * minValue, w * maxValue), 0)
+  );
+
+  const bands = [...severityBands].sort((a, b) => a.minScore - b.minScore);
+  if (bands[0].minScore > lowest) {
+    return `Severity bands must start at the lowest possible score (${lowest})`;
+  }
+  if (bands[bands.length - 1].maxScore < highest) {
+    return `Severity bands must reach the highest possible score (${highest})`;
+  }
+  for (let i = 1; i < bands.length; i++) {
+    if (bands[i].minScore <= bands[i - 1].maxScore) {
+      return `Severity bands "${bands[i - 1].label}" and "${bands[i].label}" overlap`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Scores one attempt. `answers` is a list of `{ itemId, value }` covering
+ * every item exactly once, with values taken from the instrument's scale.
+ * Reverse-scored items are flipped across the scale before weighting.
+ *
+ * Throws an Error with a user-facing message when the answers don't fit.
+ */
+export const scoreAssessment = (assessment, answers) => {
+  const values = assessment.scale.map((option) => option.value);
+  const minValue = Math.min(...values);
+  const maxValue = Math.max(...values);
+
+  const answerByItem = new Map(answers.map((a) => [a.itemId, a.value]));
+  if (answerByItem.size !== answers.length) {
+    throw new Error("Each question can only be answered once");
+  }
+
+  const scoredAnswers = assessment.items.map((item) => {
+    if (!answerByItem.has(item.id)) {
+      throw new Error("Please answer every question");
+    }
+    const value = answerByItem.get(item.id);
+    if (!values.includes(value)) {
+      throw new Error("Answer is not one of the available choices");
+    }
+
+    const itemScore = item.isReverseScored
+      ? maxValue + minValue - value
+      : value;
+
+    return {
+      itemId: item.id,
+      prompt: item.prompt,
+      value,
+      score: round(itemScore * item.weight),
+      isCriticalPositive: item.isCritical && value > minValue,
+    };
+  });
+
+  if (answerByItem.size !== assessment.items.length) {
+    throw new Error("Answers include questions that are not in this assessment");
+  }
+
+  const totalScore = round(
+    scoredAnswers.reduce((sum, answer) => sum + answer.score, 0)
+  );
+
+  const band =
+    assessment.severityBands.find(
+      (b) => totalScore >= b.minScore && totalScore <= b.maxScore
+    ) ||
+    // Weighted scores can fall between integer bands; use the closest below
+    [...assessment.severityBands]
+      .sort((a, b) => b.minScore - a.minScore)
+      .find((b) => totalScore >= b.minScore);
+
+  const criticalItemFlagged = scoredAnswers.some((a) => a.isCriticalPositive);
+
+  return {
+    answers: scoredAnswers.map(({ isCriticalPositive, ...answer }) => answer),
+    totalScore,
+    severity: band.label,
+    interpretation: band.interpretation,
+    isHighSeverity: Boolean(band.isHighSeverity) || criticalItemFlagged,
+    criticalItemFlagged,
+  };
+};
@@ -0,0 +1,102 @@
+import {
+  addDaysToDate,
+  getDayOfWeek,
+  minutesToTime,
+  timeToMinutes,
+  zonedTimeToUtc,
+} from "./timezone.js";
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+// Does a break or exception (in local minutes) cover any part of the slot?
+const isBlockedBy = (blocks, slotStart, slotEnd) =>
+  blocks.some(({ startTime, endTime }) =>
+    overlaps(
+      slotStart,
+      slotEnd,
+      timeToMinutes(startTime),
+      timeToMinutes(endTime)
+    )
+  );
+
+/**
+ * Expands a therapist's weekly schedule into bookable slots.
+ *
+ * Windows, breaks and exceptions are in the therapist's local time; the
+ * returned slots are UTC Dates. Exceptions without times block the whole day.
+ * Slots that have started or overlap an active booking are left out.
+ */
+const generateAvailableSlots = ({
+  timezone,
+  windows,
+  breaks = [],
+  exceptions = [],
+  bookings = [],
+  fromDate,
+  days,
+  now = new Date(),
+}) => {
+  const slots = [];
+
+  for (let offset = 0; offset < days; offset++) {
+    const localDate = addDaysToDate(fromDate, offset);
+    const dayOfWeek = getDayOfWeek(localDate);
+
+    const dayExceptions = exceptions.filter((e) => e.date === localDate);
+    if (dayExceptions.some((e) => !e.startTime || !e.endTime)) continue;
+
+    const dayBreaks = breaks.filter(
+      (b) => b.dayOfWeek === null || b.dayOfWeek === dayOfWeek
+    );
+
+    windows
+      .filter((window) => window.dayOfWeek === dayOfWeek)
+      .forEach((window) => {
+        const windowEnd = timeToMinutes(window.endTime);
+
+        for (
+          let slotStart = timeToMinutes(window.startTime);
+          slotStart + window.slotDuration <= windowEnd;
+          slotStart += window.slotDuration
+        ) {
+          const slotEnd = slotStart + window.slotDuration;
+
+          if (
+            isBlockedBy(dayBreaks, slotStart, slotEnd) ||
+            isBlockedBy(dayExceptions, slotStart, slotEnd)
+          ) {
+            continue;
+          }
+
+          const startTime = zonedTimeToUtc(
+            localDate,
+            minutesToTime(slotStart),
+            timezone
+          );
+          const endTime = new Date(
+            startTime.getTime() + window.slotDuration * 60 * 1000
+          );
+
+          const isTaken = bookings.some((booking) =>
+            overlaps(startTime, endTime, booking.startTime, booking.endTime)
+          );
+
+          if (startTime > now && !isTaken) {
+            slots.push({ startTime, endTime });
+          }
+        }
+      });
+  }
+
+  return slots.sort((a, b) => a.startTime - b.startTime);
+};
+
+/**
+ * Finds the published slot starting exactly at `startTime`, if any.
+ */
+const findAvailableSlot = (options, startTime) =>
+  generateAvailableSlots(options).find(
+    (slot) => slot.startTime.getTime() === startTime.getTime()
+  ) || null;
+
+export { generateAvailableSlots, findAvailableSlot };
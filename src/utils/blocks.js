@@ -0,0 +1,69 @@
+import { prisma } from "../db/prismaClientConfig.js";
+import { everyAuthor } from "./comments.js";
+
+export const BLOCK_TYPES = ["BLOCK", "MUTE"];
+
+/**
+ * Members whose stories, comments and likes `userId` should not see:
+ * everyone they blocked or muted, and everyone who blocked them.
+ */
+export const getHiddenUserIds = async (userId) => {
+  if (!userId) return [];
+
+  const blocks = await prisma.userBlock.findMany({
+    where: {
+      OR: [{ blockerId: userId }, { blockedId: userId, type: "BLOCK" }],
+    },
+    select: { blockerId: true, blockedId: true },
+  });
+
+  return [
+    ...new Set(
+      blocks.map((block) =>
+        block.blockerId === userId ? block.blockedId : block.blockerId
+      )
+    ),
+  ];
+};
+
+/**
+ * Narrows a Comment or Like where-clause to rows by none of `userIds`,
+ * keeping any `AND` conditions it already has.
+ */
+export const excludeAuthors = (filter, userIds) =>
+  userIds.length
+    ? {
+        ...filter,
+        AND: [
+          ...(filter.AND || []),
+          ...everyAuthor((relation) => ({
+            [`${relation}Id`]: { notIn: userIds },
+          })),
+        ],
+      }
+    : filter;
+
+// Whether any of `ownerIds` has blocked `userId` from their content
+export const isBlockedByAny = async (userId, ownerIds) => {
+  const blockerIds = ownerIds.filter((id) => id && id !== userId);
+  if (!blockerIds.length) return false;
+
+  const count = await prisma.userBlock.count({
+    where: { blockerId: { in: blockerIds }, blockedId: userId, type: "BLOCK" },
+  });
+  return count > 0;
+};
+
+// Whether either member has blocked the other
+export const isBlockedBetween = async (userId, otherId) => {
+  const count = await prisma.userBlock.count({
+    where: {
+      type: "BLOCK",
+      OR: [
+        { blockerId: userId, blockedId: otherId },
+        { blockerId: otherId, blockedId: userId },
+      ],
+    },
+  });
+  return count > 0;
+};
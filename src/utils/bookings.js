@@ -0,0 +1,61 @@
+// Slot and conversation rules shared by the booking and payment flows
+
+export const buildSlotKey = (therapistId, startTime) =>
+  `${therapistId}:${startTime.toISOString()}`;
+
+export const SLOT_TAKEN = "SLOT_TAKEN";
+
+/**
+ * The unique slotKey only catches bookings with the same start time. Slot
+ * lengths can change between bookings, so inside a serializable transaction
+ * we also refuse any slot that overlaps one still held.
+ */
+export const isSlotFree = async (prisma, therapistId, slot) =>
+  !(await prisma.sessionBooking.count({
+    where: {
+      therapistId,
+      slotKey: { not: null },
+      startTime: { lt: slot.endTime },
+      endTime: { gt: slot.startTime },
+    },
+  }));
+
+export const assertSlotIsFree = async (prisma, therapistId, slot) => {
+  if (!(await isSlotFree(prisma, therapistId, slot))) {
+    const error = new Error("Slot overlaps an existing booking");
+    error.code = SLOT_TAKEN;
+    throw error;
+  }
+};
+
+/**
+ * The student's conversation with the therapist, opened as a Pending
+ * request if they have none. Its status is left alone: the therapist still
+ * accepts or dismisses it, unless a booking is confirmed first.
+ */
+export const findBookingConversation = async (
+  prisma,
+  studentId,
+  therapistId
+) => {
+  const conversation = await prisma.conversation.findUnique({
+    where: { studentId_therapistId: { studentId, therapistId } },
+  });
+
+  return (
+    conversation ||
+    prisma.conversation.create({
+      data: { studentId, therapistId, status: "Pending" },
+    })
+  );
+};
+
+// A confirmed (BOOKED) session implies the therapist takes the student on,
+// so a pending chat request opens too. Dismissed chats stay dismissed.
+export const acceptBookingConversation = (prisma, conversationId) =>
+  conversationId
+    ? prisma.conversation.updateMany({
+        where: { id: conversationId, status: "Pending" },
+        data: { status: "Accepted" },
+      })
+    : null;
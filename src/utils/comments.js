@@ -0,0 +1,117 @@
+import { timeAgo } from "./Helper.js";
+import { ANONYMOUS_AUTHOR_NAME } from "./storyPrivacy.js";
+
+// Replies nest this many levels below a top-level comment (depth 0). A reply
+// to a comment at the deepest level joins that comment's thread instead.
+export const MAX_COMMENT_DEPTH = 2;
+
+const AUTHOR_RELATIONS = ["student", "parent", "therapist"];
+
+// Conditions that every author column of a comment (or like) is either empty
+// or passes `condition(relation)`. The explicit null check matters: negating
+// a filter on an empty column gives SQL NULL, which would drop the row.
+export const everyAuthor = (condition) =>
+  AUTHOR_RELATIONS.map((relation) => ({
+    OR: [{ [`${relation}Id`]: null }, condition(relation)],
+  }));
+
+// Comments that keep their place in a thread, deleted or not: not held for
+// crisis review or by the content filter, and not written by a suspended
+// account
+export const LISTED_COMMENT_FILTER = {
+  isUnderReview: false,
+  hiddenAt: null,
+  AND: everyAuthor((relation) => ({ [relation]: { isSuspended: false } })),
+};
+
+// Comments anyone may read
+export const VISIBLE_COMMENT_FILTER = {
+  ...LISTED_COMMENT_FILTER,
+  deletedAt: null,
+};
+
+// The Comment/CommentLike column that holds the author for each role
+export const getAuthorField = (role) =>
+  role === "student"
+    ? "studentId"
+    : role === "parent"
+    ? "parentId"
+    : "therapistId";
+
+export const commentAuthorSelect = {
+  student: { select: { id: true, userName: true, studentImage: true } },
+  parent: { select: { id: true, parentImage: true } },
+  therapist: { select: { id: true, userName: true, therapistImage: true } },
+};
+
+export const getCommentAuthor = (comment) => {
+  if (comment.student) {
+    return {
+      userType: "STUDENT",
+      user: {
+        id: comment.student.id,
+        name: comment.student.userName,
+        image: comment.student.studentImage,
+      },
+    };
+  }
+  if (comment.parent) {
+    return {
+      userType: "PARENT",
+      user: { id: comment.parent.id, image: comment.parent.parentImage },
+    };
+  }
+  if (comment.therapist) {
+    return {
+      userType: "THERAPIST",
+      user: {
+        id: comment.therapist.id,
+        name: comment.therapist.userName,
+        image: comment.therapist.therapistImage,
+      },
+    };
+  }
+  return { userType: null, user: null };
+};
+
+const anonymousAuthor = {
+  userType: "STUDENT",
+  user: { id: null, name: ANONYMOUS_AUTHOR_NAME, image: null },
+};
+
+/**
+ * Shapes a comment (and the replies loaded under it) for the client. Deleted
+ * comments keep their place in a thread but lose their content and author,
+ * and are dropped entirely once nothing visible hangs off them. Pass the
+ * author of an anonymous story as `anonymousAuthorId` to mask their replies.
+ */
+export const formatCommentThread = (comment, { anonymousAuthorId } = {}) => {
+  const replies = (comment.replies || [])
+    .map((reply) => formatCommentThread(reply, { anonymousAuthorId }))
+    .filter(Boolean);
+  const isDeleted = Boolean(comment.deletedAt);
+
+  if (isDeleted && !replies.length) return null;
+
+  let author = getCommentAuthor(comment);
+  if (isDeleted) {
+    author = { userType: null, user: null };
+  } else if (anonymousAuthorId && comment.student?.id === anonymousAuthorId) {
+    author = anonymousAuthor;
+  }
+
+  return {
+    id: comment.id,
+    parentCommentId: comment.parentCommentId,
+    depth: comment.depth,
+    content: isDeleted ? null : comment.content,
+    createdAt: comment.createdAt,
+    timeAgo: timeAgo(comment.createdAt),
+    editedAt: comment.editedAt,
+    isPinned: Boolean(comment.pinnedAt),
+    isDeleted,
+    ...author,
+    likesCount: comment._count?.likes || 0,
+    replies,
+  };
+};
@@ -0,0 +1,91 @@
+// Automated filter for user generated text: profanity (English, Hindi and
+// Hinglish), personal data and links.
+//
+// Each kind of content has a policy saying what happens to each category of
+// match (DEFAULT_FILTER_POLICIES, overridden per row in ContentFilterPolicy):
+//   ALLOW   saved as written
+//   MASK    the matched text is replaced before saving
+//   REJECT  the write is refused
+//   QUEUE   saved as written but hidden until a moderator approves it
+import { prisma } from "../db/prismaClientConfig.js";
+import {
+  applyFilterPolicy,
+  DEFAULT_FILTER_POLICIES,
+  detectFilterMatches,
+} from "./contentFilterRules.js";
+
+export {
+  DEFAULT_FILTER_POLICIES,
+  FILTER_ACTIONS,
+  FILTER_CATEGORIES,
+  FILTER_CONTENT_TYPES,
+  QUEUEABLE_CONTENT_TYPES,
+  detectFilterMatches,
+} from "./contentFilterRules.js";
+
+// The default policy for a content type with any admin overrides applied
+export const getFilterPolicy = async (contentType) => {
+  const overrides = await prisma.contentFilterPolicy.findMany({
+    where: { contentType },
+    select: { category: true, action: true },
+  });
+
+  return {
+    ...DEFAULT_FILTER_POLICIES[contentType],
+    ...Object.fromEntries(overrides.map((o) => [o.category, o.action])),
+  };
+};
+
+/**
+ * Runs the filter over the text fields of one piece of content, e.g.
+ * `{ title, content }`, with the content type's current policy (see
+ * applyFilterPolicy).
+ */
+export const filterContent = async (contentType, fields) => {
+  const hasMatches = Object.values(fields).some(
+    (value) => typeof value === "string" && detectFilterMatches(value).length
+  );
+  if (!hasMatches) {
+    return { action: "ALLOW", categories: [], fields };
+  }
+
+  return applyFilterPolicy(await getFilterPolicy(contentType), fields);
+};
+
+const CATEGORY_LABELS = {
+  PROFANITY: "offensive language",
+  PERSONAL_DATA: "personal information such as phone numbers or addresses",
+  LINK: "links",
+};
+
+export const sendContentRejected = (res, result) =>
+  res.status(400).json({
+    message: `Please remove ${result.categories
+      .map((category) => CATEGORY_LABELS[category])
+      .join(" and ")} and try again`,
+    categories: result.categories,
+    status: false,
+  });
+
+/**
+ * Puts content the filter queued in front of moderators. The caller saves
+ * the content hidden; approving the flag makes it visible.
+ */
+export const flagContent = ({
+  contentType,
+  contentId,
+  authorId,
+  authorType,
+  categories,
+  excerpt,
+}) =>
+  prisma.contentFlag.create({
+    data: {
+      contentType,
+      contentId,
+      authorId,
+      authorType: authorType.toUpperCase(),
+      categories,
+      excerpt: String(excerpt || "").slice(0, 500),
+    },
+  });
@@ -0,0 +1,291 @@
+// What the content filter looks for and how a policy is applied to the
+// matches. Kept free of database access; contentFilter.js loads the
+// policies and is what controllers use.
+export const FILTER_CONTENT_TYPES = [
+  "STORY",
+  "COMMENT",
+  "REVIEW",
+  "BIO",
+  "MESSAGE",
+];
+export const FILTER_CATEGORIES = ["PROFANITY", "PERSONAL_DATA", "LINK"];
+export const FILTER_ACTIONS = ["ALLOW", "MASK", "REJECT", "QUEUE"];
+
+// Bios and private messages have nowhere to wait for review
+export const QUEUEABLE_CONTENT_TYPES = ["STORY", "COMMENT", "REVIEW"];
+
+export const DEFAULT_FILTER_POLICIES = {
+  STORY: { PROFANITY: "MASK", PERSONAL_DATA: "MASK", LINK: "QUEUE" },
+  COMMENT: { PROFANITY: "MASK", PERSONAL_DATA: "MASK", LINK: "QUEUE" },
+  REVIEW: { PROFANITY: "QUEUE", PERSONAL_DATA: "MASK", LINK: "MASK" },
+  BIO: { PROFANITY: "REJECT", PERSONAL_DATA: "REJECT", LINK: "REJECT" },
+  MESSAGE: { PROFANITY: "MASK", PERSONAL_DATA: "MASK", LINK: "ALLOW" },
+};
+
+// The strictest action wins when several categories match
+const ACTION_PRIORITY = ["ALLOW", "MASK", "QUEUE", "REJECT"];
+
+const ENGLISH_PROFANITY = [
+  "fuck",
+  "fucks",
+  "fucked",
+  "fucker",
+  "fuckers",
+  "fucking",
+  "fuckin",
+  "motherfucker",
+  "motherfuckers",
+  "motherfucking",
+  "shit",
+  "shits",
+  "shitty",
+  "bullshit",
+  "bitch",
+  "bitches",
+  "bastard",
+  "bastards",
+  "asshole",
+  "assholes",
+  "arsehole",
+  "cunt",
+  "cunts",
+  "dick",
+  "dicks",
+  "dickhead",
+  "prick",
+  "slut",
+  "sluts",
+  "whore",
+  "whores",
+  "wanker",
+  "twat",
+];
+
+// Hindi abuse as it is usually typed in Latin script
+const HINGLISH_PROFANITY = [
+  "chutiya",
+  "chutiye",
+  "chutia",
+  "chutiyapa",
+  "madarchod",
+  "maderchod",
+  "behenchod",
+  "bhenchod",
+  "benchod",
+  "bhosdike",
+  "bhosdi",
+  "bhosadi",
+  "bsdk",
+  "gandu",
+  "harami",
+  "haramkhor",
+  "kamina",
+  "kamine",
+  "randibaaz",
+  "lauda",
+  "lavda",
+  "lawda",
+  "lodu",
+];
+
+const HINDI_PROFANITY = [
+  "चूतिया",
+  "चुतिया",
+  "मादरचोद",
+  "बहनचोद",
+  "भेनचोद",
+  "भोसड़ीके",
+  "भोसडीके",
+  "भोसड़ी",
+  "गांडू",
+  "गाण्डू",
+  "हरामी",
+  "हरामखोर",
+  "कमीना",
+  "कमीने",
+  "रंडी",
+  "लौड़ा",
+  "लोड़ा",
+];
+
+// Digits and symbols people swap in for letters. Every replacement is one
+// character, so match positions still line up with the original text.
+const LOOKALIKES = {
+  0: "o",
+  1: "i",
+  3: "e",
+  4: "a",
+  5: "s",
+  7: "t",
+  "@": "a",
+  $: "s",
+  "!": "i",
+};
+
+const normalizeLookalikes = (text) =>
+  text.replace(/[0134570@$!A-Z]/g, (ch) =>
+    ch in LOOKALIKES ? LOOKALIKES[ch] : ch.toLowerCase()
+  );
+
+// "asshole" -> a+s+h+o+l+e+, so stretched spellings ("fuuuck") still match
+const stretch = (word) =>
+  word.replace(/(.)\1*/g, (run, letter) => `${letter}+`);
+
+// Letters (any script) and combining marks count as part of a word
+const WORD_START = "(?<![\\p{L}\\p{M}\\p{N}])";
+const WORD_END = "(?![\\p{L}\\p{M}\\p{N}])";
+
+const PROFANITY_PATTERN = new RegExp(
+  `${WORD_START}(?:${[...ENGLISH_PROFANITY, ...HINGLISH_PROFANITY]
+    .map(stretch)
+    .join("|")}|${HINDI_PROFANITY.join("|")})${WORD_END}`,
+  "giu"
+);
+
+const STREET_WORDS = [
+  "street",
+  "st",
+  "road",
+  "rd",
+  "lane",
+  "nagar",
+  "colony",
+  "sector",
+  "marg",
+  "gali",
+  "mohalla",
+  "apartments?",
+  "society",
+];
+
+// Either case for the first letter, so "MG Road" and "MG road" both match
+const capitalisable = (word) =>
+  `[${word[0].toUpperCase()}${word[0]}]${word.slice(1)}`;
+
+// A number, then a capitalised name, then a street or locality word
+const STREET_ADDRESS_PATTERN = new RegExp(
+  "\\b\\d+[A-Za-z]?(?:[/-]\\d+)?,?\\s+(?:[A-Z][\\w.]*\\s+){0,3}" +
+    `(?:${STREET_WORDS.map(capitalisable).join("|")})\\b`,
+  "g"
+);
+
+const PERSONAL_DATA_PATTERNS = [
+  // Email addresses
+  /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi,
+  // Phone numbers: 10 to 14 digits, optionally spaced or dashed
+  /(?<![\d+])\+?\d(?:[\s().-]?\d){9,13}(?!\d)/g,
+  // House, flat and plot numbers
+  /\b(?:house|flat|plot|door|h\.?)\s*(?:no\.?|number|#)\s*[:-]?\s*\d+[a-z]?\b/gi,
+  STREET_ADDRESS_PATTERN,
+  // PIN codes
+  /\bpin\s*(?:code)?\s*[:-]?\s*[1-9]\d{2}\s?\d{3}\b/gi,
+];
+
+const LINK_TLDS = "com|in|net|org|io|co|me|info|xyz|app|ly|gg|link";
+const DOMAIN = "\\b[A-Za-z0-9-]+(?:\\.[A-Za-z0-9-]+)*\\.";
+
+const LINK_PATTERNS = [
+  /\b(?:https?:\/\/|www\.)[^\s]+/gi,
+  // Bare domains on common TLDs, e.g. "insta.com" or "t.me/someone". The TLD
+  // must be lowercase unless a path follows, so a sentence missing the space
+  // after its full stop ("so tired.In the morning") is not a link.
+  new RegExp(`${DOMAIN}(?:${LINK_TLDS})(?![\\w-])(?:\\/[^\\s]*)?`, "g"),
+  new RegExp(`${DOMAIN}(?:${LINK_TLDS})\\/[^\\s]*`, "gi"),
+];
+
+const findMatches = (category, patterns, text, source = text) =>
+  patterns.flatMap((pattern) =>
+    [...source.matchAll(pattern)].map((match) => ({
+      category,
+      start: match.index,
+      end: match.index + match[0].length,
+      text: text.slice(match.index, match.index + match[0].length),
+    }))
+  );
+
+/**
+ * Finds every profanity, personal data and link match in `text`, with
+ * overlapping matches resolved in that order of precedence (an email is
+ * personal data, not a link).
+ */
+export const detectFilterMatches = (text) => {
+  const source = String(text || "");
+  const candidates = [
+    ...findMatches(
+      "PROFANITY",
+      [PROFANITY_PATTERN],
+      source,
+      normalizeLookalikes(source)
+    ),
+    ...findMatches("PERSONAL_DATA", PERSONAL_DATA_PATTERNS, source),
+    ...findMatches("LINK", LINK_PATTERNS, source),
+  ];
+
+  const matches = [];
+  candidates.forEach((candidate) => {
+    const overlaps = matches.some(
+      (match) => candidate.start < match.end && match.start < candidate.end
+    );
+    if (!overlaps) matches.push(candidate);
+  });
+  return matches.sort((a, b) => a.start - b.start);
+};
+
+const MASKS = {
+  PROFANITY: (text) => text[0] + "*".repeat(Math.max(text.length - 1, 1)),
+  PERSONAL_DATA: () => "[personal info removed]",
+  LINK: () => "[link removed]",
+};
+
+const maskMatches = (text, matches) =>
+  matches.reduceRight(
+    (masked, match) =>
+      masked.slice(0, match.start) +
+      MASKS[match.category](match.text) +
+      masked.slice(match.end),
+    text
+  );
+
+/**
+ * Runs the filter over the text fields of one piece of content with the
+ * given policy. Empty fields are passed through untouched.
+ *
+ * Returns `{ action, categories, fields }`: the strictest action any match
+ * called for, the categories that matched, and the fields with every MASK
+ * match replaced.
+ */
+export const applyFilterPolicy = (policy, fields) => {
+  const matchesByField = Object.entries(fields).map(([name, value]) => [
+    name,
+    value,
+    typeof value === "string" ? detectFilterMatches(value) : [],
+  ]);
+  const categories = [
+    ...new Set(
+      matchesByField.flatMap(([, , matches]) => matches.map((m) => m.category))
+    ),
+  ];
+
+  if (!categories.length) {
+    return { action: "ALLOW", categories, fields };
+  }
+
+  const action = categories
+    .map((category) => policy[category])
+    .reduce((strictest, next) =>
+      ACTION_PRIORITY.indexOf(next) > ACTION_PRIORITY.indexOf(strictest)
+        ? next
+        : strictest
+    );
+
+  return {
+    action,
+    categories: categories.filter((category) => policy[category] !== "ALLOW"),
+    fields: Object.fromEntries(
+      matchesByField.map(([name, value, matches]) => {
+        const masked = matches.filter((m) => policy[m.category] === "MASK");
+        return [name, masked.length ? maskMatches(value, masked) : value];
+      })
+    ),
+  };
+};
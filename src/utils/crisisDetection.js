@@ -0,0 +1,147 @@
+// Crisis-language detection for user generated text (stories, comments).
+//
+// A classifier is any object with a `name` and an async `classify(text)`
+// method resolving to `{ isCrisis, severity, signals }`. The keyword
+// classifier below is the default so detection works fully offline; a
+// hosted model can be plugged in with `setCrisisClassifier`.
+
+const CRISIS_PATTERNS = [
+  // Suicidal ideation
+  { signal: "suicide", severity: "HIGH", pattern: /\bsuicid(e|al)\b/i },
+  {
+    signal: "kill_myself",
+    severity: "HIGH",
+    pattern: /\b(kill|hang|shoot|poison)\s+my\s*self\b/i,
+  },
+  {
+    signal: "end_my_life",
+    severity: "HIGH",
+    pattern: /\b(end|take)\s+(my|this)\s+(own\s+)?life\b/i,
+  },
+  {
+    signal: "want_to_die",
+    severity: "HIGH",
+    pattern: /\b(want|wanna|going|ready|deserve)\s+(to\s+)?die\b/i,
+  },
+  {
+    signal: "better_off_dead",
+    severity: "HIGH",
+    pattern: /\b(better\s+off\s+dead|no\s+reason\s+to\s+live)\b/i,
+  },
+  {
+    signal: "not_be_here",
+    severity: "MEDIUM",
+    pattern:
+      /\b(don'?t|do\s+not)\s+want\s+to\s+(be\s+here|live|exist|wake\s+up)\b/i,
+  },
+  {
+    signal: "goodbye_note",
+    severity: "MEDIUM",
+    pattern: /\b(suicide|goodbye|final)\s+(note|letter|message)\b/i,
+  },
+  // Self-harm
+  {
+    signal: "self_harm",
+    severity: "HIGH",
+    pattern: /\bself[\s-]?harm(ing)?\b/i,
+  },
+  {
+    signal: "cutting",
+    severity: "HIGH",
+    pattern: /\b(cut|cutting|burn|burning|hurt|hurting)\s+my\s*self\b/i,
+  },
+  {
+    signal: "overdose",
+    severity: "HIGH",
+    pattern: /\b(overdose|od\s+on|swallow(ed)?\s+(all\s+)?(the\s+)?pills)\b/i,
+  },
+  // Hindi / Hinglish
+  {
+    signal: "khudkushi",
+    severity: "HIGH",
+    pattern: /\b(khudkushi|aatmahatya|atmahatya)\b|आत्महत्या|खुदकुशी/i,
+  },
+  {
+    signal: "marna_chahta",
+    severity: "HIGH",
+    pattern: /\bmarna\s+chaht[aie]\b|मरना\s+चाहत[ाीे]/i,
+  },
+  {
+    signal: "jeena_nahi",
+    severity: "MEDIUM",
+    pattern: /\b(jeena|jina)\s+nahi\s+(chahta|chahti|hai)\b|जीना\s+नहीं/i,
+  },
+];
+
+const normalizeText = (text) =>
+  String(text || "")
+    .replace(/[’‘`]/g, "'")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const keywordCrisisClassifier = {
+  name: "keyword",
+  classify: async (text) => {
+    const normalized = normalizeText(text);
+    const matches = CRISIS_PATTERNS.filter(({ pattern }) =>
+      pattern.test(normalized)
+    );
+
+    if (matches.length === 0) {
+      return { isCrisis: false, severity: null, signals: [] };
+    }
+
+    return {
+      isCrisis: true,
+      severity: matches.some((match) => match.severity === "HIGH")
+        ? "HIGH"
+        : "MEDIUM",
+      signals: matches.map((match) => match.signal),
+    };
+  },
+};
+
+let activeClassifier = keywordCrisisClassifier;
+
+const setCrisisClassifier = (classifier) => {
+  if (!classifier || typeof classifier.classify !== "function") {
+    throw new Error("Crisis classifier must implement classify(text)");
+  }
+  activeClassifier = classifier;
+};
+
+const resetCrisisClassifier = () => {
+  activeClassifier = keywordCrisisClassifier;
+};
+
+// Runs the active classifier over every non-empty text passed in and merges
+// the results, so a title and a body are judged together.
+const detectCrisisSignals = async (...texts) => {
+  const content = texts.filter(Boolean).join("\n");
+  if (!content) {
+    return { isCrisis: false, severity: null, signals: [] };
+  }
+
+  try {
+    const result = await activeClassifier.classify(content);
+    return {
+      isCrisis: Boolean(result?.isCrisis),
+      severity: result?.severity || null,
+      signals: result?.signals || [],
+    };
+  } catch (error) {
+    // Never let a broken remote classifier silently pass crisis content
+    console.error(`Crisis classifier "${activeClassifier.name}" failed:`, error);
+    if (activeClassifier !== keywordCrisisClassifier) {
+      return keywordCrisisClassifier.classify(content);
+    }
+    throw error;
+  }
+};
+
+export {
+  keywordCrisisClassifier,
+  setCrisisClassifier,
+  resetCrisisClassifier,
+  detectCrisisSignals,
+};
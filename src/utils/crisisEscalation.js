@@ -0,0 +1,132 @@
+import { prisma } from "../db/prismaClientConfig.js";
+import { sendMail } from "../controllers/student.controller.js";
+import { detectCrisisSignals } from "./crisisDetection.js";
+import { escapeHtml } from "./emailTemplates.js";
+
+// Helplines returned to the author whenever their post is held for review
+export const CRISIS_RESOURCES = [
+  {
+    name: "Tele-MANAS (Govt. of India)",
+    phone: "14416",
+    alternatePhone: "1-800-891-4416",
+    available: "24x7",
+  },
+  {
+    name: "KIRAN Mental Health Helpline",
+    phone: "1800-599-0019",
+    available: "24x7",
+  },
+  {
+    name: "Emergency Services",
+    phone: "112",
+    available: "24x7",
+  },
+];
+
+const trustedContactMailHtml = (studentName) => `
+  <p>Hello,</p>
+  <p>You are listed as a trusted contact for <b>${escapeHtml(studentName)}</b> on Soul Suraksha.</p>
+  <p>Something they shared recently suggests they may be going through a very difficult time.
+  Our support team has been notified as well. Please reach out to them gently and check that they are safe.</p>
+  <p>If you believe they are in immediate danger, call <b>112</b>. You can also call the
+  Tele-MANAS helpline on <b>14416</b> for guidance, available 24x7.</p>
+  <p>— Soul Suraksha Care Team</p>
+`;
+
+const staffAlertMailHtml = (alert, excerpt) => `
+  <p>A ${alert.severity} crisis alert was raised on ${
+  alert.storyId && !alert.commentId ? "a story" : "a comment"
+}.</p>
+  <p><b>Signals:</b> ${escapeHtml(alert.signals.join(", "))}</p>
+  <p><b>Excerpt:</b> ${escapeHtml(excerpt)}</p>
+  <p>Alert ID: ${alert.id}</p>
+`;
+
+const notifyTrustedContact = async (studentId) => {
+  const student = await prisma.student.findUnique({
+    where: { id: studentId },
+    select: { fullName: true, trustEmail: true, trustPhoneNo: true },
+  });
+
+  if (!student?.trustEmail) {
+    // No SMS gateway yet; staff pick up the phone number from the alert
+    return false;
+  }
+
+  await sendMail({
+    email: student.trustEmail,
+    subject: "Soul Suraksha: please check in with someone you care about",
+    html: trustedContactMailHtml(student.fullName),
+  });
+  return true;
+};
+
+/**
+ * Checks a piece of content for crisis language.
+ * Returns the classifier result so the caller can hold the post before saving.
+ */
+export const screenForCrisis = (...texts) => detectCrisisSignals(...texts);
+
+/**
+ * Records a crisis alert for already-saved content and notifies the staff
+ * queue and, for students, their trusted contact. Failures to deliver mail are
+ * logged but never undo the alert itself.
+ */
+export const raiseCrisisAlert = async ({
+  detection,
+  storyId,
+  commentId,
+  authorId,
+  authorType,
+  content,
+}) => {
+  const isStudent = authorType === "student";
+  const student = isStudent
+    ? await prisma.student.findUnique({
+        where: { id: authorId },
+        select: { trustPhoneNo: true },
+      })
+    : null;
+
+  let alert = await prisma.crisisAlert.create({
+    data: {
+      storyId,
+      commentId,
+      authorId,
+      authorType: authorType.toUpperCase(),
+      severity: detection.severity,
+      signals: detection.signals,
+      trustPhoneNo: student?.trustPhoneNo || null,
+    },
+  });
+
+  const excerpt = String(content || "").slice(0, 300);
+
+  if (process.env.CRISIS_TEAM_EMAIL) {
+    try {
+      await sendMail({
+        email: process.env.CRISIS_TEAM_EMAIL,
+        subject: `[Crisis alert] ${alert.severity} signal needs review`,
+        html: staffAlertMailHtml(alert, excerpt),
+      });
+    } catch (error) {
+      console.error("Failed to email crisis team:", error);
+    }
+  }
+
+  if (isStudent) {
+    try {
+      const notified = await notifyTrustedContact(authorId);
+      if (notified) {
+        alert = await prisma.crisisAlert.update({
+          where: { id: alert.id },
+          data: { trustedContactNotifiedAt: new Date() },
+        });
+      }
+    } catch (error) {
+      console.error("Failed to notify trusted contact:", error);
+    }
+  }
+
+  return alert;
+};
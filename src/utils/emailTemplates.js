@@ -0,0 +1,57 @@
+// HTML bodies for transactional emails sent through sendMail.
+// Each template returns `{ subject, html }`.
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const layout = (body) => `
+  <div style="font-family: Arial, sans-serif; line-height: 1.5; color: #333;">
+    ${body}
+    <p>— Soul Suraksha Team</p>
+  </div>
+`;
+
+export const therapistApprovedEmail = ({ userName }) => ({
+  subject: "Your Soul Suraksha therapist account is approved",
+  html: layout(`
+    <p>Hello Dr. ${escapeHtml(userName)},</p>
+    <p>Good news! Our team has reviewed your details and your therapist account is now approved.</p>
+    <p>You can log in to the app with your email and password to start connecting with students.</p>
+  `),
+});
+
+export const therapistRejectedEmail = ({ userName, reason }) => ({
+  subject: "Your Soul Suraksha therapist application needs changes",
+  html: layout(`
+    <p>Hello Dr. ${escapeHtml(userName)},</p>
+    <p>Thank you for applying to Soul Suraksha. We could not approve your account yet for the following reason:</p>
+    <blockquote style="border-left: 3px solid #ccc; margin: 0; padding-left: 12px;">${escapeHtml(
+      reason
+    )}</blockquote>
+    <p>You can upload updated license or degree documents and resubmit your application from the app.</p>
+  `),
+});
+
+export const therapistResubmittedEmail = ({ userName }) => ({
+  subject: "We received your updated therapist application",
+  html: layout(`
+    <p>Hello Dr. ${escapeHtml(userName)},</p>
+    <p>Thanks for resubmitting your application. Our team will review your updated details and get back to you by email.</p>
+  `),
+});
+
+// Generic email copy of an in-app notification
+export const notificationEmail = ({ title, body }) => ({
+  subject: title,
+  html: layout(`
+    <p>${escapeHtml(body)}</p>
+    <p>Open the Soul Suraksha app to see more.</p>
+  `),
+});
+
+export { escapeHtml };
@@ -1,13 +1,15 @@
 import jwt from "jsonwebtoken";
 
-const generateAccessToken = (id, email, userType) => {
+const generateAccessToken = (id, email, userType, sessionId) => {
   return jwt.sign(
     {
       id: id,
       email: email,
       userType: userType,
+      sid: sessionId,
     },
     process.env.ACCESS_TOKEN_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRY || "15m" }
   );
 };
 
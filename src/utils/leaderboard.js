@@ -0,0 +1,121 @@
+import { Prisma } from "@prisma/client";
+import { prisma } from "../db/prismaClientConfig.js";
+import { DEFAULT_TIMEZONE } from "./notificationPreferences.js";
+import {
+  addDaysToDate,
+  utcToZonedParts,
+  zonedTimeToUtc,
+} from "./timezone.js";
+
+// ?period= values accepted by the leaderboard endpoint
+export const LEADERBOARD_PERIODS = {
+  weekly: "WEEKLY",
+  monthly: "MONTHLY",
+  allTime: "ALL_TIME",
+};
+
+// Shown instead of the name of a student who opted out of public ranking
+export const ANONYMOUS_NAME = "Anonymous student";
+
+/**
+ * Start of the current window for a period: Monday 00:00 for WEEKLY, the
+ * 1st for MONTHLY (both in the app's timezone), and null for ALL_TIME.
+ */
+export const getPeriodStart = (period, now = new Date()) => {
+  const { date, dayOfWeek } = utcToZonedParts(now, DEFAULT_TIMEZONE);
+
+  switch (period) {
+    case "WEEKLY":
+      return zonedTimeToUtc(
+        addDaysToDate(date, -((dayOfWeek + 6) % 7)),
+        "00:00",
+        DEFAULT_TIMEZONE
+      );
+    case "MONTHLY":
+      return zonedTimeToUtc(
+        `${date.slice(0, 8)}01`,
+        "00:00",
+        DEFAULT_TIMEZONE
+      );
+    default:
+      return null;
+  }
+};
+
+// Cohort names are stored trimmed (see the leaderboard settings schema), so
+// these match the keys the snapshot query builds
+export const getSchoolKey = (student) =>
+  student.schoolName ? student.schoolName.toLowerCase() : null;
+
+export const getClassKey = (student) =>
+  student.schoolName && student.className
+    ? `${student.schoolName.toLowerCase()}::${student.className.toLowerCase()}`
+    : null;
+
+/**
+ * Rebuilds one period's snapshot. A student's score is the best result in
+ * each quiz they completed within the window, summed, matching how
+ * quizScore is derived for all time. Ties share a rank.
+ */
+export const refreshLeaderboard = async (period, now = new Date()) => {
+  const periodStart = getPeriodStart(period, now);
+  const inWindow = periodStart
+    ? Prisma.sql`AND "submittedAt" >= ${periodStart}`
+    : Prisma.empty;
+
+  const [, inserted] = await prisma.$transaction([
+    prisma.leaderboardSnapshot.deleteMany({ where: { period } }),
+    prisma.$executeRaw`
+      INSERT INTO "LeaderboardSnapshot" (
+        "id", "period", "periodStart", "score", "quizzesCompleted", "rank",
+        "schoolKey", "schoolRank", "classKey", "classRank", "computedAt",
+        "studentId"
+      )
+      SELECT
+        gen_random_uuid()::text,
+        ${period}::"LeaderboardPeriod",
+        ${periodStart}::timestamp(3),
+        t."score",
+        t."quizzesCompleted",
+        RANK() OVER (ORDER BY t."score" DESC),
+        t."schoolKey",
+        CASE WHEN t."schoolKey" IS NOT NULL
+          THEN RANK() OVER (PARTITION BY t."schoolKey" ORDER BY t."score" DESC)
+        END,
+        t."classKey",
+        CASE WHEN t."classKey" IS NOT NULL
+          THEN RANK() OVER (PARTITION BY t."classKey" ORDER BY t."score" DESC)
+        END,
+        ${now}::timestamp(3),
+        t."studentId"
+      FROM (
+        SELECT
+          b."studentId",
+          SUM(b."best")::integer AS "score",
+          COUNT(*)::integer AS "quizzesCompleted",
+          LOWER(s."schoolName") AS "schoolKey",
+          CASE WHEN s."schoolName" IS NOT NULL AND s."className" IS NOT NULL
+            THEN LOWER(s."schoolName") || '::' || LOWER(s."className")
+          END AS "classKey"
+        FROM (
+          SELECT "studentId", "quizId", MAX("correctAnswers") AS "best"
+          FROM "QuizSession"
+          WHERE "status" IN ('SUBMITTED', 'EXPIRED') ${inWindow}
+          GROUP BY "studentId", "quizId"
+        ) b
+        JOIN "Student" s ON s."id" = b."studentId"
+        GROUP BY b."studentId", s."schoolName", s."className"
+      ) t
+    `,
+  ]);
+
+  return inserted;
+};
+
+export const refreshAllLeaderboards = async (now = new Date()) => {
+  const counts = {};
+  for (const period of Object.values(LEADERBOARD_PERIODS)) {
+    counts[period] = await refreshLeaderboard(period, now);
+  }
+  return counts;
+};
@@ -0,0 +1,101 @@
+import { prisma } from "../db/prismaClientConfig.js";
+import { notifyUsers } from "./notifications.js";
+
+// Open reports from this many people hide a story until a moderator looks
+const REPORT_HIDE_THRESHOLD = Number(process.env.REPORT_HIDE_THRESHOLD) || 3;
+
+// Reports a moderator still has to act on
+export const OPEN_REPORT_STATUSES = ["OPEN", "UNDER_REVIEW"];
+
+export const MODERATION_ACTIONS = [
+  "HIDE_STORY",
+  "REMOVE_STORY",
+  "WARN_AUTHOR",
+  "SUSPEND_AUTHOR",
+  "DISMISS_REPORTS",
+];
+
+// What a reporter is told for each outcome. Moderator notes stay internal.
+const OUTCOME_MESSAGES = {
+  HIDE_STORY: "The story you reported has been hidden",
+  REMOVE_STORY: "The story you reported has been removed",
+  WARN_AUTHOR: "The author of the story you reported has been warned",
+  SUSPEND_AUTHOR: "The author of the story you reported has been suspended",
+  DISMISS_REPORTS:
+    "We reviewed the story you reported and found it within our guidelines",
+};
+
+// What the author is told for each action taken against their story
+const AUTHOR_NOTICES = {
+  HIDE_STORY: "One of your stories has been hidden by a moderator",
+  REMOVE_STORY: "One of your stories has been removed by a moderator",
+  WARN_AUTHOR: "A moderator reviewed one of your stories and issued a warning",
+  SUSPEND_AUTHOR: "Your account has been suspended following a report",
+};
+
+// The Report column that holds the reporter for each role
+export const REPORTER_FIELDS = {
+  student: "studentReporterId",
+  parent: "parentReporterId",
+  therapist: "therapistReporterId",
+};
+
+export const getReporter = (report) => {
+  if (report.studentReporterId) {
+    return { id: report.studentReporterId, userType: "student" };
+  }
+  if (report.parentReporterId) {
+    return { id: report.parentReporterId, userType: "parent" };
+  }
+  if (report.therapistReporterId) {
+    return { id: report.therapistReporterId, userType: "therapist" };
+  }
+  return null;
+};
+
+/**
+ * Hides a story once enough people have open reports against it. The hide
+ * is flagged as automatic so that dismissing the reports lifts it again.
+ * Returns true if this call hid the story.
+ */
+export const applyReportThreshold = async (storyId) => {
+  const openReports = await prisma.report.count({
+    where: { storyId, status: { in: OPEN_REPORT_STATUSES } },
+  });
+  if (openReports < REPORT_HIDE_THRESHOLD) return false;
+
+  const { count } = await prisma.story.updateMany({
+    where: { id: storyId, hiddenAt: null, removedAt: null },
+    data: { hiddenAt: new Date(), hiddenByReports: true },
+  });
+  return count > 0;
+};
+
+/**
+ * Tells everyone whose report was closed by `action` how it turned out
+ * (once each, however many times they reported), and the author what
+ * happened to their story.
+ */
+export const notifyModerationOutcome = async (action, reports, story) => {
+  const reporters = new Map();
+  reports.forEach((report) => {
+    const reporter = getReporter(report);
+    if (reporter) reporters.set(reporter.id, reporter);
+  });
+
+  await notifyUsers([...reporters.values()], {
+    type: "REPORT_RESOLVED",
+    title: "Update on your report",
+    body: OUTCOME_MESSAGES[action.action],
+    data: { storyId: story.id, outcome: action.action },
+  });
+
+  if (AUTHOR_NOTICES[action.action]) {
+    await notifyUsers([{ id: story.studentId, userType: "student" }], {
+      type: "MODERATION_NOTICE",
+      title: "Moderation notice",
+      body: AUTHOR_NOTICES[action.action],
+      data: { storyId: story.id, action: action.action },
+    });
+  }
+};
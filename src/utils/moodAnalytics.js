@@ -0,0 +1,133 @@
+import { addDaysToDate, getDayOfWeek, utcToZonedParts } from "./timezone.js";
+import { computeDayStreaks } from "./wellbeing.js";
+
+export const EMOTION_TAGS = [
+  "happy",
+  "calm",
+  "grateful",
+  "hopeful",
+  "excited",
+  "tired",
+  "bored",
+  "lonely",
+  "sad",
+  "anxious",
+  "stressed",
+  "angry",
+  "overwhelmed",
+];
+
+// Check-ins read for insights: enough for the monthly trend
+export const INSIGHT_WINDOW_DAYS = 180;
+
+const WEEKS_IN_TREND = 8;
+const MONTHS_IN_TREND = 6;
+
+// Fewer samples than this and a tag or factor tells us nothing useful
+const MIN_SAMPLES = 3;
+
+const round = (value) =>
+  value === null ? null : Math.round(value * 100) / 100;
+
+const average = (values) => {
+  const present = values.filter((v) => v !== null && v !== undefined);
+  return present.length
+    ? round(present.reduce((sum, v) => sum + v, 0) / present.length)
+    : null;
+};
+
+// Weeks start on Monday
+const weekStartOf = (localDate) =>
+  addDaysToDate(localDate, -((getDayOfWeek(localDate) + 6) % 7));
+
+const buildTrend = (checkIns, keyOf, limit) => {
+  const buckets = new Map();
+  checkIns.forEach((checkIn) => {
+    const key = keyOf(checkIn.localDate);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(checkIn);
+  });
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .slice(-limit)
+    .map(([period, entries]) => ({
+      period,
+      checkIns: entries.length,
+      averageMood: average(entries.map((e) => e.mood)),
+      averageEnergy: average(entries.map((e) => e.energy)),
+      averageSleepHours: average(entries.map((e) => e.sleepHours)),
+    }));
+};
+
+// Pearson correlation between a numeric field and mood, or null when there
+// are too few entries or no variation
+const correlateWithMood = (checkIns, field) => {
+  const pairs = checkIns
+    .filter((c) => c[field] !== null && c[field] !== undefined)
+    .map((c) => [c[field], c.mood]);
+  if (pairs.length < MIN_SAMPLES) return null;
+
+  const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / pairs.length;
+  const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / pairs.length;
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  pairs.forEach(([x, y]) => {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  });
+
+  if (!varianceX || !varianceY) return null;
+  return round(covariance / Math.sqrt(varianceX * varianceY));
+};
+
+// How much higher (or lower) mood is on days a tag was picked
+const emotionCorrelations = (checkIns) =>
+  EMOTION_TAGS.map((emotion) => {
+    const withTag = checkIns.filter((c) => c.emotions.includes(emotion));
+    const withoutTag = checkIns.filter((c) => !c.emotions.includes(emotion));
+    if (withTag.length < MIN_SAMPLES || !withoutTag.length) return null;
+
+    const averageMood = average(withTag.map((c) => c.mood));
+    return {
+      emotion,
+      count: withTag.length,
+      averageMood,
+      moodDifference: round(
+        averageMood - average(withoutTag.map((c) => c.mood))
+      ),
+    };
+  })
+    .filter(Boolean)
+    .sort((a, b) => Math.abs(b.moodDifference) - Math.abs(a.moodDifference));
+
+/**
+ * Trends, streaks and correlations for a student's check-ins. Works on mood,
+ * tags and sleep/energy only; notes are never read here.
+ */
+export const summarizeMood = (checkIns, timezone, now = new Date()) => {
+  const today = utcToZonedParts(now, timezone).date;
+
+  return {
+    totalCheckIns: checkIns.length,
+    averageMood: average(checkIns.map((c) => c.mood)),
+    streaks: computeDayStreaks(
+      new Set(checkIns.map((c) => c.localDate)),
+      today
+    ),
+    weekly: buildTrend(checkIns, weekStartOf, WEEKS_IN_TREND),
+    monthly: buildTrend(
+      checkIns,
+      (localDate) => localDate.slice(0, 7),
+      MONTHS_IN_TREND
+    ),
+    correlations: {
+      emotions: emotionCorrelations(checkIns),
+      sleepHours: correlateWithMood(checkIns, "sleepHours"),
+      energy: correlateWithMood(checkIns, "energy"),
+    },
+  };
+};
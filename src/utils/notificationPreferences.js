@@ -0,0 +1,167 @@
+import { prisma } from "../db/prismaClientConfig.js";
+import { timeToMinutes, utcToZonedParts } from "./timezone.js";
+import { isMinorStudent } from "./age.js";
+
+export const NOTIFICATION_TYPES = [
+  "STORY_LIKED",
+  "STORY_COMMENTED",
+  "COMMENT_REPLIED",
+  "REPORT_RESOLVED",
+  "MODERATION_NOTICE",
+  "CONVERSATION_ACCEPTED",
+  "NEW_MESSAGE",
+  "THERAPIST_APPROVED",
+  "QUIZ_PUBLISHED",
+  "GUARDIAN_LINK_REQUESTED",
+  "GUARDIAN_LINK_ACCEPTED",
+  "BADGE_EARNED",
+];
+
+export const NOTIFICATION_CHANNELS = ["inApp", "push", "email"];
+
+export const DEFAULT_TIMEZONE = "Asia/Kolkata";
+
+// Students under 18 (or with no age on file) always have a quiet window;
+// they can move it but not switch it off
+export const MINOR_QUIET_HOURS = { start: "22:00", end: "07:00" };
+
+const DEFAULT_CHANNELS = {
+  STORY_LIKED: { inApp: true, push: true, email: false },
+  STORY_COMMENTED: { inApp: true, push: true, email: false },
+  COMMENT_REPLIED: { inApp: true, push: true, email: false },
+  REPORT_RESOLVED: { inApp: true, push: false, email: false },
+  MODERATION_NOTICE: { inApp: true, push: true, email: true },
+  CONVERSATION_ACCEPTED: { inApp: true, push: true, email: false },
+  NEW_MESSAGE: { inApp: true, push: true, email: false },
+  THERAPIST_APPROVED: { inApp: true, push: true, email: true },
+  QUIZ_PUBLISHED: { inApp: true, push: true, email: false },
+  GUARDIAN_LINK_REQUESTED: { inApp: true, push: true, email: true },
+  GUARDIAN_LINK_ACCEPTED: { inApp: true, push: true, email: false },
+  BADGE_EARNED: { inApp: true, push: true, email: false },
+};
+
+const isMinor = (userType, student) =>
+  userType === "STUDENT" && isMinorStudent(student);
+
+/**
+ * Merges a stored preference row (or none) with the defaults. `channels` on
+ * the row only holds the switches the user changed, keyed by notification
+ * type. `account` supplies the student's `age`/`dob` for the minor rules.
+ */
+export const resolvePreferences = (preference, { userType, account } = {}) => {
+  const type = String(userType || preference?.userType || "").toUpperCase();
+  const stored = preference?.channels || {};
+
+  const channels = Object.fromEntries(
+    NOTIFICATION_TYPES.map((notificationType) => [
+      notificationType,
+      { ...DEFAULT_CHANNELS[notificationType], ...stored[notificationType] },
+    ])
+  );
+
+  let quietHours =
+    preference?.quietHoursStart && preference?.quietHoursEnd
+      ? { start: preference.quietHoursStart, end: preference.quietHoursEnd }
+      : null;
+  if (!quietHours && isMinor(type, account)) {
+    quietHours = MINOR_QUIET_HOURS;
+  }
+
+  return {
+    timezone: preference?.timezone || DEFAULT_TIMEZONE,
+    quietHours,
+    isMinor: isMinor(type, account),
+    channels,
+  };
+};
+
+// The timezone a user picked in their preferences, used for anything
+// bucketed by their local day
+export const getUserTimezone = async (userId) => {
+  const preference = await prisma.notificationPreference.findUnique({
+    where: { userId },
+    select: { timezone: true },
+  });
+  return preference?.timezone || DEFAULT_TIMEZONE;
+};
+
+/**
+ * Is `now` inside the quiet window in the user's timezone? Windows may wrap
+ * past midnight ("22:00" to "07:00").
+ */
+export const isWithinQuietHours = (
+  { quietHours, timezone },
+  now = new Date()
+) => {
+  if (!quietHours) return false;
+
+  const current = timeToMinutes(utcToZonedParts(now, timezone).time);
+  const start = timeToMinutes(quietHours.start);
+  const end = timeToMinutes(quietHours.end);
+
+  return start <= end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+/**
+ * Loads the effective preferences for a batch of recipients
+ * (`{ id, userType }`) as a Map keyed by user id.
+ */
+export const getPreferencesFor = async (recipients) => {
+  const ids = recipients.map((recipient) => recipient.id);
+  const studentIds = recipients
+    .filter((recipient) => recipient.userType.toUpperCase() === "STUDENT")
+    .map((recipient) => recipient.id);
+
+  const [preferences, students] = await Promise.all([
+    prisma.notificationPreference.findMany({ where: { userId: { in: ids } } }),
+    studentIds.length
+      ? prisma.student.findMany({
+          where: { id: { in: studentIds } },
+          select: { id: true, age: true, dob: true },
+        })
+      : [],
+  ]);
+
+  const preferenceByUser = new Map(preferences.map((p) => [p.userId, p]));
+  const studentById = new Map(students.map((s) => [s.id, s]));
+
+  return new Map(
+    recipients.map((recipient) => [
+      recipient.id,
+      resolvePreferences(preferenceByUser.get(recipient.id), {
+        userType: recipient.userType,
+        account: studentById.get(recipient.id),
+      }),
+    ])
+  );
+};
+
+/**
+ * Works out which channels a notification of `type` may use for each
+ * recipient right now. Quiet hours hold back push only: in-app items wait
+ * silently in the feed and email is read later anyway.
+ */
+export const getDeliveryPlans = async (recipients, type, now = new Date()) => {
+  const preferences = await getPreferencesFor(recipients);
+
+  return new Map(
+    [...preferences].map(([userId, preference]) => {
+      const channels = preference.channels[type];
+      return [
+        userId,
+        {
+          inApp: channels.inApp,
+          email: channels.email,
+          push: channels.push && !isWithinQuietHours(preference, now),
+        },
+      ];
+    })
+  );
+};
+
+export const canDeliver = async (recipient, type, channel) => {
+  const plans = await getDeliveryPlans([recipient], type);
+  return Boolean(plans.get(recipient.id)?.[channel]);
+};
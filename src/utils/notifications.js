@@ -0,0 +1,145 @@
+import { prisma } from "../db/prismaClientConfig.js";
+import { getRecipientSocketId, io } from "../socket/socket.js";
+import { sendMail } from "../controllers/student.controller.js";
+import { findAccount } from "./accountResolver.js";
+import { notificationEmail } from "./emailTemplates.js";
+import { getDeliveryPlans } from "./notificationPreferences.js";
+import { getPushClient, sendPushNotifications } from "./push.js";
+
+const socketTransport = {
+  name: "socket",
+  channel: "inApp",
+  deliver: async (notifications) => {
+    notifications.forEach((notification) => {
+      const socketId = getRecipientSocketId(notification.recipientId);
+      if (socketId) {
+        io.to(socketId).emit("notification", notification);
+      }
+    });
+  },
+};
+
+const pushTransport = {
+  name: "fcm",
+  channel: "push",
+  deliver: async (notifications) => {
+    // Skip the token lookup when Firebase is not configured
+    if (!getPushClient()) return;
+
+    const deviceTokens = await prisma.deviceToken.findMany({
+      where: {
+        userId: { in: notifications.map((n) => n.recipientId) },
+      },
+    });
+    if (!deviceTokens.length) return;
+
+    const staleTokens = await sendPushNotifications(
+      deviceTokens,
+      notifications
+    );
+    if (staleTokens.length) {
+      await prisma.deviceToken.deleteMany({
+        where: { token: { in: staleTokens } },
+      });
+    }
+  },
+};
+
+const emailTransport = {
+  name: "email",
+  channel: "email",
+  deliver: async (notifications) => {
+    for (const notification of notifications) {
+      const account = await findAccount(
+        notification.recipientType,
+        { id: notification.recipientId },
+        { select: { email: true } }
+      );
+      if (!account?.email) continue;
+
+      await sendMail({
+        email: account.email,
+        ...(notification.email || notificationEmail(notification)),
+      });
+    }
+  },
+};
+
+const transports = [socketTransport, pushTransport, emailTransport];
+
+const deliver = (notificationsByChannel) =>
+  Promise.allSettled(
+    transports.map(async (transport) => {
+      const notifications = notificationsByChannel[transport.channel];
+      if (notifications.length) {
+        await transport.deliver(notifications);
+      }
+    })
+  ).then((results) =>
+    results.forEach((result, index) => {
+      if (result.status === "rejected") {
+        console.error(
+          `Failed to deliver notifications over ${transports[index].name}:`,
+          result.reason
+        );
+      }
+    })
+  );
+
+/**
+ * Sends a notification to each recipient over the channels their
+ * preferences allow (see notificationPreferences.js). In-app notifications
+ * are stored and pushed over the socket; push and email go out as copies.
+ * Delivery runs in the background and failures are only logged, so a
+ * notification can never fail the request that triggered it.
+ *
+ * `recipients` is a list of `{ id, userType }`, with userType as a role
+ * ("student") or a UserType ("STUDENT"). `email` optionally replaces the
+ * generic `{ subject, html }` email; `email: false` sends no email copy, for
+ * callers that mail the user themselves.
+ */
+const notifyUsers = async (recipients, { type, title, body, data, email }) => {
+  if (!recipients.length) return [];
+
+  try {
+    const plans = await getDeliveryPlans(recipients, type);
+    const outgoing = recipients.map((recipient) => ({
+      recipientId: recipient.id,
+      recipientType: recipient.userType.toUpperCase(),
+      type,
+      title,
+      body,
+      data,
+    }));
+    const allowed = (channel) =>
+      outgoing.filter((n) => plans.get(n.recipientId)?.[channel]);
+
+    const inApp = allowed("inApp");
+    const inAppNotifications = inApp.length
+      ? await prisma.notification.createManyAndReturn({ data: inApp })
+      : [];
+    const storedByRecipient = new Map(
+      inAppNotifications.map((n) => [n.recipientId, n])
+    );
+
+    deliver({
+      inApp: inAppNotifications,
+      push: allowed("push").map(
+        (n) => storedByRecipient.get(n.recipientId) || n
+      ),
+      email:
+        email === false ? [] : allowed("email").map((n) => ({ ...n, email })),
+    });
+    return inAppNotifications;
+  } catch (error) {
+    console.error(`Failed to create ${type} notifications:`, error);
+    return [];
+  }
+};
+
+const notifyUser = async (recipient, notification) => {
+  const [created] = await notifyUsers([recipient], notification);
+  return created || null;
+};
+
+export { notifyUser, notifyUsers };
@@ -0,0 +1,48 @@
+import { prisma } from "../db/prismaClientConfig.js";
+import { getRazorpayClient } from "./razorpay.js";
+
+// How long an unpaid booking keeps its slot
+export const PAYMENT_HOLD_MINUTES = 15;
+
+export const paymentDueDate = () =>
+  new Date(Date.now() + PAYMENT_HOLD_MINUTES * 60 * 1000);
+
+/**
+ * Cancels unpaid bookings whose payment window has passed so their slots
+ * can be booked again. Cheap enough to run before every slot lookup.
+ */
+export const releaseExpiredPaymentHolds = (therapistId) =>
+  prisma.sessionBooking.updateMany({
+    where: {
+      therapistId,
+      status: "PENDING_PAYMENT",
+      paymentDueAt: { lt: new Date() },
+    },
+    data: {
+      status: "CANCELLED",
+      slotKey: null,
+      cancellationReason: "Payment not completed in time",
+      cancelledAt: new Date(),
+    },
+  });
+
+/**
+ * Asks Razorpay to refund every captured payment on a booking. The payment
+ * rows are marked REFUNDED when the refund webhook arrives.
+ */
+export const refundBookingPayments = async (bookingId) => {
+  const payments = await prisma.payment.findMany({
+    where: { bookingId, status: "CAPTURED", razorpayPaymentId: { not: null } },
+  });
+
+  for (const payment of payments) {
+    try {
+      await getRazorpayClient().payments.refund(payment.razorpayPaymentId, {
+        amount: payment.amount - payment.refundedAmount,
+        notes: { bookingId },
+      });
+    } catch (error) {
+      console.error(`Failed to refund payment ${payment.id}:`, error);
+    }
+  }
+};
@@ -0,0 +1,43 @@
+// Admin sub-roles and what each one may do. Routes declare the permission
+// they need with `requirePermission`; SUPER_ADMIN implicitly holds them all.
+
+export const PERMISSIONS = {
+  MANAGE_ADMINS: "admins:manage",
+  VIEW_STATS: "stats:view",
+  MANAGE_CONTENT: "content:manage",
+  DELETE_UPLOADS: "uploads:delete",
+  MODERATE_STORIES: "stories:moderate",
+  SUSPEND_USERS: "users:suspend",
+  MANAGE_FILTER_POLICIES: "filters:manage",
+  VIEW_USERS: "users:view",
+  REVIEW_THERAPISTS: "therapists:review",
+  MANAGE_CRISIS_ALERTS: "crisis:manage",
+  VIEW_EARNINGS: "earnings:view",
+};
+
+export const ADMIN_ROLES = [
+  "SUPER_ADMIN",
+  "CONTENT_EDITOR",
+  "MODERATOR",
+  "THERAPIST_REVIEWER",
+];
+
+const ROLE_PERMISSIONS = {
+  SUPER_ADMIN: Object.values(PERMISSIONS),
+  CONTENT_EDITOR: [
+    PERMISSIONS.VIEW_STATS,
+    PERMISSIONS.MANAGE_CONTENT,
+    PERMISSIONS.DELETE_UPLOADS,
+  ],
+  MODERATOR: [
+    PERMISSIONS.VIEW_STATS,
+    PERMISSIONS.MODERATE_STORIES,
+    PERMISSIONS.SUSPEND_USERS,
+    PERMISSIONS.VIEW_USERS,
+    PERMISSIONS.MANAGE_CRISIS_ALERTS,
+  ],
+  THERAPIST_REVIEWER: [PERMISSIONS.VIEW_STATS, PERMISSIONS.REVIEW_THERAPISTS],
+};
+
+export const hasPermission = (role, permission) =>
+  Boolean(ROLE_PERMISSIONS[role]?.includes(permission));
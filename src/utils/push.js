@@ -0,0 +1,91 @@
+import { getFirebaseMessaging } from "../config/firebase.config.js";
+
+// FCM accepts at most 500 messages per sendEach call
+const FCM_BATCH_SIZE = 500;
+
+// Tokens FCM will never deliver to again; they are removed from the registry
+const STALE_TOKEN_ERRORS = [
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+];
+
+// Resolved on first push so the server boots without Firebase credentials
+// (null when Firebase is not configured), and replaceable with a local fake
+// via `setPushClient`. A client only needs `sendEach(messages)` with the
+// firebase-admin response shape.
+let pushClient;
+
+const getPushClient = () => {
+  if (pushClient === undefined) {
+    pushClient = getFirebaseMessaging();
+  }
+  return pushClient;
+};
+
+const setPushClient = (client) => {
+  if (!client?.sendEach) {
+    throw new Error("Push client must implement sendEach");
+  }
+  pushClient = client;
+};
+
+const resetPushClient = () => {
+  pushClient = undefined;
+};
+
+// FCM data payloads only carry string values
+const toPushData = (notification) => ({
+  ...Object.fromEntries(
+    Object.entries(notification.data || {}).map(([key, value]) => [
+      key,
+      typeof value === "string" ? value : JSON.stringify(value),
+    ])
+  ),
+  // Push-only notifications are not stored and have no id
+  ...(notification.id && { notificationId: notification.id }),
+  type: notification.type,
+});
+
+/**
+ * Sends each notification to every device token registered for its
+ * recipient, in batches FCM accepts. Returns the tokens FCM reported as no
+ * longer valid so the caller can remove them.
+ */
+const sendPushNotifications = async (deviceTokens, notifications) => {
+  const client = getPushClient();
+  if (!client) return [];
+
+  const messages = deviceTokens.flatMap((device) =>
+    notifications
+      .filter((n) => n.recipientId === device.userId)
+      .map((notification) => ({
+        token: device.token,
+        notification: {
+          title: notification.title,
+          body: notification.body,
+        },
+        data: toPushData(notification),
+      }))
+  );
+
+  const staleTokens = new Set();
+  for (let i = 0; i < messages.length; i += FCM_BATCH_SIZE) {
+    const batch = messages.slice(i, i + FCM_BATCH_SIZE);
+    const { responses } = await client.sendEach(batch);
+
+    responses.forEach((response, index) => {
+      if (STALE_TOKEN_ERRORS.includes(response.error?.code)) {
+        staleTokens.add(batch[index].token);
+      }
+    });
+  }
+  return [...staleTokens];
+};
+
+export {
+  FCM_BATCH_SIZE,
+  getPushClient,
+  resetPushClient,
+  sendPushNotifications,
+  setPushClient,
+};
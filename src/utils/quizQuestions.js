@@ -0,0 +1,255 @@
+import crypto from "crypto";
+import { Prisma } from "@prisma/client";
+
+// Question formats (QuizQuestionType in the schema). What each one keeps in
+// `answerKey`, and what a student sends back as their answer:
+//   SINGLE_CHOICE  option id            / option id (or option text)
+//   MULTI_SELECT   [option ids]         / [option ids], any order
+//   TRUE_FALSE     boolean              / boolean
+//   ORDERING       [option ids] ordered / [option ids] ordered
+//   FREE_TEXT      { acceptedAnswers, caseSensitive } / text
+// Four-option questions from before question types existed are
+// SINGLE_CHOICE with option1..option4 and the correct option's text in
+// `answer`, and no `options` or `answerKey`.
+export const QUESTION_TYPES = [
+  "SINGLE_CHOICE",
+  "MULTI_SELECT",
+  "TRUE_FALSE",
+  "ORDERING",
+  "FREE_TEXT",
+];
+
+const TRUE_FALSE_OPTIONS = [
+  { id: "true", text: "True" },
+  { id: "false", text: "False" },
+];
+
+// Types whose answers are stored JSON-encoded in QuizAttempt.answer
+const JSON_ANSWER_TYPES = ["MULTI_SELECT", "TRUE_FALSE", "ORDERING"];
+
+const isLegacyQuestion = (question) =>
+  question.type === "SINGLE_CHOICE" && !Array.isArray(question.options);
+
+/** The options a question offers, as `[{ id, text?, imageUrl? }]`. */
+export const getQuestionOptions = (question) => {
+  if (question.type === "TRUE_FALSE") return TRUE_FALSE_OPTIONS;
+  if (question.type === "FREE_TEXT") return [];
+  if (!isLegacyQuestion(question)) return question.options;
+
+  return [
+    question.option1,
+    question.option2,
+    question.option3,
+    question.option4,
+  ]
+    .map((text, index) => ({ id: String(index + 1), text }))
+    .filter((option) => option.text);
+};
+
+// Deterministic PRNG (mulberry32) so a seed always gives the same order
+const seededRandom = (seed) => {
+  let state = crypto
+    .createHash("sha256")
+    .update(seed)
+    .digest()
+    .readUInt32LE(0);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Shuffles options in an order fixed by `seed`, so a student sees the same
+ * order every time they reopen a session. Ordering questions are never
+ * shown already in the correct order.
+ */
+export const shuffleOptions = (question, seed) => {
+  const options = [...getQuestionOptions(question)];
+  if (question.type === "TRUE_FALSE") return options;
+
+  const random = seededRandom(`${seed}:${question.id}`);
+  for (let i = options.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [options[i], options[j]] = [options[j], options[i]];
+  }
+
+  if (
+    question.type === "ORDERING" &&
+    options.length > 1 &&
+    options.every((option, index) => option.id === question.answerKey[index])
+  ) {
+    options.push(options.shift());
+  }
+  return options;
+};
+
+/**
+ * What a student may see of a question before answering: no answer key and
+ * no explanation, with options shuffled by `seed` (the session id, or the
+ * quiz id outside a session).
+ */
+export const toStudentQuestion = (question, seed) => {
+  const options = shuffleOptions(question, seed);
+  // Older clients render four-option questions from option1..option4 and
+  // answer with the option text, so those get the shuffled texts as well
+  const legacyTexts = isLegacyQuestion(question)
+    ? options.map((option) => option.text)
+    : [];
+
+  return {
+    id: question.id,
+    type: question.type,
+    question: question.question,
+    imageUrl: question.imageUrl,
+    option1: legacyTexts[0] ?? null,
+    option2: legacyTexts[1] ?? null,
+    option3: legacyTexts[2] ?? null,
+    option4: legacyTexts[3] ?? null,
+    options,
+  };
+};
+
+/** The correct answer in the shape a student would send it. */
+export const getCorrectAnswer = (question) => {
+  if (question.type === "FREE_TEXT") return question.answerKey.acceptedAnswers;
+  if (isLegacyQuestion(question)) return question.answer;
+  return question.answerKey;
+};
+
+const normalizeText = (text, caseSensitive) => {
+  const collapsed = text.trim().replace(/\s+/g, " ");
+  return caseSensitive ? collapsed : collapsed.toLowerCase();
+};
+
+const sameItems = (a, b) =>
+  a.length === b.length && a.every((item) => b.includes(item));
+
+/**
+ * Checks an answer has the right shape for the question. Returns an error
+ * message, or null when the answer can be scored.
+ */
+export const validateResponse = (question, response) => {
+  const optionIds = getQuestionOptions(question).map((option) => option.id);
+
+  switch (question.type) {
+    case "SINGLE_CHOICE":
+      return typeof response === "string"
+        ? null
+        : "Answer must be a single option";
+    case "TRUE_FALSE":
+      return typeof response === "boolean" ||
+        response === "true" ||
+        response === "false"
+        ? null
+        : "Answer must be true or false";
+    case "FREE_TEXT":
+      return typeof response === "string" && response.trim()
+        ? null
+        : "Answer cannot be empty";
+    case "MULTI_SELECT":
+    case "ORDERING":
+      if (!Array.isArray(response) || !response.length) {
+        return "Answer must be a list of options";
+      }
+      if (new Set(response).size !== response.length) {
+        return "Each option can only be picked once";
+      }
+      if (response.some((id) => !optionIds.includes(id))) {
+        return "Answer is not one of the available options";
+      }
+      if (
+        question.type === "ORDERING" &&
+        response.length !== optionIds.length
+      ) {
+        return "Put every option in order";
+      }
+      return null;
+    default:
+      return "Unknown question type";
+  }
+};
+
+/** Whether an answer (as sent by the student) is correct. */
+export const isCorrectResponse = (question, response) => {
+  const key = getCorrectAnswer(question);
+
+  switch (question.type) {
+    case "SINGLE_CHOICE": {
+      if (response === key) return true;
+      // Older clients send the option text, newer ones the option id
+      const correct = getQuestionOptions(question).find(
+        (option) => option.id === key || option.text === key
+      );
+      return Boolean(
+        correct && (response === correct.id || response === correct.text)
+      );
+    }
+    case "TRUE_FALSE":
+      return String(response) === String(key);
+    case "MULTI_SELECT":
+      return Array.isArray(response) && sameItems(response, key);
+    case "ORDERING":
+      return (
+        Array.isArray(response) &&
+        response.length === key.length &&
+        response.every((id, index) => id === key[index])
+      );
+    case "FREE_TEXT": {
+      if (typeof response !== "string") return false;
+      const { caseSensitive = false } = question.answerKey;
+      const given = normalizeText(response, caseSensitive);
+      return key.some(
+        (accepted) => normalizeText(accepted, caseSensitive) === given
+      );
+    }
+    default:
+      return false;
+  }
+};
+
+// QuizAttempt.answer is a string column; structured answers go in as JSON
+export const serializeResponse = (response) =>
+  typeof response === "string" ? response : JSON.stringify(response);
+
+export const parseStoredResponse = (question, stored) => {
+  if (!JSON_ANSWER_TYPES.includes(question.type)) return stored;
+  try {
+    return JSON.parse(stored);
+  } catch {
+    return stored;
+  }
+};
+
+/** Scores an answer as stored in QuizAttempt.answer. */
+export const isCorrectStoredResponse = (question, stored) =>
+  isCorrectResponse(question, parseStoredResponse(question, stored));
+
+/**
+ * Turns a validated question payload into QuizQuestion columns. Clearing the
+ * fields other types use lets a question change type on edit.
+ */
+export const toQuestionData = ({ id, type, options, answerKey, ...rest }) => {
+  const legacy = type === "SINGLE_CHOICE" && !options;
+
+  return {
+    ...rest,
+    type,
+    option1: legacy ? rest.option1 : null,
+    option2: legacy ? rest.option2 : null,
+    option3: legacy ? rest.option3 : null,
+    option4: legacy ? rest.option4 : null,
+    answer: legacy ? rest.answer : null,
+    options: options || Prisma.DbNull,
+    answerKey: legacy ? Prisma.DbNull : answerKey,
+  };
+};
+
+// Option images uploaded through S3, for cleanup when a question changes
+export const getOptionImageUrls = (question) =>
+  (Array.isArray(question.options) ? question.options : [])
+    .map((option) => option.imageUrl)
+    .filter(Boolean);
@@ -0,0 +1,165 @@
+import { prisma } from "../db/prismaClientConfig.js";
+import { isCorrectStoredResponse } from "./quizQuestions.js";
+import { recordAchievementEvent } from "./achievements.js";
+
+// Sessions that count as a finished attempt
+export const COMPLETED_SESSION_STATUSES = ["SUBMITTED", "EXPIRED"];
+
+// Allowance for network latency on the last answer before the deadline
+const SUBMIT_GRACE_SECONDS = 10;
+
+export const isSessionOverdue = (session, now = new Date()) =>
+  Boolean(session.expiresAt) &&
+  now.getTime() > session.expiresAt.getTime() + SUBMIT_GRACE_SECONDS * 1000;
+
+/**
+ * Can the student start another attempt at this quiz? Returns
+ * `{ allowed: true }` or `{ allowed: false, message, retryAt? }`.
+ */
+export const checkRetakePolicy = (
+  quiz,
+  completedSessions,
+  now = new Date()
+) => {
+  if (!completedSessions.length) return { allowed: true };
+
+  if (quiz.retakePolicy === "NONE") {
+    return { allowed: false, message: "This quiz can only be taken once" };
+  }
+
+  if (
+    quiz.retakePolicy === "LIMITED" &&
+    completedSessions.length >= (quiz.maxAttempts || 1)
+  ) {
+    return {
+      allowed: false,
+      message: "You have used all your attempts for this quiz",
+    };
+  }
+
+  if (quiz.retakeCooldownMinutes) {
+    const lastSubmittedAt = Math.max(
+      ...completedSessions.map((s) => s.submittedAt.getTime())
+    );
+    const retryAt = new Date(
+      lastSubmittedAt + quiz.retakeCooldownMinutes * 60 * 1000
+    );
+    if (retryAt > now) {
+      return {
+        allowed: false,
+        message: "Please wait before retaking this quiz",
+        retryAt,
+      };
+    }
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Re-derives a student's quizScore from completed sessions: the best number
+ * of correct answers in each quiz, summed. Retakes can raise a score but
+ * never stack it.
+ */
+export const recalculateQuizScore = async (studentId, client = prisma) => {
+  const best = await client.quizSession.groupBy({
+    by: ["quizId"],
+    where: { studentId, status: { in: COMPLETED_SESSION_STATUSES } },
+    _max: { correctAnswers: true },
+  });
+
+  const quizScore = best.reduce(
+    (sum, row) => sum + (row._max.correctAnswers || 0),
+    0
+  );
+
+  await client.student.update({
+    where: { id: studentId },
+    data: { quizScore },
+  });
+  return quizScore;
+};
+
+/**
+ * Scores a session's recorded answers against the quiz's active questions
+ * and closes it. Unanswered questions count as wrong. Returns the updated
+ * session.
+ */
+export const finalizeQuizSession = async (
+  sessionId,
+  status = "SUBMITTED",
+  now = new Date()
+) => {
+  const { session, finalized } = await prisma.$transaction(async (prisma) => {
+    const session = await prisma.quizSession.findUnique({
+      where: { id: sessionId },
+      include: { answers: true },
+    });
+
+    // Someone else (a parallel submit) closed it first
+    if (session.status !== "IN_PROGRESS") return { session, finalized: false };
+
+    const questions = await prisma.quizQuestion.findMany({
+      where: { quizId: session.quizId, isActive: true },
+    });
+    const questionById = new Map(questions.map((q) => [q.id, q]));
+
+    // Re-scored here so edits to a question's answer since it was answered
+    // are taken into account
+    let correctAnswers = 0;
+    for (const answer of session.answers) {
+      const question = questionById.get(answer.questionId);
+      const isCorrect = Boolean(
+        question && isCorrectStoredResponse(question, answer.answer)
+      );
+      if (isCorrect) correctAnswers++;
+      if (isCorrect !== answer.isCorrect) {
+        await prisma.quizAttempt.update({
+          where: { id: answer.id },
+          data: { isCorrect },
+        });
+      }
+    }
+
+    const totalQuestions = questions.length;
+    const endedAt =
+      status === "EXPIRED" && session.expiresAt ? session.expiresAt : now;
+
+    const { count } = await prisma.quizSession.updateMany({
+      where: { id: sessionId, status: "IN_PROGRESS" },
+      data: {
+        status,
+        submittedAt: endedAt,
+        timeTakenSeconds: Math.max(
+          0,
+          Math.round((endedAt - session.startedAt) / 1000)
+        ),
+        correctAnswers,
+        totalQuestions,
+        score: totalQuestions
+          ? Math.round((correctAnswers / totalQuestions) * 100)
+          : 0,
+      },
+    });
+
+    if (count) {
+      await recalculateQuizScore(session.studentId, prisma);
+    }
+
+    return {
+      session: await prisma.quizSession.findUnique({
+        where: { id: sessionId },
+      }),
+      finalized: count > 0,
+    };
+  });
+
+  if (finalized) {
+    // XP is paid once per quiz, so retaking a quiz cannot farm it; badges
+    // likewise count each quiz once
+    await recordAchievementEvent(session.studentId, "QUIZ_COMPLETED", {
+      sourceId: session.quizId,
+    });
+  }
+  return session;
+};
@@ -0,0 +1,60 @@
+import crypto from "crypto";
+import Razorpay from "razorpay";
+
+// The client is created lazily so the server can boot without Razorpay keys,
+// and can be swapped for a local fake with `setRazorpayClient`. A client only
+// needs `orders.create(options)` and `payments.refund(paymentId, options)`.
+let razorpayClient = null;
+
+const getRazorpayClient = () => {
+  if (!razorpayClient) {
+    razorpayClient = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET,
+    });
+  }
+  return razorpayClient;
+};
+
+const setRazorpayClient = (client) => {
+  if (!client?.orders?.create || !client?.payments?.refund) {
+    throw new Error(
+      "Razorpay client must implement orders.create and payments.refund"
+    );
+  }
+  razorpayClient = client;
+};
+
+const resetRazorpayClient = () => {
+  razorpayClient = null;
+};
+
+/**
+ * Checks the `x-razorpay-signature` header against the raw request body.
+ */
+const verifyWebhookSignature = (
+  rawBody,
+  signature,
+  secret = process.env.RAZORPAY_WEBHOOK_SECRET
+) => {
+  if (!rawBody || !signature || !secret) return false;
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(rawBody)
+    .digest("hex");
+
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(String(signature));
+  return (
+    expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer)
+  );
+};
+
+export {
+  getRazorpayClient,
+  setRazorpayClient,
+  resetRazorpayClient,
+  verifyWebhookSignature,
+};
@@ -0,0 +1,20 @@
+import { prisma } from "../db/prismaClientConfig.js";
+
+// Reviews shown on a therapist's profile and counted in their rating
+export const VISIBLE_REVIEW_FILTER = { hiddenAt: null };
+
+// Recomputes a therapist's average rating from their visible reviews
+export const updateTherapistRating = async (therapistId, db = prisma) => {
+  const { _avg } = await db.review.aggregate({
+    where: { therapistId, ...VISIBLE_REVIEW_FILTER },
+    _avg: { rating: true },
+  });
+
+  return db.therapist.update({
+    where: { id: therapistId },
+    data: {
+      // Round to 1 decimal place; back to the default with no visible reviews
+      ratings: _avg.rating === null ? 0 : Number(_avg.rating.toFixed(1)),
+    },
+  });
+};
@@ -0,0 +1,223 @@
+// Full-text search over stories, blogs, educational videos and therapists.
+//
+// Each searchable table has a generated, GIN indexed "searchVector" column
+// (see the 20261019310000_search migration). A query matches a row when its
+// words match the vector as prefixes ("anx" finds "anxiety"), or when it is
+// close enough to the row's title by trigram similarity, which absorbs
+// typos. Rows are ranked by ts_rank plus that similarity.
+import { Prisma } from "@prisma/client";
+import { prisma } from "../db/prismaClientConfig.js";
+import { getAuthorField } from "./comments.js";
+import { REPORTER_FIELDS } from "./moderation.js";
+import { hideAnonymousAuthor } from "./storyPrivacy.js";
+import { getReadableStoryFilter } from "./storyVisibility.js";
+
+export const SEARCH_TYPES = ["story", "blog", "video", "therapist"];
+
+// Matches fetched per type, best first, before the caller's visibility
+// rules are applied. Results past this cannot be paged to.
+const CANDIDATE_LIMIT = 100;
+
+// Snippets highlight matched words with <mark> and join fragments with "..."
+const HEADLINE_OPTIONS = [
+  "StartSel=<mark>",
+  "StopSel=</mark>",
+  "MaxWords=35",
+  "MinWords=15",
+  "MaxFragments=2",
+  'FragmentDelimiter=" ... "',
+].join(", ");
+
+/**
+ * Turns free text into a prefix tsquery: "feeling anx" becomes
+ * "feeling:* & anx:*". Only letters and digits survive, so the result is
+ * always a valid tsquery.
+ */
+export const toPrefixQuery = (text) =>
+  (String(text).match(/[\p{L}\p{N}]+/gu) || [])
+    .map((term) => `${term}:*`)
+    .join(" & ");
+
+// Videos are made either for students or for parents
+const videoAudience = (req) =>
+  req.role === "student"
+    ? Prisma.sql`"IsForStudent" = true`
+    : req.role === "parent"
+    ? Prisma.sql`"IsForStudent" = false`
+    : Prisma.sql`true`;
+
+// Per type: the table, the column compared by trigram similarity, the text
+// snippets are cut from, and cheap conditions checked in SQL so candidates
+// are not spent on rows nobody can see. The full rules run in `load`.
+const SEARCH_SOURCES = {
+  story: {
+    table: Prisma.sql`"Story"`,
+    title: Prisma.sql`"title"`,
+    body: Prisma.sql`"content"`,
+    where: () => Prisma.sql`"status" = 'PUBLISHED' AND "isUnderReview" = false
+      AND "hiddenAt" IS NULL AND "removedAt" IS NULL`,
+  },
+  blog: {
+    table: Prisma.sql`"Blog"`,
+    title: Prisma.sql`"title"`,
+    body: Prisma.sql`"content"`,
+    where: () => Prisma.sql`true`,
+  },
+  video: {
+    table: Prisma.sql`"EducationalVideo"`,
+    title: Prisma.sql`"title"`,
+    body: Prisma.sql`"description"`,
+    where: videoAudience,
+  },
+  therapist: {
+    table: Prisma.sql`"Therapist"`,
+    title: Prisma.sql`"userName"`,
+    body: Prisma.sql`coalesce("bio", '')`,
+    where: () =>
+      Prisma.sql`"isTherapistApprove" = true AND "isSuspended" = false`,
+  },
+};
+
+const findCandidates = (source, text, req) => {
+  const { table, title, body, where } = SEARCH_SOURCES[source];
+
+  return prisma.$queryRaw`
+    SELECT
+      "id",
+      ts_rank("searchVector", query)
+        + coalesce(word_similarity(${text}, ${title}), 0) AS "score",
+      ts_headline('english', ${body}, query, ${HEADLINE_OPTIONS}) AS "snippet"
+    FROM ${table}, to_tsquery('english', ${toPrefixQuery(text)}) AS query
+    WHERE (${where(req)})
+      AND ("searchVector" @@ query OR ${text} <% ${title})
+    ORDER BY "score" DESC
+    LIMIT ${CANDIDATE_LIMIT}
+  `;
+};
+
+// Stories the caller reported or hid, or by members hidden from them
+const dismissedStoryFilters = (req, hiddenUserIds) => [
+  { NOT: { reports: { some: { [REPORTER_FIELDS[req.role]]: req.user.id } } } },
+  {
+    NOT: {
+      hidenStories: { some: { [getAuthorField(req.role)]: req.user.id } },
+    },
+  },
+  { studentId: { notIn: hiddenUserIds } },
+];
+
+// Loads the matched rows the caller may see, with the fields shown in results
+const SEARCH_LOADERS = {
+  story: async (ids, req, hiddenUserIds) => {
+    const stories = await prisma.story.findMany({
+      where: {
+        id: { in: ids },
+        ...getReadableStoryFilter(req),
+        AND: dismissedStoryFilters(req, hiddenUserIds),
+      },
+      select: {
+        id: true,
+        title: true,
+        image: true,
+        isAnonymous: true,
+        visibility: true,
+        publishedAt: true,
+        studentId: true,
+        student: { select: { id: true, userName: true, studentImage: true } },
+      },
+    });
+    return stories.map((story) => hideAnonymousAuthor(story, req.user.id));
+  },
+  blog: (ids) =>
+    prisma.blog.findMany({
+      where: { id: { in: ids } },
+      select: {
+        id: true,
+        title: true,
+        summary: true,
+        blogCategory: true,
+        tags: true,
+        image: true,
+        viewCount: true,
+        createdAt: true,
+      },
+    }),
+  video: (ids) =>
+    prisma.educationalVideo.findMany({
+      where: { id: { in: ids } },
+      select: {
+        id: true,
+        title: true,
+        description: true,
+        thumbnailUrl: true,
+      },
+    }),
+  therapist: (ids, req, hiddenUserIds) =>
+    prisma.therapist.findMany({
+      where: {
+        id: { in: ids, notIn: hiddenUserIds },
+        isTherapistApprove: true,
+        isSuspended: false,
+      },
+      select: {
+        id: true,
+        userName: true,
+        therapistImage: true,
+        specialization: true,
+        experience: true,
+        languageType: true,
+        ratings: true,
+      },
+    }),
+};
+
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+// ts_headline returns the stored text as written; escape it, keeping only
+// the <mark> tags it added
+const toSafeSnippet = (snippet) =>
+  String(snippet || "")
+    .split(/(<\/?mark>)/)
+    .map((part, index) =>
+      index % 2 ? part : part.replace(/[&<>"']/g, (ch) => HTML_ENTITIES[ch])
+    )
+    .join("");
+
+/**
+ * Searches `types` for `text` on behalf of the signed-in caller and returns
+ * every visible match as `{ type, score, snippet, item }`, best first.
+ * `hiddenUserIds` are the members blocked or muted between the caller and
+ * others (getHiddenUserIds); their stories and profiles are left out.
+ */
+export const searchContent = async (req, text, types, hiddenUserIds) => {
+  const results = await Promise.all(
+    types.map(async (type) => {
+      const candidates = await findCandidates(type, text, req);
+      if (!candidates.length) return [];
+
+      const items = await SEARCH_LOADERS[type](
+        candidates.map((candidate) => candidate.id),
+        req,
+        hiddenUserIds
+      );
+      const itemsById = new Map(items.map((item) => [item.id, item]));
+
+      return candidates
+        .filter((candidate) => itemsById.has(candidate.id))
+        .map((candidate) => ({
+          type,
+          score: Number(candidate.score),
+          snippet: toSafeSnippet(candidate.snippet),
+          item: itemsById.get(candidate.id),
+        }));
+    })
+  );
+
+  return results.flat().sort((a, b) => b.score - a.score);
+};
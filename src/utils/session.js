@@ -0,0 +1,148 @@
+import crypto from "crypto";
+import { prisma } from "../db/prismaClientConfig.js";
+import { generateAccessToken } from "./generateAccessToken.js";
+import { getActiveSuspension } from "./suspensions.js";
+
+const DEFAULT_REFRESH_TOKEN_EXPIRY_DAYS = 30;
+
+const refreshTokenExpiryDate = () => {
+  const days =
+    Number(process.env.REFRESH_TOKEN_EXPIRY_DAYS) ||
+    DEFAULT_REFRESH_TOKEN_EXPIRY_DAYS;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Only the hash is stored so a leaked sessions table cannot be replayed
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const findAccountForSession = (userId, userType) => {
+  const select = { id: true, email: true };
+  switch (userType) {
+    case "student":
+      return prisma.student.findUnique({ where: { id: userId }, select });
+    case "parent":
+      return prisma.parent.findUnique({ where: { id: userId }, select });
+    case "therapist":
+      return prisma.therapist.findUnique({ where: { id: userId }, select });
+    case "admin":
+      return prisma.admin.findUnique({ where: { id: userId }, select });
+    default:
+      return null;
+  }
+};
+
+/**
+ * Opens a new session for the user and returns a short-lived access token
+ * bound to it together with the refresh token for that session.
+ */
+const createSession = async (user, userType) => {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      userType: userType.toUpperCase(),
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: refreshTokenExpiryDate(),
+    },
+  });
+
+  const accessToken = generateAccessToken(
+    user.id,
+    user.email,
+    userType,
+    session.id
+  );
+
+  return { accessToken, refreshToken, session };
+};
+
+/**
+ * Exchanges a refresh token for a new token pair. The presented token is
+ * single use: presenting it again after rotation is treated as theft and
+ * revokes every session the user has.
+ */
+const rotateSession = async (refreshToken) => {
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: hashToken(refreshToken) },
+  });
+
+  if (!session) {
+    return { error: "Invalid refresh token" };
+  }
+
+  if (session.revokedAt) {
+    if (session.replacedById) {
+      await revokeAllSessions(session.userId);
+    }
+    return { error: "Session has been revoked" };
+  }
+
+  if (session.expiresAt < new Date()) {
+    return { error: "Session has expired" };
+  }
+
+  const userType = session.userType.toLowerCase();
+  const user = await findAccountForSession(session.userId, userType);
+
+  if (!user) {
+    await revokeSession(session.id);
+    return { error: "User not found" };
+  }
+
+  if (userType !== "admin" && (await getActiveSuspension(user.id, userType))) {
+    await revokeSession(session.id);
+    return { error: "Account suspended" };
+  }
+
+  // Claim the old session first so two concurrent refreshes cannot both win
+  const { count } = await revokeSession(session.id);
+  if (count === 0) {
+    return { error: "Session has been revoked" };
+  }
+
+  const { accessToken, refreshToken: nextRefreshToken, session: next } =
+    await createSession(user, userType);
+
+  await prisma.session.update({
+    where: { id: session.id },
+    data: { replacedById: next.id },
+  });
+
+  return {
+    accessToken,
+    refreshToken: nextRefreshToken,
+    userId: user.id,
+    userType,
+  };
+};
+
+const revokeSession = (sessionId) =>
+  prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+const revokeAllSessions = (userId) =>
+  prisma.session.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+// A session is usable until it is revoked or its refresh window has passed
+const isSessionActive = (session, userId) =>
+  Boolean(
+    session &&
+      session.userId === userId &&
+      !session.revokedAt &&
+      session.expiresAt > new Date()
+  );
+
+export {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+};
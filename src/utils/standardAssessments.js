@@ -0,0 +1,134 @@
+// Validated public-domain screening instruments, installed through the admin
+// assessment tooling (installStandardAssessments). Both use the same
+// "over the last 2 weeks" frequency scale.
+
+const FREQUENCY_SCALE = [
+  { label: "Not at all", value: 0 },
+  { label: "Several days", value: 1 },
+  { label: "More than half the days", value: 2 },
+  { label: "Nearly every day", value: 3 },
+];
+
+const TWO_WEEK_INSTRUCTIONS =
+  "Over the last 2 weeks, how often have you been bothered by any of the following problems?";
+
+export const PHQ_9 = {
+  code: "PHQ-9",
+  title: "PHQ-9 Depression Screening",
+  description:
+    "The Patient Health Questionnaire (PHQ-9) is a short check on how low mood may be affecting you. It is a screening tool, not a diagnosis.",
+  instructions: TWO_WEEK_INSTRUCTIONS,
+  scale: FREQUENCY_SCALE,
+  items: [
+    "Little interest or pleasure in doing things",
+    "Feeling down, depressed, or hopeless",
+    "Trouble falling or staying asleep, or sleeping too much",
+    "Feeling tired or having little energy",
+    "Poor appetite or overeating",
+    "Feeling bad about yourself, or that you are a failure or have let yourself or your family down",
+    "Trouble concentrating on things, such as reading or watching television",
+    "Moving or speaking so slowly that other people could have noticed, or being so fidgety or restless that you have been moving around a lot more than usual",
+    "Thoughts that you would be better off dead, or of hurting yourself in some way",
+  ].map((prompt, index) => ({
+    order: index + 1,
+    prompt,
+    // Item 9 asks about self-harm; any answer above "Not at all" needs follow-up
+    isCritical: index === 8,
+  })),
+  severityBands: [
+    {
+      minScore: 0,
+      maxScore: 4,
+      label: "Minimal",
+      interpretation:
+        "Your answers suggest minimal symptoms of depression. Keep looking after yourself.",
+      isHighSeverity: false,
+    },
+    {
+      minScore: 5,
+      maxScore: 9,
+      label: "Mild",
+      interpretation:
+        "Your answers suggest mild symptoms of depression. It may help to talk to someone you trust and check in again in a couple of weeks.",
+      isHighSeverity: false,
+    },
+    {
+      minScore: 10,
+      maxScore: 14,
+      label: "Moderate",
+      interpretation:
+        "Your answers suggest moderate symptoms of depression. Talking to a therapist could really help.",
+      isHighSeverity: false,
+    },
+    {
+      minScore: 15,
+      maxScore: 19,
+      label: "Moderately severe",
+      interpretation:
+        "Your answers suggest moderately severe symptoms of depression. We strongly encourage you to speak with a therapist soon.",
+      isHighSeverity: true,
+    },
+    {
+      minScore: 20,
+      maxScore: 27,
+      label: "Severe",
+      interpretation:
+        "Your answers suggest severe symptoms of depression. Please reach out for support as soon as possible.",
+      isHighSeverity: true,
+    },
+  ],
+};
+
+export const GAD_7 = {
+  code: "GAD-7",
+  title: "GAD-7 Anxiety Screening",
+  description:
+    "The Generalised Anxiety Disorder scale (GAD-7) is a short check on how worry and anxiety may be affecting you. It is a screening tool, not a diagnosis.",
+  instructions: TWO_WEEK_INSTRUCTIONS,
+  scale: FREQUENCY_SCALE,
+  items: [
+    "Feeling nervous, anxious, or on edge",
+    "Not being able to stop or control worrying",
+    "Worrying too much about different things",
+    "Trouble relaxing",
+    "Being so restless that it is hard to sit still",
+    "Becoming easily annoyed or irritable",
+    "Feeling afraid, as if something awful might happen",
+  ].map((prompt, index) => ({ order: index + 1, prompt })),
+  severityBands: [
+    {
+      minScore: 0,
+      maxScore: 4,
+      label: "Minimal",
+      interpretation:
+        "Your answers suggest minimal anxiety. Keep looking after yourself.",
+      isHighSeverity: false,
+    },
+    {
+      minScore: 5,
+      maxScore: 9,
+      label: "Mild",
+      interpretation:
+        "Your answers suggest mild anxiety. Relaxation and talking things through may help.",
+      isHighSeverity: false,
+    },
+    {
+      minScore: 10,
+      maxScore: 14,
+      label: "Moderate",
+      interpretation:
+        "Your answers suggest moderate anxiety. Talking to a therapist could really help.",
+      isHighSeverity: false,
+    },
+    {
+      minScore: 15,
+      maxScore: 21,
+      label: "Severe",
+      interpretation:
+        "Your answers suggest severe anxiety. Please reach out to a therapist or someone you trust soon.",
+      isHighSeverity: true,
+    },
+  ],
+};
+
+export const STANDARD_ASSESSMENTS = [PHQ_9, GAD_7];
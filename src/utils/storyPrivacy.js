@@ -0,0 +1,41 @@
+// Shown in place of the author of an anonymous story, and of the author's own
+// comments on it
+export const ANONYMOUS_AUTHOR_NAME = "Anonymous";
+
+// Keeps the shape of whatever student fields were selected, with nothing
+// that identifies them
+const anonymousStudent = (student) =>
+  Object.fromEntries(
+    Object.keys(student).map((key) => [
+      key,
+      key === "userName" || key === "fullName" ? ANONYMOUS_AUTHOR_NAME : null,
+    ])
+  );
+
+const maskAuthorActivity = (items, authorId) =>
+  items.map((item) =>
+    item.student && item.student.id === authorId
+      ? { ...item, student: anonymousStudent(item.student) }
+      : item
+  );
+
+/**
+ * Strips the author's identity from an anonymous story before it is sent to
+ * anyone but the author: the `student` relation, `studentId`, and the
+ * author's own entries in any loaded `comments` or `likes`. Moderators who
+ * need the real author go through the audited reveal endpoint.
+ */
+export const hideAnonymousAuthor = (story, viewerId) => {
+  const authorId = story.studentId ?? story.student?.id;
+  if (!story.isAnonymous || (viewerId && viewerId === authorId)) return story;
+
+  const { studentId, ...masked } = story;
+  if (story.student) masked.student = anonymousStudent(story.student);
+  if (authorId && story.comments) {
+    masked.comments = maskAuthorActivity(story.comments, authorId);
+  }
+  if (authorId && story.likes) {
+    masked.likes = maskAuthorActivity(story.likes, authorId);
+  }
+  return masked;
+};
@@ -0,0 +1,95 @@
+import { prisma } from "../db/prismaClientConfig.js";
+import { recordAchievementEvent } from "./achievements.js";
+
+// Who can read a story (StoryVisibility in the schema):
+//   PUBLIC      everyone signed in
+//   THERAPISTS  approved therapists only
+//   GUARDIANS   parents with an accepted guardian link to the author
+//   PRIVATE     a journal entry only the author sees
+// The author can always read their own stories.
+export const STORY_VISIBILITIES = [
+  "PUBLIC",
+  "THERAPISTS",
+  "GUARDIANS",
+  "PRIVATE",
+];
+
+/**
+ * Where-clause for the published stories a signed-in user may read. `req`
+ * is the request after verifyJWT; without a user only public stories pass.
+ */
+export const getReadableStoryFilter = (req) => {
+  const audience = [{ visibility: "PUBLIC" }];
+
+  if (req.role === "student") {
+    audience.push({ studentId: req.user.id });
+  } else if (req.role === "therapist" && req.user.isTherapistApprove) {
+    audience.push({ visibility: "THERAPISTS" });
+  } else if (req.role === "parent") {
+    audience.push({
+      visibility: "GUARDIANS",
+      student: {
+        guardianLinks: {
+          some: { parentId: req.user.id, status: "ACCEPTED" },
+        },
+      },
+    });
+  }
+
+  return {
+    isUnderReview: false,
+    // Hidden pending moderation, or taken down by a moderator
+    hiddenAt: null,
+    removedAt: null,
+    status: "PUBLISHED",
+    // Stories by suspended students are hidden until the suspension ends
+    student: { isSuspended: false },
+    OR: audience,
+  };
+};
+
+// Readable stories that belong in a feed: private journals never do, even
+// for their author
+export const getFeedStoryFilter = (req) => ({
+  ...getReadableStoryFilter(req),
+  NOT: { visibility: "PRIVATE" },
+});
+
+/**
+ * Publishes a draft or scheduled story. Returns false if it was already
+ * published (e.g. the scheduler and the author raced).
+ */
+export const publishStory = async (story, publishedAt = new Date()) => {
+  const { count } = await prisma.story.updateMany({
+    where: { id: story.id, status: { not: "PUBLISHED" } },
+    data: { status: "PUBLISHED", publishedAt, publishAt: null },
+  });
+  if (!count) return false;
+
+  if (!story.isUnderReview && story.isComplete) {
+    await recordAchievementEvent(story.studentId, "STORY_PUBLISHED", {
+      sourceId: story.id,
+    });
+  }
+  return true;
+};
+
+/** Publishes every scheduled story whose time has come. */
+export const publishDueStories = async (now = new Date()) => {
+  const due = await prisma.story.findMany({
+    where: { status: "SCHEDULED", publishAt: { lte: now } },
+    select: {
+      id: true,
+      studentId: true,
+      publishAt: true,
+      isComplete: true,
+      isUnderReview: true,
+    },
+  });
+
+  let published = 0;
+  for (const story of due) {
+    if (await publishStory(story, story.publishAt)) published++;
+  }
+  return published;
+};
@@ -0,0 +1,137 @@
+import jwt from "jsonwebtoken";
+import { prisma } from "../db/prismaClientConfig.js";
+import { MEMBER_ACCOUNT_TYPES } from "./accountResolver.js";
+
+// Suspended users cannot sign in, so an appeal is filed with a short-lived
+// token handed out when their login is refused
+const APPEAL_TOKEN_EXPIRY = "1h";
+
+const activeSuspensionFilter = (now = new Date()) => ({
+  liftedAt: null,
+  OR: [{ endsAt: null }, { endsAt: { gt: now } }],
+});
+
+/**
+ * The suspension currently keeping an account out, or null. A permanent ban
+ * wins over a timed suspension, otherwise the one that ends last.
+ */
+export const getActiveSuspension = (userId, userType) =>
+  prisma.accountSuspension.findFirst({
+    where: {
+      userId,
+      userType: userType.toUpperCase(),
+      ...activeSuspensionFilter(),
+    },
+    orderBy: { endsAt: { sort: "desc", nulls: "first" } },
+  });
+
+/**
+ * Brings the account's `isSuspended` flag in line with its suspensions. The
+ * flag is what story and comment filters check, so it must follow every
+ * suspension that is created, lifted or runs out.
+ */
+export const syncSuspensionFlag = async (userId, userType, db = prisma) => {
+  const active = await db.accountSuspension.count({
+    where: {
+      userId,
+      userType: userType.toUpperCase(),
+      ...activeSuspensionFilter(),
+    },
+  });
+  await db[userType.toLowerCase()].updateMany({
+    where: { id: userId },
+    data: { isSuspended: active > 0 },
+  });
+  return active > 0;
+};
+
+/**
+ * Suspends an account until `endsAt`, or for good when `endsAt` is null.
+ * Pass a transaction client as `db` to suspend as part of a larger change.
+ * Callers revoke the user's sessions once the change has committed.
+ */
+export const suspendAccount = async (
+  { userId, userType, reason, endsAt = null, adminId, actionId },
+  db = prisma
+) => {
+  const suspension = await db.accountSuspension.create({
+    data: {
+      userId,
+      userType: userType.toUpperCase(),
+      reason,
+      endsAt,
+      adminId,
+      actionId,
+    },
+  });
+  await db[userType.toLowerCase()].updateMany({
+    where: { id: userId },
+    data: { isSuspended: true },
+  });
+  return suspension;
+};
+
+export const liftSuspension = async (suspension, db = prisma) => {
+  const lifted = await db.accountSuspension.update({
+    where: { id: suspension.id },
+    data: { liftedAt: new Date() },
+  });
+  await syncSuspensionFlag(suspension.userId, suspension.userType, db);
+  return lifted;
+};
+
+// Clears the flag on accounts whose suspensions have all run out
+export const clearExpiredSuspensions = async () => {
+  let cleared = 0;
+  for (const userType of MEMBER_ACCOUNT_TYPES) {
+    const suspended = await prisma[userType].findMany({
+      where: { isSuspended: true },
+      select: { id: true },
+    });
+    for (const account of suspended) {
+      if (!(await syncSuspensionFlag(account.id, userType))) cleared++;
+    }
+  }
+  return cleared;
+};
+
+export const createAppealToken = (suspension) =>
+  jwt.sign(
+    { suspensionId: suspension.id, purpose: "appeal" },
+    process.env.ACCESS_TOKEN_SECRET,
+    { expiresIn: APPEAL_TOKEN_EXPIRY }
+  );
+
+// The suspension id an appeal token was issued for, or null
+export const verifyAppealToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+    return decoded.purpose === "appeal" ? decoded.suspensionId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const getSuspensionMessage = (suspension) =>
+  suspension.endsAt
+    ? `Your account is suspended until ${suspension.endsAt.toISOString()}`
+    : "Your account has been permanently banned";
+
+/**
+ * What a suspended user is told when a login or request is refused,
+ * including the token they need to appeal.
+ */
+export const getSuspensionDetails = (suspension) => ({
+  id: suspension.id,
+  reason: suspension.reason,
+  endsAt: suspension.endsAt,
+  isPermanent: !suspension.endsAt,
+  appealToken: createAppealToken(suspension),
+});
+
+export const sendSuspendedResponse = (res, suspension) =>
+  res.status(403).json({
+    message: getSuspensionMessage(suspension),
+    suspension: getSuspensionDetails(suspension),
+    status: false,
+  });
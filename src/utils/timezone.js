@@ -0,0 +1,112 @@
+// Small timezone helpers built on Intl so we do not need a date library.
+// Local dates are "YYYY-MM-DD" strings and local times are "HH:mm" strings.
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatterCache.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const getZonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone)
+      .formatToParts(date)
+      .filter(({ type }) => type !== "literal")
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  return parts;
+};
+
+// Milliseconds to add to UTC to get the wall-clock time in `timeZone`
+const getTimeZoneOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(
+    date,
+    timeZone
+  );
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * Converts a wall-clock date and time in `timeZone` to a UTC Date.
+ */
+const zonedTimeToUtc = (localDate, localTime, timeZone) => {
+  const [year, month, day] = localDate.split("-").map(Number);
+  const [hour, minute] = localTime.split(":").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Apply the offset twice so times next to a DST change resolve correctly
+  let utc = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+  utc = wallClock - getTimeZoneOffset(new Date(utc), timeZone);
+  return new Date(utc);
+};
+
+/**
+ * Returns the local date, time and weekday (0 = Sunday) of `date` in `timeZone`.
+ */
+const utcToZonedParts = (date, timeZone) => {
+  const { year, month, day, hour, minute } = getZonedParts(date, timeZone);
+  return {
+    date: `${year}-${pad(month)}-${pad(day)}`,
+    time: `${pad(hour)}:${pad(minute)}`,
+    dayOfWeek: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+  };
+};
+
+const getDayOfWeek = (localDate) => {
+  const [year, month, day] = localDate.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+const addDaysToDate = (localDate, days) => {
+  const [year, month, day] = localDate.split("-").map(Number);
+  const next = new Date(Date.UTC(year, month - 1, day + days));
+  return `${next.getUTCFullYear()}-${pad(next.getUTCMonth() + 1)}-${pad(
+    next.getUTCDate()
+  )}`;
+};
+
+// "HH:mm" -> minutes since midnight
+const timeToMinutes = (time) => {
+  const [hour, minute] = time.split(":").map(Number);
+  return hour * 60 + minute;
+};
+
+const minutesToTime = (minutes) =>
+  `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+export {
+  isValidTimeZone,
+  zonedTimeToUtc,
+  utcToZonedParts,
+  getDayOfWeek,
+  addDaysToDate,
+  timeToMinutes,
+  minutesToTime,
+};
@@ -0,0 +1,136 @@
+import { prisma } from "../db/prismaClientConfig.js";
+import { addDaysToDate, utcToZonedParts } from "./timezone.js";
+import { getUserTimezone } from "./notificationPreferences.js";
+import { COMPLETED_SESSION_STATUSES } from "./quizSessions.js";
+
+// How far back activity is read when working out streaks
+export const STREAK_WINDOW_DAYS = 90;
+
+/**
+ * Current and longest runs of consecutive days in a set of "YYYY-MM-DD"
+ * dates. The current streak still counts if `today` has no entry yet.
+ */
+export const computeDayStreaks = (activeDays, today) => {
+  let day = activeDays.has(today) ? today : addDaysToDate(today, -1);
+  let currentStreak = 0;
+  while (activeDays.has(day)) {
+    currentStreak++;
+    day = addDaysToDate(day, -1);
+  }
+
+  let longestStreak = 0;
+  let run = 0;
+  for (let offset = STREAK_WINDOW_DAYS; offset >= 0; offset--) {
+    run = activeDays.has(addDaysToDate(today, -offset)) ? run + 1 : 0;
+    longestStreak = Math.max(longestStreak, run);
+  }
+
+  return { currentStreak, longestStreak };
+};
+
+/**
+ * Turns activity timestamps into day streaks in the student's timezone.
+ */
+export const computeActivityStreaks = (
+  timestamps,
+  timezone,
+  now = new Date()
+) => {
+  const activeDays = new Set(
+    timestamps.map((timestamp) => utcToZonedParts(timestamp, timezone).date)
+  );
+  const today = utcToZonedParts(now, timezone).date;
+
+  const last30Days = new Set(
+    Array.from({ length: 30 }, (_, offset) => addDaysToDate(today, -offset))
+  );
+
+  return {
+    ...computeDayStreaks(activeDays, today),
+    activeDaysLast30: [...activeDays].filter((d) => last30Days.has(d)).length,
+  };
+};
+
+/**
+ * What a linked guardian may see about a student: activity streaks, quiz
+ * progress and whether an accepted therapist conversation exists. Message
+ * content, story text and therapist identities are deliberately left out.
+ */
+export const getWellbeingSummary = async (studentId, now = new Date()) => {
+  const since = new Date(
+    now.getTime() - (STREAK_WINDOW_DAYS + 1) * 24 * 60 * 60 * 1000
+  );
+
+  const [
+    student,
+    timezone,
+    stories,
+    comments,
+    attempts,
+    checkIns,
+    quizzesAttempted,
+    totalQuizzes,
+    totalAnswers,
+    correctAnswers,
+    acceptedConversations,
+  ] = await Promise.all([
+    prisma.student.findUnique({
+      where: { id: studentId },
+      select: { quizScore: true },
+    }),
+    getUserTimezone(studentId),
+    prisma.story.findMany({
+      where: { studentId, createdAt: { gte: since } },
+      select: { createdAt: true },
+    }),
+    prisma.comment.findMany({
+      where: { studentId, createdAt: { gte: since } },
+      select: { createdAt: true },
+    }),
+    prisma.quizAttempt.findMany({
+      where: { studentId, attemptedAt: { gte: since } },
+      select: { attemptedAt: true },
+    }),
+    prisma.moodCheckIn.findMany({
+      where: { studentId, createdAt: { gte: since } },
+      select: { createdAt: true },
+    }),
+    prisma.quizSession.groupBy({
+      by: ["quizId"],
+      where: { studentId, status: { in: COMPLETED_SESSION_STATUSES } },
+    }),
+    prisma.quiz.count({ where: { isActive: true } }),
+    prisma.quizAttempt.count({ where: { studentId } }),
+    prisma.quizAttempt.count({ where: { studentId, isCorrect: true } }),
+    prisma.conversation.count({
+      where: { studentId, status: "Accepted" },
+    }),
+  ]);
+
+  const activity = [
+    ...stories.map((s) => s.createdAt),
+    ...comments.map((c) => c.createdAt),
+    ...attempts.map((a) => a.attemptedAt),
+    // Only the fact that a check-in happened; moods and notes stay private
+    ...checkIns.map((c) => c.createdAt),
+  ];
+  const lastActiveAt = activity.length
+    ? new Date(Math.max(...activity.map((date) => date.getTime())))
+    : null;
+
+  return {
+    activity: {
+      ...computeActivityStreaks(activity, timezone, now),
+      lastActiveAt,
+    },
+    quizProgress: {
+      quizScore: student?.quizScore ?? 0,
+      quizzesAttempted: quizzesAttempted.length,
+      totalQuizzes,
+      accuracy: totalAnswers
+        ? Math.round((correctAnswers / totalAnswers) * 100)
+        : null,
+    },
+    inTherapistConversation: acceptedConversations > 0,
+  };
+};
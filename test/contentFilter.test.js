@@ -0,0 +1,128 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  applyFilterPolicy,
+  DEFAULT_FILTER_POLICIES,
+  detectFilterMatches,
+} from "../src/utils/contentFilterRules.js";
+
+const matched = (text) =>
+  detectFilterMatches(text).map((m) => `${m.category}:${m.text}`);
+
+describe("detectFilterMatches", () => {
+  it("passes ordinary text", () => {
+    assert.deepEqual(matched("Exams went well, feeling calm today"), []);
+  });
+
+  it("finds profanity through stretching, lookalikes and scripts", () => {
+    assert.deepEqual(matched("fuuuck this"), ["PROFANITY:fuuuck"]);
+    assert.deepEqual(matched("what a b1tch"), ["PROFANITY:b1tch"]);
+    assert.deepEqual(matched("tu chutiya hai"), ["PROFANITY:chutiya"]);
+    assert.deepEqual(matched("वो हरामी है"), ["PROFANITY:हरामी"]);
+  });
+
+  it("does not match profanity inside longer words", () => {
+    assert.deepEqual(matched("Scunthorpe and Dickens"), []);
+  });
+
+  it("finds phone numbers, emails and addresses", () => {
+    assert.deepEqual(matched("call me on 98765 43210"), [
+      "PERSONAL_DATA:98765 43210",
+    ]);
+    assert.deepEqual(matched("mail me at riya@example.com"), [
+      "PERSONAL_DATA:riya@example.com",
+    ]);
+    assert.deepEqual(matched("I live at 12 MG Road"), [
+      "PERSONAL_DATA:12 MG Road",
+    ]);
+  });
+
+  it("finds links with a scheme, www or a bare domain", () => {
+    assert.deepEqual(matched("see https://example.org/a"), [
+      "LINK:https://example.org/a",
+    ]);
+    assert.deepEqual(matched("dm me on t.me/someone"), ["LINK:t.me/someone"]);
+    assert.deepEqual(matched("follow insta.com"), ["LINK:insta.com"]);
+    assert.deepEqual(matched("go to Example.COM/page"), [
+      "LINK:Example.COM/page",
+    ]);
+  });
+
+  it("does not treat a missing space after a full stop as a link", () => {
+    assert.deepEqual(matched("I was so tired.In the morning"), []);
+    assert.deepEqual(matched("We lost.Me and my friends cried"), []);
+  });
+
+  it("counts an email as personal data, not a link", () => {
+    assert.deepEqual(matched("riya@example.com"), [
+      "PERSONAL_DATA:riya@example.com",
+    ]);
+  });
+});
+
+describe("applyFilterPolicy", () => {
+  const policy = DEFAULT_FILTER_POLICIES.STORY;
+
+  it("allows text with no matches unchanged", () => {
+    const fields = { title: "Hello", content: "A good day" };
+    assert.deepEqual(applyFilterPolicy(policy, fields), {
+      action: "ALLOW",
+      categories: [],
+      fields,
+    });
+  });
+
+  it("masks matches the policy masks", () => {
+    const result = applyFilterPolicy(policy, {
+      content: "call 9876543210 you shit",
+    });
+
+    assert.equal(result.action, "MASK");
+    assert.deepEqual(result.categories, ["PERSONAL_DATA", "PROFANITY"]);
+    assert.equal(
+      result.fields.content,
+      "call [personal info removed] you s***"
+    );
+  });
+
+  it("takes the strictest action across categories", () => {
+    const result = applyFilterPolicy(policy, {
+      content: "read example.com you shit",
+    });
+
+    assert.equal(result.action, "QUEUE");
+    assert.deepEqual(result.categories, ["LINK", "PROFANITY"]);
+    // Queued links stay as written for the moderator; profanity is masked
+    assert.equal(result.fields.content, "read example.com you s***");
+  });
+
+  it("leaves out categories the policy allows", () => {
+    const result = applyFilterPolicy(DEFAULT_FILTER_POLICIES.MESSAGE, {
+      content: "see example.com",
+    });
+
+    assert.equal(result.action, "ALLOW");
+    assert.deepEqual(result.categories, []);
+    assert.equal(result.fields.content, "see example.com");
+  });
+
+  it("rejects for content types that refuse a category", () => {
+    const result = applyFilterPolicy(DEFAULT_FILTER_POLICIES.BIO, {
+      bio: "Therapist, reach me at 9876543210",
+    });
+
+    assert.equal(result.action, "REJECT");
+    assert.deepEqual(result.categories, ["PERSONAL_DATA"]);
+  });
+
+  it("catches a phone number split across two story chunks", () => {
+    const first = "call me on 98765";
+    const second = "43210";
+
+    assert.equal(applyFilterPolicy(policy, { content: first }).action, "ALLOW");
+    assert.equal(
+      applyFilterPolicy(policy, { content: first + second }).fields.content,
+      "call me on [personal info removed]"
+    );
+  });
+});
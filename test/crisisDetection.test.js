@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import {
+  detectCrisisSignals,
+  resetCrisisClassifier,
+  setCrisisClassifier,
+} from "../src/utils/crisisDetection.js";
+
+describe("detectCrisisSignals", () => {
+  afterEach(() => resetCrisisClassifier());
+
+  it("passes ordinary text", async () => {
+    const result = await detectCrisisSignals("Exams went well", "So happy!");
+    assert.deepEqual(result, { isCrisis: false, severity: null, signals: [] });
+  });
+
+  it("flags English, Hinglish and Hindi crisis language", async () => {
+    for (const text of [
+      "I just want to die",
+      "mujhe marna chahta hoon",
+      "मैं आत्महत्या के बारे में सोचता हूँ",
+    ]) {
+      const result = await detectCrisisSignals(text);
+      assert.equal(result.isCrisis, true, text);
+      assert.equal(result.severity, "HIGH", text);
+    }
+  });
+
+  it("judges a title and body together", async () => {
+    const result = await detectCrisisSignals("Goodbye", "my final note");
+    assert.deepEqual(result.signals, ["goodbye_note"]);
+    assert.equal(result.severity, "MEDIUM");
+  });
+
+  it("uses a classifier set with setCrisisClassifier", async () => {
+    const seen = [];
+    setCrisisClassifier({
+      name: "fake",
+      classify: async (text) => {
+        seen.push(text);
+        return { isCrisis: true, severity: "MEDIUM", signals: ["model"] };
+      },
+    });
+
+    const result = await detectCrisisSignals("title", "body");
+    assert.deepEqual(seen, ["title\nbody"]);
+    assert.deepEqual(result.signals, ["model"]);
+  });
+
+  it("falls back to keywords when the classifier fails", async () => {
+    setCrisisClassifier({
+      name: "broken",
+      classify: async () => {
+        throw new Error("model unavailable");
+      },
+    });
+    const originalError = console.error;
+    console.error = () => {};
+
+    try {
+      const result = await detectCrisisSignals("I want to end my life");
+      assert.equal(result.isCrisis, true);
+      assert.deepEqual(result.signals, ["end_my_life"]);
+    } finally {
+      console.error = originalError;
+    }
+  });
+
+  it("rejects a classifier without classify()", () => {
+    assert.throws(() => setCrisisClassifier({ name: "empty" }));
+  });
+});
@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import {
+  FCM_BATCH_SIZE,
+  getPushClient,
+  resetPushClient,
+  sendPushNotifications,
+  setPushClient,
+} from "../src/utils/push.js";
+
+// Records every sendEach batch and fails the tokens listed in `errors`
+const fakePushClient = (errors = {}) => {
+  const batches = [];
+  return {
+    batches,
+    sendEach: async (messages) => {
+      batches.push(messages);
+      return {
+        responses: messages.map((message) =>
+          errors[message.token]
+            ? { success: false, error: { code: errors[message.token] } }
+            : { success: true }
+        ),
+      };
+    },
+  };
+};
+
+const notification = {
+  id: "n1",
+  recipientId: "student-1",
+  type: "STORY_COMMENT",
+  title: "New comment",
+  body: "Someone commented on your story",
+  data: { storyId: "s1", count: 2 },
+};
+
+describe("sendPushNotifications", () => {
+  afterEach(() => resetPushClient());
+
+  it("sends one message per device with string data", async () => {
+    const client = fakePushClient();
+    setPushClient(client);
+
+    await sendPushNotifications(
+      [
+        { userId: "student-1", token: "a" },
+        { userId: "student-1", token: "b" },
+        { userId: "student-2", token: "c" },
+      ],
+      [notification]
+    );
+
+    const [batch] = client.batches;
+    assert.deepEqual(
+      batch.map((m) => m.token),
+      ["a", "b"]
+    );
+    assert.deepEqual(batch[0].data, {
+      storyId: "s1",
+      count: "2",
+      notificationId: "n1",
+      type: "STORY_COMMENT",
+    });
+  });
+
+  it("splits messages into batches FCM accepts", async () => {
+    const client = fakePushClient();
+    setPushClient(client);
+    const deviceTokens = Array.from({ length: FCM_BATCH_SIZE + 1 }, (_, i) => ({
+      userId: "student-1",
+      token: `token-${i}`,
+    }));
+
+    await sendPushNotifications(deviceTokens, [notification]);
+
+    assert.deepEqual(
+      client.batches.map((batch) => batch.length),
+      [FCM_BATCH_SIZE, 1]
+    );
+  });
+
+  it("returns only the tokens FCM will never deliver to", async () => {
+    setPushClient(
+      fakePushClient({
+        gone: "messaging/registration-token-not-registered",
+        bad: "messaging/invalid-registration-token",
+        busy: "messaging/internal-error",
+      })
+    );
+
+    const staleTokens = await sendPushNotifications(
+      ["ok", "gone", "bad", "busy"].map((token) => ({
+        userId: "student-1",
+        token,
+      })),
+      [notification]
+    );
+
+    assert.deepEqual(staleTokens, ["gone", "bad"]);
+  });
+});
+
+describe("setPushClient", () => {
+  afterEach(() => resetPushClient());
+
+  it("replaces the client getPushClient returns", () => {
+    const client = fakePushClient();
+    setPushClient(client);
+    assert.equal(getPushClient(), client);
+  });
+
+  it("rejects a client without sendEach", () => {
+    assert.throws(() => setPushClient({}), /sendEach/);
+  });
+});
@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  rateLimitPerEmail,
+  rateLimitPerIp,
+} from "../src/middleware/rateLimit.middleware.js";
+
+// Runs a middleware once and reports whether it let the request through
+const run = (middleware, req) => {
+  let passed = false;
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  middleware(req, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+};
+
+describe("rateLimitPerIp", () => {
+  it("refuses requests over the limit with 429 and Retry-After", () => {
+    const limit = rateLimitPerIp({ name: "ip-test", max: 2, windowMs: 60000 });
+    const req = { ip: "10.0.0.1" };
+
+    assert.equal(run(limit, req).passed, true);
+    assert.equal(run(limit, req).passed, true);
+
+    const { passed, res } = run(limit, req);
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 429);
+    assert.ok(Number(res.headers["Retry-After"]) > 0);
+  });
+
+  it("counts each address separately", () => {
+    const limit = rateLimitPerIp({ name: "ip-split", max: 1, windowMs: 60000 });
+
+    assert.equal(run(limit, { ip: "10.0.0.1" }).passed, true);
+    assert.equal(run(limit, { ip: "10.0.0.2" }).passed, true);
+    assert.equal(run(limit, { ip: "10.0.0.1" }).passed, false);
+  });
+});
+
+describe("rateLimitPerEmail", () => {
+  it("counts an account across addresses and letter case", () => {
+    const limit = rateLimitPerEmail({
+      name: "email-test",
+      max: 1,
+      windowMs: 60000,
+    });
+
+    const first = { ip: "10.0.0.1", body: { email: "Dr@Example.com" } };
+    const second = { ip: "10.0.0.2", body: { email: "dr@example.com " } };
+    assert.equal(run(limit, first).passed, true);
+    assert.equal(run(limit, second).passed, false);
+  });
+
+  it("leaves requests without an email to validation", () => {
+    const limit = rateLimitPerEmail({
+      name: "email-missing",
+      max: 1,
+      windowMs: 60000,
+    });
+
+    assert.equal(run(limit, { body: {} }).passed, true);
+    assert.equal(run(limit, { body: {} }).passed, true);
+  });
+});
@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { afterEach, describe, it } from "node:test";
+import {
+  getRazorpayClient,
+  resetRazorpayClient,
+  setRazorpayClient,
+  verifyWebhookSignature,
+} from "../src/utils/razorpay.js";
+
+const SECRET = "webhook_test_secret";
+const body = JSON.stringify({ event: "payment.captured" });
+const sign = (payload, secret = SECRET) =>
+  crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+describe("verifyWebhookSignature", () => {
+  it("accepts the signature Razorpay computes", () => {
+    assert.equal(verifyWebhookSignature(body, sign(body), SECRET), true);
+  });
+
+  it("rejects a tampered body or a different secret", () => {
+    const otherSignature = sign(body, "other_secret");
+
+    assert.equal(verifyWebhookSignature(`${body} `, sign(body), SECRET), false);
+    assert.equal(verifyWebhookSignature(body, otherSignature, SECRET), false);
+  });
+
+  it("rejects missing or malformed signatures", () => {
+    assert.equal(verifyWebhookSignature(body, undefined, SECRET), false);
+    assert.equal(verifyWebhookSignature(body, "abc", SECRET), false);
+    assert.equal(verifyWebhookSignature(body, sign(body), ""), false);
+  });
+});
+
+describe("setRazorpayClient", () => {
+  afterEach(() => resetRazorpayClient());
+
+  it("replaces the client returned by getRazorpayClient", async () => {
+    const fake = {
+      orders: { create: async (options) => ({ id: "order_1", ...options }) },
+      payments: { refund: async () => ({ id: "rfnd_1" }) },
+    };
+    setRazorpayClient(fake);
+
+    assert.equal(getRazorpayClient(), fake);
+    const order = await getRazorpayClient().orders.create({ amount: 50000 });
+    assert.deepEqual(order, { id: "order_1", amount: 50000 });
+  });
+
+  it("rejects a client missing orders.create or payments.refund", () => {
+    assert.throws(() => setRazorpayClient({ orders: {} }));
+  });
+});